@@ -8,6 +8,7 @@
  * @requires module:configuration/configuration Application-specific configuration details.
  * @requires module:service/email.service Email service to handle email operations.
  * @requires module:service/database.service Database service for database connection and operations.
+ * @requires module:service/scheduler.service Scheduler service for running recurring background tasks.
  * @requires module:utilities/handleServerError Utility to handle server-related errors.
  * @requires module:utilities/shutdownHandler Utility to handle graceful shutdown of the server.
  * @requires module:utilities/handleUncaughtException Utility to handle uncaught exception errors.
@@ -19,6 +20,14 @@ import app from './src/app.js';
 import configuration from './src/configuration/configuration.js';
 import EmailService from './src/service/email.service.js';
 import DatabaseService from './src/service/database.service.js';
+import SchedulerService from './src/service/scheduler.service.js';
+import bookReservationsService from './src/modules/api/books/reservations/bookReservations.service.js';
+import bookFinesService from './src/modules/api/books/fines/bookFines.service.js';
+import loanNoticesService from './src/modules/api/books/notices/loanNotices.service.js';
+import bookImportsService from './src/modules/api/books/imports/bookImports.service.js';
+import bookSearchService from './src/modules/api/books/search/bookSearch.service.js';
+import booksService from './src/modules/api/books/books.service.js';
+import trashService from './src/modules/api/trash/trash.service.js';
 import handleServerError from './src/utilities/handleServerError.js';
 import shutdownHandler from './src/utilities/shutdownHandler.js';
 import handleUncaughtException from './src/utilities/handleUncaughtException.js';
@@ -40,6 +49,49 @@ const startServer = async () => {
         await EmailService.connect();
         await DatabaseService.connect();
 
+        // Imports run in memory, so the ones a previous run of the server left unfinished cannot resume.
+        await bookImportsService.failInterruptedBookImports();
+
+        // Books stored with a single writer and translator get them as contributors before anything reads them.
+        await booksService.migrateBookContributors();
+
+        // Books stored before works were introduced each start a work of their own.
+        await booksService.migrateBookWorks();
+
+        // Editions of a book share its name, so the unique index earlier databases have on it is replaced.
+        await booksService.migrateBookNameIndex();
+
+        // Index the catalog in the background when the search index is still empty.
+        bookSearchService.ensureBookSearchIndex();
+
+        // Background tasks - Pass the copies of expired reservations on to the next user in line.
+        SchedulerService.schedule(
+            'expire-book-reservations',
+            configuration.reservation.expiryCheckIntervalMinutes,
+            bookReservationsService.expireBookReservations
+        );
+
+        // Background tasks - Flag overdue loans and charge their fines.
+        SchedulerService.schedule(
+            'scan-overdue-loans',
+            configuration.fine.checkIntervalMinutes,
+            bookFinesService.scanOverdueLoans
+        );
+
+        // Background tasks - Email the due date reminders and overdue notices of the loans.
+        SchedulerService.schedule(
+            'send-loan-notices',
+            configuration.loanNotice.checkIntervalMinutes,
+            loanNoticesService.sendLoanNotices
+        );
+
+        // Background tasks - Purge the entries kept in the trash for longer than its retention period.
+        SchedulerService.schedule(
+            'purge-expired-trash',
+            configuration.trash.purgeIntervalMinutes,
+            trashService.purgeExpiredTrash
+        );
+
         // Uppercase the first letter of the environment
         const envCapitalized =
             configuration.env.charAt(0).toUpperCase() +
@@ -0,0 +1,47 @@
+import buildTree from '../utilities/buildTree.js';
+
+describe('Build tree', () => {
+    const subjects = [
+        { _id: 'optics', name: 'Optics', parent: 'physics' },
+        { _id: 'science', name: 'Science', parent: null },
+        { _id: 'physics', name: 'Physics', parent: 'science' },
+        { _id: 'chemistry', name: 'Chemistry', parent: 'science' },
+        { _id: 'arts', name: 'Arts' },
+    ];
+
+    test('nests each node under its parent', () => {
+        const [science, arts] = buildTree(subjects);
+
+        expect(science.name).toBe('Science');
+        expect(arts.children).toEqual([]);
+        expect(science.children.map((node) => node.name)).toEqual([
+            'Physics',
+            'Chemistry',
+        ]);
+        expect(science.children[0].children[0].name).toBe('Optics');
+    });
+
+    test('sorts the roots and the children of each node', () => {
+        const tree = buildTree(subjects, (a, b) =>
+            a.name.localeCompare(b.name)
+        );
+
+        expect(tree.map((node) => node.name)).toEqual(['Arts', 'Science']);
+        expect(tree[1].children.map((node) => node.name)).toEqual([
+            'Chemistry',
+            'Physics',
+        ]);
+    });
+
+    test('makes the nodes whose parent is missing roots, without changing them', () => {
+        const branch = subjects.filter((node) => node._id !== 'science');
+        const tree = buildTree(branch);
+
+        expect(tree.map((node) => node.name)).toEqual([
+            'Physics',
+            'Chemistry',
+            'Arts',
+        ]);
+        expect(branch[0].children).toBeUndefined();
+    });
+});
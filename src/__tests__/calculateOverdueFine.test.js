@@ -0,0 +1,59 @@
+import calculateOverdueFine from '../utilities/calculateOverdueFine.js';
+
+const rules = { ratePerDay: 5, gracePeriodDays: 2, maximumAmount: 100 };
+const dueDate = new Date('2024-01-10T12:00:00Z');
+
+describe('Calculate Overdue Fine', () => {
+    test('charges nothing before the due date or within the grace period', () => {
+        expect(
+            calculateOverdueFine(
+                dueDate,
+                new Date('2024-01-09T12:00:00Z'),
+                rules
+            )
+        ).toBe(0);
+        expect(
+            calculateOverdueFine(
+                dueDate,
+                new Date('2024-01-12T18:00:00Z'),
+                rules
+            )
+        ).toBe(0);
+    });
+
+    test('charges each full day late after the grace period', () => {
+        expect(
+            calculateOverdueFine(
+                dueDate,
+                new Date('2024-01-13T12:00:00Z'),
+                rules
+            )
+        ).toBe(5);
+        expect(
+            calculateOverdueFine(
+                dueDate,
+                new Date('2024-01-20T11:00:00Z'),
+                rules
+            )
+        ).toBe(35);
+    });
+
+    test('rounds fines of decimal rates to cents', () => {
+        expect(
+            calculateOverdueFine(dueDate, new Date('2024-01-15T12:00:00Z'), {
+                ...rules,
+                ratePerDay: 0.1,
+            })
+        ).toBe(0.3);
+    });
+
+    test('never charges more than the maximum amount', () => {
+        expect(
+            calculateOverdueFine(
+                dueDate,
+                new Date('2024-03-10T12:00:00Z'),
+                rules
+            )
+        ).toBe(100);
+    });
+});
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+import diffFields from '../utilities/diffFields.js';
+
+describe('Diff fields', () => {
+    test('lists the changed fields with their values before and after', () => {
+        const changes = diffFields(
+            { name: 'Dune', price: 10, summary: 'Spice.' },
+            { name: 'Dune', price: 12, review: 4 }
+        );
+
+        expect(changes).toEqual([
+            { field: 'price', before: 10, after: 12 },
+            { field: 'summary', before: 'Spice.', after: null },
+            { field: 'review', before: null, after: 4 },
+        ]);
+    });
+
+    test('compares ObjectIds and dates as JSON, and ignores the IDs of nested subdocuments', () => {
+        const id = new mongoose.Types.ObjectId();
+        const date = new Date('2024-05-01T00:00:00.000Z');
+
+        const changes = diffFields(
+            {
+                publication: id,
+                publishedAt: date,
+                image: { _id: 'a', shareableLink: 'x' },
+            },
+            {
+                publication: id.toString(),
+                publishedAt: date.toISOString(),
+                image: { _id: 'b', shareableLink: 'x' },
+            }
+        );
+
+        expect(changes).toEqual([]);
+    });
+
+    test('leaves out the ignored fields and treats missing values as null', () => {
+        const changes = diffFields(
+            { createdAt: 1, booksCount: 2, series: null },
+            { createdAt: 3, booksCount: 4 },
+            ['createdAt', 'booksCount']
+        );
+
+        expect(changes).toEqual([]);
+        expect(diffFields({}, { subject: ['x'] })).toEqual([
+            { field: 'subject', before: null, after: ['x'] },
+        ]);
+    });
+});
@@ -0,0 +1,29 @@
+import generateBarcodeImage from '../utilities/generateBarcodeImage.js';
+
+describe('Generate Barcode Image', () => {
+    test('renders a Code128 barcode as a PNG image by default', async () => {
+        const { image, contentType } = await generateBarcodeImage('ACC-0001');
+
+        expect(contentType).toBe('image/png');
+        expect(image.subarray(1, 4).toString()).toBe('PNG');
+    });
+
+    test('renders a QR code as an SVG document', async () => {
+        const { image, contentType } = await generateBarcodeImage(
+            'LC0123456789',
+            { symbology: 'qrcode', format: 'svg' }
+        );
+
+        expect(contentType).toBe('image/svg+xml');
+        expect(image.startsWith('<svg')).toBe(true);
+    });
+
+    test('rejects unsupported symbologies and formats', async () => {
+        await expect(
+            generateBarcodeImage('ACC-0001', { symbology: 'ean13' })
+        ).rejects.toThrow('Unsupported barcode symbology');
+        await expect(
+            generateBarcodeImage('ACC-0001', { format: 'gif' })
+        ).rejects.toThrow('Unsupported barcode image format');
+    });
+});
@@ -0,0 +1,27 @@
+import highlightText from '../utilities/highlightText.js';
+
+describe('Highlight text', () => {
+    test('marks the words starting with a term or spelled close to it', () => {
+        expect(
+            highlightText('The Adventures of Sherlock Holmes', 'sherlok holm')
+        ).toBe('The Adventures of <mark>Sherlock</mark> <mark>Holmes</mark>');
+        expect(highlightText('Café de Flore', 'cafe')).toBe(
+            '<mark>Café</mark> de Flore'
+        );
+    });
+
+    test('escapes the text and cuts a snippet around the first match', () => {
+        const text = `${'Once upon a time '.repeat(10)}a <wolf> came.`;
+
+        expect(highlightText(text, 'wolf', 40)).toMatch(
+            /^….*&lt;<mark>wolf<\/mark>&gt; came\.$/
+        );
+        expect(highlightText(text, 'wolf', 40).length).toBeLessThanOrEqual(42);
+    });
+
+    test('returns null when no word matches', () => {
+        expect(highlightText('Pride and Prejudice', 'moby dick')).toBeNull();
+        expect(highlightText('', 'anything')).toBeNull();
+        expect(highlightText('Pride and Prejudice', '!!')).toBeNull();
+    });
+});
@@ -0,0 +1,75 @@
+import marcService from '../service/marc.service.js';
+
+const record = {
+    leader: marcService.DEFAULT_LEADER,
+    fields: [
+        { tag: '001', value: 'book-1' },
+        {
+            tag: '245',
+            ind1: '1',
+            ind2: '0',
+            subfields: [['a', 'পথের পাঁচালী & other <stories>']],
+        },
+        {
+            tag: '650',
+            ind1: ' ',
+            ind2: '4',
+            subfields: [['a', 'Fiction']],
+        },
+    ],
+};
+
+describe('MARC service', () => {
+    test('writes ISO 2709 records with their lengths counted in bytes', () => {
+        const binary = marcService.toIso2709(record);
+        const text = binary.toString('latin1');
+
+        expect(Number(text.slice(0, 5))).toBe(binary.length);
+        expect(text.slice(5, 12)).toBe('nam a22');
+        // Leader, three directory entries of 12 characters and the field terminator
+        expect(Number(text.slice(12, 17))).toBe(24 + 3 * 12 + 1);
+        expect(text.slice(24, 36)).toBe('001000700000');
+        expect(binary[binary.length - 1]).toBe(0x1d);
+
+        const title = Buffer.from(
+            '10\x1faপথের পাঁচালী & other <stories>\x1e',
+            'utf-8'
+        );
+        expect(text.slice(36, 48)).toBe(
+            `245${String(title.length).padStart(4, '0')}00007`
+        );
+    });
+
+    test('writes MARCXML records with their values escaped', () => {
+        expect(marcService.toMarcXmlRecord(record)).toBe(
+            '<record><leader>00000nam a2200000 i 4500</leader>' +
+                '<controlfield tag="001">book-1</controlfield>' +
+                '<datafield tag="245" ind1="1" ind2="0"><subfield code="a">পথের পাঁচালী &amp; other &lt;stories&gt;</subfield></datafield>' +
+                '<datafield tag="650" ind1=" " ind2="4"><subfield code="a">Fiction</subfield></datafield>' +
+                '</record>'
+        );
+    });
+
+    test('reads back the records it writes, in both formats', () => {
+        const binary = Buffer.concat([
+            marcService.toIso2709(record),
+            Buffer.from('\n'),
+            marcService.toIso2709(record),
+        ]);
+        const records = marcService.splitIso2709(binary);
+
+        expect(records).toHaveLength(2);
+        expect(marcService.fromIso2709(records[1]).fields).toEqual(
+            record.fields
+        );
+
+        const xml = `${marcService.marcXmlCollection.open}${marcService.toMarcXmlRecord(record)}${marcService.marcXmlCollection.close}`;
+        expect(marcService.fromMarcXml(xml)).toEqual([record]);
+    });
+
+    test('rejects malformed binary records', () => {
+        expect(() =>
+            marcService.fromIso2709(Buffer.from('not a MARC record'))
+        ).toThrow('malformed leader');
+    });
+});
@@ -0,0 +1,46 @@
+import matchesFileSignature from '../utilities/matchesFileSignature.js';
+
+describe('Matches file signature', () => {
+    test('accepts files whose content starts with the signature of their type', () => {
+        expect(
+            matchesFileSignature(
+                Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]),
+                'image/jpeg'
+            )
+        ).toBe(true);
+        expect(
+            matchesFileSignature(
+                Buffer.from([
+                    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00,
+                ]),
+                'image/png'
+            )
+        ).toBe(true);
+        expect(
+            matchesFileSignature(
+                Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 '),
+                'image/webp'
+            )
+        ).toBe(true);
+    });
+
+    test('rejects files whose content is of another type or missing', () => {
+        expect(
+            matchesFileSignature(Buffer.from('<svg></svg>'), 'image/png')
+        ).toBe(false);
+        expect(
+            matchesFileSignature(
+                Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+                'image/jpeg'
+            )
+        ).toBe(false);
+        expect(
+            matchesFileSignature(Buffer.from([0xff, 0xd8]), 'image/jpeg')
+        ).toBe(false);
+        expect(matchesFileSignature(undefined, 'image/jpeg')).toBe(false);
+    });
+
+    test('does not check types without a signature', () => {
+        expect(matchesFileSignature(Buffer.from('a,b'), 'text/csv')).toBe(true);
+    });
+});
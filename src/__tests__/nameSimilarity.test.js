@@ -0,0 +1,24 @@
+import nameSimilarity from '../utilities/nameSimilarity.js';
+
+describe('Name similarity', () => {
+    test('rates names differing in a letter high, and different names low', () => {
+        expect(nameSimilarity('Humayun Ahmed', 'Humayun Ahmad')).toBeCloseTo(
+            12 / 13
+        );
+        expect(nameSimilarity('Humayun Ahmed', 'Zafar Iqbal')).toBeLessThan(
+            0.3
+        );
+    });
+
+    test('ignores case, punctuation, accents and the order of the words', () => {
+        expect(
+            nameSimilarity('Gabriel García Márquez', 'gabriel garcia marquez')
+        ).toBe(1);
+        expect(nameSimilarity('Ahmed, Humayun', 'Humayun Ahmed')).toBe(1);
+    });
+
+    test('rates names without words 0', () => {
+        expect(nameSimilarity('', 'Humayun Ahmed')).toBe(0);
+        expect(nameSimilarity('...', '---')).toBe(0);
+    });
+});
@@ -0,0 +1,32 @@
+import normalizeIsbn from '../utilities/normalizeIsbn.js';
+
+describe('Normalize ISBN', () => {
+    test('converts a valid ISBN-10 to its ISBN-13, ignoring hyphens and spaces', () => {
+        expect(normalizeIsbn('0-306-40615-2')).toEqual({
+            isbn10: '0306406152',
+            isbn13: '9780306406157',
+        });
+        expect(normalizeIsbn('0 8044 2957 x')).toEqual({
+            isbn10: '080442957X',
+            isbn13: '9780804429573',
+        });
+    });
+
+    test('converts a valid ISBN-13 back to its ISBN-10 when it has one', () => {
+        expect(normalizeIsbn('978-0-306-40615-7')).toEqual({
+            isbn10: '0306406152',
+            isbn13: '9780306406157',
+        });
+        expect(normalizeIsbn('979-10-90636-07-1')).toEqual({
+            isbn13: '9791090636071',
+        });
+    });
+
+    test('rejects wrong check digits and malformed values', () => {
+        expect(normalizeIsbn('0306406153')).toBeNull();
+        expect(normalizeIsbn('9780306406158')).toBeNull();
+        expect(normalizeIsbn('9770306406157')).toBeNull();
+        expect(normalizeIsbn('12345')).toBeNull();
+        expect(normalizeIsbn(undefined)).toBeNull();
+    });
+});
@@ -36,6 +36,21 @@ const getInt = (envVar, defaultValue) => {
     return isNaN(parsed) ? defaultValue : parsed;
 };
 
+/**
+ * Converts a given environment variable to a number, keeping its decimals. If the conversion fails (i.e., the result
+ * is NaN), it returns a specified default value. This function is used for amounts such as fines, which are not
+ * always whole numbers.
+ *
+ * @param {string} envVar - The environment variable to be parsed.
+ * @param {number} defaultValue - The fallback value to use if parsing fails.
+ * @returns {number} The parsed number or the default value.
+ */
+const getNumber = (envVar, defaultValue) => {
+    const parsed = parseFloat(envVar);
+
+    return isNaN(parsed) ? defaultValue : parsed;
+};
+
 /**
  * Retrieves an environment variable and provides a default value if the specified variable is undefined, null, or an
  * empty string. This function is crucial for configuration management, ensuring that no environment variable is left
@@ -132,6 +147,9 @@ const envVarsSchema = Joi.object({
     CACHE_TTL_IN_SECONDS: Joi.number()
         .required()
         .description('Cache TTL in seconds.'),
+    CACHE_SUGGESTION_TTL_IN_SECONDS: Joi.number()
+        .min(1)
+        .description('Cache TTL of the search suggestions in seconds.'),
     JSON_PAYLOAD_LIMIT: Joi.number()
         .required()
         .description('JSON payload limit in bytes.'),
@@ -166,27 +184,91 @@ const envVarsSchema = Joi.object({
         .description('The "from" field in the emails sent by the app.'),
     ADMIN_EMAIL: Joi.string().email().required().description('Admin email.'),
     ADMIN_PASSWORD: Joi.string().required().description('Admin password.'),
+    STORAGE_PROVIDER: Joi.string()
+        .valid('cloudinary', 'google-drive', 'local')
+        .default('cloudinary')
+        .description('The provider uploaded files are stored with.'),
+    STORAGE_LOCAL_DIRECTORY: Joi.string().description(
+        'Directory the files are stored in by the local provider.'
+    ),
     GOOGLE_DRIVE_SCOPE: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'google-drive', then: Joi.required() })
         .description('Scope for Google Drive API.'),
     GOOGLE_DRIVE_CLIENT_EMAIL: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'google-drive', then: Joi.required() })
         .description('Client email for Google Drive API.'),
     GOOGLE_DRIVE_PRIVATE_KEY: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'google-drive', then: Joi.required() })
         .description('Private key for Google Drive API.'),
     GOOGLE_DRIVE_FOLDER_KEY: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'google-drive', then: Joi.required() })
         .description('Folder key for Google Drive API.'),
     CLOUDINARY_CLOUD_NAME: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'cloudinary', then: Joi.required() })
         .description('Cloud name for cloudinary.'),
     CLOUDINARY_CLOUD_API_KEY: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'cloudinary', then: Joi.required() })
         .description('Cloudinary API key.'),
     CLOUDINARY_CLOUD_API_SECRET: Joi.string()
-        .required()
+        .when('STORAGE_PROVIDER', { is: 'cloudinary', then: Joi.required() })
         .description('Cloudinary API secret.'),
+    LEND_MAX_CONCURRENT_LOANS: Joi.number()
+        .min(1)
+        .description(
+            'Maximum number of books a user can have on loan at once.'
+        ),
+    LEND_LOAN_PERIOD_DAYS: Joi.number()
+        .min(1)
+        .description('Maximum number of days a book can be lent for.'),
+    LEND_MAX_RENEWALS: Joi.number()
+        .min(0)
+        .description('Maximum number of times a loan can be renewed.'),
+    LEND_RENEWAL_EXTENSION_DAYS: Joi.number()
+        .min(1)
+        .description('Days a loan is extended by on each renewal.'),
+    RESERVATION_PICKUP_WINDOW_HOURS: Joi.number()
+        .min(1)
+        .description('Hours a user has to pick up a reserved copy.'),
+    RESERVATION_EXPIRY_CHECK_INTERVAL_MINUTES: Joi.number()
+        .min(1)
+        .description('Minutes between two checks for expired reservations.'),
+    FINE_RATE_PER_DAY: Joi.number()
+        .min(0)
+        .description('Fine charged for each day a loan is overdue.'),
+    FINE_GRACE_PERIOD_DAYS: Joi.number()
+        .min(0)
+        .description('Days a loan can be overdue before fines accrue.'),
+    FINE_MAXIMUM_AMOUNT: Joi.number()
+        .min(0)
+        .description('Maximum fine charged for a single loan.'),
+    OVERDUE_CHECK_INTERVAL_MINUTES: Joi.number()
+        .min(1)
+        .description('Minutes between two scans for overdue loans.'),
+    LOAN_NOTICE_DUE_SOON_DAYS: Joi.number()
+        .min(1)
+        .description('Days before the due date a "due soon" reminder is sent.'),
+    LOAN_NOTICE_CHECK_INTERVAL_MINUTES: Joi.number()
+        .min(1)
+        .description('Minutes between two runs of the loan notice emails.'),
+    TRASH_RETENTION_DAYS: Joi.number()
+        .min(1)
+        .description('Days deleted entries are kept in the trash.'),
+    TRASH_PURGE_INTERVAL_MINUTES: Joi.number()
+        .min(1)
+        .description('Minutes between two purges of the expired trash.'),
+    BOOK_DEFAULT_COVER_URL: Joi.string()
+        .uri({ allowRelative: true })
+        .allow('')
+        .description('Cover image of the books imported without an image.'),
+    BOOK_METADATA_PROVIDER: Joi.string()
+        .valid('fixture', 'open-library')
+        .description('The provider books metadata is looked up from by ISBN.'),
+    BOOK_METADATA_TIMEOUT_MS: Joi.number()
+        .min(1)
+        .description('Milliseconds before a metadata lookup is aborted.'),
+    SEARCH_ENGINE: Joi.string()
+        .valid('mongo-text')
+        .description('The engine the catalog is searched with.'),
 }).unknown();
 
 const { value: envVars, error } = envVarsSchema.validate(process.env, {
@@ -256,6 +338,7 @@ const configuration = {
     timeout: getInt(envVars.TIMEOUT_IN_SECONDS, 30),
     cache: {
         timeout: getInt(envVars.CACHE_TTL_IN_SECONDS, 60),
+        suggestionTimeout: getInt(envVars.CACHE_SUGGESTION_TTL_IN_SECONDS, 30),
     },
     jsonPayloadLimit: getInt(envVars.JSON_PAYLOAD_LIMIT, 1000000),
     cors: {
@@ -289,6 +372,10 @@ const configuration = {
         email: getEnvVar(envVars.ADMIN_EMAIL, 'admin@example.com'),
         password: getEnvVar(envVars.ADMIN_PASSWORD, ''),
     },
+    storage: {
+        provider: getEnvVar(envVars.STORAGE_PROVIDER, 'cloudinary'),
+        localDirectory: getEnvVar(envVars.STORAGE_LOCAL_DIRECTORY, 'uploads'),
+    },
     googleDrive: {
         scope: getEnvVar(envVars.GOOGLE_DRIVE_SCOPE, ''),
         client: getEnvVar(envVars.GOOGLE_DRIVE_CLIENT_EMAIL, ''),
@@ -300,6 +387,52 @@ const configuration = {
         apiKey: getEnvVar(envVars.CLOUDINARY_CLOUD_API_KEY, ''),
         apiSecret: getEnvVar(envVars.CLOUDINARY_CLOUD_API_SECRET, ''),
     },
+    lend: {
+        maxConcurrentLoans: getInt(envVars.LEND_MAX_CONCURRENT_LOANS, 5),
+        loanPeriodDays: getInt(envVars.LEND_LOAN_PERIOD_DAYS, 30),
+        maxRenewals: getInt(envVars.LEND_MAX_RENEWALS, 2),
+        renewalExtensionDays: getInt(envVars.LEND_RENEWAL_EXTENSION_DAYS, 14),
+    },
+    reservation: {
+        pickupWindowHours: getInt(envVars.RESERVATION_PICKUP_WINDOW_HOURS, 48),
+        expiryCheckIntervalMinutes: getInt(
+            envVars.RESERVATION_EXPIRY_CHECK_INTERVAL_MINUTES,
+            15
+        ),
+    },
+    fine: {
+        ratePerDay: getNumber(envVars.FINE_RATE_PER_DAY, 5),
+        gracePeriodDays: getInt(envVars.FINE_GRACE_PERIOD_DAYS, 2),
+        maximumAmount: getNumber(envVars.FINE_MAXIMUM_AMOUNT, 100),
+        checkIntervalMinutes: getInt(
+            envVars.OVERDUE_CHECK_INTERVAL_MINUTES,
+            60
+        ),
+    },
+    loanNotice: {
+        dueSoonDays: getInt(envVars.LOAN_NOTICE_DUE_SOON_DAYS, 3),
+        checkIntervalMinutes: getInt(
+            envVars.LOAN_NOTICE_CHECK_INTERVAL_MINUTES,
+            60
+        ),
+    },
+    trash: {
+        retentionDays: getInt(envVars.TRASH_RETENTION_DAYS, 30),
+        purgeIntervalMinutes: getInt(envVars.TRASH_PURGE_INTERVAL_MINUTES, 60),
+    },
+    book: {
+        defaultCoverUrl: getEnvVar(
+            envVars.BOOK_DEFAULT_COVER_URL,
+            `/api/${getEnvVar(envVars.VERSION, 'v1')}/media/images/default-book-cover.svg`
+        ),
+    },
+    bookMetadata: {
+        provider: getEnvVar(envVars.BOOK_METADATA_PROVIDER, 'fixture'),
+        timeoutMs: getInt(envVars.BOOK_METADATA_TIMEOUT_MS, 5000),
+    },
+    search: {
+        engine: getEnvVar(envVars.SEARCH_ENGINE, 'mongo-text'),
+    },
 };
 
 export default configuration;
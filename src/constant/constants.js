@@ -12,6 +12,7 @@
  * - `urls`: Provides a central reference for URLs, particularly social media links.
  * - `confirmationText`: Stores specific text for confirmatory actions to prevent accidental submissions.
  * - `defaultName`: Contains default names for certain roles or identifiers in the application.
+ * - `imageVariants`: Defines the sizes and formats uploaded images are stored in.
  */
 
 const lengths = {
@@ -35,6 +36,7 @@ const lengths = {
         FILE_ID_MAX: 100,
         SHAREABLE_LINK: 500,
         DOWNLOAD_LINK: 500,
+        VARIANT_URL: 500,
     },
 };
 
@@ -53,6 +55,19 @@ const defaultName = {
     adminRole: 'Admin',
 };
 
+const imageVariants = {
+    // The longest side of each size in pixels, smaller images are not enlarged
+    sizes: {
+        thumbnail: 200,
+        medium: 600,
+        large: 1200,
+    },
+    formats: ['webp', 'jpeg'],
+    quality: 80,
+    // The variant kept as the image itself, as every client can read it
+    main: { size: 'large', format: 'jpeg' },
+};
+
 /**
  * Provides a structured and centralized collection of various constants needed for input validation,
  * configuration of external links, and other hardcoded values that are used across the application.
@@ -64,6 +79,7 @@ const defaultName = {
  * @property {Object} urls - Centralized social media and other relevant URLs.
  * @property {Object} confirmationText - Texts used for user confirmations to avoid accidental actions.
  * @property {Object} defaultName - Default names for roles or identifiers within the application.
+ * @property {Object} imageVariants - The sizes and formats uploaded images are stored in.
  * @description Centralizes important constants for easy maintenance and consistency across the application.
  */
 const constants = {
@@ -71,6 +87,7 @@ const constants = {
     urls,
     confirmationText,
     defaultName,
+    imageVariants,
 };
 
 export default constants;
@@ -91,6 +91,12 @@ const TIFF = 'image/tiff';
  */
 const SVG = 'image/svg+xml';
 
+/**
+ * MIME Type for WebP images.
+ * @type {string}
+ */
+const WEBP = 'image/webp';
+
 /**
  * MIME Type for MP3 audio files.
  * @type {string}
@@ -149,6 +155,7 @@ const mimeTypesConstants = {
     BMP,
     TIFF,
     SVG,
+    WEBP,
     MP3,
     WAV,
     ZIP,
@@ -76,6 +76,10 @@ const routesConstants = {
     trending: {
         routes: 'trending',
     },
+    search: {
+        routes: 'search',
+        suggest: 'suggest',
+    },
     users: {
         routes: 'users',
         params: 'userId',
@@ -92,6 +96,7 @@ const routesConstants = {
         params: 'bookId',
         permissions: {
             create: 'create-book',
+            createFromIsbn: 'create-book-from-isbn',
             getList: 'get-book-list',
             getById: 'get-book-by-id',
             updateById: 'update-book-by-id',
@@ -118,6 +123,65 @@ const routesConstants = {
     trendingSubjects: {
         routes: 'subjects',
     },
+    bookCopies: {
+        routes: 'copies',
+        params: 'copyId',
+        permissions: {
+            create: 'create-book-copy',
+            getList: 'get-book-copy-list',
+            getById: 'get-book-copy-by-id',
+            updateById: 'update-book-copy-by-id',
+            deleteById: 'delete-book-copy-by-id',
+            deleteByList: 'delete-book-copy-by-list',
+        },
+    },
+    bookReservations: {
+        routes: 'reservations',
+        params: 'reservationId',
+        permissions: {
+            getList: 'get-book-reservation-list',
+        },
+    },
+    bookExports: {
+        routes: 'exports',
+        permissions: {
+            export: 'export-books',
+        },
+    },
+    bookSearch: {
+        routes: 'search',
+        reindex: 'reindex',
+        permissions: {
+            reindex: 'reindex-book-search',
+        },
+    },
+    bookImports: {
+        routes: 'imports',
+        params: 'importId',
+        permissions: {
+            create: 'create-book-import',
+            getList: 'get-book-import-list',
+            getById: 'get-book-import-by-id',
+        },
+    },
+    borrowRequests: {
+        routes: 'borrow-requests',
+        params: 'borrowRequestId',
+        permissions: {
+            getList: 'get-borrow-request-list',
+            approve: 'approve-borrow-request',
+            reject: 'reject-borrow-request',
+        },
+    },
+    bookFines: {
+        routes: 'fines',
+        permissions: {
+            getList: 'get-book-fine-list',
+            createPayment: 'create-book-fine-payment',
+            createWaiver: 'create-book-fine-waiver',
+            createAdjustment: 'create-book-fine-adjustment',
+        },
+    },
     booksHistory: {
         routes: 'history',
         params: 'bookId',
@@ -141,6 +205,7 @@ const routesConstants = {
         params: 'favouriteBookId',
         permissions: {
             create: 'create-return',
+            getReport: 'get-return-report',
         },
     },
     permissions: {
@@ -180,6 +245,18 @@ const routesConstants = {
             deleteByList: 'delete-publication-by-list',
         },
     },
+    series: {
+        routes: 'series',
+        params: 'seriesId',
+        permissions: {
+            create: 'create-series',
+            getList: 'get-series-list',
+            getById: 'get-series-by-id',
+            updateById: 'update-series-by-id',
+            deleteById: 'delete-series-by-id',
+            deleteByList: 'delete-series-by-list',
+        },
+    },
     roles: {
         routes: 'roles',
         params: 'roleId',
@@ -193,6 +270,29 @@ const routesConstants = {
             createDefault: 'create-default-role',
         },
     },
+    circulationPolicies: {
+        routes: 'circulation-policies',
+        params: 'policyId',
+        permissions: {
+            create: 'create-circulation-policy',
+            getList: 'get-circulation-policy-list',
+            getById: 'get-circulation-policy-by-id',
+            updateById: 'update-circulation-policy-by-id',
+            deleteById: 'delete-circulation-policy-by-id',
+            deleteByList: 'delete-circulation-policy-by-list',
+            updatePatronCategory: 'update-patron-category',
+        },
+    },
+    circulationDesk: {
+        routes: 'circulation-desk',
+        permissions: {
+            checkout: 'create-desk-checkout',
+            checkin: 'create-desk-checkin',
+            issueLibraryCard: 'update-library-card',
+            getLibraryCard: 'get-library-card',
+            getCopyLabel: 'get-copy-label',
+        },
+    },
     subjects: {
         routes: 'subjects',
         params: 'subjectId',
@@ -203,6 +303,7 @@ const routesConstants = {
             updateById: 'update-subject-by-id',
             deleteById: 'delete-subject-by-id',
             deleteByList: 'delete-subject-by-list',
+            importTaxonomy: 'import-subject-taxonomy',
         },
     },
     writers: {
@@ -229,6 +330,28 @@ const routesConstants = {
             deleteByList: 'delete-translator-by-list',
         },
     },
+    merges: {
+        routes: 'merges',
+        permissions: {
+            getCandidates: 'get-merge-candidates',
+            merge: 'merge-records',
+        },
+    },
+    revisions: {
+        routes: 'revisions',
+        permissions: {
+            getList: 'get-revision-list',
+            compare: 'compare-revisions',
+            rollback: 'rollback-revision',
+        },
+    },
+    trash: {
+        routes: 'trash',
+        permissions: {
+            getList: 'get-trash-list',
+            restore: 'restore-trash',
+        },
+    },
     userFavouriteBooks: {
         routes: 'books/favourite',
         params: 'bookId',
@@ -30,6 +30,9 @@ const cache = new NodeCache();
  * same requests.
  *
  * @param {number} [duration=3600] - The duration in seconds for which the cache entry should remain valid.
+ * @param {Object} [options] - The options of the cache entries.
+ * @param {boolean} [options.includeQuery=false] - Whether the query string is part of the key, for routes whose
+ * response depends on it.
  * @returns {Function} An Express middleware function that checks for cached data or caches new data as needed.
  * @example
  * // Usage within an Express route
@@ -37,16 +40,18 @@ const cache = new NodeCache();
  *     res.send('This is the response data');
  * });
  */
-const create = (duration = 3600) => {
+const create = (duration = 3600, { includeQuery = false } = {}) => {
     return (req, res, next) => {
         let key;
 
         // If the request is a GET request, extract the resource name from the URL
         if (req.method === 'GET') {
-            // Extract the last segment of the URL as the cache key
+            // Extract the last segment of the URL as the cache key, with its query string when asked for. The key
+            // starts with the resource name, so invalidating the resource clears every query made on it.
             const urlSegments = req.originalUrl.split('/');
+            const lastSegment = urlSegments[urlSegments.length - 1];
 
-            key = urlSegments[urlSegments.length - 1].split('?')[0];
+            key = includeQuery ? lastSegment : lastSegment.split('?')[0];
 
             loggerService.debug(`Cache key generated for GET request: ${key}`);
         } else {
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview This module configures and exports a middleware for handling the upload of files imported in bulk,
+ * such as book catalogs, using the multer library. Like the upload middleware used for images, it keeps the file in
+ * memory for the lifecycle of the request, but allows larger files, as an import can hold thousands of rows.
+ */
+
+import multer from 'multer';
+
+import bookImportsConstants from '../modules/api/books/imports/bookImports.constant.js';
+
+const storage = multer.memoryStorage();
+
+/**
+ * Provides a multer middleware configured for memory storage with the file size limit of imports.
+ *
+ * @module importUploadMiddleware
+ * @description Configures multer for in-memory storage of imported files with the import file size limit.
+ */
+const importUploadMiddleware = multer({
+    storage,
+    limits: {
+        fileSize: bookImportsConstants.limits.FILE_SIZE,
+    },
+});
+
+export default importUploadMiddleware;
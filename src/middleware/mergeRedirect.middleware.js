@@ -0,0 +1,40 @@
+/**
+ * @fileoverview This module provides a middleware resolving the IDs of merged catalog records. A writer,
+ * translator, publication or subject merged into another one is removed, but its ID is kept as a redirect, so
+ * links and bookmarks to it keep working. The middleware replaces such an ID in the route parameters with the ID
+ * of the record it was merged into, and gives the URL of that record in the `Content-Location` header.
+ */
+
+import MergesModel from '../modules/api/merges/merges.model.js';
+import asyncErrorHandlerService from '../service/asyncErrorHandler.service.js';
+
+/**
+ * Creates a middleware resolving the ID of a merged record in a route parameter to the record it was merged into.
+ * IDs of records that were not merged are left as they are.
+ *
+ * @param {string} resourceType - The type of the records, as recorded in their merges.
+ * @param {string} paramsId - The name of the route parameter holding the ID.
+ * @returns {Function} An Express middleware function that resolves the ID of a merged record.
+ * @example
+ * router.get('/:writerId', mergeRedirectMiddleware('writers', 'writerId'), writersController.getWriter);
+ */
+const mergeRedirectMiddleware = (resourceType, paramsId) =>
+    asyncErrorHandlerService(async (req, res, next) => {
+        const id = req.params[paramsId];
+        const merge = await MergesModel.findOne({ resourceType, source: id })
+            .select('target')
+            .lean();
+
+        if (merge) {
+            req.params[paramsId] = merge.target.toString();
+
+            res.set(
+                'Content-Location',
+                req.originalUrl.replace(id, req.params[paramsId])
+            );
+        }
+
+        next();
+    });
+
+export default mergeRedirectMiddleware;
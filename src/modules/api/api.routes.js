@@ -1,6 +1,6 @@
 /**
  * @fileoverview This module defines the main router for the application, which handles various routes for different functionalities.
- * It includes routes for authentication, book management, detection services, publications, subjects, trending items, user management, writer management, permissions, roles, admin operations, pronouns, and user profiles.
+ * It includes routes for authentication, book management, circulation policies, detection services, publications, series, subjects, catalog search suggestions, the merging of duplicate catalog records, the revision history of catalog records, the trash of deleted catalog entries, trending items, user management, writer management, permissions, roles, admin operations, pronouns, and user profiles.
  * The router applies authentication middleware where necessary to protect routes that require user access.
  */
 
@@ -16,18 +16,26 @@ import detectRoutes from './detect/detect.routes.js';
 import publicationsRoutes from './publications/publications.routes.js';
 import subjectsRoutes from './subjects/subjects.routes.js';
 import trendingRoutes from './trending/trending.routes.js';
+import searchRoutes from './search/search.routes.js';
 import usersRoutes from './users/users.routes.js';
 import writersRoutes from './writers/writers.routes.js';
 import authenticateMiddleware from '../../middleware/authenticate.middleware.js';
 import routesConstants from '../../constant/routes.constants.js';
 import permissionRoutes from './permissions/permission.routes.js';
 import rolesRoutes from './roles/roles.routes.js';
+import seriesRoutes from './series/series.routes.js';
+import mergesRoutes from './merges/merges.routes.js';
+import revisionsRoutes from './revisions/revisions.routes.js';
+import trashRoutes from './trash/trash.routes.js';
 import adminRoutes from './admin/admin.routes.js';
 import pronounsRoutes from './pronouns/pronouns.routes.js';
 import userProfileRoutes from './userProfile/userProfile.routes.js';
 import accessTypesConstants from '../../constant/accessTypes.constants.js';
 import translatorsRoutes from './translators/translators.routes.js';
 import siteRoutes from './site/site.routes.js';
+import circulationDeskRoutes from './circulationDesk/circulationDesk.routes.js';
+import circulationPoliciesRoutes from './circulationPolicies/circulationPolicies.routes.js';
+import localStorageProvider from '../../service/storageProviders/local.provider.js';
 
 const router = express.Router();
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -54,6 +62,15 @@ const swaggerDocument = JSON.parse(
 // Serve JSDoc documentation on the /api/v1/code-docs route
 router.use('/documentation/code', express.static(docsPath));
 
+// Serve the shared media, such as the default book cover, on the /api/v1/media route
+router.use(
+    '/media',
+    express.static(path.join(process.cwd(), 'src', 'public', 'media'))
+);
+
+// Serve the images stored by the local storage provider on the /api/v1/uploads route
+router.use('/uploads', express.static(localStorageProvider.directory));
+
 // API documentation route setup
 router.use(
     '/documentation/api',
@@ -65,12 +82,22 @@ router.use(
 router.use(`/${routesConstants.admin.routes}`, adminRoutes);
 router.use(`/${routesConstants.auth.routes}`, authRoutes);
 router.use(`/${routesConstants.books.routes}`, booksRoutes);
+router.use(`/${routesConstants.circulationDesk.routes}`, circulationDeskRoutes);
+router.use(
+    `/${routesConstants.circulationPolicies.routes}`,
+    circulationPoliciesRoutes
+);
 router.use(`/${routesConstants.detect.routes}`, detectRoutes);
 router.use(`/${routesConstants.pronouns.routes}`, pronounsRoutes);
 router.use(`/${routesConstants.permissions.routes}`, permissionRoutes);
 router.use(`/${routesConstants.publications.routes}`, publicationsRoutes);
 router.use(`/${routesConstants.roles.routes}`, rolesRoutes);
+router.use(`/${routesConstants.search.routes}`, searchRoutes);
+router.use(`/${routesConstants.series.routes}`, seriesRoutes);
 router.use(`/${routesConstants.subjects.routes}`, subjectsRoutes);
+router.use(`/${routesConstants.merges.routes}`, mergesRoutes);
+router.use(`/${routesConstants.revisions.routes}`, revisionsRoutes);
+router.use(`/${routesConstants.trash.routes}`, trashRoutes);
 router.use(`/${routesConstants.trending.routes}`, trendingRoutes);
 router.use(`/${routesConstants.users.routes}`, usersRoutes);
 router.use(`/${routesConstants.site.routes}`, siteRoutes);
@@ -27,6 +27,29 @@ const lengths = {
 
 const imageSize = 1.1 * 1024 * 1024; // 1.1 MB
 
+/**
+ * contributorRoles - The roles people contribute to a book in. Translators are kept with the translators,
+ * the people in every other role with the writers.
+ */
+const contributorRoles = {
+    AUTHOR: 'author',
+    CO_AUTHOR: 'co-author',
+    EDITOR: 'editor',
+    TRANSLATOR: 'translator',
+    ILLUSTRATOR: 'illustrator',
+};
+
+/**
+ * facets - The facets returned with a list of books. The subjects, writers, translators, publications and
+ * editions with the most books are counted, up to `LIMIT` of each. Prices and page counts are counted in
+ * ranges starting at each boundary, the last range being open ended.
+ */
+const facets = {
+    LIMIT: 20,
+    PRICE_BOUNDARIES: [0, 200, 500, 1000, 2000],
+    PAGE_BOUNDARIES: [0, 100, 200, 400, 800],
+};
+
 /**
  * booksConstants - An object that holds constants for book-related validations and configurations.
  * These constants are used to enforce length constraints on fields, limit image sizes, and provide other relevant parameters.
@@ -34,6 +57,8 @@ const imageSize = 1.1 * 1024 * 1024; // 1.1 MB
  * @typedef {Object} BooksConstants
  * @property {Object} lengths - An object defining the minimum and maximum lengths for various book-related fields.
  * @property {number} imageSize - The maximum allowed image size in bytes (1.1 MB).
+ * @property {Object} contributorRoles - An object defining the roles people contribute to a book in.
+ * @property {Object} facets - An object defining the facets returned with a list of books.
  *
  * @example
  * const { lengths, imageSize } = booksConstants;
@@ -43,6 +68,8 @@ const imageSize = 1.1 * 1024 * 1024; // 1.1 MB
 const booksConstants = {
     lengths,
     imageSize,
+    contributorRoles,
+    facets,
 };
 
 export default booksConstants;
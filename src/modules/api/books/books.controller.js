@@ -1,6 +1,6 @@
 /**
  * @fileoverview This file defines and exports the controller for handling book-related operations.
- * The controller functions handle creating new books, retrieving a list of books, retrieving a book by ID,
+ * The controller functions handle creating new books, creating books from their ISBN, retrieving a list of books, retrieving a book by ID,
  * updating a book by ID, deleting a book by ID, and deleting a list of books. The controller leverages
  * generic functions from a shared controller module and utilizes the booksService for the actual data operations.
  */
@@ -15,6 +15,7 @@ import routesConstants from '../../../constant/routes.constants.js';
  *
  * @typedef {Object} BooksController
  * @property {Function} createNewBook - Controller function for creating a new book.
+ * @property {Function} createBookFromIsbn - Controller function for creating a new book from its ISBN.
  * @property {Function} getBookList - Controller function for retrieving a list of books.
  * @property {Function} getBookById - Controller function for retrieving a book by its ID.
  * @property {Function} updateBookById - Controller function for updating a book by its ID.
@@ -28,6 +29,12 @@ const booksController = {
      */
     createNewBook: controller.create(booksService, 'createNewBook'),
 
+    /**
+     * createBookFromIsbn - Controller function for creating a new book from its ISBN.
+     * Delegates the request to the generic create function from the shared controller, which in turn calls the createBookFromIsbn method of the booksService.
+     */
+    createBookFromIsbn: controller.create(booksService, 'createBookFromIsbn'),
+
     /**
      * getBookList - Controller function for retrieving a list of books.
      * Delegates the request to the generic getList function from the shared controller, which in turn calls the getBookList method of the booksService.
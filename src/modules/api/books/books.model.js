@@ -1,32 +1,100 @@
 /**
  * @fileoverview This file defines and exports the Mongoose schema and model for books.
  * The schema includes fields for storing detailed information about books, such as name, image, best seller ranking,
- * review rating, writer, subjects, publication, pages, edition, summary, price, and stock availability.
- * The schema also includes validation criteria and descriptive messages to ensure data integrity.
+ * review rating, contributors, subjects, publication, series and volume, pages, edition, summary, ISBN, price, and
+ * stock availability. The schema also includes validation criteria and descriptive messages to ensure data integrity.
+ * A book is identified by its ISBN together with its edition, so different books can share a title. The editions
+ * and translations of a book share its work, which groups them as one title of the catalog.
  */
 
 import mongoose, { Schema } from 'mongoose';
 
 import booksConstants from './books.constant.js';
+import seriesConstants from '../series/series.constant.js';
 import sharedSchema from '../../../shared/schema.js';
+import softDeletePlugin from '../../../shared/softDeletePlugin.js';
+import revisionPlugin from '../../../shared/revisionPlugin.js';
+import normalizeIsbn from '../../../utilities/normalizeIsbn.js';
+
+const { contributorRoles } = booksConstants;
+
+/**
+ * contributorSchema - Mongoose schema for a person who contributed to a book, such as its author or translator.
+ * Translators refer to the translators, the people in every other role to the writers.
+ *
+ * @typedef {Object} contributorSchema
+ * @property {String} role - The role of the person, such as author, co-author, editor, translator or illustrator.
+ * @property {Schema.Types.ObjectId} writer - Reference to the writer, for every role but translator.
+ * @property {Schema.Types.ObjectId} translator - Reference to the translator, for the translator role.
+ * @property {Number} order - The position of the person when the contributors are displayed.
+ */
+const contributorSchema = new mongoose.Schema(
+    {
+        role: {
+            type: String,
+            enum: {
+                values: Object.values(contributorRoles),
+                message: `The role of a contributor should be one of ${Object.values(contributorRoles).join(', ')}.`,
+            },
+            required: 'Please specify the role of the contributor.',
+            description: 'The role the person contributed to the book in.',
+        },
+        writer: {
+            type: Schema.Types.ObjectId,
+            ref: 'Writers',
+            required: [
+                function () {
+                    return this.role !== contributorRoles.TRANSLATOR;
+                },
+                'Please specify the writer of the contributor.',
+            ],
+            description:
+                'The database ID of the writer, for every role but translator.',
+        },
+        translator: {
+            type: Schema.Types.ObjectId,
+            ref: 'Translators',
+            required: [
+                function () {
+                    return this.role === contributorRoles.TRANSLATOR;
+                },
+                'Please specify the translator of the contributor.',
+            ],
+            description:
+                'The database ID of the translator, for the translator role.',
+        },
+        order: {
+            type: Number,
+            default: 0,
+            description:
+                'The position of the person when the contributors are displayed.',
+        },
+    },
+    { _id: false }
+);
 
 /**
  * bookSchema - Mongoose schema for storing book details.
  * This schema defines the structure and validation criteria for book records, with descriptions for developer clarity.
  *
  * @typedef {Object} bookSchema
- * @property {String} name - The unique name of the book, required with min and max length constraints.
+ * @property {String} name - The name of the book, required with min and max length constraints.
  * @property {Object} image - Image schema containing the URL, filename, and other image details.
  * @property {Number} bestSeller - The best seller ranking of the book, with min and max value constraints.
  * @property {Number} review - The review rating of the book, with min and max value constraints.
- * @property {Schema.Types.ObjectId} writer - Reference to the writer associated with the book, required.
+ * @property {Array<contributorSchema>} contributors - The people who contributed to the book, with at least one who is not a translator.
  * @property {Array<Schema.Types.ObjectId>} subject - List of references to subjects associated with the book, required.
  * @property {Schema.Types.ObjectId} publication - Reference to the publication of the book, required.
+ * @property {Schema.Types.ObjectId} series - Reference to the series the book is a volume of, optional.
+ * @property {Number} volume - The volume number of the book in its series, required when it has a series.
+ * @property {Schema.Types.ObjectId} work - The work the book is an edition of, its own ID unless it joined another book's.
  * @property {Number} page - Total number of pages in the book, required.
  * @property {String} edition - The specific edition of the book, required with min and max length constraints.
  * @property {String} summary - A brief description or overview of the book's content, required with min and max length constraints.
+ * @property {String} isbn10 - The ISBN-10 of the book, derived from the ISBN-13 when it has one.
+ * @property {String} isbn13 - The ISBN-13 of the book, unique together with the edition, optional.
  * @property {Number} price - The retail price of the book, required.
- * @property {Number} stockAvailable - The number of copies of the book currently in stock, required.
+ * @property {Number} stockAvailable - The number of copies of the book currently available, derived from the book copies.
  * @property {Object} isActive - Boolean flag indicating if the book is active.
  * @property {Object} createdBy - Reference to the admin who created the book record.
  * @property {Object} updatedBy - Reference to the admin who last updated the book record.
@@ -38,9 +106,7 @@ const bookSchema = new mongoose.Schema(
         name: {
             type: String,
             trim: true,
-            unique: true,
-            sparse: true,
-            required: 'Please enter a unique book name.',
+            required: 'Please enter the book name.',
             minlength: [
                 booksConstants.lengths.NAME_MIN,
                 `The book name should be at least ${booksConstants.lengths.NAME_MIN} characters long.`,
@@ -49,7 +115,7 @@ const bookSchema = new mongoose.Schema(
                 booksConstants.lengths.NAME_MAX,
                 `The book name should not be longer than ${booksConstants.lengths.NAME_MAX} characters.`,
             ],
-            description: 'The unique name of the book.',
+            description: 'The name of the book.',
         },
         image: sharedSchema.imageSchema,
         bestSeller: {
@@ -82,19 +148,19 @@ const bookSchema = new mongoose.Schema(
             },
             description: `A rating for the book given by readers, from ${booksConstants.lengths.REVIEW_MIN} to ${booksConstants.lengths.REVIEW_MAX}.`,
         },
-        writer: {
-            type: Schema.Types.ObjectId,
-            ref: 'Writers',
-            required: 'Please specify the writer of the book.',
-            description:
-                'The database ID of the writer associated with this book.',
-        },
-        translator: {
-            type: Schema.Types.ObjectId,
-            ref: 'Translators',
-            required: 'Please specify the translator of the book.',
+        contributors: {
+            type: [contributorSchema],
+            validate: {
+                validator: (contributors) =>
+                    contributors.some(
+                        (contributor) =>
+                            contributor.role !== contributorRoles.TRANSLATOR
+                    ),
+                message:
+                    'Please specify at least one author, co-author, editor or illustrator of the book.',
+            },
             description:
-                'The database ID of the translator associated with this book.',
+                'The people who contributed to the book, with their roles, in display order.',
         },
         subject: [
             {
@@ -113,6 +179,39 @@ const bookSchema = new mongoose.Schema(
             description:
                 'The database ID of the publication that published this book.',
         },
+        series: {
+            type: Schema.Types.ObjectId,
+            ref: 'Series',
+            description:
+                'The database ID of the series the book is a volume of, if any.',
+        },
+        volume: {
+            type: Number,
+            min: [
+                seriesConstants.lengths.VOLUME_MIN,
+                `The volume number should be at least ${seriesConstants.lengths.VOLUME_MIN}.`,
+            ],
+            max: [
+                seriesConstants.lengths.VOLUME_MAX,
+                `The volume number should not exceed ${seriesConstants.lengths.VOLUME_MAX}.`,
+            ],
+            required: [
+                function () {
+                    return Boolean(this.series);
+                },
+                'Please specify the volume number of the book in its series.',
+            ],
+            description:
+                'The number of the book in its series. The editions of a volume share its number.',
+        },
+        work: {
+            type: Schema.Types.ObjectId,
+            default() {
+                return this._id;
+            },
+            description:
+                'The work the book is an edition of, shared by its editions and translations. A book that starts a work takes its own database ID.',
+        },
         page: {
             type: Number,
             required: 'Please enter the total number of pages in the book.',
@@ -147,6 +246,26 @@ const bookSchema = new mongoose.Schema(
             description:
                 "A brief description or overview of the book's content.",
         },
+        isbn10: {
+            type: String,
+            validate: {
+                validator: (value) => normalizeIsbn(value)?.isbn10 === value,
+                message:
+                    'The ISBN-10 should be 10 characters with a valid check digit.',
+            },
+            description:
+                'The ISBN-10 of the book, without hyphens. Only books with an ISBN-13 starting with 978 have one.',
+        },
+        isbn13: {
+            type: String,
+            validate: {
+                validator: (value) => normalizeIsbn(value)?.isbn13 === value,
+                message:
+                    'The ISBN-13 should be 13 digits with a valid check digit.',
+            },
+            description:
+                'The ISBN-13 of the book, without hyphens, used to identify the book together with its edition.',
+        },
         price: {
             type: Number,
             required: 'Please enter the price of the book.',
@@ -154,10 +273,9 @@ const bookSchema = new mongoose.Schema(
         },
         stockAvailable: {
             type: Number,
-            required:
-                'Please specify how many copies of the book are available.',
+            default: 0,
             description:
-                'The number of copies of the book currently in stock and available for purchase.',
+                'The number of copies of the book currently available for lending, derived from the book copies.',
         },
         isActive: sharedSchema.isActiveSchema,
         createdBy: sharedSchema.createdByAdminSchema,
@@ -171,8 +289,17 @@ const bookSchema = new mongoose.Schema(
     }
 );
 
-// Create a unique index on the name field
-bookSchema.index({ name: 1 }, { unique: true });
+// Different editions of a book share its name, a book is identified by its ISBN and edition instead
+bookSchema.index({ name: 1 });
+bookSchema.index(
+    { isbn13: 1, edition: 1 },
+    { unique: true, partialFilterExpression: { isbn13: { $exists: true } } }
+);
+bookSchema.index({ isbn10: 1 }, { sparse: true });
+bookSchema.index({ 'contributors.writer': 1 });
+bookSchema.index({ 'contributors.translator': 1 });
+bookSchema.index({ series: 1, volume: 1 });
+bookSchema.index({ work: 1 });
 
 /**
  * Middleware to enforce that the creator or updater fields are set before saving or updating.
@@ -188,16 +315,33 @@ bookSchema.pre(['save', 'findOneAndUpdate'], function (next) {
 });
 
 /**
- * Middleware to handle unique constraint violations.
+ * Middleware to handle unique constraint violations, naming the fields of the index that was violated.
  */
 bookSchema.post(['save', 'findOneAndUpdate'], (error, doc, next) => {
     if (error.name === 'MongoServerError' && error.code === 11000) {
-        next(new Error('Book name already exists.'));
+        const fields = Object.keys(error.keyPattern ?? {});
+
+        next(
+            new Error(
+                fields.includes('isbn13')
+                    ? 'A book with this ISBN and edition already exists.'
+                    : `A book with this ${fields.join(' and ') || 'value'} already exists.`
+            )
+        );
     } else {
         next(error);
     }
 });
 
+// Move deleted books to the trash, from which they can be restored until they are purged
+bookSchema.plugin(softDeletePlugin);
+
+// Keep the changes of books as revisions, leaving out the stock derived from the copies and the image,
+// whose files are deleted when it is replaced, so a rollback cannot bring it back
+bookSchema.plugin(revisionPlugin, {
+    ignoredFields: ['stockAvailable', 'image'],
+});
+
 const BooksModel = mongoose.model('Books', bookSchema);
 
 export default BooksModel;
@@ -1,7 +1,7 @@
 /**
  * @fileoverview This file defines the Express router for managing books and related operations.
- * It sets up routes for creating, retrieving, updating, and deleting books, and includes sub-routes for desired books,
- * favourite books, books history, lending books, requesting books, and returning books. The routes are protected by
+ * It sets up routes for creating books, including from their ISBN, retrieving, updating, and deleting books, and includes sub-routes for book copies, desired books,
+ * favourite books, fines, books history, bulk imports and exports, catalog search, lending books, requesting books, reserving books, and returning books. The routes are protected by
  * authentication and authorization middleware, and utilize cache middleware to optimize performance.
  */
 
@@ -12,11 +12,18 @@ import uploadMiddleware from '../../../middleware/upload.middleware.js';
 import booksController from './books.controller.js';
 import methodNotSupported from '../../../shared/methodNotSupported.js';
 import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import bookCopiesRoutes from './copies/bookCopies.routes.js';
 import desiredBooksRoutes from './desired/desiredBooks.routes.js';
 import favouriteBooksRoutes from './favourite/favouriteBooks.routes.js';
+import bookFinesRoutes from './fines/bookFines.routes.js';
 import booksHistoryRoutes from './history/booksHistory.routes.js';
+import bookImportsRoutes from './imports/bookImports.routes.js';
+import bookExportsRoutes from './exports/bookExports.routes.js';
+import bookSearchRoutes from './search/bookSearch.routes.js';
 import lendBooksRoutes from './lend/lendBooks.routes.js';
 import requestBooksRoutes from './request/requestBooks.routes.js';
+import bookReservationsRoutes from './reservations/bookReservations.routes.js';
+import borrowRequestsRoutes from './borrowRequests/borrowRequests.routes.js';
 import returnBooksRoutes from './return/returnBooks.routes.js';
 import routesConstants from '../../../constant/routes.constants.js';
 import accessTypesConstants from '../../../constant/accessTypes.constants.js';
@@ -43,12 +50,30 @@ const router = express.Router();
  *               name:
  *                 type: string
  *                 description: Name of the book.
+ *               contributors:
+ *                 type: string
+ *                 description: JSON list of the contributors of the book in display order, each with its role (author, co-author, editor, translator or illustrator), the ID of its writer, or of its translator for the translator role, and optionally its order. At least one contributor must not be a translator.
  *               writer:
  *                 type: string
- *                 description: ID of the writer.
+ *                 description: ID of the author, for a book whose only contributors are its author and translator.
+ *               translator:
+ *                 type: string
+ *                 description: ID of the translator, optional, given together with the writer.
  *               publication:
  *                 type: string
  *                 description: ID of the publication.
+ *               series:
+ *                 type: string
+ *                 description: ID of the series the book is a volume of, given together with its volume.
+ *               volume:
+ *                 type: integer
+ *                 description: Number of the book in its series. The editions of a volume share its number.
+ *               editionOf:
+ *                 type: string
+ *                 description: ID of a book this one is an edition or translation of. The book joins its work.
+ *               isbn:
+ *                 type: string
+ *                 description: ISBN-10 or ISBN-13 of the book. A book is identified by its ISBN and edition.
  *               image:
  *                 type: string
  *                 format: binary
@@ -62,7 +87,58 @@ const router = express.Router();
  *       - Book Management
  *   get:
  *     summary: Get a list of books.
- *     description: Retrieves a list of books based on optional query parameters.
+ *     description: Retrieves a list of books based on optional query parameters. With `facets=true`, the response also counts the matching books by subject, writer, translator, publication, edition, price range, page range and availability, so filters can be offered with the number of books they would return. With `collapseEditions=true`, each work is returned once, as its first matching edition in the sort order with the number of its matching editions.
+ *     parameters:
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Only return the books priced at least this much.
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Only return the books priced below this much.
+ *       - in: query
+ *         name: minPages
+ *         schema:
+ *           type: integer
+ *         description: Only return the books with at least this many pages.
+ *       - in: query
+ *         name: maxPages
+ *         schema:
+ *           type: integer
+ *         description: Only return the books with fewer pages than this.
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: Only return the books with copies available, or only the ones without.
+ *       - in: query
+ *         name: includeSubjectDescendants
+ *         schema:
+ *           type: boolean
+ *         description: Also return the books of the sub-subjects of the given categories.
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *         description: Also return the counts of the matching books by subject, writer, translator, publication, edition, price range, page range and availability.
+ *       - in: query
+ *         name: collapseEditions
+ *         schema:
+ *           type: boolean
+ *         description: Return each work once instead of each of its editions and translations.
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Only return the volumes of this series.
+ *       - in: query
+ *         name: work
+ *         schema:
+ *           type: string
+ *         description: Only return the editions and translations of this work.
  *     responses:
  *       200:
  *         description: A list of books.
@@ -93,7 +169,7 @@ const router = express.Router();
  *                 description: List of book IDs to delete.
  *     responses:
  *       200:
- *         description: Books deleted successfully.
+ *         description: Books moved to trash until restored or purged.
  *     tags:
  *       - Book Management
  *   all:
@@ -133,6 +209,11 @@ router
     )
     .all(methodNotSupported);
 
+/**
+ * Sub-routes for managing the physical copies of books.
+ */
+router.use(`/${routesConstants.bookCopies.routes}`, bookCopiesRoutes);
+
 /**
  * Sub-routes for managing desired books.
  */
@@ -143,11 +224,31 @@ router.use(`/${routesConstants.desiredBooks.routes}`, desiredBooksRoutes);
  */
 router.use(`/${routesConstants.favouriteBooks.routes}`, favouriteBooksRoutes);
 
+/**
+ * Sub-routes for managing fines.
+ */
+router.use(`/${routesConstants.bookFines.routes}`, bookFinesRoutes);
+
 /**
  * Sub-routes for managing books history.
  */
 router.use(`/${routesConstants.booksHistory.routes}`, booksHistoryRoutes);
 
+/**
+ * Sub-routes for importing books in bulk.
+ */
+router.use(`/${routesConstants.bookImports.routes}`, bookImportsRoutes);
+
+/**
+ * Sub-routes for exporting the catalog.
+ */
+router.use(`/${routesConstants.bookExports.routes}`, bookExportsRoutes);
+
+/**
+ * Sub-routes for searching the catalog.
+ */
+router.use(`/${routesConstants.bookSearch.routes}`, bookSearchRoutes);
+
 /**
  * Sub-routes for managing lending books.
  */
@@ -158,17 +259,90 @@ router.use(`/${routesConstants.lendBooks.routes}`, lendBooksRoutes);
  */
 router.use(`/${routesConstants.requestBooks.routes}`, requestBooksRoutes);
 
+/**
+ * Sub-routes for managing book reservations.
+ */
+router.use(
+    `/${routesConstants.bookReservations.routes}`,
+    bookReservationsRoutes
+);
+
+/**
+ * Sub-routes for managing borrow requests.
+ */
+router.use(`/${routesConstants.borrowRequests.routes}`, borrowRequestsRoutes);
+
 /**
  * Sub-routes for managing returning books.
  */
 router.use(`/${routesConstants.returnBooks.routes}`, returnBooksRoutes);
 
+/**
+ * @openapi
+ * /books/isbn:
+ *   post:
+ *     summary: Create a new book from its ISBN.
+ *     description: Creates a book whose name, writer, publication, pages and summary are pre-filled from the metadata found for its ISBN by the configured metadata provider. Any of these fields given in the request takes precedence over the metadata. The writer found in the metadata becomes the author of the book. It and the publication must already exist, otherwise their IDs, or the contributors of the book, must be given.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isbn:
+ *                 type: string
+ *                 description: ISBN-10 or ISBN-13 of the book, with or without hyphens.
+ *               edition:
+ *                 type: string
+ *                 description: Edition of the book.
+ *               price:
+ *                 type: number
+ *                 description: Price of the book.
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file for the book.
+ *     responses:
+ *       201:
+ *         description: Book created successfully.
+ *       400:
+ *         description: Invalid ISBN, or the writer or publication of the book was not found.
+ *       404:
+ *         description: No metadata found for the ISBN.
+ *       409:
+ *         description: A book with this ISBN and edition already exists.
+ *     tags:
+ *       - Book Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Management
+ */
+router
+    .route('/isbn')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.books.permissions.createFromIsbn
+        ),
+        uploadMiddleware.single('image'),
+        booksController.createBookFromIsbn,
+        cacheMiddleware.invalidate(routesConstants.books.routes)
+    )
+    .all(methodNotSupported);
+
 /**
  * @openapi
  * /books/{bookId}:
  *   get:
  *     summary: Get a book by ID.
- *     description: Retrieves detailed information about a specific book by its ID.
+ *     description: Retrieves detailed information about a specific book by its ID, with the other editions and translations of its work and, for a volume of a series, the previous and next volumes.
  *     parameters:
  *       - in: path
  *         name: bookId
@@ -206,10 +380,28 @@ router.use(`/${routesConstants.returnBooks.routes}`, returnBooksRoutes);
  *             properties:
  *               name:
  *                 type: string
+ *               contributors:
+ *                 type: string
+ *                 description: JSON list of the contributors replacing the current ones.
  *               writer:
  *                 type: string
+ *                 description: ID of the author replacing the current authors.
+ *               translator:
+ *                 type: string
+ *                 description: ID of the translator replacing the current translators.
  *               publication:
  *                 type: string
+ *               series:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the series the book is a volume of, or null to take the book out of its series. A book without a series needs its volume too.
+ *               volume:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Number of the book in its series, cleared with the series.
+ *               editionOf:
+ *                 type: string
+ *                 description: ID of a book this one is an edition or translation of, or the ID of the book itself to start its own work.
  *               image:
  *                 type: string
  *                 format: binary
@@ -218,6 +410,8 @@ router.use(`/${routesConstants.returnBooks.routes}`, returnBooksRoutes);
  *         description: Book updated successfully.
  *       404:
  *         description: Book not found.
+ *       409:
+ *         description: Another book has the ISBN and edition the book would get.
  *     tags:
  *       - Book Management
  *   delete:
@@ -234,7 +428,7 @@ router.use(`/${routesConstants.returnBooks.routes}`, returnBooksRoutes);
  *         description: The ID of the book to delete.
  *     responses:
  *       200:
- *         description: Book deleted successfully.
+ *         description: Book moved to trash until restored or purged.
  *     tags:
  *       - Book Management
  *   all:
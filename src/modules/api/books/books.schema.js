@@ -8,13 +8,39 @@
 import Joi from 'joi';
 
 import booksConstants from './books.constant.js';
+import seriesConstants from '../series/series.constant.js';
 import customValidationMessage from '../../../shared/customValidationMessage.js';
 import validationService from '../../../service/validation.service.js';
 
+const { contributorRoles } = booksConstants;
+
+/**
+ * contributorSchema - Joi schema for validating a contributor of a book. Translators refer to a translator
+ * and every other role to a writer. The order places the contributor among the others when they are shown.
+ */
+const contributorSchema = Joi.object({
+    role: Joi.string()
+        .valid(...Object.values(contributorRoles))
+        .required()
+        .description('The role of the contributor in the book.'),
+    writer: validationService.objectIdField.description(
+        'The writer ID of the contributor, for every role but translator.'
+    ),
+    translator: validationService.objectIdField.description(
+        'The translator ID of the contributor, for the translator role.'
+    ),
+    order: Joi.number()
+        .integer()
+        .min(0)
+        .description('The position of the contributor when shown.'),
+})
+    .xor('writer', 'translator')
+    .messages(customValidationMessage);
+
 /**
  * bookSchemaBase - Base Joi schema for validating common fields used in book-related operations.
- * Ensures that fields such as name, bestSeller, review, writer, category, publication, page, edition,
- * summary, price, stockAvailable, isActive, createdBy, updatedBy, createdAt, and updatedAt meet the specified criteria.
+ * Ensures that fields such as name, bestSeller, review, contributors, writer, category, publication, series, volume,
+ * editionOf, work, page, edition, summary, price, stockAvailable, isActive, createdBy, updatedBy, createdAt, and updatedAt meet the specified criteria.
  */
 const bookSchemaBase = Joi.object({
     name: validationService
@@ -23,7 +49,7 @@ const bookSchemaBase = Joi.object({
             booksConstants.lengths.NAME_MAX
         )
         .description(
-            "Defines the book's title. It must be unique within the database."
+            "Defines the book's title. Different editions of a book share it."
         ),
     bestSeller: Joi.number()
         .integer()
@@ -37,6 +63,12 @@ const bookSchemaBase = Joi.object({
         .max(5)
         .messages(customValidationMessage)
         .description('A numerical rating for the book, from 0 to 5.'),
+    contributors: Joi.alternatives()
+        .try(Joi.array().items(contributorSchema).min(1), Joi.string())
+        .messages(customValidationMessage)
+        .description(
+            'The contributors of the book, in display order, given as JSON when the book is sent as a form.'
+        ),
     writers: Joi.string()
         .messages({
             'any.custom': 'Invalid writer ID format.',
@@ -82,6 +114,23 @@ const bookSchemaBase = Joi.object({
         .description(
             'The publication ID related to the book. Each ID must be a valid MongoDB ObjectId.'
         ),
+    series: validationService.objectIdField.description(
+        'The series ID the book is a volume of. ID must be a valid MongoDB ObjectId.'
+    ),
+    volume: Joi.number()
+        .integer()
+        .min(seriesConstants.lengths.VOLUME_MIN)
+        .max(seriesConstants.lengths.VOLUME_MAX)
+        .messages(customValidationMessage)
+        .description(
+            'The number of the book in its series. The editions of a volume share its number.'
+        ),
+    editionOf: validationService.objectIdField.description(
+        'The ID of a book this one is an edition or translation of, whose work it joins. A book given as an edition of itself starts its own work.'
+    ),
+    work: validationService.objectIdField.description(
+        'The work ID shared by the editions and translations of a book.'
+    ),
     summary: validationService
         .createStringField(
             booksConstants.lengths.SUMMARY_MIN,
@@ -90,6 +139,9 @@ const bookSchemaBase = Joi.object({
         .description(
             'A concise description of the book, outlining the main points and features.'
         ),
+    isbn: validationService.isbnField.description(
+        'The ISBN-10 or ISBN-13 of the book. Both forms are stored, and a book is identified by its ISBN and edition.'
+    ),
     price: Joi.number()
         .precision(2)
         .messages(customValidationMessage)
@@ -105,7 +157,7 @@ const bookSchemaBase = Joi.object({
             ...customValidationMessage,
         })
         .description(
-            'The number of copies of the book currently available for sale.'
+            'The number of copies of the book currently available for lending.'
         ),
     page: Joi.number()
         .integer()
@@ -147,32 +199,41 @@ const bookSchemaBase = Joi.object({
 
 /**
  * createBookSchema - Joi schema for validating the data to create a new book.
- * Ensures that the name, writer, category, publication, page, edition, summary, price, stockAvailable,
- * and isActive fields are required and meet the specified criteria.
+ * Ensures that the name, category, publication, page, edition, summary, price,
+ * and isActive fields are required and meet the specified criteria. The contributors, or the single writer
+ * they can be given as, are checked when the book is created. The stockAvailable is derived from the book copies.
  *
  * @function
  */
 const createBookSchema = bookSchemaBase.fork(
     [
         'name',
-        'writers',
         'categories',
         'publications',
         'page',
         'edition',
         'summary',
         'price',
-        'stockAvailable',
         'isActive',
     ],
     (field) => field.required(),
-    ['bestSeller', 'review', 'translator'],
+    [
+        'bestSeller',
+        'review',
+        'contributors',
+        'writers',
+        'translators',
+        'series',
+        'volume',
+        'editionOf',
+    ],
     (field) => field.optional()
 );
 
 /**
  * updateBookSchema - Joi schema for validating the data to update an existing book.
  * Ensures that at least one of the specified fields is present and meets the required criteria.
+ * The series and the volume can be given as null to take the book out of its series.
  *
  * @function
  */
@@ -182,20 +243,25 @@ const updateBookSchema = bookSchemaBase
             'name',
             'bestSeller',
             'review',
+            'contributors',
             'writers',
             'translators',
             'addCategories',
             'deleteCategories',
             'publications',
+            'series',
+            'volume',
+            'editionOf',
             'page',
             'edition',
             'summary',
+            'isbn',
             'price',
-            'stockAvailable',
             'isActive',
         ],
         (field) => field.optional()
     )
+    .fork(['series', 'volume'], (field) => field.allow(null))
     .min(1);
 
 /**
@@ -216,36 +282,91 @@ const bookIdsParamSchema = Joi.object({
 
 /**
  * getBooksQuerySchema - Joi schema for validating query parameters when retrieving a list of books.
- * Ensures that parameters such as name, bestSeller, review, writer, category, publication, page,
- * edition, summary, price, stockAvailable, isActive, limit, sort, createdBy, updatedBy, createdAt,
- * and updatedAt are optional and meet the specified criteria.
+ * Ensures that parameters such as name, bestSeller, review, writer, category, publication, series, volume,
+ * work, page, edition, summary, price, stockAvailable, isActive, limit, sort, createdBy, updatedBy, createdAt,
+ * and updatedAt are optional and meet the specified criteria. The price and page ranges, the availability,
+ * whether the categories include their sub-subjects, whether to return the facets and whether to collapse the
+ * editions of a work are given as text, like every query parameter.
  *
  * @function
  */
-const getBooksQuerySchema = bookSchemaBase.fork(
-    [
-        'name',
-        'bestSeller',
-        'review',
-        'writers',
-        'translators',
-        'categories',
-        'publications',
-        'page',
-        'edition',
-        'summary',
-        'price',
-        'stockAvailable',
-        'isActive',
-        'limit',
-        'sort',
-        'createdBy',
-        'updatedBy',
-        'createdAt',
-        'updatedBy',
-    ],
-    (field) => field.optional()
-);
+const getBooksQuerySchema = bookSchemaBase
+    .fork(
+        [
+            'name',
+            'bestSeller',
+            'review',
+            'writers',
+            'translators',
+            'categories',
+            'publications',
+            'series',
+            'volume',
+            'work',
+            'page',
+            'edition',
+            'summary',
+            'isbn',
+            'price',
+            'stockAvailable',
+            'isActive',
+            'limit',
+            'sort',
+            'createdBy',
+            'updatedBy',
+            'createdAt',
+            'updatedBy',
+        ],
+        (field) => field.optional()
+    )
+    .keys({
+        minPrice: Joi.string()
+            .pattern(/^\d+(\.\d{1,2})?$/, 'price')
+            .custom((value, helpers) => parseFloat(value))
+            .messages(customValidationMessage)
+            .description('Only return the books priced at least this much.'),
+        maxPrice: Joi.string()
+            .pattern(/^\d+(\.\d{1,2})?$/, 'price')
+            .custom((value, helpers) => parseFloat(value))
+            .messages(customValidationMessage)
+            .description('Only return the books priced below this much.'),
+        minPages: Joi.string()
+            .pattern(/^\d+$/, 'page count')
+            .custom((value, helpers) => parseInt(value))
+            .messages(customValidationMessage)
+            .description(
+                'Only return the books with at least this many pages.'
+            ),
+        maxPages: Joi.string()
+            .pattern(/^\d+$/, 'page count')
+            .custom((value, helpers) => parseInt(value))
+            .messages(customValidationMessage)
+            .description('Only return the books with fewer pages than this.'),
+        available: Joi.string()
+            .valid('true', 'false')
+            .messages(customValidationMessage)
+            .description(
+                'Only return the books with copies available, or only the ones without.'
+            ),
+        includeSubjectDescendants: Joi.string()
+            .valid('true', 'false')
+            .messages(customValidationMessage)
+            .description(
+                'Whether the categories also match the books of their sub-subjects.'
+            ),
+        facets: Joi.string()
+            .valid('true', 'false')
+            .messages(customValidationMessage)
+            .description(
+                'Whether to return the facets of the matching books, with their counts.'
+            ),
+        collapseEditions: Joi.string()
+            .valid('true', 'false')
+            .messages(customValidationMessage)
+            .description(
+                'Whether to return each work once, standing for all its matching editions and translations.'
+            ),
+    });
 
 /**
  * bookIdParamSchema - Joi schema for validating a single book ID.
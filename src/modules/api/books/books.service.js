@@ -2,10 +2,13 @@
  * @fileoverview This file defines and exports the service functions for managing books.
  * These services include functions for creating, retrieving, updating, and deleting books.
  * The functions handle validation, image uploads, and database operations, ensuring data integrity
- * and proper handling of related entities such as writers, subjects, and publications.
+ * and proper handling of related entities such as writers, subjects, and publications. ISBNs are stored
+ * in both their ISBN-10 and ISBN-13 forms, and a book can be created from its ISBN with the metadata
+ * looked up through the configured metadata provider. Deleted books are moved to the trash, keeping their copies
+ * until they are purged.
  */
 
-import { v2 as cloudinary } from 'cloudinary';
+import mongoose from 'mongoose';
 
 import BooksModel from './books.model.js';
 import httpStatus from '../../../constant/httpStatus.constants.js';
@@ -13,45 +16,71 @@ import mimeTypesConstants from '../../../constant/mimeTypes.constants.js';
 import fileExtensionsConstants from '../../../constant/fileExtensions.constants.js';
 import booksConstant from './books.constant.js';
 import SubjectsModel from '../subjects/subjects.model.js';
+import subjectsService from '../subjects/subjects.service.js';
 import PublicationsModel from '../publications/publications.model.js';
+import SeriesModel from '../series/series.model.js';
 import WritersModel from '../writers/writers.model.js';
 import TranslatorsModel from '../translators/translators.model.js';
+import LendBooksModel from './lend/lendBooks.model.js';
+import BookCopiesModel from './copies/bookCopies.model.js';
+import BookReservationsModel from './reservations/bookReservations.model.js';
+import bookSearchService from './search/bookSearch.service.js';
+import bookCopiesService from './copies/bookCopies.service.js';
+import bookCopiesConstants from './copies/bookCopies.constant.js';
+import bookReservationsConstants from './reservations/bookReservations.constant.js';
+import bookMetadataService from '../../../service/bookMetadata.service.js';
 import loggerService from '../../../service/logger.service.js';
 import service from '../../../shared/service.js';
 import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
 import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
-import configuration from '../../../configuration/configuration.js';
+import imageService from '../../../service/image.service.js';
 
 import isEmptyObject from '../../../utilities/isEmptyObject.js';
+import normalizeIsbn from '../../../utilities/normalizeIsbn.js';
 import errorResponse from '../../../utilities/errorResponse.js';
 import sendResponse from '../../../utilities/sendResponse.js';
 import validateFile from '../../../utilities/validateFile.js';
 
-cloudinary.config({
-    cloud_name: configuration.cloudinary.cloudName,
-    api_key: configuration.cloudinary.apiKey,
-    api_secret: configuration.cloudinary.apiSecret,
-});
+const { contributorRoles } = booksConstant;
 
 /**
- * Helper function to validate IDs for writer and publication.
+ * Helper function to validate the IDs of the contributors and publication of a book.
  *
- * @param {string} writer - Writer ID to validate.
- * @param {string} translator - Translator ID to validate.
+ * @param {Array<Object>} contributors - The contributors to validate, if they are being set.
  * @param {string} publication - Publication ID to validate.
  * @returns {Array<string>} - An array of error messages, if any.
  */
-const validateIds = async (writer, translator, publication) => {
+const validateIds = async (contributors, publication) => {
     const errors = [];
 
-    // Validate writer
-    if (writer && !(await WritersModel.exists(writer))) {
-        errors.push(`Invalid writer ID: ${writer}`);
+    // Validate contributors, translators refer to translators and every other role to writers
+    for (const contributor of contributors ?? []) {
+        if (contributor.role === contributorRoles.TRANSLATOR) {
+            if (
+                !mongoose.isValidObjectId(contributor.translator) ||
+                !(await TranslatorsModel.exists({
+                    _id: contributor.translator,
+                }))
+            ) {
+                errors.push(`Invalid translator ID: ${contributor.translator}`);
+            }
+        } else if (
+            !mongoose.isValidObjectId(contributor.writer) ||
+            !(await WritersModel.exists({ _id: contributor.writer }))
+        ) {
+            errors.push(`Invalid writer ID: ${contributor.writer}`);
+        }
     }
 
-    // Validate writer
-    if (translator && !(await TranslatorsModel.exists(translator))) {
-        errors.push(`Invalid translator ID: ${translator}`);
+    if (
+        contributors &&
+        !contributors.some(
+            (contributor) => contributor.role !== contributorRoles.TRANSLATOR
+        )
+    ) {
+        errors.push(
+            'Please specify at least one author, co-author, editor or illustrator of the book.'
+        );
     }
 
     // Validate publication
@@ -82,6 +111,282 @@ const validateSubjectIds = async (subjectIds) => {
     return subjectErrors;
 };
 
+/**
+ * Helper function to replace the ISBN given for a book with its ISBN-10 and ISBN-13. The stored forms
+ * are always derived from the given ISBN and cannot be set directly.
+ *
+ * @param {Object} bookData - The data of the book, updated in place.
+ * @returns {string|null} - An error message if the ISBN is invalid, otherwise null.
+ */
+const applyIsbn = (bookData) => {
+    delete bookData.isbn10;
+    delete bookData.isbn13;
+
+    if (bookData.isbn === undefined) return null;
+
+    const normalizedIsbn = normalizeIsbn(bookData.isbn);
+    if (!normalizedIsbn) {
+        return `Invalid ISBN: ${bookData.isbn}`;
+    }
+
+    delete bookData.isbn;
+    bookData.isbn13 = normalizedIsbn.isbn13;
+    bookData.isbn10 = normalizedIsbn.isbn10;
+
+    return null;
+};
+
+/**
+ * Helper function to replace the contributors given for a book with the list stored on it. Contributors are
+ * given as a list, or as JSON when the book is sent as a form, and are stored in the given order unless they
+ * carry their own. The single `writer` and `translator` of earlier versions are still accepted: they replace
+ * the authors or the translators of the current contributors and keep the other roles.
+ *
+ * @param {Object} bookData - The data of the book, updated in place.
+ * @param {Array<Object>} [currentContributors=[]] - The contributors the book has, when it is being updated.
+ * @returns {string|null} - An error message if the contributors are invalid, otherwise null.
+ */
+const applyContributors = (bookData, currentContributors = []) => {
+    const { writer, translator } = bookData;
+    delete bookData.writer;
+    delete bookData.translator;
+
+    let { contributors } = bookData;
+
+    if (contributors === undefined) {
+        if (!writer && !translator) return null;
+
+        const withRole = (role) =>
+            currentContributors.filter(
+                (contributor) => contributor.role === role
+            );
+
+        contributors = [
+            ...(writer
+                ? [{ role: contributorRoles.AUTHOR, writer }]
+                : withRole(contributorRoles.AUTHOR)),
+            ...currentContributors.filter(
+                (contributor) =>
+                    contributor.role !== contributorRoles.AUTHOR &&
+                    contributor.role !== contributorRoles.TRANSLATOR
+            ),
+            ...(translator
+                ? [{ role: contributorRoles.TRANSLATOR, translator }]
+                : withRole(contributorRoles.TRANSLATOR)),
+        ];
+    }
+
+    if (typeof contributors === 'string') {
+        try {
+            contributors = JSON.parse(contributors);
+        } catch {
+            return 'The contributors should be a JSON list.';
+        }
+    }
+
+    if (!Array.isArray(contributors)) {
+        return 'The contributors should be a list.';
+    }
+
+    const roles = Object.values(contributorRoles);
+    const invalidContributor = contributors.find(
+        (contributor) => !roles.includes(contributor?.role)
+    );
+    if (invalidContributor) {
+        return `Invalid contributor role: ${invalidContributor?.role}. Roles are ${roles.join(', ')}.`;
+    }
+
+    bookData.contributors = contributors
+        .map((contributor, index) => ({
+            ...contributor,
+            order: Number.isInteger(contributor.order)
+                ? contributor.order
+                : index,
+        }))
+        .sort((a, b) => a.order - b.order)
+        .map(({ role, writer, translator }, order) =>
+            role === contributorRoles.TRANSLATOR
+                ? { role, translator: translator?.toString(), order }
+                : { role, writer: writer?.toString(), order }
+        );
+
+    return null;
+};
+
+/**
+ * Helper function to list the distinct writers and translators among the contributors of a book. A person
+ * with several roles in the same book is listed once.
+ *
+ * @param {Array<Object>} [contributors=[]] - The contributors of the book.
+ * @returns {Object} - The IDs of the writers and of the translators.
+ */
+const getContributorIds = (contributors = []) => {
+    const idsOf = (field) => [
+        ...new Set(
+            contributors
+                .map((contributor) => contributor[field]?.toString())
+                .filter(Boolean)
+        ),
+    ];
+
+    return { writerIds: idsOf('writer'), translatorIds: idsOf('translator') };
+};
+
+/**
+ * Helper function to update the booksCount of the writers and translators of a book when its contributors
+ * change. The ones no longer contributing lose the book and the new ones gain it, so a person keeping a role
+ * or only changing it is left as is.
+ *
+ * @param {Array<Object>} previousContributors - The contributors before the change, empty for a new book.
+ * @param {Array<Object>} nextContributors - The contributors after the change, empty for a deleted book.
+ * @returns {Promise<Array>} - A promise that resolves once the counts are updated.
+ */
+const updateContributorsBooksCount = (
+    previousContributors,
+    nextContributors
+) => {
+    const previous = getContributorIds(previousContributors);
+    const next = getContributorIds(nextContributors);
+    const missingFrom = (ids, others) =>
+        ids.filter((id) => !others.includes(id));
+
+    return Promise.all([
+        WritersModel.updateMany(
+            { _id: { $in: missingFrom(previous.writerIds, next.writerIds) } },
+            { $inc: { booksCount: -1 } }
+        ),
+        WritersModel.updateMany(
+            { _id: { $in: missingFrom(next.writerIds, previous.writerIds) } },
+            { $inc: { booksCount: 1 } }
+        ),
+        TranslatorsModel.updateMany(
+            {
+                _id: {
+                    $in: missingFrom(
+                        previous.translatorIds,
+                        next.translatorIds
+                    ),
+                },
+            },
+            { $inc: { booksCount: -1 } }
+        ),
+        TranslatorsModel.updateMany(
+            {
+                _id: {
+                    $in: missingFrom(
+                        next.translatorIds,
+                        previous.translatorIds
+                    ),
+                },
+            },
+            { $inc: { booksCount: 1 } }
+        ),
+    ]);
+};
+
+/**
+ * Helper function to validate the series and volume number of a book, and to join it to the work of the book
+ * it is given as an edition of. A volume number needs a series and a series needs a volume number, either given
+ * or kept from the current book. A book taken out of its series with a `null` series loses its volume number
+ * too. The work is only set through the book an edition is of, a book given as an
+ * edition of itself leaving the work it was in to start its own.
+ *
+ * @param {Object} bookData - The data of the book, updated in place.
+ * @param {Object} [book] - The current book, when it is being updated.
+ * @returns {Promise<string|null>} - An error message if the series, volume or edition is invalid, otherwise null.
+ */
+const applySeriesAndWork = async (bookData, book) => {
+    const { editionOf } = bookData;
+    delete bookData.editionOf;
+    delete bookData.work;
+
+    if (bookData.series === null && bookData.volume === undefined) {
+        bookData.volume = null;
+    }
+
+    const series = 'series' in bookData ? bookData.series : book?.series;
+    const volume = 'volume' in bookData ? bookData.volume : book?.volume;
+    if (
+        bookData.series &&
+        !(await SeriesModel.exists({ _id: bookData.series }))
+    ) {
+        return `Invalid series ID: ${bookData.series}`;
+    }
+    if (series && volume == null) {
+        return 'Please specify the volume number of the book in its series.';
+    }
+    if (!series && bookData.volume != null) {
+        return 'Please specify the series of the volume number.';
+    }
+
+    if (editionOf) {
+        if (book?._id.equals(editionOf)) {
+            bookData.work = book._id;
+        } else {
+            const edition = await BooksModel.findById(editionOf)
+                .select('work')
+                .lean();
+            if (!edition) {
+                return `Invalid book ID: ${editionOf}`;
+            }
+
+            bookData.work = edition.work ?? edition._id;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Helper function to update the booksCount of the series of a book when it changes.
+ *
+ * @param {string} [previousSeries] - The series before the change, none for a new book.
+ * @param {string} [nextSeries] - The series after the change, none for a deleted book.
+ * @returns {Promise<Array>} - A promise that resolves once the counts are updated.
+ */
+const updateSeriesBooksCount = (previousSeries, nextSeries) => {
+    if (String(previousSeries ?? '') === String(nextSeries ?? '')) {
+        return Promise.resolve([]);
+    }
+
+    return Promise.all([
+        previousSeries &&
+            SeriesModel.findByIdAndUpdate(previousSeries, {
+                $inc: { booksCount: -1 },
+            }),
+        nextSeries &&
+            SeriesModel.findByIdAndUpdate(nextSeries, {
+                $inc: { booksCount: 1 },
+            }),
+    ]);
+};
+
+/**
+ * The related data populated in book documents, shared by queries and by the books of aggregations.
+ */
+const bookPopulateOptions = [
+    {
+        path: 'contributors.writer',
+        select: '-createdBy -updatedBy',
+    },
+    {
+        path: 'contributors.translator',
+        select: '-createdBy -updatedBy',
+    },
+    {
+        path: 'publication',
+        select: '-createdBy -updatedBy',
+    },
+    {
+        path: 'subject',
+        select: '-createdBy -updatedBy',
+    },
+    {
+        path: 'series',
+        select: 'name',
+    },
+];
+
 /**
  * Helper function to populate book fields with related data.
  *
@@ -90,25 +395,26 @@ const validateSubjectIds = async (subjectIds) => {
  */
 const populateBookFields = async (query) => {
     return await query
-        .populate({
-            path: 'writer',
-            select: '-createdBy -updatedBy',
-        })
-        .populate({
-            path: 'translator',
-            select: '-createdBy -updatedBy',
-        })
-        .populate({
-            path: 'publication',
-            select: '-createdBy -updatedBy',
-        })
-        .populate({
-            path: 'subject',
-            select: '-createdBy -updatedBy',
-        })
+        .populate(bookPopulateOptions)
         .select('-createdBy -updatedBy');
 };
 
+/**
+ * Populates the writers and translators among the contributors of books read through an aggregation of
+ * another collection, as for the books of the catalog. The contributors keep their roles and display order.
+ *
+ * @param {Array<Object>} books - The books, with their contributors.
+ * @returns {Promise<Array<Object>>} - The books with their contributors populated.
+ */
+const populateBookContributors = async (books) => {
+    return await BooksModel.populate(
+        books,
+        bookPopulateOptions.filter(({ path }) =>
+            path.startsWith('contributors.')
+        )
+    );
+};
+
 const bookListParamsMapping = {
     bookPage: 'page', // Mapping 'bookPage' from the API to 'page' in the database
 };
@@ -118,28 +424,44 @@ const bookListParamsMapping = {
  *
  * @param {string} requester - The ID of the user requesting the creation, used to verify admin permissions.
  * @param {Object} bookData - The data of the book to be created. Should include fields like name, writer, publication, etc.
- * @param {Object} bookImage - The image file associated with the book, which will be uploaded to Google Drive.
+ * @param {Object} bookImage - The image file associated with the book, which will be processed into its variants and stored with the configured storage provider.
  * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
  */
 const createNewBook = async (requester, bookData, bookImage) => {
     try {
-        // Check if book name already exists
-        const exists = await BooksModel.findOne({
-            name: bookData.name,
-        }).lean();
-        if (exists) {
-            return sendResponse(
-                {},
-                `Books name "${bookData.name}" already exists.`,
-                httpStatus.BAD_REQUEST
+        const isbnError = applyIsbn(bookData);
+        if (isbnError) {
+            return errorResponse(isbnError, httpStatus.BAD_REQUEST);
+        }
+
+        const contributorsError = applyContributors(bookData);
+        if (contributorsError) {
+            return errorResponse(contributorsError, httpStatus.BAD_REQUEST);
+        }
+
+        const seriesError = await applySeriesAndWork(bookData);
+        if (seriesError) {
+            return errorResponse(seriesError, httpStatus.BAD_REQUEST);
+        }
+
+        // A book is identified by its ISBN and edition, books without an ISBN cannot be told apart
+        if (
+            bookData.isbn13 &&
+            (await BooksModel.exists({
+                isbn13: bookData.isbn13,
+                edition: bookData.edition,
+            }))
+        ) {
+            return errorResponse(
+                `A book with the ISBN ${bookData.isbn13} and edition "${bookData.edition}" already exists.`,
+                httpStatus.CONFLICT
             );
         }
 
-        // Validate writer, publication, and subject IDs
+        // Validate contributor, publication, and subject IDs
         const validationErrors = [
             ...(await validateIds(
-                bookData.writer,
-                bookData.translator,
+                bookData.contributors ?? [],
                 bookData.publication
             )),
             ...(await validateSubjectIds(bookData.subject)),
@@ -173,58 +495,25 @@ const createNewBook = async (requester, bookData, bookImage) => {
             );
         }
 
-        const file = bookImage;
-        const result = await cloudinary.uploader.upload(
-            `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-            {
-                folder: 'library-management-system-server',
-                public_id: file.originalname,
-            }
-        );
-
         // Update image data in update object
-        bookData.image = {
-            fileId: result?.asset_id,
-            shareableLink: result?.secure_url,
-            downloadLink: result.url,
-        };
+        bookData.image = await imageService.uploadImage(bookImage);
+
+        // The stock is derived from the book copies, a new book has none yet
+        bookData.stockAvailable = 0;
 
         // Create the book
         const newBook = await BooksModel.create(bookData);
 
-        // Update booksCount of associated subjects, writers, and publications concurrently
+        // Update booksCount of associated subjects, contributors, and publications concurrently
         await Promise.all([
-            // Update booksCount of associated subjects
-            Promise.all(
-                bookData.subject.map((subjectId) =>
-                    SubjectsModel.findByIdAndUpdate(
-                        subjectId,
-                        {
-                            $inc: { booksCount: 1 },
-                        },
-                        { new: true, runValidators: true }
-                    )
-                )
-            ),
+            // Update booksCount of associated subjects and their ancestors
+            subjectsService.updateSubjectsBooksCount([], bookData.subject),
 
-            // Update booksCount of associated writers
-            WritersModel.updateMany(
-                { _id: { $in: bookData.writer } },
-                {
-                    $inc: { booksCount: 1 },
-                },
-                { new: true, runValidators: true }
-            ),
+            // Update booksCount of associated writers and translators
+            updateContributorsBooksCount([], bookData.contributors),
 
-            // Update booksCount of associated writers
-            bookData?.translator &&
-                TranslatorsModel.updateMany(
-                    { _id: { $in: bookData.translator } },
-                    {
-                        $inc: { booksCount: 1 },
-                    },
-                    { new: true, runValidators: true }
-                ),
+            // Update booksCount of the associated series
+            updateSeriesBooksCount(null, bookData.series),
 
             // Update booksCount of associated publications
             PublicationsModel.updateMany(
@@ -236,6 +525,8 @@ const createNewBook = async (requester, bookData, bookImage) => {
             ),
         ]);
 
+        await bookSearchService.indexBooks({ _id: newBook._id });
+
         // Get the populated book data
         const newBookDetails = await populateBookFields(
             BooksModel.findById(newBook._id)
@@ -259,15 +550,407 @@ const createNewBook = async (requester, bookData, bookImage) => {
 
         return errorResponse(
             error.message || 'Failed to create book.',
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Helper function to find a writer or publication by its name, ignoring the case.
+ *
+ * @param {Object} Model - The Mongoose model to search.
+ * @param {string} [name] - The name to look for.
+ * @returns {Promise<Object|null>} - The ID of the matching document, or null if there is none.
+ */
+const findByName = async (Model, name) => {
+    if (!name) return null;
+
+    return Model.findOne({ name })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id')
+        .lean();
+};
+
+/**
+ * Creates a new book from its ISBN. The name, writer, publication, pages and summary are pre-filled from the
+ * metadata of the configured provider, and any of them given in the book data takes precedence. The writer,
+ * made the author of the book, and the publication named in the metadata must already exist in the library,
+ * otherwise their IDs, or the contributors of the book, must be given.
+ *
+ * @param {string} requester - The ID of the admin creating the book.
+ * @param {Object} bookData - The ISBN of the book, together with the remaining fields of a new book.
+ * @param {Object} bookImage - The image file associated with the book.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createBookFromIsbn = async (requester, bookData, bookImage) => {
+    try {
+        if (!normalizeIsbn(bookData.isbn)) {
+            return errorResponse(
+                'Please provide a valid ISBN-10 or ISBN-13.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const metadata = await bookMetadataService.lookupIsbn(bookData.isbn);
+        if (!metadata) {
+            return errorResponse(
+                `No metadata found for the ISBN ${bookData.isbn}.`,
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const [writer, publication] = await Promise.all([
+            !bookData.writer &&
+                !bookData.contributors &&
+                findByName(WritersModel, metadata.writer),
+            !bookData.publication &&
+                findByName(PublicationsModel, metadata.publication),
+        ]);
+
+        const prefilledBookData = {
+            name: metadata.name,
+            page: metadata.page,
+            summary: metadata.summary,
+            writer: writer?._id.toString(),
+            publication: publication?._id.toString(),
+            ...bookData,
+        };
+
+        if (!prefilledBookData.writer && !prefilledBookData.contributors) {
+            return errorResponse(
+                `The writer "${metadata.writer ?? 'unknown'}" of this book was not found, please create the writer or provide its ID.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        if (!prefilledBookData.publication) {
+            return errorResponse(
+                `The publication "${metadata.publication ?? 'unknown'}" of this book was not found, please create the publication or provide its ID.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        return createNewBook(requester, prefilledBookData, bookImage);
+    } catch (error) {
+        loggerService.error(`Failed to create book from ISBN: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to create book from ISBN.',
             httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
 
 /**
- * Retrieves a list of books from the database based on query parameters.
+ * Helper function to build the query of a list of books from its filters. The ISBN matches both of its forms,
+ * the categories (subjects), writers, translators and publications are comma-separated lists of IDs, and
+ * the prices and page counts are ranges including their minimum and excluding their maximum. The categories
+ * can include their sub-subjects, so a subject finds the books of its whole branch of the taxonomy.
+ *
+ * @param {Object} filters - The filters of the list, without the pagination and sorting parameters.
+ * @returns {Promise<Object>} - The Mongoose query.
+ */
+const buildBookListQuery = async (filters) => {
+    const {
+        isbn, // Matches both forms of the ISBN
+        categories, // Filters by subjects
+        includeSubjectDescendants, // Whether the categories include their sub-subjects
+        writers, // Filters by writer
+        translators, // Filters by translator
+        publications, // Filters by publication
+        minPrice,
+        maxPrice,
+        minPages,
+        maxPages,
+        available, // Filters by whether copies are available
+        ...restParams
+    } = filters;
+
+    // Dynamic query construction with mapping for other fields
+    const query = Object.keys(restParams).reduce((acc, key) => {
+        if (restParams[key] !== undefined && restParams[key] !== '') {
+            const schemaKey = bookListParamsMapping[key] || key; // Use mapped key if available, otherwise use the key as is
+            // Apply regex pattern for text search fields
+            if (['name', 'createdBy', 'updatedBy'].includes(schemaKey)) {
+                acc[schemaKey] = new RegExp(restParams[key], 'i'); // Handle text search using regex
+            } else {
+                acc[schemaKey] = restParams[key]; // Direct assignment for other fields
+            }
+        }
+        return acc;
+    }, {});
+
+    if (isbn) {
+        query.isbn13 = normalizeIsbn(isbn)?.isbn13 ?? isbn;
+    }
+
+    // Filter by categories (subjects), writers, translators and publications only if they are not empty
+    if (categories && categories.trim() !== '') {
+        const subjectIds = categories.split(',').map((c) => c.trim());
+
+        query.subject = {
+            $in:
+                includeSubjectDescendants === 'true'
+                    ? await subjectsService.getDescendantSubjectIds(subjectIds)
+                    : subjectIds,
+        }; // subjects (categories) are stored as an array of ObjectIds
+    }
+    if (writers && writers.trim() !== '') {
+        query['contributors.writer'] = {
+            $in: writers.split(',').map((w) => w.trim()),
+        }; // writers contribute in any role but translator
+    }
+    if (translators && translators.trim() !== '') {
+        query['contributors.translator'] = {
+            $in: translators.split(',').map((t) => t.trim()),
+        }; // translators contribute as translators only
+    }
+    if (publications && publications.trim() !== '') {
+        query.publication = {
+            $in: publications.split(',').map((p) => p.trim()),
+        }; // publication is a single ObjectId
+    }
+
+    // Filter by price and page ranges
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        query.price = {
+            ...(minPrice !== undefined && { $gte: minPrice }),
+            ...(maxPrice !== undefined && { $lt: maxPrice }),
+        };
+    }
+    if (minPages !== undefined || maxPages !== undefined) {
+        query.page = {
+            ...(minPages !== undefined && { $gte: minPages }),
+            ...(maxPages !== undefined && { $lt: maxPages }),
+        };
+    }
+
+    if (available !== undefined) {
+        query.stockAvailable =
+            String(available) === 'true' ? { $gt: 0 } : { $lte: 0 };
+    }
+
+    return query;
+};
+
+/**
+ * Helper function to build the pipeline counting the books of each value of a reference, such as the books
+ * of each writer, with the name of each value. A book referring to the same value several times, such as a
+ * writer who is both author and illustrator, is counted once.
+ *
+ * @param {string} field - The field or path of the books holding the reference.
+ * @param {Object} Model - The model of the referenced documents.
+ * @returns {Array<Object>} - The aggregation pipeline.
+ */
+const referenceFacet = (field, Model) => [
+    {
+        $project: {
+            ids: {
+                $setUnion: [
+                    {
+                        $cond: [
+                            { $isArray: `$${field}` },
+                            `$${field}`,
+                            [`$${field}`],
+                        ],
+                    },
+                ],
+            },
+        },
+    },
+    { $unwind: '$ids' },
+    { $match: { ids: { $ne: null } } },
+    { $group: { _id: '$ids', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: booksConstant.facets.LIMIT },
+    {
+        $lookup: {
+            from: Model.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'reference',
+        },
+    },
+    {
+        $project: {
+            _id: 0,
+            id: '$_id',
+            name: { $first: '$reference.name' },
+            count: 1,
+        },
+    },
+];
+
+/**
+ * Helper function to build the pipeline counting the books in each range of a numeric field. The books
+ * above the last boundary are counted in an open ended range.
+ *
+ * @param {string} field - The numeric field.
+ * @param {Array<number>} boundaries - The lower boundary of each range, in increasing order.
+ * @returns {Array<Object>} - The aggregation pipeline.
+ */
+const rangeFacet = (field, boundaries) => [
+    { $match: { [field]: { $gte: boundaries[0] } } },
+    {
+        $bucket: {
+            groupBy: `$${field}`,
+            boundaries,
+            default: boundaries[boundaries.length - 1],
+            output: { count: { $sum: 1 } },
+        },
+    },
+];
+
+/**
+ * Helper function to turn the buckets of a range facet into ranges with their minimum and maximum.
+ *
+ * @param {Array<Object>} buckets - The buckets, each with its lower boundary as `_id`.
+ * @param {Array<number>} boundaries - The lower boundary of each range, in increasing order.
+ * @returns {Array<Object>} - The ranges as `{ min, max, count }`, `max` being null for the open ended range.
+ */
+const toRanges = (buckets, boundaries) =>
+    buckets.map(({ _id, count }) => ({
+        min: _id,
+        max: boundaries[boundaries.indexOf(_id) + 1] ?? null,
+        count,
+    }));
+
+/**
+ * Helper function to count the books matching a query by subject, writer, translator, publication, edition,
+ * price range, page range and availability, in a single aggregation.
+ *
+ * @param {Object} query - The query of the list of books.
+ * @returns {Promise<Object>} - The buckets of each facet, with their counts.
+ */
+const getBookFacets = async (query) => {
+    const { facets } = booksConstant;
+
+    const [buckets] = await BooksModel.aggregate([
+        // Aggregations skip the casting of queries, so the IDs and numbers of the filters are cast first
+        { $match: BooksModel.find(query).cast() },
+        {
+            $facet: {
+                subjects: referenceFacet('subject', SubjectsModel),
+                writers: referenceFacet('contributors.writer', WritersModel),
+                translators: referenceFacet(
+                    'contributors.translator',
+                    TranslatorsModel
+                ),
+                publications: referenceFacet('publication', PublicationsModel),
+                editions: [
+                    { $group: { _id: '$edition', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: facets.LIMIT },
+                    { $project: { _id: 0, edition: '$_id', count: 1 } },
+                ],
+                prices: rangeFacet('price', facets.PRICE_BOUNDARIES),
+                pages: rangeFacet('page', facets.PAGE_BOUNDARIES),
+                availability: [
+                    {
+                        $group: {
+                            _id: { $gt: ['$stockAvailable', 0] },
+                            count: { $sum: 1 },
+                        },
+                    },
+                ],
+            },
+        },
+    ]);
+
+    const countAvailable = (isAvailable) =>
+        buckets.availability.find(({ _id }) => _id === isAvailable)?.count ?? 0;
+
+    return {
+        ...buckets,
+        prices: toRanges(buckets.prices, facets.PRICE_BOUNDARIES),
+        pages: toRanges(buckets.pages, facets.PAGE_BOUNDARIES),
+        availability: {
+            available: countAvailable(true),
+            unavailable: countAvailable(false),
+        },
+    };
+};
+
+/**
+ * Helper function to turn a sort parameter, such as '-createdAt' or 'name -price', into an aggregation sort
+ * stage. The ID breaks the ties, so the order is the same from one page to the next.
+ *
+ * @param {string} sort - The sort parameter, as given to queries.
+ * @returns {Object} - The sort stage.
+ */
+const toSortStage = (sort) => {
+    const fields = Object.fromEntries(
+        sort
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map((field) =>
+                field.startsWith('-')
+                    ? [field.slice(1), -1]
+                    : [field.replace(/^\+/, ''), 1]
+            )
+    );
+
+    return { $sort: { ...fields, _id: fields._id ?? 1 } };
+};
+
+/**
+ * Helper function to get the works of the books matching a query, each work standing for all its editions and
+ * translations. A work is shown as its first matching book in the sort order, with the number of its editions
+ * matching the query.
+ *
+ * @param {Object} query - The query of the list of books.
+ * @param {string} sort - The sort parameter of the list.
+ * @param {number} [page] - The page to return, every work if none.
+ * @param {number} limit - The number of works of a page.
+ * @returns {Promise<Object>} - The populated books standing for the works, and the number of works.
+ */
+const getBookWorks = async (query, sort, page, limit) => {
+    const sortStage = toSortStage(sort);
+    const pipeline = [
+        // Aggregations skip the casting of queries, so the IDs and numbers of the filters are cast first
+        { $match: BooksModel.find(query).cast() },
+        sortStage,
+        {
+            $group: {
+                _id: { $ifNull: ['$work', '$_id'] },
+                book: { $first: '$$ROOT' },
+                editionsCount: { $sum: 1 },
+            },
+        },
+    ];
+
+    const [items, [total]] = await Promise.all([
+        BooksModel.aggregate([
+            ...pipeline,
+            {
+                $replaceRoot: {
+                    newRoot: {
+                        $mergeObjects: [
+                            '$book',
+                            { editionsCount: '$editionsCount' },
+                        ],
+                    },
+                },
+            },
+            { $project: { createdBy: 0, updatedBy: 0 } },
+            sortStage,
+            ...(page ? [{ $skip: (page - 1) * limit }, { $limit: limit }] : []),
+        ]),
+        BooksModel.aggregate([...pipeline, { $count: 'totalItems' }]),
+    ]);
+
+    return {
+        items: await BooksModel.populate(items, bookPopulateOptions),
+        totalItems: total?.totalItems ?? 0,
+    };
+};
+
+/**
+ * Retrieves a list of books from the database based on query parameters. When asked for, the facets of
+ * the matching books are returned with them, so a filter sidebar can be built from the same request, and
+ * the editions and translations of a work are collapsed into one item. The facets always count the books.
  *
- * @param {Object} params - Query parameters for filtering and pagination.
+ * @param {Object} params - Query parameters for filtering, pagination and facets.
  * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of books.
  */
 const getBookList = async (params) => {
@@ -277,41 +960,45 @@ const getBookList = async (params) => {
             limit = 10,
             sort = '-createdAt',
             requester,
-            categories, // Filters by subjects
-            writers, // Filters by writer
-            publications, // Filters by publication
-            ...restParams
+            facets,
+            collapseEditions,
+            ...filters
         } = params;
 
-        // Dynamic query construction with mapping for other fields
-        const query = Object.keys(restParams).reduce((acc, key) => {
-            if (restParams[key] !== undefined && restParams[key] !== '') {
-                const schemaKey = bookListParamsMapping[key] || key; // Use mapped key if available, otherwise use the key as is
-                // Apply regex pattern for text search fields
-                if (['name', 'createdBy', 'updatedBy'].includes(schemaKey)) {
-                    acc[schemaKey] = new RegExp(restParams[key], 'i'); // Handle text search using regex
-                } else {
-                    acc[schemaKey] = restParams[key]; // Direct assignment for other fields
-                }
+        const query = await buildBookListQuery(filters);
+
+        if (collapseEditions === 'true') {
+            const [{ items, totalItems }, bookFacets] = await Promise.all([
+                getBookWorks(query, sort, page, limit),
+                facets === 'true' ? getBookFacets(query) : undefined,
+            ]);
+
+            if (!items.length) {
+                return sendResponse({}, `No books found.`, httpStatus.OK);
             }
-            return acc;
-        }, {});
 
-        // Filter by categories (subjects), writers, and publications only if they are not empty
-        if (categories && categories.trim() !== '') {
-            query.subject = { $in: categories.split(',').map((c) => c.trim()) }; // subjects (categories) are stored as an array of ObjectIds
-        }
-        if (writers && writers.trim() !== '') {
-            query.writer = { $in: writers.split(',').map((w) => w.trim()) }; // writer is a single ObjectId
-        }
-        if (publications && publications.trim() !== '') {
-            query.publication = {
-                $in: publications.split(',').map((p) => p.trim()),
-            }; // publication is a single ObjectId
+            return sendResponse(
+                {
+                    items,
+                    totalItems,
+                    ...(page && {
+                        totalPages: Math.ceil(totalItems / limit),
+                        currentPage: page,
+                        pageSize: limit,
+                    }),
+                    sort,
+                    facets: bookFacets,
+                },
+                `${items.length} works fetched successfully.`,
+                httpStatus.OK
+            );
         }
 
-        // Get total items count based on the query
-        const totalItems = await BooksModel.countDocuments(query);
+        // Get total items count and, when asked for, the facets based on the query
+        const [totalItems, bookFacets] = await Promise.all([
+            BooksModel.countDocuments(query),
+            facets === 'true' ? getBookFacets(query) : undefined,
+        ]);
 
         // Conditionally apply pagination if `page` is provided, else return all data
         let itemsQuery = BooksModel.find(query).sort(sort);
@@ -334,6 +1021,7 @@ const getBookList = async (params) => {
                     currentPage: page,
                     pageSize: limit,
                     sort,
+                    facets: bookFacets,
                 },
                 `${items.length} books fetched successfully.`,
                 httpStatus.OK
@@ -351,6 +1039,7 @@ const getBookList = async (params) => {
                     items,
                     totalItems,
                     sort,
+                    facets: bookFacets,
                 },
                 `${items.length} books fetched successfully.`,
                 httpStatus.OK
@@ -367,18 +1056,65 @@ const getBookList = async (params) => {
 };
 
 /**
- * Retrieves a book by its ID from the database.
+ * Helper function to find the volume of a series next to a book, the closest volume before or after it. When the
+ * volume has several editions, the earliest one is returned.
+ *
+ * @param {Object} book - The book, in a series.
+ * @param {number} direction - -1 for the previous volume, 1 for the next one.
+ * @returns {Promise<Object|null>} - The adjacent volume, or null if the book is the first or last.
+ */
+const findAdjacentVolume = (book, direction) =>
+    BooksModel.findOne({
+        series: book.series._id,
+        volume: { [direction < 0 ? '$lt' : '$gt']: book.volume },
+    })
+        .sort({ volume: direction, createdAt: 1 })
+        .select('name volume edition image')
+        .lean();
+
+/**
+ * Retrieves a book by its ID from the database, with the other editions and translations of its work and,
+ * when it is a volume of a series, the previous and next volumes.
  *
  * @param {string} bookId - The ID of the book to retrieve.
  * @returns {Promise<Object>} - A promise that resolves to the response object containing the book details.
  */
 const getBookById = async (bookId) => {
-    return service.getResourceById(
-        BooksModel,
-        populateBookFields,
-        bookId,
-        'Book'
-    );
+    try {
+        const book = await populateBookFields(
+            BooksModel.findById(bookId).lean()
+        );
+        if (!book) {
+            return errorResponse('Book not found.', httpStatus.NOT_FOUND);
+        }
+
+        const [editions, previousInSeries, nextInSeries] = await Promise.all([
+            BooksModel.find({
+                work: book.work ?? book._id,
+                _id: { $ne: book._id },
+            })
+                .sort({ createdAt: 1 })
+                .select('name edition isbn13 image contributors')
+                .populate({ path: 'contributors.writer', select: 'name' })
+                .populate({ path: 'contributors.translator', select: 'name' })
+                .lean(),
+            book.series ? findAdjacentVolume(book, -1) : null,
+            book.series ? findAdjacentVolume(book, 1) : null,
+        ]);
+
+        return sendResponse(
+            { ...book, editions, previousInSeries, nextInSeries },
+            'Book fetched successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get book: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get book.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
 };
 
 /**
@@ -399,9 +1135,52 @@ const updateBookById = async (requester, bookId, updateData, bookImage) => {
             );
         }
 
-        const { writer, translator, addSubject, deleteSubject, publication } =
+        const isbnError = applyIsbn(updateData);
+        if (isbnError) {
+            return errorResponse(isbnError, httpStatus.BAD_REQUEST);
+        }
+
+        // Find the current book
+        const book = await BooksModel.findById(bookId);
+
+        if (!book) {
+            return errorResponse('Book not found.', httpStatus.NOT_FOUND);
+        }
+
+        const contributorsError = applyContributors(
+            updateData,
+            book.contributors.map((contributor) => contributor.toObject())
+        );
+        if (contributorsError) {
+            return errorResponse(contributorsError, httpStatus.BAD_REQUEST);
+        }
+
+        const seriesError = await applySeriesAndWork(updateData, book);
+        if (seriesError) {
+            return errorResponse(seriesError, httpStatus.BAD_REQUEST);
+        }
+
+        // The ISBN and edition the book ends up with must not identify another book
+        const isbn13 = updateData.isbn13 ?? book.isbn13;
+        const edition = updateData.edition ?? book.edition;
+        if (
+            (updateData.isbn13 || updateData.edition !== undefined) &&
+            isbn13 &&
+            (await BooksModel.exists({
+                _id: { $ne: bookId },
+                isbn13,
+                edition,
+            }))
+        ) {
+            return errorResponse(
+                `A book with the ISBN ${isbn13} and edition "${edition}" already exists.`,
+                httpStatus.CONFLICT
+            );
+        }
+
+        const { contributors, addSubject, deleteSubject, publication } =
             updateData;
-        const errors = await validateIds(writer, translator, publication);
+        const errors = await validateIds(contributors, publication);
 
         if (errors.length) {
             return errorResponse(errors.join(' '), httpStatus.BAD_REQUEST);
@@ -430,18 +1209,12 @@ const updateBookById = async (requester, bookId, updateData, bookImage) => {
             }
         }
 
-        // Find the current book
-        const book = await BooksModel.findById(bookId);
-
-        if (!book) {
-            return errorResponse('Book not found.', httpStatus.NOT_FOUND);
-        }
-
         // Ensure book.subject is an array
         if (!Array.isArray(book.subject)) {
             book.subject = [];
         }
 
+        const previousSubjects = [...book.subject];
         const existingSubjects = [];
         const newSubjects = [];
 
@@ -462,64 +1235,28 @@ const updateBookById = async (requester, bookId, updateData, bookImage) => {
                 );
             }
 
-            // Increment booksCount for new subjects
-            await Promise.all(
-                newSubjects.map((subjectId) =>
-                    SubjectsModel.findByIdAndUpdate(
-                        subjectId,
-                        {
-                            $inc: { booksCount: 1 },
-                        },
-                        { new: true, runValidators: true }
-                    )
-                )
-            );
-
             book.subject.push(...newSubjects);
         }
 
         // Handle deleting subjects
         if (deleteSubject && deleteSubject.length) {
-            // Decrement booksCount for deleted subjects
-            await Promise.all(
-                deleteSubject.map((subjectId) =>
-                    SubjectsModel.findByIdAndUpdate(
-                        subjectId,
-                        {
-                            $inc: { booksCount: -1 },
-                        },
-                        { new: true, runValidators: true }
-                    )
-                )
-            );
-
             book.subject = book.subject.filter(
                 (subject) => !deleteSubject.includes(subject.toString())
             );
         }
 
-        // Update booksCount for writer if it is being updated
-        if (writer && writer.toString() !== book.writer.toString()) {
-            await Promise.all([
-                // Decrement booksCount of the old writer
-                WritersModel.findByIdAndUpdate(
-                    book.writer,
-                    {
-                        $inc: { booksCount: -1 },
-                    },
-                    { new: true, runValidators: true }
-                ),
+        // Update booksCount for the subjects added and deleted, and for their ancestors
+        if (addSubject?.length || deleteSubject?.length) {
+            await subjectsService.updateSubjectsBooksCount(
+                previousSubjects,
+                book.subject
+            );
+        }
 
-                // Increment booksCount of the new writer
-                WritersModel.findByIdAndUpdate(
-                    writer,
-                    {
-                        $inc: { booksCount: 1 },
-                    },
-                    { new: true, runValidators: true }
-                ),
-            ]);
-            book.writer = writer;
+        // Update booksCount for writers and translators if the contributors are being updated
+        if (contributors) {
+            await updateContributorsBooksCount(book.contributors, contributors);
+            book.contributors = contributors;
         }
 
         // Update booksCount for publication if it is being updated
@@ -549,14 +1286,21 @@ const updateBookById = async (requester, bookId, updateData, bookImage) => {
             book.publication = publication;
         }
 
+        // Update booksCount for series if it is being updated, or the book is taken out of its series
+        if ('series' in updateData) {
+            await updateSeriesBooksCount(book.series, updateData.series);
+        }
+
         // Update other fields
         const {
             addSubject: _,
             deleteSubject: __,
+            stockAvailable: ___, // Derived from the book copies
             ...otherUpdates
         } = updateData;
 
         Object.assign(book, otherUpdates);
+        book.updatedBy = requester;
 
         // Handle file update
         if (bookImage) {
@@ -573,28 +1317,19 @@ const updateBookById = async (requester, bookId, updateData, bookImage) => {
                 );
             }
 
-            const file = bookImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
-            // Update image data in update object
-            const bookImageData = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
-
-            if (bookImageData) {
-                updateData.image = bookImageData;
-            }
+            // The book is saved as a document, so the image is set on it rather than on the update data
+            book.image = await imageService.uploadImage(bookImage);
         }
 
-        await book.save();
+        await service.updateResourceWithImage(
+            BooksModel,
+            bookId,
+            bookImage ? book.image : null,
+            () => book.save(),
+            'book'
+        );
+
+        await bookSearchService.indexBooks({ _id: book._id });
 
         const updatedBookDetails = await populateBookFields(
             BooksModel.findById(bookId)
@@ -618,59 +1353,308 @@ const updateBookById = async (requester, bookId, updateData, bookImage) => {
 
         return errorResponse(
             error.message || 'Failed to update book.',
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Rolls a book back to the values of its fields at an earlier revision. The references the values bring back
+ * must still exist, and the subjects, contributors, series and publication the book leaves or joins again are
+ * counted as on any update.
+ *
+ * @param {string} requester - The ID of the admin rolling the book back.
+ * @param {string} bookId - The ID of the book.
+ * @param {Object} values - The values of the changed fields at the revision, null for the fields it had no value for.
+ * @returns {Promise<Object>} - The rolled back book or an error response.
+ */
+const rollbackBookById = async (requester, bookId, values) => {
+    try {
+        const book = await BooksModel.findById(bookId);
+
+        if (!book) {
+            return errorResponse('Book not found.', httpStatus.NOT_FOUND);
+        }
+
+        const errors = [
+            ...(await validateIds(values.contributors, values.publication)),
+            ...(await validateSubjectIds(values.subject)),
+        ];
+        if (
+            values.series &&
+            !(await SeriesModel.exists({ _id: values.series }))
+        ) {
+            errors.push(`Invalid series ID: ${values.series}`);
+        }
+
+        if (errors.length) {
+            return errorResponse(
+                `The book cannot be rolled back to this revision: ${errors.join(' ')}`,
+                httpStatus.CONFLICT
+            );
+        }
+
+        const previousBook = book.toObject();
+
+        Object.entries(values).forEach(([field, value]) =>
+            book.set(field, value ?? undefined)
+        );
+        book.updatedBy = requester;
+
+        await book.save();
+
+        await Promise.all([
+            subjectsService.updateSubjectsBooksCount(
+                previousBook.subject,
+                book.subject
+            ),
+            updateContributorsBooksCount(
+                previousBook.contributors,
+                book.contributors
+            ),
+            updateSeriesBooksCount(previousBook.series, book.series),
+            ...(String(previousBook.publication) !== String(book.publication)
+                ? [
+                      PublicationsModel.updateOne(
+                          { _id: previousBook.publication },
+                          { $inc: { booksCount: -1 } }
+                      ),
+                      PublicationsModel.updateOne(
+                          { _id: book.publication },
+                          { $inc: { booksCount: 1 } }
+                      ),
+                  ]
+                : []),
+        ]);
+
+        await bookSearchService.indexBooks({ _id: book._id });
+
+        const rolledBackBook = await populateBookFields(
+            BooksModel.findById(bookId)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `${bookId} rolled back successfully.`,
+            details: JSON.stringify({ fields: Object.keys(values) }),
+            affectedId: bookId,
+        });
+
+        return sendResponse(
+            rolledBackBook,
+            'Book rolled back successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to roll back book: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to roll back book.',
             httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
 
 /**
- * Deletes a book by its ID from the database.
+ * Points the references of books to merged writers, translators, publications or subjects to the record they are
+ * merged into. Books in the trash are updated too, so they refer to that record once restored. A contributor with
+ * the same role, or a subject, that a book ends up having twice is kept once. The books are not indexed for
+ * search again, as the references may be replaced within a transaction the index cannot see.
+ *
+ * @param {string} field - The reference: `contributors.writer`, `contributors.translator`, `publication` or `subject`.
+ * @param {Array<string>} sourceIds - The IDs of the merged records.
+ * @param {string} targetId - The ID of the record they are merged into.
+ * @param {Object} [session] - The Mongoose session of a running transaction to update the books in.
+ * @returns {Promise<void>}
+ */
+const replaceBookReferences = async (
+    field,
+    sourceIds,
+    targetId,
+    session = null
+) => {
+    if (field === 'publication') {
+        await BooksModel.updateMany(
+            { publication: { $in: sourceIds } },
+            { publication: targetId },
+            { session }
+        );
+    } else if (field === 'subject') {
+        await BooksModel.updateMany(
+            { subject: { $in: sourceIds } },
+            { $addToSet: { subject: targetId } },
+            { session }
+        );
+        await BooksModel.updateMany(
+            { subject: { $in: sourceIds } },
+            { $pull: { subject: { $in: sourceIds } } },
+            { session }
+        );
+    } else {
+        const [, reference] = field.split('.');
+        const sources = sourceIds.map(String);
+
+        const books = await BooksModel.find({ [field]: { $in: sourceIds } })
+            .setOptions({ withDeleted: true })
+            .select('contributors')
+            .session(session)
+            .lean();
+
+        const updates = books.map((book) => {
+            const seen = new Set();
+            const contributors = book.contributors
+                .map((contributor) =>
+                    sources.includes(String(contributor[reference]))
+                        ? { ...contributor, [reference]: targetId }
+                        : contributor
+                )
+                .filter((contributor) => {
+                    const key = `${contributor.role}:${contributor.writer ?? contributor.translator}`;
+                    if (seen.has(key)) return false;
+
+                    seen.add(key);
+                    return true;
+                });
+
+            return {
+                updateOne: {
+                    filter: { _id: book._id },
+                    update: { $set: { contributors } },
+                },
+            };
+        });
+
+        if (updates.length) {
+            await BooksModel.bulkWrite(updates, { session });
+        }
+    }
+};
+
+/**
+ * Helper function to move books to the trash within a transaction. Their active reservations are cancelled,
+ * releasing the copies held for them, while the copies themselves are kept until the books are purged, so a
+ * restored book can be lent again as it was.
+ *
+ * @param {string} requester - The ID of the admin deleting the books.
+ * @param {Array<string>} bookIds - The IDs of the books.
+ * @param {Object} session - The session of the transaction.
+ * @returns {Promise<void>}
+ */
+const moveBooksToTrash = async (requester, bookIds, session) => {
+    await BooksModel.updateMany(
+        { _id: { $in: bookIds } },
+        { deletedAt: new Date(), deletedBy: requester },
+        { session }
+    );
+    await BookReservationsModel.updateMany(
+        {
+            book: { $in: bookIds },
+            status: { $in: bookReservationsConstants.activeStatus },
+        },
+        { $set: { status: bookReservationsConstants.status.CANCELLED } },
+        { session }
+    );
+    await BookCopiesModel.updateMany(
+        {
+            book: { $in: bookIds },
+            status: bookCopiesConstants.status.ON_HOLD,
+        },
+        { $set: { status: bookCopiesConstants.status.AVAILABLE } },
+        { session }
+    );
+};
+
+/**
+ * Counts restored books again in their subjects, contributors, series and publication, and indexes them for
+ * search, as they were left out of both when the books were moved to the trash.
+ *
+ * @param {Array<Object>} books - The restored books.
+ * @returns {Promise<void>}
+ */
+const countRestoredBooks = async (books) => {
+    await Promise.all(
+        books.map((book) =>
+            Promise.all([
+                subjectsService.updateSubjectsBooksCount([], book.subject),
+                updateContributorsBooksCount([], book.contributors),
+                updateSeriesBooksCount(null, book.series),
+                PublicationsModel.updateOne(
+                    { _id: book.publication },
+                    { $inc: { booksCount: 1 } }
+                ),
+            ])
+        )
+    );
+
+    await bookSearchService.indexBooks({
+        _id: { $in: books.map((book) => book._id) },
+    });
+};
+
+/**
+ * Removes the copies and reservations of books purged from the trash, which are of no use without their books.
+ *
+ * @param {Array<string>} bookIds - The IDs of the purged books.
+ * @returns {Promise<void>}
+ */
+const purgeBooks = async (bookIds) => {
+    await BookCopiesModel.deleteMany({ book: { $in: bookIds } });
+    await BookReservationsModel.deleteMany({ book: { $in: bookIds } });
+};
+
+/**
+ * Moves a book to the trash by its ID, from which it can be restored until it is purged.
  *
  * @param {string} requester - The ID of the user making the delete request.
  * @param {string} bookId - The ID of the book to delete.
  * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
  */
 const deleteBookById = async (requester, bookId) => {
+    const session = await mongoose.startSession();
+
     try {
+        session.startTransaction();
+
         // Find the book by ID
-        const book = await BooksModel.findById(bookId);
+        const book = await BooksModel.findById(bookId).session(session);
 
         if (!book) {
+            await session.abortTransaction();
+
             return errorResponse('Book not found.', httpStatus.NOT_FOUND);
         }
 
-        // Decrement booksCount for associated subjects, writer, and publication
+        // Refuse to delete a book while any of its copies is on loan
+        const hasOpenLoans = await LendBooksModel.exists({
+            'books.id': bookId,
+        }).session(session);
+        if (hasOpenLoans) {
+            await session.abortTransaction();
+
+            return errorResponse(
+                'This book has open loans. Please wait until all copies are returned.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        await moveBooksToTrash(requester, [bookId], session);
+        await bookCopiesService.syncStockAvailable(bookId, session);
+
+        await session.commitTransaction();
+
+        await bookSearchService.removeBooks([bookId]);
+
+        // Decrement booksCount for associated subjects, contributors, and publication
         await Promise.all([
-            // Decrement booksCount of associated subjects
-            Promise.all(
-                book.subject.map((subjectId) =>
-                    SubjectsModel.findByIdAndUpdate(
-                        subjectId,
-                        {
-                            $inc: { booksCount: -1 },
-                        },
-                        { new: true, runValidators: true }
-                    )
-                )
-            ),
+            // Decrement booksCount of associated subjects and their ancestors
+            subjectsService.updateSubjectsBooksCount(book.subject, []),
 
-            // Decrement booksCount of the associated writer
-            WritersModel.findByIdAndUpdate(
-                book.writer,
-                {
-                    $inc: { booksCount: -1 },
-                },
-                { new: true, runValidators: true }
-            ),
+            // Decrement booksCount of the associated writers and translators
+            updateContributorsBooksCount(book.contributors, []),
 
-            // Decrement booksCount of the associated translator
-            TranslatorsModel.findByIdAndUpdate(
-                book.translator,
-                {
-                    $inc: { booksCount: -1 },
-                },
-                { new: true, runValidators: true }
-            ),
+            // Decrement booksCount of the associated series
+            updateSeriesBooksCount(book.series, null),
 
             // Decrement booksCount of the associated publication
             PublicationsModel.findByIdAndUpdate(
@@ -682,38 +1666,43 @@ const deleteBookById = async (requester, bookId) => {
             ),
         ]);
 
-        // Delete the book
-        await BooksModel.findByIdAndDelete(bookId);
-
         // Log the deletion action
         await AdminActivityLoggerModel.create({
             user: requester,
             action: adminActivityLoggerConstants.actionTypes.DELETE,
-            description: `Book with ID ${bookId} deleted successfully.`,
+            description: `Book with ID ${bookId} moved to trash.`,
             details: JSON.stringify({ bookId, bookName: book.name }),
             affectedId: bookId,
         });
 
         // Send success response
-        return sendResponse({}, 'Book deleted successfully.', httpStatus.OK);
+        return sendResponse({}, 'Book moved to trash.', httpStatus.OK);
     } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
         loggerService.error(`Failed to delete book: ${error}`);
 
         return errorResponse(
             error.message || 'Failed to delete book.',
             httpStatus.INTERNAL_SERVER_ERROR
         );
+    } finally {
+        await session.endSession();
     }
 };
 
 /**
- * Deletes multiple books from the database based on a list of book IDs.
+ * Moves multiple books to the trash based on a list of book IDs, from which they can be restored until they are purged.
  *
  * @param {string} requester - The ID of the user making the delete request.
  * @param {Array<string>} bookIds - The list of book IDs to delete.
  * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
  */
 const deleteBookList = async (requester, bookIds) => {
+    const session = await mongoose.startSession();
+
     try {
         if (!bookIds || !bookIds.length) {
             return errorResponse(
@@ -732,60 +1721,62 @@ const deleteBookList = async (requester, bookIds) => {
             );
         }
 
-        // Collect associated subject, writer, and publication IDs to update
-        const subjectIds = [];
-        const writerIds = new Set();
-        const translatorIds = new Set();
+        session.startTransaction();
+
+        // Refuse to delete books while any of their copies is on loan
+        const lentBookIds = await LendBooksModel.distinct('books.id', {
+            'books.id': { $in: bookIds },
+        }).session(session);
+        const booksWithOpenLoans = books.filter((book) =>
+            lentBookIds.some((lentBookId) => lentBookId.equals(book._id))
+        );
+        if (booksWithOpenLoans.length) {
+            await session.abortTransaction();
+
+            return errorResponse(
+                `The following books have open loans: ${booksWithOpenLoans.map((book) => book.name).join(', ')}`,
+                httpStatus.CONFLICT
+            );
+        }
+
+        await moveBooksToTrash(
+            requester,
+            books.map((book) => book._id),
+            session
+        );
+        for (const book of books) {
+            await bookCopiesService.syncStockAvailable(book._id, session);
+        }
+
+        await session.commitTransaction();
+
+        await bookSearchService.removeBooks(bookIds);
+
+        // Collect associated publication IDs to update
         const publicationIds = new Set();
 
         books.forEach((book) => {
-            if (book.subject && Array.isArray(book.subject)) {
-                subjectIds.push(...book.subject);
-            }
-            if (book.writer) {
-                writerIds.add(book.writer.toString());
-            }
-            if (book.translator) {
-                translatorIds.add(book.translator.toString());
-            }
             if (book.publication) {
                 publicationIds.add(book.publication.toString());
             }
         });
 
-        // Decrement booksCount for associated subjects, writers, and publications
+        // Decrement booksCount for associated subjects, contributors, and publications
         await Promise.all([
-            // Decrement booksCount for subjects
+            // Decrement booksCount for subjects and their ancestors, writers, translators and series, once for each of their books
             Promise.all(
-                subjectIds.map((subjectId) =>
-                    SubjectsModel.findByIdAndUpdate(
-                        subjectId,
-                        {
-                            $inc: { booksCount: -1 },
-                        },
-                        { new: true, runValidators: true }
-                    )
+                books.map((book) =>
+                    Promise.all([
+                        subjectsService.updateSubjectsBooksCount(
+                            book.subject,
+                            []
+                        ),
+                        updateContributorsBooksCount(book.contributors, []),
+                        updateSeriesBooksCount(book.series, null),
+                    ])
                 )
             ),
 
-            // Decrement booksCount for writers
-            WritersModel.updateMany(
-                { _id: { $in: Array.from(writerIds) } },
-                {
-                    $inc: { booksCount: -1 },
-                },
-                { new: true, runValidators: true }
-            ),
-
-            // Decrement booksCount for translators
-            TranslatorsModel.updateMany(
-                { _id: { $in: Array.from(translatorIds) } },
-                {
-                    $inc: { booksCount: -1 },
-                },
-                { new: true, runValidators: true }
-            ),
-
             // Decrement booksCount for publications
             PublicationsModel.updateMany(
                 { _id: { $in: Array.from(publicationIds) } },
@@ -796,16 +1787,13 @@ const deleteBookList = async (requester, bookIds) => {
             ),
         ]);
 
-        // Delete the books
-        await BooksModel.deleteMany({ _id: { $in: bookIds } });
-
         // Log the deletion action for each book
         await Promise.all(
             books.map((book) =>
                 AdminActivityLoggerModel.create({
                     user: requester,
                     action: adminActivityLoggerConstants.actionTypes.DELETE,
-                    description: `Book with ID ${book._id} deleted successfully.`,
+                    description: `Book with ID ${book._id} moved to trash.`,
                     details: JSON.stringify({
                         bookId: book._id,
                         bookName: book.name,
@@ -816,37 +1804,180 @@ const deleteBookList = async (requester, bookIds) => {
         );
 
         // Send success response
-        return sendResponse({}, 'Books deleted successfully.', httpStatus.OK);
+        return sendResponse({}, 'Books moved to trash.', httpStatus.OK);
     } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
         loggerService.error(`Failed to delete books: ${error}`);
 
         return errorResponse(
             error.message || 'Failed to delete books.',
             httpStatus.INTERNAL_SERVER_ERROR
         );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Moves the single writer and translator that books stored before contributors were introduced into their
+ * contributors, as the author and the translator of the book. Books that already have contributors are left
+ * as they are, so it can run on every start.
+ *
+ * @async
+ * @function migrateBookContributors
+ * @returns {Promise<void>}
+ */
+const migrateBookContributors = async () => {
+    try {
+        // The update goes to the collection, as the model no longer knows the fields it moves
+        const { modifiedCount } = await BooksModel.collection.updateMany(
+            { contributors: { $exists: false } },
+            [
+                {
+                    $set: {
+                        contributors: {
+                            $concatArrays: [
+                                {
+                                    $cond: [
+                                        { $ifNull: ['$writer', false] },
+                                        [
+                                            {
+                                                role: contributorRoles.AUTHOR,
+                                                writer: '$writer',
+                                                order: 0,
+                                            },
+                                        ],
+                                        [],
+                                    ],
+                                },
+                                {
+                                    $cond: [
+                                        { $ifNull: ['$translator', false] },
+                                        [
+                                            {
+                                                role: contributorRoles.TRANSLATOR,
+                                                translator: '$translator',
+                                                order: 1,
+                                            },
+                                        ],
+                                        [],
+                                    ],
+                                },
+                            ],
+                        },
+                    },
+                },
+                { $unset: ['writer', 'translator'] },
+            ]
+        );
+
+        if (modifiedCount) {
+            loggerService.info(
+                `Moved the writer and translator of ${modifiedCount} books to their contributors.`
+            );
+        }
+    } catch (error) {
+        loggerService.error(`Failed to migrate book contributors: ${error}`);
+    }
+};
+
+/**
+ * Starts a work of its own for each book stored before works were introduced, the book taking its own ID as
+ * the ID of its work. Books that already have a work are left as they are, so it can run on every start.
+ *
+ * @async
+ * @function migrateBookWorks
+ * @returns {Promise<void>}
+ */
+const migrateBookWorks = async () => {
+    try {
+        const { modifiedCount } = await BooksModel.collection.updateMany(
+            { work: { $exists: false } },
+            [{ $set: { work: '$_id' } }]
+        );
+
+        if (modifiedCount) {
+            loggerService.info(
+                `Started a work for each of ${modifiedCount} books.`
+            );
+        }
+    } catch (error) {
+        loggerService.error(`Failed to migrate book works: ${error}`);
+    }
+};
+
+/**
+ * Drops the unique index on the name of books that databases created before editions were introduced still
+ * have, as Mongoose does not replace an index whose options changed, and builds the plain index in its place.
+ * Databases without the unique index are left as they are, so it can run on every start.
+ *
+ * @async
+ * @function migrateBookNameIndex
+ * @returns {Promise<void>}
+ */
+const migrateBookNameIndex = async () => {
+    try {
+        const indexes = await BooksModel.collection.indexes();
+        const nameIndex = indexes.find((index) => index.name === 'name_1');
+        if (!nameIndex?.unique) return;
+
+        await BooksModel.collection.dropIndex('name_1');
+        await BooksModel.createIndexes();
+
+        loggerService.info(
+            'Replaced the unique index on the name of books with a plain one.'
+        );
+    } catch (error) {
+        // A collection that does not exist yet has no indexes to replace
+        if (error.codeName === 'NamespaceNotFound') return;
+
+        loggerService.error(`Failed to migrate the book name index: ${error}`);
     }
 };
 
 /**
  * booksService - An object that holds the service functions for managing book-related operations.
  * These functions handle the creation, retrieval, updating, and deletion of books, including validation
- * of related data and handling of image uploads using Google Drive.
+ * of related data and handling of image uploads through the image service.
  *
  * @typedef {Object} BooksService
  * @property {Function} createNewBook - Creates a new book in the database with image upload and detailed data validation.
- * @property {Function} getBookList - Retrieves a list of books from the database based on query parameters.
- * @property {Function} getBookById - Retrieves a book by its ID from the database.
+ * @property {Function} createBookFromIsbn - Creates a new book from its ISBN, pre-filled with the metadata of the configured provider.
+ * @property {Function} buildBookListQuery - Builds the query of a list of books from its filters.
+ * @property {Function} getBookList - Retrieves a list of books, or of works, from the database based on query parameters.
+ * @property {Function} getBookById - Retrieves a book by its ID from the database, with its editions and adjacent volumes.
+ * @property {Function} populateBookContributors - Populates the writers and translators among the contributors of aggregated books.
  * @property {Function} updateBookById - Updates an existing book record with new data and possibly a new image.
- * @property {Function} deleteBookById - Deletes a book by its ID from the database.
- * @property {Function} deleteBookList - Deletes multiple books from the database based on a list of book IDs.
+ * @property {Function} rollbackBookById - Rolls a book back to the values of its fields at an earlier revision.
+ * @property {Function} replaceBookReferences - Points the references of books to merged records to the record they are merged into.
+ * @property {Function} deleteBookById - Moves a book to the trash by its ID.
+ * @property {Function} deleteBookList - Moves multiple books to the trash based on a list of book IDs.
+ * @property {Function} countRestoredBooks - Counts restored books again in their references and indexes them for search.
+ * @property {Function} purgeBooks - Removes the copies and reservations of books purged from the trash.
+ * @property {Function} migrateBookContributors - Moves the writer and translator of earlier books to their contributors.
+ * @property {Function} migrateBookWorks - Starts a work of its own for each earlier book.
+ * @property {Function} migrateBookNameIndex - Replaces the unique index on the name of books with a plain one.
  */
 const booksService = {
     createNewBook,
+    createBookFromIsbn,
+    buildBookListQuery,
     getBookList,
     getBookById,
+    populateBookContributors,
     updateBookById,
+    rollbackBookById,
+    replaceBookReferences,
     deleteBookById,
     deleteBookList,
+    countRestoredBooks,
+    purgeBooks,
+    migrateBookContributors,
+    migrateBookWorks,
+    migrateBookNameIndex,
 };
 
 export default booksService;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview This file defines and exports the constants used for managing borrow requests.
+ * These constants include the lifecycle states of a request, the subject of the email sent to the user
+ * on each transition and the length restrictions for remarks and rejection reasons.
+ */
+
+/**
+ * status - The lifecycle states of a borrow request. A request is `PENDING` until a librarian approves
+ * or rejects it, or the user cancels it.
+ */
+const status = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+};
+
+/**
+ * subject - The subject of the email sent to the user when a request enters each state, which also
+ * selects its email template.
+ */
+const subject = {
+    [status.PENDING]: 'Borrow Request Received',
+    [status.APPROVED]: 'Borrow Request Approved',
+    [status.REJECTED]: 'Borrow Request Rejected',
+    [status.CANCELLED]: 'Borrow Request Cancelled',
+};
+
+/**
+ * lengths - Length restrictions for the remarks of a request and the reason of a rejection.
+ */
+const lengths = {
+    REMARKS_MIN: 3,
+    REMARKS_MAX: 500,
+    REASON_MIN: 3,
+    REASON_MAX: 500,
+};
+
+/**
+ * borrowRequestsConstants - An object that holds constants for borrow requests.
+ *
+ * @typedef {Object} BorrowRequestsConstants
+ * @property {Object} status - An object containing the allowed status values of a request.
+ * @property {Object} subject - An object mapping each status to the subject of its email.
+ * @property {Object} lengths - Length restrictions for remarks and rejection reasons.
+ */
+const borrowRequestsConstants = {
+    status,
+    subject,
+    lengths,
+};
+
+export default borrowRequestsConstants;
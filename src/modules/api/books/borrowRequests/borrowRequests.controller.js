@@ -0,0 +1,76 @@
+/**
+ * @fileoverview This file defines and exports the controller for the borrow requests module.
+ * The controller includes methods for sending, retrieving, approving, rejecting and cancelling borrow requests.
+ * These methods utilize the shared controller functions to handle the core logic.
+ */
+
+import borrowRequestsService from './borrowRequests.service.js';
+import controller from '../../../../shared/controller.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+/**
+ * borrowRequestsController - Controller for handling borrow request operations.
+ *
+ * @typedef {Object} BorrowRequestsController
+ * @property {Function} createBorrowRequest - Controller method for sending a new borrow request.
+ * @property {Function} getBorrowRequestList - Controller method for retrieving a list of borrow requests.
+ * @property {Function} approveBorrowRequest - Controller method for approving a borrow request by its ID.
+ * @property {Function} rejectBorrowRequest - Controller method for rejecting a borrow request by its ID.
+ * @property {Function} cancelBorrowRequestById - Controller method for cancelling a borrow request by its ID.
+ */
+const borrowRequestsController = {
+    /**
+     * createBorrowRequest - Controller method for sending a new borrow request.
+     *
+     * @function
+     */
+    createBorrowRequest: controller.create(
+        borrowRequestsService,
+        'createBorrowRequest'
+    ),
+
+    /**
+     * getBorrowRequestList - Controller method for retrieving a list of borrow requests.
+     *
+     * @function
+     */
+    getBorrowRequestList: controller.getList(
+        borrowRequestsService,
+        'getBorrowRequestList'
+    ),
+
+    /**
+     * approveBorrowRequest - Controller method for approving a borrow request by its ID.
+     *
+     * @function
+     */
+    approveBorrowRequest: controller.updateById(
+        borrowRequestsService,
+        'approveBorrowRequest',
+        routesConstants.borrowRequests.params
+    ),
+
+    /**
+     * rejectBorrowRequest - Controller method for rejecting a borrow request by its ID.
+     *
+     * @function
+     */
+    rejectBorrowRequest: controller.updateById(
+        borrowRequestsService,
+        'rejectBorrowRequest',
+        routesConstants.borrowRequests.params
+    ),
+
+    /**
+     * cancelBorrowRequestById - Controller method for cancelling a borrow request by its ID.
+     *
+     * @function
+     */
+    cancelBorrowRequestById: controller.deleteById(
+        borrowRequestsService,
+        'cancelBorrowRequestById',
+        routesConstants.borrowRequests.params
+    ),
+};
+
+export default borrowRequestsController;
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for borrow requests.
+ * Each document represents a request of a user to borrow a book, waiting in a queue for a librarian
+ * to approve or reject it. Every transition of the request is kept in its status history, so the user
+ * can follow it from their account.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import borrowRequestsConstants from './borrowRequests.constant.js';
+
+const { status, lengths } = borrowRequestsConstants;
+
+/**
+ * borrowRequestSchema - Mongoose schema for storing the requests of users to borrow books.
+ *
+ * @typedef {Object} borrowRequestSchema
+ * @property {Schema.Types.ObjectId} book - Reference to the requested book, required.
+ * @property {Schema.Types.ObjectId} user - Reference to the user who asked to borrow the book, required.
+ * @property {String} status - The current state of the request.
+ * @property {String} remarks - Optional remarks of the user about the request.
+ * @property {String} reason - The reason given by the librarian who rejected the request.
+ * @property {Schema.Types.ObjectId} copy - Reference to the copy lent once the request is approved.
+ * @property {Date} dueDate - The end of the loan once the request is approved.
+ * @property {Schema.Types.ObjectId} reviewedBy - Reference to the librarian who approved or rejected the request.
+ * @property {Array<Object>} statusHistory - The transitions of the request, oldest first.
+ * @property {Date} createdAt - Timestamp for when the request was made.
+ * @property {Date} updatedAt - Timestamp for when the request was last updated.
+ */
+const borrowRequestSchema = new mongoose.Schema(
+    {
+        book: {
+            type: Schema.Types.ObjectId,
+            ref: 'Books',
+            required: [true, 'Please specify the book to borrow.'],
+            description: 'The database ID of the requested book.',
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'Users',
+            required: [true, 'Please specify the user of the request.'],
+            description:
+                'The database ID of the user who asked to borrow the book.',
+        },
+        status: {
+            type: String,
+            enum: Object.values(status),
+            default: status.PENDING,
+            description: 'The current state of the request.',
+        },
+        remarks: {
+            type: String,
+            trim: true,
+            maxlength: [
+                lengths.REMARKS_MAX,
+                `The remarks should not be longer than ${lengths.REMARKS_MAX} characters.`,
+            ],
+            description: 'Optional remarks of the user about the request.',
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [
+                lengths.REASON_MAX,
+                `The reason should not be longer than ${lengths.REASON_MAX} characters.`,
+            ],
+            description:
+                'The reason given by the librarian who rejected the request.',
+        },
+        copy: {
+            type: Schema.Types.ObjectId,
+            ref: 'BookCopies',
+            description:
+                'The database ID of the copy lent once the request is approved.',
+        },
+        dueDate: {
+            type: Date,
+            description: 'The end of the loan once the request is approved.',
+        },
+        reviewedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'Admin',
+            description:
+                'The database ID of the librarian who approved or rejected the request.',
+        },
+        statusHistory: [
+            {
+                status: {
+                    type: String,
+                    enum: Object.values(status),
+                    required: [true, 'Please specify the status.'],
+                    description: 'The state the request entered.',
+                },
+                date: {
+                    type: Date,
+                    default: Date.now,
+                    description: 'The date the request entered the state.',
+                },
+                reason: {
+                    type: String,
+                    trim: true,
+                    description: 'The reason of the transition, if any.',
+                },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing the requests of users to borrow books with automatic timestamping for creation and updates.',
+    }
+);
+
+// Requests are reviewed by state in the order they were made
+borrowRequestSchema.index({ status: 1, createdAt: 1 });
+
+// A user can only have one pending request for a book
+borrowRequestSchema.index(
+    { user: 1, book: 1 },
+    { unique: true, partialFilterExpression: { status: status.PENDING } }
+);
+
+const BorrowRequestsModel = mongoose.model(
+    'BorrowRequests',
+    borrowRequestSchema
+);
+
+export default BorrowRequestsModel;
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview This file sets up the express router for borrow request endpoints.
+ * It includes routes for sending, retrieving, approving, rejecting and cancelling requests to borrow books,
+ * with middleware for authentication and validation. Routes that are not supported respond with a
+ * methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import borrowRequestsValidator from './borrowRequests.validator.js';
+import borrowRequestsController from './borrowRequests.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/borrow-requests:
+ *   post:
+ *     summary: Asks to borrow a book.
+ *     description: Sends a request to borrow a book that has a copy available. The request waits for a librarian to approve or reject it, and the user is emailed on every change of its status.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               book:
+ *                 type: string
+ *                 description: ID of the book to borrow.
+ *               remarks:
+ *                 type: string
+ *                 description: Optional remarks for the librarian.
+ *     responses:
+ *       201:
+ *         description: Borrow request sent successfully.
+ *       404:
+ *         description: No book found with the provided ID.
+ *       409:
+ *         description: No copy is available, the book is already on loan to the user or already requested.
+ *     tags:
+ *       - Borrow Requests Management
+ *   get:
+ *     summary: Retrieves a list of borrow requests.
+ *     description: Fetches borrow requests filtered by book, user and status, oldest first by default so the queue can be worked through in order. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Only return the requests for this book.
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only return the requests of this user.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *         description: Only return the requests with this status.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved borrow requests.
+ *       404:
+ *         description: No borrow requests found.
+ *     tags:
+ *       - Borrow Requests Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Borrow Requests Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(accessTypesConstants.USER),
+        borrowRequestsValidator.createBorrowRequest,
+        borrowRequestsController.createBorrowRequest
+    )
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.borrowRequests.permissions.getList
+        ),
+        borrowRequestsValidator.getBorrowRequestList,
+        borrowRequestsController.getBorrowRequestList
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/borrow-requests/{borrowRequestId}/approve:
+ *   put:
+ *     summary: Approves a borrow request.
+ *     description: Approves a pending request and lends the book to its user. The copy on hold for the user or any available copy is lent unless a copy is given, for the loan period of the circulation policy of the user unless an end date is given. The request stays pending when the loan cannot be created.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: borrowRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the borrow request.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               copy:
+ *                 type: string
+ *                 description: ID of the copy to lend, a copy of the requested book.
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the loan.
+ *               remarks:
+ *                 type: string
+ *                 description: Remarks recorded on the loan.
+ *     responses:
+ *       200:
+ *         description: Borrow request approved and book lent successfully.
+ *       404:
+ *         description: Borrow request or copy not found.
+ *       409:
+ *         description: The request is no longer pending, no copy is available or the copy is of another book.
+ *     tags:
+ *       - Borrow Requests Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Borrow Requests Management
+ */
+router
+    .route(`/:${routesConstants.borrowRequests.params}/approve`)
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.borrowRequests.permissions.approve
+        ),
+        borrowRequestsValidator.approveBorrowRequest,
+        borrowRequestsController.approveBorrowRequest
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/borrow-requests/{borrowRequestId}/reject:
+ *   put:
+ *     summary: Rejects a borrow request.
+ *     description: Rejects a pending request. The reason is emailed to the user and kept in the status history of the request.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: borrowRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the borrow request.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the request is rejected.
+ *     responses:
+ *       200:
+ *         description: Borrow request rejected successfully.
+ *       404:
+ *         description: Borrow request not found.
+ *       409:
+ *         description: The request is no longer pending.
+ *     tags:
+ *       - Borrow Requests Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Borrow Requests Management
+ */
+router
+    .route(`/:${routesConstants.borrowRequests.params}/reject`)
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.borrowRequests.permissions.reject
+        ),
+        borrowRequestsValidator.rejectBorrowRequest,
+        borrowRequestsController.rejectBorrowRequest
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/borrow-requests/{borrowRequestId}:
+ *   delete:
+ *     summary: Cancels a borrow request by ID.
+ *     description: Cancels a pending request. Users can cancel their own requests and admins can cancel any request.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: borrowRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the borrow request.
+ *     responses:
+ *       200:
+ *         description: Borrow request cancelled successfully.
+ *       404:
+ *         description: Borrow request not found.
+ *       409:
+ *         description: The request is no longer pending.
+ *     tags:
+ *       - Borrow Requests Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Borrow Requests Management
+ */
+router
+    .route(`/:${routesConstants.borrowRequests.params}`)
+    .delete(
+        authenticateMiddleware(accessTypesConstants.BOTH),
+        borrowRequestsValidator.cancelBorrowRequestById,
+        borrowRequestsController.cancelBorrowRequestById
+    )
+    .all(methodNotSupported);
+
+export default router;
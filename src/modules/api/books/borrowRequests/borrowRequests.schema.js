@@ -0,0 +1,142 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for managing borrow requests.
+ * These schemas are used to validate the input data for the borrow request endpoints, including
+ * making, querying, approving, rejecting and cancelling requests.
+ */
+
+import Joi from 'joi';
+
+import borrowRequestsConstants from './borrowRequests.constant.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+import validationService from '../../../../service/validation.service.js';
+
+const { lengths } = borrowRequestsConstants;
+
+/**
+ * borrowRequestSchemaBase - Base Joi schema for validating common fields used in borrow request operations.
+ * Ensures that fields such as book, user, status, remarks, reason, copy, to, page, limit, sort, createdAt,
+ * and updatedAt meet the specified criteria.
+ */
+const borrowRequestSchemaBase = Joi.object({
+    book: validationService.objectIdField.description(
+        'The book ID to borrow. ID must be a valid MongoDB ObjectId.'
+    ),
+    user: validationService.objectIdField.description(
+        'The user ID of the request. ID must be a valid MongoDB ObjectId.'
+    ),
+    status: Joi.string()
+        .valid(...Object.values(borrowRequestsConstants.status))
+        .messages(customValidationMessage)
+        .description('The current state of the request.'),
+    remarks: validationService
+        .createStringField(lengths.REMARKS_MIN, lengths.REMARKS_MAX)
+        .description('Additional remarks about the request.'),
+    reason: validationService
+        .createStringField(lengths.REASON_MIN, lengths.REASON_MAX)
+        .description('The reason of the rejection.'),
+    copy: validationService.objectIdField.description(
+        'The copy to lend. ID must be a valid MongoDB ObjectId.'
+    ),
+    to: validationService.dateField.description(
+        'The end of the loan, the loan period of the circulation policy of the user by default.'
+    ),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('createdAt'),
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * createBorrowRequestSchema - Joi schema for validating the data to make a new borrow request.
+ * Ensures that the book field is required, the request is always made for the requester.
+ *
+ * @function
+ */
+const createBorrowRequestSchema = Joi.object({
+    book: borrowRequestSchemaBase.extract('book').required(),
+    remarks: borrowRequestSchemaBase.extract('remarks'),
+}).strict();
+
+/**
+ * getBorrowRequestsQuerySchema - Joi schema for validating query parameters when retrieving a list of requests.
+ * The requests are listed oldest first by default, in the order they are reviewed.
+ *
+ * @function
+ */
+const getBorrowRequestsQuerySchema = borrowRequestSchemaBase.fork(
+    [
+        'book',
+        'user',
+        'status',
+        'page',
+        'limit',
+        'sort',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * approveBorrowRequestSchema - Joi schema for validating the data to approve a request.
+ * The copy, the end of the loan and the remarks are optional.
+ *
+ * @function
+ */
+const approveBorrowRequestSchema = Joi.object({
+    copy: borrowRequestSchemaBase.extract('copy'),
+    to: borrowRequestSchemaBase.extract('to'),
+    remarks: borrowRequestSchemaBase.extract('remarks'),
+}).strict();
+
+/**
+ * rejectBorrowRequestSchema - Joi schema for validating the data to reject a request.
+ * Ensures that the reason of the rejection is given.
+ *
+ * @function
+ */
+const rejectBorrowRequestSchema = Joi.object({
+    reason: borrowRequestSchemaBase.extract('reason').required(),
+}).strict();
+
+/**
+ * borrowRequestIdParamSchema - Joi schema for validating a single borrow request ID.
+ * Ensures that the borrowRequestId field is a valid MongoDB ObjectId.
+ *
+ * @function
+ */
+const borrowRequestIdParamSchema = Joi.object({
+    borrowRequestId: validationService.objectIdField
+        .required()
+        .description(
+            'The borrow request ID. ID must be a valid MongoDB ObjectId.'
+        ),
+}).strict();
+
+/**
+ * borrowRequestsSchema - An object that holds various Joi validation schemas for borrow request operations.
+ *
+ * @typedef {Object} BorrowRequestsSchema
+ * @property {Object} createBorrowRequestSchema - Joi schema for validating the data to make a new request.
+ * @property {Object} getBorrowRequestsQuerySchema - Joi schema for validating query parameters when retrieving requests.
+ * @property {Object} approveBorrowRequestSchema - Joi schema for validating the data to approve a request.
+ * @property {Object} rejectBorrowRequestSchema - Joi schema for validating the data to reject a request.
+ * @property {Object} borrowRequestIdParamSchema - Joi schema for validating a single borrow request ID.
+ */
+const borrowRequestsSchema = {
+    createBorrowRequestSchema,
+    getBorrowRequestsQuerySchema,
+    approveBorrowRequestSchema,
+    rejectBorrowRequestSchema,
+    borrowRequestIdParamSchema,
+};
+
+export default borrowRequestsSchema;
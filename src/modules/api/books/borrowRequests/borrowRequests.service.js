@@ -0,0 +1,515 @@
+/**
+ * @fileoverview This file defines and exports the service functions for managing borrow requests.
+ * Users ask to borrow a title that has a copy available, and their requests wait in a queue, oldest first,
+ * until a librarian approves or rejects them. An approved request is lent through the same logic as any
+ * other loan, so the circulation policy of the user and the availability of the copies are enforced at
+ * approval time. The user is emailed on every transition and can follow the status history of their requests.
+ */
+
+import BorrowRequestsModel from './borrowRequests.model.js';
+import borrowRequestsConstants from './borrowRequests.constant.js';
+import BooksModel from '../books.model.js';
+import BookCopiesModel from '../copies/bookCopies.model.js';
+import LendBooksModel from '../lend/lendBooks.model.js';
+import lendBooksService from '../lend/lendBooks.service.js';
+import UsersModel from '../../users/users.model.js';
+import circulationPoliciesService from '../../circulationPolicies/circulationPolicies.service.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import EmailService from '../../../../service/email.service.js';
+import loggerService from '../../../../service/logger.service.js';
+import service from '../../../../shared/service.js';
+import prepareEmail from '../../../../shared/prepareEmail.js';
+import prepareEmailContent from '../../../../shared/prepareEmailContent.js';
+import AdminActivityLoggerModel from '../../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import validateAdminRequest from '../../../../utilities/validateAdminRequest.js';
+import errorResponse from '../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+const { status } = borrowRequestsConstants;
+
+/**
+ * Helper function to populate borrow request fields with related data.
+ *
+ * @param {Object} query - Mongoose query object.
+ * @returns {Promise<Object>} - Populated query result.
+ */
+const populateBorrowRequestFields = async (query) => {
+    return await query
+        .populate({
+            path: 'book',
+            select: 'name edition image stockAvailable',
+        })
+        .populate({
+            path: 'user',
+            select: 'name emails',
+        })
+        .populate({
+            path: 'copy',
+            select: 'accessionNumber barcode shelfLocation',
+        });
+};
+
+/**
+ * Emails the user of a request about the state it entered. A failure to send the email is logged and
+ * does not undo the transition, the user can still see it in the status history of the request.
+ *
+ * @param {Object} borrowRequest - The request, with its book, user and copy populated.
+ * @returns {Promise<void>} - A promise that resolves once the email is sent or the failure is logged.
+ */
+const notifyUser = async (borrowRequest) => {
+    try {
+        const user = await UsersModel.findById(
+            borrowRequest.user._id ?? borrowRequest.user
+        )
+            .select('name emails')
+            .lean();
+        if (!user?.emails?.length) return;
+
+        const subject = borrowRequestsConstants.subject[borrowRequest.status];
+        const emailAddress = (
+            user.emails.find((email) => email.isPrimaryEmail) || user.emails[0]
+        ).email;
+
+        const emailData = {
+            userName: user.name?.first,
+            bookName: borrowRequest.book?.name,
+            requestedOn: borrowRequest.createdAt?.toDateString(),
+            accessionNumber: borrowRequest.copy?.accessionNumber,
+            dueDate: borrowRequest.dueDate?.toDateString(),
+            reason: borrowRequest.reason,
+        };
+        const {
+            pageTitle,
+            preheaderText,
+            heroSection,
+            mainSection,
+            footerContent,
+        } = prepareEmailContent(subject, emailData);
+
+        await EmailService.sendEmail(
+            emailAddress,
+            subject,
+            prepareEmail(
+                pageTitle,
+                preheaderText,
+                heroSection,
+                mainSection,
+                footerContent
+            )
+        );
+    } catch (error) {
+        loggerService.error(
+            `Failed to email the ${borrowRequest.status} status of borrow request ${borrowRequest._id}: ${error}`
+        );
+    }
+};
+
+/**
+ * Moves a pending request to a new state. The pending filter guards against a concurrent review of the
+ * same request.
+ *
+ * @param {string} borrowRequestId - The ID of the request.
+ * @param {string} newStatus - The state the request enters.
+ * @param {Object} [fields] - The fields set together with the state.
+ * @returns {Promise<Object|null>} - The updated request, or null if it was no longer pending.
+ */
+const transitionPendingRequest = async (
+    borrowRequestId,
+    newStatus,
+    fields = {}
+) => {
+    return BorrowRequestsModel.findOneAndUpdate(
+        { _id: borrowRequestId, status: status.PENDING },
+        {
+            $set: { status: newStatus, ...fields },
+            $push: {
+                statusHistory: { status: newStatus, reason: fields.reason },
+            },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Builds the error response of a request that could not be moved out of the pending state.
+ *
+ * @param {string} borrowRequestId - The ID of the request.
+ * @returns {Promise<Object>} - The error response.
+ */
+const getNotPendingError = async (borrowRequestId) => {
+    const borrowRequest = await BorrowRequestsModel.findById(borrowRequestId)
+        .select('status')
+        .lean();
+
+    return borrowRequest
+        ? errorResponse(
+              `This borrow request is already ${borrowRequest.status}.`,
+              httpStatus.CONFLICT
+          )
+        : errorResponse('Borrow request not found.', httpStatus.NOT_FOUND);
+};
+
+/**
+ * Asks to borrow a book for the requesting user. A book can only be requested when one of its copies is
+ * available and the user neither has it on loan nor already asked for it.
+ *
+ * @param {string} requester - The ID of the user making the request.
+ * @param {Object} borrowRequestData - The data of the request, holding the book and optional remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createBorrowRequest = async (requester, borrowRequestData) => {
+    try {
+        const book = await BooksModel.findById(borrowRequestData.book).lean();
+        if (!book) {
+            return errorResponse(
+                'No book found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        if (book.stockAvailable <= 0) {
+            return errorResponse(
+                'No copy of this book is available, please reserve it instead.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        if (
+            await LendBooksModel.exists({
+                lender: requester,
+                'books.id': borrowRequestData.book,
+            })
+        ) {
+            return errorResponse(
+                'You already have this book on loan.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        let newBorrowRequest;
+        try {
+            newBorrowRequest = await BorrowRequestsModel.create({
+                book: borrowRequestData.book,
+                user: requester,
+                remarks: borrowRequestData.remarks,
+                statusHistory: [{ status: status.PENDING }],
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            return errorResponse(
+                'You have already asked to borrow this book.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        const newBorrowRequestDetails = await populateBorrowRequestFields(
+            BorrowRequestsModel.findById(newBorrowRequest._id)
+        );
+
+        await notifyUser(newBorrowRequestDetails);
+
+        return sendResponse(
+            newBorrowRequestDetails,
+            'Borrow request sent successfully, a librarian will review it shortly.',
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to create borrow request: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to create borrow request.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Retrieves a list of borrow requests based on query parameters, oldest first by default.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - Query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of requests.
+ */
+const getBorrowRequestList = async (requester, params) => {
+    return service.getResourceList(
+        BorrowRequestsModel,
+        populateBorrowRequestFields,
+        params,
+        {},
+        'borrow requests'
+    );
+};
+
+/**
+ * Approves a pending request and lends the book to its user. The copy is the given one, which must be a copy
+ * of the requested book, or the copy on hold
+ * for the user, or any available copy, and the loan lasts for the loan period of the circulation policy of
+ * the user unless an end date is given. When the loan cannot be created, or the approval fails before the book
+ * is lent, the request goes back to pending.
+ *
+ * @param {string} requester - The ID of the admin approving the request.
+ * @param {string} borrowRequestId - The ID of the request.
+ * @param {Object} approvalData - The optional copy, end of the loan and remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const approveBorrowRequest = async (
+    requester,
+    borrowRequestId,
+    approvalData
+) => {
+    // Set once the request is claimed and cleared once the book is lent, a failure in between reverts the claim
+    let revertToPending = null;
+
+    try {
+        // Claim the request first, so two librarians cannot lend the same request twice
+        const borrowRequest = await transitionPendingRequest(
+            borrowRequestId,
+            status.APPROVED,
+            { reviewedBy: requester }
+        );
+        if (!borrowRequest) {
+            return getNotPendingError(borrowRequestId);
+        }
+
+        revertToPending = () =>
+            BorrowRequestsModel.updateOne(
+                { _id: borrowRequestId, status: status.APPROVED },
+                {
+                    $set: { status: status.PENDING },
+                    $unset: { reviewedBy: '' },
+                    $pop: { statusHistory: 1 },
+                }
+            );
+
+        if (approvalData.copy) {
+            const copy = await BookCopiesModel.findById(approvalData.copy)
+                .select('book')
+                .lean();
+
+            if (!copy) {
+                await revertToPending();
+
+                return errorResponse(
+                    'No book copy found with the provided ID.',
+                    httpStatus.NOT_FOUND
+                );
+            }
+
+            if (copy.book.toString() !== borrowRequest.book.toString()) {
+                await revertToPending();
+
+                return errorResponse(
+                    'The copy is not a copy of the requested book.',
+                    httpStatus.CONFLICT
+                );
+            }
+        }
+
+        const copyId =
+            approvalData.copy ||
+            (
+                await lendBooksService.findLendableCopy(
+                    borrowRequest.book,
+                    borrowRequest.user
+                )
+            )?._id.toString();
+        if (!copyId) {
+            await revertToPending();
+
+            return errorResponse(
+                'No copy of this book is available for lending.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        let dueDate = approvalData.to && new Date(approvalData.to);
+        if (!dueDate) {
+            const { loanPeriodDays } =
+                await circulationPoliciesService.getApplicablePolicy(
+                    borrowRequest.user
+                );
+            dueDate = new Date();
+            dueDate.setDate(dueDate.getDate() + loanPeriodDays);
+        }
+
+        const lendResult = await lendBooksService.createLendBook(requester, {
+            user: borrowRequest.user.toString(),
+            copy: copyId,
+            to: dueDate.toISOString(),
+            remarks: approvalData.remarks || borrowRequest.remarks,
+        });
+        if (!lendResult.success) {
+            await revertToPending();
+
+            return lendResult;
+        }
+
+        revertToPending = null;
+
+        await BorrowRequestsModel.updateOne(
+            { _id: borrowRequestId },
+            { $set: { copy: copyId, dueDate } }
+        );
+
+        const approvedBorrowRequest = await populateBorrowRequestFields(
+            BorrowRequestsModel.findById(borrowRequestId)
+        );
+
+        await notifyUser(approvedBorrowRequest);
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `Borrow request ${borrowRequestId} approved.`,
+            details: JSON.stringify(approvedBorrowRequest),
+            affectedId: borrowRequestId,
+        });
+
+        return sendResponse(
+            approvedBorrowRequest,
+            'Borrow request approved successfully, the book has been lent.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (revertToPending) {
+            await revertToPending().catch((revertError) =>
+                loggerService.error(
+                    `Failed to revert borrow request ${borrowRequestId} to pending: ${revertError}`
+                )
+            );
+        }
+
+        loggerService.error(`Failed to approve borrow request: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to approve borrow request.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Rejects a pending request with a reason, which is shared with its user.
+ *
+ * @param {string} requester - The ID of the admin rejecting the request.
+ * @param {string} borrowRequestId - The ID of the request.
+ * @param {Object} rejectionData - The data of the rejection, holding the reason.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const rejectBorrowRequest = async (
+    requester,
+    borrowRequestId,
+    rejectionData
+) => {
+    try {
+        const borrowRequest = await transitionPendingRequest(
+            borrowRequestId,
+            status.REJECTED,
+            { reason: rejectionData.reason, reviewedBy: requester }
+        );
+        if (!borrowRequest) {
+            return getNotPendingError(borrowRequestId);
+        }
+
+        const rejectedBorrowRequest = await populateBorrowRequestFields(
+            BorrowRequestsModel.findById(borrowRequestId)
+        );
+
+        await notifyUser(rejectedBorrowRequest);
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `Borrow request ${borrowRequestId} rejected.`,
+            details: JSON.stringify(rejectedBorrowRequest),
+            affectedId: borrowRequestId,
+        });
+
+        return sendResponse(
+            rejectedBorrowRequest,
+            'Borrow request rejected successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to reject borrow request: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to reject borrow request.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Cancels a pending request. Users can only cancel their own requests, while admins can cancel any request.
+ *
+ * @param {string} requester - The ID of the user or admin cancelling the request.
+ * @param {string} borrowRequestId - The ID of the request.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const cancelBorrowRequestById = async (requester, borrowRequestId) => {
+    try {
+        const existingBorrowRequest =
+            await BorrowRequestsModel.findById(borrowRequestId).lean();
+        const isAdmin = await validateAdminRequest(requester);
+        if (
+            !existingBorrowRequest ||
+            (!isAdmin && existingBorrowRequest.user.toString() !== requester)
+        ) {
+            return errorResponse(
+                'Borrow request not found.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const borrowRequest = await transitionPendingRequest(
+            borrowRequestId,
+            status.CANCELLED
+        );
+        if (!borrowRequest) {
+            return getNotPendingError(borrowRequestId);
+        }
+
+        await notifyUser(
+            await populateBorrowRequestFields(
+                BorrowRequestsModel.findById(borrowRequestId)
+            )
+        );
+
+        return sendResponse(
+            {},
+            'Borrow request cancelled successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to cancel borrow request: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to cancel borrow request.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * borrowRequestsService - An object that holds the service functions for managing borrow requests.
+ *
+ * @typedef {Object} BorrowRequestsService
+ * @property {Function} createBorrowRequest - Asks to borrow a book for the requesting user.
+ * @property {Function} getBorrowRequestList - Retrieves a list of borrow requests based on query parameters.
+ * @property {Function} approveBorrowRequest - Approves a pending request and lends the book to its user.
+ * @property {Function} rejectBorrowRequest - Rejects a pending request with a reason.
+ * @property {Function} cancelBorrowRequestById - Cancels a pending request.
+ */
+const borrowRequestsService = {
+    createBorrowRequest,
+    getBorrowRequestList,
+    approveBorrowRequest,
+    rejectBorrowRequest,
+    cancelBorrowRequestById,
+};
+
+export default borrowRequestsService;
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for borrow request operations.
+ * These middlewares validate the input data for making, retrieving, approving, rejecting and cancelling
+ * borrow requests, ensuring that the incoming data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import borrowRequestsSchema from './borrowRequests.schema.js';
+
+/**
+ * createBorrowRequest - Middleware for validating the body of requests to borrow a book.
+ *
+ * @function
+ */
+const createBorrowRequest = validateWithSchema([
+    {
+        schema: borrowRequestsSchema.createBorrowRequestSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * getBorrowRequestList - Middleware for validating the query parameters of requests to retrieve borrow requests.
+ *
+ * @function
+ */
+const getBorrowRequestList = validateWithSchema([
+    {
+        schema: borrowRequestsSchema.getBorrowRequestsQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * approveBorrowRequest - Middleware for validating the ID and the body of requests to approve a borrow request.
+ *
+ * @function
+ */
+const approveBorrowRequest = validateWithSchema([
+    {
+        schema: borrowRequestsSchema.borrowRequestIdParamSchema,
+        property: 'params',
+    },
+    {
+        schema: borrowRequestsSchema.approveBorrowRequestSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * rejectBorrowRequest - Middleware for validating the ID and the body of requests to reject a borrow request.
+ *
+ * @function
+ */
+const rejectBorrowRequest = validateWithSchema([
+    {
+        schema: borrowRequestsSchema.borrowRequestIdParamSchema,
+        property: 'params',
+    },
+    {
+        schema: borrowRequestsSchema.rejectBorrowRequestSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * cancelBorrowRequestById - Middleware for validating the requests to cancel a borrow request.
+ *
+ * @function
+ */
+const cancelBorrowRequestById = validateWithSchema([
+    {
+        schema: borrowRequestsSchema.borrowRequestIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * borrowRequestsValidator - An object that holds the validation middleware for borrow request operations.
+ *
+ * @typedef {Object} BorrowRequestsValidator
+ * @property {Function} createBorrowRequest - Middleware for validating requests to borrow a book.
+ * @property {Function} getBorrowRequestList - Middleware for validating requests to retrieve borrow requests.
+ * @property {Function} approveBorrowRequest - Middleware for validating requests to approve a borrow request.
+ * @property {Function} rejectBorrowRequest - Middleware for validating requests to reject a borrow request.
+ * @property {Function} cancelBorrowRequestById - Middleware for validating requests to cancel a borrow request.
+ */
+const borrowRequestsValidator = {
+    createBorrowRequest,
+    getBorrowRequestList,
+    approveBorrowRequest,
+    rejectBorrowRequest,
+    cancelBorrowRequestById,
+};
+
+export default borrowRequestsValidator;
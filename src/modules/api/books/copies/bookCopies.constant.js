@@ -0,0 +1,66 @@
+/**
+ * @fileoverview This file defines and exports the constants used for validating and managing book copies.
+ * These constants include length constraints for the copy identifiers and location, as well as the
+ * allowed status and condition values of a physical copy.
+ */
+
+const lengths = {
+    ACCESSION_NUMBER_MIN: 1,
+    ACCESSION_NUMBER_MAX: 50,
+
+    BARCODE_MIN: 1,
+    BARCODE_MAX: 50,
+
+    SHELF_LOCATION_MIN: 1,
+    SHELF_LOCATION_MAX: 100,
+};
+
+/**
+ * status - The lifecycle states of a physical copy. Only copies in the `AVAILABLE` state can be lent
+ * to anyone and are counted towards the `stockAvailable` of their book, a copy `ON_HOLD` is kept
+ * aside for the user whose reservation is ready for pickup, and a copy returned damaged stays
+ * `IN_REPAIR` until an admin puts it back on the shelf.
+ */
+const status = {
+    AVAILABLE: 'available',
+    ON_LOAN: 'on_loan',
+    ON_HOLD: 'on_hold',
+    LOST: 'lost',
+    DAMAGED: 'damaged',
+    IN_REPAIR: 'in_repair',
+    WITHDRAWN: 'withdrawn',
+};
+
+/**
+ * circulationStatus - The states owned by the lend, return and reservation flows, which can neither be
+ * set nor cleared by an admin.
+ */
+const circulationStatus = [status.ON_LOAN, status.ON_HOLD];
+
+/**
+ * condition - The physical condition of a copy as recorded by the library staff.
+ */
+const condition = {
+    NEW: 'new',
+    GOOD: 'good',
+    FAIR: 'fair',
+    POOR: 'poor',
+};
+
+/**
+ * bookCopiesConstants - An object that holds constants for book copy validations and configurations.
+ *
+ * @typedef {Object} BookCopiesConstants
+ * @property {Object} lengths - An object defining the minimum and maximum lengths for various book copy fields.
+ * @property {Object} status - An object containing the allowed status values of a copy.
+ * @property {Array<string>} circulationStatus - The status values that are managed by the circulation flows.
+ * @property {Object} condition - An object containing the allowed condition values of a copy.
+ */
+const bookCopiesConstants = {
+    lengths,
+    status,
+    circulationStatus,
+    condition,
+};
+
+export default bookCopiesConstants;
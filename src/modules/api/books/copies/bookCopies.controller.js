@@ -0,0 +1,81 @@
+/**
+ * @fileoverview This file defines and exports the controller for the book copies module.
+ * The controller includes methods for creating, retrieving, updating and deleting book copies.
+ * These methods utilize the shared controller functions to handle the core logic.
+ */
+
+import bookCopiesService from './bookCopies.service.js';
+import controller from '../../../../shared/controller.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+/**
+ * bookCopiesController - Controller for handling book copy operations.
+ *
+ * @typedef {Object} BookCopiesController
+ * @property {Function} createBookCopy - Controller method for creating a new book copy.
+ * @property {Function} getBookCopyList - Controller method for retrieving a list of book copies.
+ * @property {Function} getBookCopyById - Controller method for retrieving a book copy by its ID.
+ * @property {Function} updateBookCopyById - Controller method for updating a book copy by its ID.
+ * @property {Function} deleteBookCopyList - Controller method for deleting a list of book copies.
+ * @property {Function} deleteBookCopyById - Controller method for deleting a book copy by its ID.
+ */
+const bookCopiesController = {
+    /**
+     * createBookCopy - Controller method for creating a new book copy.
+     *
+     * @function
+     */
+    createBookCopy: controller.create(bookCopiesService, 'createBookCopy'),
+
+    /**
+     * getBookCopyList - Controller method for retrieving a list of book copies.
+     *
+     * @function
+     */
+    getBookCopyList: controller.getList(bookCopiesService, 'getBookCopyList'),
+
+    /**
+     * getBookCopyById - Controller method for retrieving a book copy by its ID.
+     *
+     * @function
+     */
+    getBookCopyById: controller.getById(
+        bookCopiesService,
+        'getBookCopyById',
+        routesConstants.bookCopies.params
+    ),
+
+    /**
+     * updateBookCopyById - Controller method for updating a book copy by its ID.
+     *
+     * @function
+     */
+    updateBookCopyById: controller.updateById(
+        bookCopiesService,
+        'updateBookCopyById',
+        routesConstants.bookCopies.params
+    ),
+
+    /**
+     * deleteBookCopyList - Controller method for deleting a list of book copies.
+     *
+     * @function
+     */
+    deleteBookCopyList: controller.deleteList(
+        bookCopiesService,
+        'deleteBookCopyList'
+    ),
+
+    /**
+     * deleteBookCopyById - Controller method for deleting a book copy by its ID.
+     *
+     * @function
+     */
+    deleteBookCopyById: controller.deleteById(
+        bookCopiesService,
+        'deleteBookCopyById',
+        routesConstants.bookCopies.params
+    ),
+};
+
+export default bookCopiesController;
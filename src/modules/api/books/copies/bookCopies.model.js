@@ -0,0 +1,134 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for book copies.
+ * Each document represents a single physical copy (item) of a book, identified by its accession number
+ * and barcode, and tracks where it is shelved, its physical condition and its circulation status.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import bookCopiesConstants from './bookCopies.constant.js';
+import sharedSchema from '../../../../shared/schema.js';
+
+/**
+ * bookCopySchema - Mongoose schema for storing the details of a physical copy of a book.
+ *
+ * @typedef {Object} bookCopySchema
+ * @property {Schema.Types.ObjectId} book - Reference to the book this copy belongs to, required.
+ * @property {String} accessionNumber - The unique accession number assigned to the copy, required.
+ * @property {String} barcode - The unique barcode printed on the copy, required.
+ * @property {String} shelfLocation - The shelf location where the copy is kept.
+ * @property {String} condition - The physical condition of the copy.
+ * @property {Date} acquisitionDate - The date the copy was acquired by the library.
+ * @property {String} status - The circulation status of the copy.
+ * @property {Object} isActive - Boolean flag indicating if the copy is active.
+ * @property {Object} createdBy - Reference to the admin who created the copy record.
+ * @property {Object} updatedBy - Reference to the admin who last updated the copy record.
+ * @property {Date} createdAt - Timestamp for when the copy record was created.
+ * @property {Date} updatedAt - Timestamp for when the copy record was last updated.
+ */
+const bookCopySchema = new mongoose.Schema(
+    {
+        book: {
+            type: Schema.Types.ObjectId,
+            ref: 'Books',
+            required: [true, 'Please specify the book of the copy.'],
+            description: 'The database ID of the book this copy belongs to.',
+        },
+        accessionNumber: {
+            type: String,
+            trim: true,
+            unique: true,
+            required: [true, 'Please provide an accession number.'],
+            minlength: [
+                bookCopiesConstants.lengths.ACCESSION_NUMBER_MIN,
+                `The accession number should be at least ${bookCopiesConstants.lengths.ACCESSION_NUMBER_MIN} character long.`,
+            ],
+            maxlength: [
+                bookCopiesConstants.lengths.ACCESSION_NUMBER_MAX,
+                `The accession number should not be longer than ${bookCopiesConstants.lengths.ACCESSION_NUMBER_MAX} characters.`,
+            ],
+            description: 'The unique accession number of the copy.',
+        },
+        barcode: {
+            type: String,
+            trim: true,
+            unique: true,
+            required: [true, 'Please provide a barcode.'],
+            minlength: [
+                bookCopiesConstants.lengths.BARCODE_MIN,
+                `The barcode should be at least ${bookCopiesConstants.lengths.BARCODE_MIN} character long.`,
+            ],
+            maxlength: [
+                bookCopiesConstants.lengths.BARCODE_MAX,
+                `The barcode should not be longer than ${bookCopiesConstants.lengths.BARCODE_MAX} characters.`,
+            ],
+            description: 'The unique barcode printed on the copy.',
+        },
+        shelfLocation: {
+            type: String,
+            trim: true,
+            maxlength: [
+                bookCopiesConstants.lengths.SHELF_LOCATION_MAX,
+                `The shelf location should not be longer than ${bookCopiesConstants.lengths.SHELF_LOCATION_MAX} characters.`,
+            ],
+            description: 'The shelf location where the copy is kept.',
+        },
+        condition: {
+            type: String,
+            enum: Object.values(bookCopiesConstants.condition),
+            default: bookCopiesConstants.condition.NEW,
+            description: 'The physical condition of the copy.',
+        },
+        acquisitionDate: {
+            type: Date,
+            default: Date.now,
+            description: 'The date the copy was acquired by the library.',
+        },
+        status: {
+            type: String,
+            enum: Object.values(bookCopiesConstants.status),
+            default: bookCopiesConstants.status.AVAILABLE,
+            description: 'The circulation status of the copy.',
+        },
+        isActive: sharedSchema.isActiveSchema,
+        createdBy: sharedSchema.createdByAdminSchema,
+        updatedBy: sharedSchema.updatedByAdminSchema,
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing book copy data with automatic timestamping for creation and updates.',
+    }
+);
+
+// Speed up the availability lookups performed on every lend and return
+bookCopySchema.index({ book: 1, status: 1 });
+
+/**
+ * Middleware to enforce that the creator or updater fields are set before saving or updating.
+ */
+bookCopySchema.pre(['save', 'findOneAndUpdate'], function (next) {
+    if (
+        (this.isNew && !this.createdBy) ||
+        (this._update && !this._update.updatedBy)
+    ) {
+        return next(new Error('Creator or updater is required.'));
+    }
+    next();
+});
+
+/**
+ * Middleware to handle unique constraint violations.
+ */
+bookCopySchema.post(['save', 'findOneAndUpdate'], (error, doc, next) => {
+    if (error.name === 'MongoServerError' && error.code === 11000) {
+        next(new Error('Accession number or barcode already exists.'));
+    } else {
+        next(error);
+    }
+});
+
+const BookCopiesModel = mongoose.model('BookCopies', bookCopySchema);
+
+export default BookCopiesModel;
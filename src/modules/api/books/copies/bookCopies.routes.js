@@ -0,0 +1,238 @@
+/**
+ * @fileoverview This file sets up the express router for book copy endpoints.
+ * It includes routes for creating, retrieving, updating and deleting the physical copies of books,
+ * with middleware for authentication, validation and caching. Routes that are not supported respond
+ * with a methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import bookCopiesValidator from './bookCopies.validator.js';
+import bookCopiesController from './bookCopies.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+import cacheMiddleware from '../../../../middleware/cache.middleware.js';
+import configuration from '../../../../configuration/configuration.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/copies:
+ *   post:
+ *     summary: Creates a book copy.
+ *     description: Registers a new physical copy of a book. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               book:
+ *                 type: string
+ *                 description: ID of the book this copy belongs to.
+ *               accessionNumber:
+ *                 type: string
+ *                 description: Unique accession number of the copy.
+ *               barcode:
+ *                 type: string
+ *                 description: Unique barcode printed on the copy.
+ *               shelfLocation:
+ *                 type: string
+ *                 description: Shelf location where the copy is kept.
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor]
+ *               acquisitionDate:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: string
+ *                 enum: [available, lost, damaged, in_repair, withdrawn]
+ *     responses:
+ *       201:
+ *         description: Book copy created successfully.
+ *       400:
+ *         description: Invalid data provided.
+ *       404:
+ *         description: No book found with the provided ID.
+ *     tags:
+ *       - Book Copies Management
+ *   get:
+ *     summary: Retrieves a list of book copies.
+ *     description: Fetches book copies filtered by book, status, barcode and other fields. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Only return the copies of this book.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only return the copies with this status.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book copies.
+ *       404:
+ *         description: No book copies found.
+ *     tags:
+ *       - Book Copies Management
+ *   delete:
+ *     summary: Deletes a list of book copies by IDs.
+ *     description: Deletes the book copies with the provided IDs. Copies that are on loan or on hold cannot be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma separated list of book copy IDs.
+ *     responses:
+ *       200:
+ *         description: Book copies deleted successfully.
+ *       409:
+ *         description: Some of the copies are on loan or on hold.
+ *     tags:
+ *       - Book Copies Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Copies Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookCopies.permissions.create
+        ),
+        bookCopiesValidator.createBookCopy,
+        bookCopiesController.createBookCopy,
+        cacheMiddleware.invalidate(routesConstants.bookCopies.routes)
+    )
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookCopies.permissions.getList
+        ),
+        bookCopiesValidator.getBookCopyList,
+        bookCopiesController.getBookCopyList,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .delete(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookCopies.permissions.deleteByList
+        ),
+        bookCopiesValidator.deleteBookCopyList,
+        bookCopiesController.deleteBookCopyList,
+        cacheMiddleware.invalidate(routesConstants.bookCopies.routes)
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/copies/{copyId}:
+ *   get:
+ *     summary: Retrieves a book copy by ID.
+ *     description: Fetches the details of a single book copy. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the book copy.
+ *     responses:
+ *       200:
+ *         description: Book copy fetched successfully.
+ *       404:
+ *         description: Book copy not found.
+ *     tags:
+ *       - Book Copies Management
+ *   put:
+ *     summary: Updates a book copy by ID.
+ *     description: Updates the shelf location, condition or status of a copy. The on loan and on hold status are managed by the lend, return and reservation endpoints.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Book copy updated successfully.
+ *       404:
+ *         description: Book copy not found.
+ *       409:
+ *         description: The copy is on loan or on hold.
+ *     tags:
+ *       - Book Copies Management
+ *   delete:
+ *     summary: Deletes a book copy by ID.
+ *     description: Deletes a single book copy. A copy that is on loan or on hold cannot be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Book copy deleted successfully.
+ *       404:
+ *         description: Book copy not found.
+ *       409:
+ *         description: The copy is on loan or on hold.
+ *     tags:
+ *       - Book Copies Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Copies Management
+ */
+router
+    .route(`/:${routesConstants.bookCopies.params}`)
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookCopies.permissions.getById
+        ),
+        bookCopiesValidator.getBookCopyById,
+        bookCopiesController.getBookCopyById,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookCopies.permissions.updateById
+        ),
+        bookCopiesValidator.updateBookCopyById,
+        bookCopiesController.updateBookCopyById,
+        cacheMiddleware.invalidate(routesConstants.bookCopies.routes)
+    )
+    .delete(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookCopies.permissions.deleteById
+        ),
+        bookCopiesValidator.deleteBookCopyById,
+        bookCopiesController.deleteBookCopyById,
+        cacheMiddleware.invalidate(routesConstants.bookCopies.routes)
+    )
+    .all(methodNotSupported);
+
+export default router;
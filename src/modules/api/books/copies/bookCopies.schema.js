@@ -0,0 +1,169 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for managing book copies.
+ * These schemas are used to validate the input data for the book copy endpoints, including
+ * creating, updating, querying, and deleting copies.
+ */
+
+import Joi from 'joi';
+
+import bookCopiesConstants from './bookCopies.constant.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+import validationService from '../../../../service/validation.service.js';
+
+/**
+ * bookCopySchemaBase - Base Joi schema for validating common fields used in book copy operations.
+ * Ensures that fields such as book, accessionNumber, barcode, shelfLocation, condition, acquisitionDate,
+ * status, page, limit, sort, isActive, createdBy, updatedBy, createdAt, and updatedAt meet the specified criteria.
+ */
+const bookCopySchemaBase = Joi.object({
+    book: validationService.objectIdField.description(
+        'The book ID this copy belongs to. ID must be a valid MongoDB ObjectId.'
+    ),
+    accessionNumber: validationService
+        .createStringField(
+            bookCopiesConstants.lengths.ACCESSION_NUMBER_MIN,
+            bookCopiesConstants.lengths.ACCESSION_NUMBER_MAX
+        )
+        .description('The unique accession number of the copy.'),
+    barcode: validationService
+        .createStringField(
+            bookCopiesConstants.lengths.BARCODE_MIN,
+            bookCopiesConstants.lengths.BARCODE_MAX
+        )
+        .description('The unique barcode printed on the copy.'),
+    shelfLocation: validationService
+        .createStringField(
+            bookCopiesConstants.lengths.SHELF_LOCATION_MIN,
+            bookCopiesConstants.lengths.SHELF_LOCATION_MAX
+        )
+        .description('The shelf location where the copy is kept.'),
+    condition: Joi.string()
+        .valid(...Object.values(bookCopiesConstants.condition))
+        .messages(customValidationMessage)
+        .description('The physical condition of the copy.'),
+    acquisitionDate: validationService.dateField,
+    status: Joi.string()
+        .valid(...Object.values(bookCopiesConstants.status))
+        .messages(customValidationMessage)
+        .description('The circulation status of the copy.'),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('createdAt'),
+    isActive: validationService.booleanField,
+    createdBy: validationService.objectIdField,
+    updatedBy: validationService.objectIdField,
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * createBookCopySchema - Joi schema for validating the data to create a new book copy.
+ * Ensures that the book, accessionNumber and barcode fields are required.
+ *
+ * @function
+ */
+const createBookCopySchema = bookCopySchemaBase.fork(
+    ['book', 'accessionNumber', 'barcode'],
+    (field) => field.required()
+);
+
+/**
+ * updateBookCopySchema - Joi schema for validating the data to update an existing book copy.
+ * Ensures that at least one of the specified fields is present and meets the required criteria.
+ *
+ * @function
+ */
+const updateBookCopySchema = bookCopySchemaBase
+    .fork(
+        [
+            'accessionNumber',
+            'barcode',
+            'shelfLocation',
+            'condition',
+            'acquisitionDate',
+            'status',
+            'isActive',
+        ],
+        (field) => field.optional()
+    )
+    .min(1);
+
+/**
+ * bookCopyIdsParamSchema - Joi schema for validating a list of book copy IDs.
+ * Ensures that the ids field is a comma separated list of valid MongoDB ObjectIds.
+ *
+ * @function
+ */
+const bookCopyIdsParamSchema = Joi.object({
+    ids: validationService.objectIdsField
+        .required()
+        .description(
+            'List of the book copy ID(s). Each ID(s) must be a valid MongoDB ObjectId.'
+        ),
+})
+    .required()
+    .messages(customValidationMessage);
+
+/**
+ * getBookCopiesQuerySchema - Joi schema for validating query parameters when retrieving a list of book copies.
+ *
+ * @function
+ */
+const getBookCopiesQuerySchema = bookCopySchemaBase.fork(
+    [
+        'book',
+        'accessionNumber',
+        'barcode',
+        'shelfLocation',
+        'condition',
+        'status',
+        'isActive',
+        'page',
+        'limit',
+        'sort',
+        'createdBy',
+        'updatedBy',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * bookCopyIdParamSchema - Joi schema for validating a single book copy ID.
+ * Ensures that the copyId field is a valid MongoDB ObjectId.
+ *
+ * @function
+ */
+const bookCopyIdParamSchema = Joi.object({
+    copyId: validationService.objectIdField
+        .required()
+        .description('The book copy ID. ID must be a valid MongoDB ObjectId.'),
+}).strict();
+
+/**
+ * bookCopiesSchema - An object that holds various Joi validation schemas for book copy operations.
+ *
+ * @typedef {Object} BookCopiesSchema
+ * @property {Object} createBookCopySchema - Joi schema for validating the data to create a new book copy.
+ * @property {Object} updateBookCopySchema - Joi schema for validating the data to update an existing book copy.
+ * @property {Object} getBookCopiesQuerySchema - Joi schema for validating query parameters when retrieving book copies.
+ * @property {Object} bookCopyIdsParamSchema - Joi schema for validating a list of book copy IDs.
+ * @property {Object} bookCopyIdParamSchema - Joi schema for validating a single book copy ID.
+ */
+const bookCopiesSchema = {
+    createBookCopySchema,
+    updateBookCopySchema,
+    getBookCopiesQuerySchema,
+    bookCopyIdsParamSchema,
+    bookCopyIdParamSchema,
+};
+
+export default bookCopiesSchema;
@@ -0,0 +1,419 @@
+/**
+ * @fileoverview This file defines and exports the service functions for managing book copies.
+ * These services include functions for creating, retrieving, updating, and deleting the physical copies
+ * of a book. Every change to the status of a copy recalculates the `stockAvailable` of its book in the
+ * same transaction, so the catalog always reflects the number of copies that can actually be lent, and a
+ * recount cannot overwrite the stock a concurrent loan or reservation takes.
+ */
+
+import mongoose from 'mongoose';
+
+import BookCopiesModel from './bookCopies.model.js';
+import bookCopiesConstants from './bookCopies.constant.js';
+import BooksModel from '../books.model.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import loggerService from '../../../../service/logger.service.js';
+import service from '../../../../shared/service.js';
+import AdminActivityLoggerModel from '../../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import isEmptyObject from '../../../../utilities/isEmptyObject.js';
+import errorResponse from '../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+/**
+ * Helper function to populate book copy fields with related data.
+ *
+ * @param {Object} query - Mongoose query object.
+ * @returns {Promise<Object>} - Populated query result.
+ */
+const populateBookCopyFields = async (query) => {
+    return await query
+        .populate({
+            path: 'book',
+            select: 'name edition image',
+        })
+        .select('-createdBy -updatedBy');
+};
+
+/**
+ * Recalculates the `stockAvailable` of a book from the number of its copies that are currently available.
+ * Within a transaction, a loan or reservation changing the stock at the same time makes one of them fail
+ * with a write conflict, instead of the recount overwriting the stock it took.
+ *
+ * @param {string} bookId - The ID of the book to recalculate.
+ * @param {Object} [session] - The Mongoose session of a running transaction to recalculate the stock in.
+ * @returns {Promise<number>} - The number of available copies.
+ */
+const syncStockAvailable = async (bookId, session = null) => {
+    const stockAvailable = await BookCopiesModel.countDocuments({
+        book: bookId,
+        status: bookCopiesConstants.status.AVAILABLE,
+    }).session(session);
+
+    // `updateOne` is used on purpose, the stock is derived data and not an admin update
+    await BooksModel.updateOne(
+        { _id: bookId },
+        { $set: { stockAvailable } },
+        { session }
+    );
+
+    return stockAvailable;
+};
+
+/**
+ * Creates a new copy of a book.
+ *
+ * @param {string} requester - The ID of the admin creating the copy.
+ * @param {Object} bookCopyData - The data of the copy to be created.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createBookCopy = async (requester, bookCopyData) => {
+    const session = await mongoose.startSession();
+
+    try {
+        if (!(await BooksModel.exists({ _id: bookCopyData.book }))) {
+            return errorResponse(
+                'No book found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        if (
+            bookCopiesConstants.circulationStatus.includes(bookCopyData.status)
+        ) {
+            return errorResponse(
+                'A copy can only be put on loan or on hold by lending or reserving it.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        bookCopyData.createdBy = requester;
+
+        session.startTransaction();
+
+        const [newBookCopy] = await BookCopiesModel.create([bookCopyData], {
+            session,
+        });
+
+        await syncStockAvailable(newBookCopy.book, session);
+
+        await session.commitTransaction();
+
+        const newBookCopyDetails = await populateBookCopyFields(
+            BookCopiesModel.findById(newBookCopy._id)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.CREATE,
+            description: `Copy ${newBookCopy.accessionNumber} created successfully.`,
+            details: JSON.stringify(newBookCopyDetails),
+            affectedId: newBookCopy._id,
+        });
+
+        return sendResponse(
+            newBookCopyDetails,
+            'Book copy created successfully.',
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to create book copy: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to create book copy.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Retrieves a list of book copies based on query parameters.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - Query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of copies.
+ */
+const getBookCopyList = async (requester, params) => {
+    return service.getResourceList(
+        BookCopiesModel,
+        populateBookCopyFields,
+        params,
+        {},
+        'book copies'
+    );
+};
+
+/**
+ * Retrieves a book copy by its ID.
+ *
+ * @param {string} requester - The ID of the admin requesting the copy.
+ * @param {string} copyId - The ID of the copy to retrieve.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the copy details.
+ */
+const getBookCopyById = async (requester, copyId) => {
+    return service.getResourceById(
+        BookCopiesModel,
+        populateBookCopyFields,
+        copyId,
+        'book copy'
+    );
+};
+
+/**
+ * Updates a book copy. The loan and hold status of a copy are owned by the circulation flows, so they
+ * can neither be set nor cleared from here.
+ *
+ * @param {string} requester - The ID of the admin making the update request.
+ * @param {string} copyId - The ID of the copy to update.
+ * @param {Object} updateData - Data to update the copy with.
+ * @returns {Promise<Object>} - The updated copy details or an error response.
+ */
+const updateBookCopyById = async (requester, copyId, updateData) => {
+    const session = await mongoose.startSession();
+
+    try {
+        if (isEmptyObject(updateData)) {
+            return errorResponse(
+                'Please provide update data.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const bookCopy = await BookCopiesModel.findById(copyId).lean();
+        if (!bookCopy) {
+            return errorResponse('Book copy not found.', httpStatus.NOT_FOUND);
+        }
+
+        if (bookCopiesConstants.circulationStatus.includes(updateData.status)) {
+            return errorResponse(
+                'A copy can only be put on loan or on hold by lending or reserving it.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        if (
+            updateData.status &&
+            bookCopiesConstants.circulationStatus.includes(bookCopy.status)
+        ) {
+            return errorResponse(
+                'This copy is on loan or on hold. Please wait until it is back on the shelf before changing its status.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        updateData.updatedBy = requester;
+
+        session.startTransaction();
+
+        await BookCopiesModel.findByIdAndUpdate(copyId, updateData, {
+            new: true,
+            runValidators: true,
+            session,
+        });
+
+        await syncStockAvailable(bookCopy.book, session);
+
+        await session.commitTransaction();
+
+        const updatedBookCopyDetails = await populateBookCopyFields(
+            BookCopiesModel.findById(copyId)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `${copyId} updated successfully.`,
+            details: JSON.stringify(updatedBookCopyDetails),
+            affectedId: copyId,
+        });
+
+        return sendResponse(
+            updatedBookCopyDetails,
+            'Book copy updated successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to update book copy: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to update book copy.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Deletes multiple book copies. Copies that are currently on loan or on hold cannot be deleted.
+ *
+ * @param {string} requester - The ID of the admin making the delete request.
+ * @param {Array<string>} copyIds - The list of copy IDs to delete.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const deleteBookCopyList = async (requester, copyIds) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const bookCopies = await BookCopiesModel.find({
+            _id: { $in: copyIds },
+        }).lean();
+
+        if (!bookCopies.length) {
+            return errorResponse(
+                'No book copies found for the provided IDs.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const copiesInCirculation = bookCopies.filter((bookCopy) =>
+            bookCopiesConstants.circulationStatus.includes(bookCopy.status)
+        );
+        if (copiesInCirculation.length) {
+            return errorResponse(
+                `The following copies are on loan or on hold: ${copiesInCirculation.map((bookCopy) => bookCopy.accessionNumber).join(', ')}`,
+                httpStatus.CONFLICT
+            );
+        }
+
+        session.startTransaction();
+
+        await BookCopiesModel.deleteMany(
+            {
+                _id: { $in: bookCopies.map((bookCopy) => bookCopy._id) },
+            },
+            { session }
+        );
+
+        const bookIds = new Set(
+            bookCopies.map((bookCopy) => bookCopy.book.toString())
+        );
+        // A transaction runs one operation at a time, so the books are counted one after another
+        for (const bookId of bookIds) {
+            await syncStockAvailable(bookId, session);
+        }
+
+        await session.commitTransaction();
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.DELETE,
+            description: `${bookCopies.length} book copies deleted successfully.`,
+            details: JSON.stringify(bookCopies),
+            affectedId: bookCopies.map((bookCopy) => bookCopy._id),
+        });
+
+        return sendResponse(
+            {},
+            `${bookCopies.length} book copies deleted successfully.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to delete book copies: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to delete book copies.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Deletes a book copy by its ID. A copy that is currently on loan or on hold cannot be deleted.
+ *
+ * @param {string} requester - The ID of the admin making the delete request.
+ * @param {string} copyId - The ID of the copy to delete.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const deleteBookCopyById = async (requester, copyId) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const bookCopy = await BookCopiesModel.findById(copyId).lean();
+        if (!bookCopy) {
+            return errorResponse('Book copy not found.', httpStatus.NOT_FOUND);
+        }
+
+        if (bookCopiesConstants.circulationStatus.includes(bookCopy.status)) {
+            return errorResponse(
+                'This copy is on loan or on hold. Please wait until it is back on the shelf before deleting it.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        session.startTransaction();
+
+        await BookCopiesModel.findByIdAndDelete(copyId, { session });
+        await syncStockAvailable(bookCopy.book, session);
+
+        await session.commitTransaction();
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.DELETE,
+            description: `Book copy with ID ${copyId} deleted successfully.`,
+            details: JSON.stringify(bookCopy),
+            affectedId: copyId,
+        });
+
+        return sendResponse(
+            {},
+            'Book copy deleted successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to delete book copy: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to delete book copy.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * bookCopiesService - An object that holds the service functions for managing book copies.
+ *
+ * @typedef {Object} BookCopiesService
+ * @property {Function} syncStockAvailable - Recalculates the `stockAvailable` of a book from its available copies.
+ * @property {Function} createBookCopy - Creates a new copy of a book.
+ * @property {Function} getBookCopyList - Retrieves a list of book copies based on query parameters.
+ * @property {Function} getBookCopyById - Retrieves a book copy by its ID.
+ * @property {Function} updateBookCopyById - Updates a book copy.
+ * @property {Function} deleteBookCopyList - Deletes multiple book copies.
+ * @property {Function} deleteBookCopyById - Deletes a book copy by its ID.
+ */
+const bookCopiesService = {
+    syncStockAvailable,
+    createBookCopy,
+    getBookCopyList,
+    getBookCopyById,
+    updateBookCopyById,
+    deleteBookCopyList,
+    deleteBookCopyById,
+};
+
+export default bookCopiesService;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for book copy operations.
+ * These middlewares validate the input data for creating, retrieving, updating and deleting book copies,
+ * ensuring that the incoming data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import bookCopiesSchema from './bookCopies.schema.js';
+
+/**
+ * createBookCopy - Middleware for validating the body of requests to create a book copy.
+ *
+ * @function
+ */
+const createBookCopy = validateWithSchema([
+    { schema: bookCopiesSchema.createBookCopySchema, property: 'body' },
+]);
+
+/**
+ * getBookCopyList - Middleware for validating the query parameters of requests to retrieve book copies.
+ *
+ * @function
+ */
+const getBookCopyList = validateWithSchema([
+    { schema: bookCopiesSchema.getBookCopiesQuerySchema, property: 'query' },
+]);
+
+/**
+ * getBookCopyById - Middleware for validating the parameters of requests to retrieve a book copy by its ID.
+ *
+ * @function
+ */
+const getBookCopyById = validateWithSchema([
+    { schema: bookCopiesSchema.bookCopyIdParamSchema, property: 'params' },
+]);
+
+/**
+ * updateBookCopyById - Middleware for validating the parameters and body of requests to update a book copy.
+ *
+ * @function
+ */
+const updateBookCopyById = validateWithSchema([
+    { schema: bookCopiesSchema.bookCopyIdParamSchema, property: 'params' },
+    { schema: bookCopiesSchema.updateBookCopySchema, property: 'body' },
+]);
+
+/**
+ * deleteBookCopyList - Middleware for validating the query parameters of requests to delete a list of book copies.
+ *
+ * @function
+ */
+const deleteBookCopyList = validateWithSchema([
+    { schema: bookCopiesSchema.bookCopyIdsParamSchema, property: 'query' },
+]);
+
+/**
+ * deleteBookCopyById - Middleware for validating the parameters of requests to delete a book copy by its ID.
+ *
+ * @function
+ */
+const deleteBookCopyById = validateWithSchema([
+    { schema: bookCopiesSchema.bookCopyIdParamSchema, property: 'params' },
+]);
+
+/**
+ * bookCopiesValidator - An object that holds Joi validation middleware for book copy operations.
+ *
+ * @typedef {Object} BookCopiesValidator
+ * @property {Function} createBookCopy - Middleware for validating the body of requests to create a book copy.
+ * @property {Function} getBookCopyList - Middleware for validating the query parameters of requests to retrieve book copies.
+ * @property {Function} getBookCopyById - Middleware for validating the parameters of requests to retrieve a book copy.
+ * @property {Function} updateBookCopyById - Middleware for validating the requests to update a book copy.
+ * @property {Function} deleteBookCopyList - Middleware for validating the requests to delete a list of book copies.
+ * @property {Function} deleteBookCopyById - Middleware for validating the requests to delete a book copy.
+ */
+const bookCopiesValidator = {
+    createBookCopy,
+    getBookCopyList,
+    getBookCopyById,
+    updateBookCopyById,
+    deleteBookCopyList,
+    deleteBookCopyById,
+};
+
+export default bookCopiesValidator;
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview This file defines and exports the constants used for exporting the catalog.
+ * These constants include the formats the catalog can be exported in and the columns of CSV exports.
+ */
+
+/**
+ * format - The formats the catalog can be exported in. `marc` writes ISO 2709 binary MARC 21 records and
+ * `marcxml` writes the same records as a MARCXML collection.
+ */
+const format = {
+    CSV: 'csv',
+    JSONL: 'jsonl',
+    MARC: 'marc',
+    MARCXML: 'marcxml',
+};
+
+/**
+ * files - The content type and file extension of each export format.
+ */
+const files = {
+    [format.CSV]: { contentType: 'text/csv', extension: 'csv' },
+    [format.JSONL]: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+    [format.MARC]: { contentType: 'application/marc', extension: 'mrc' },
+    [format.MARCXML]: {
+        contentType: 'application/marcxml+xml',
+        extension: 'xml',
+    },
+};
+
+/**
+ * csvColumns - The columns of CSV exports, in order. They match the columns read by book imports, so an
+ * exported file can be imported again, and the columns imports do not know are ignored by them.
+ */
+const csvColumns = [
+    'id',
+    'name',
+    'writer',
+    'editor',
+    'illustrator',
+    'translator',
+    'publication',
+    'subjects',
+    'page',
+    'edition',
+    'summary',
+    'isbn',
+    'isbn10',
+    'price',
+    'bestSeller',
+    'review',
+    'stockAvailable',
+    'image',
+    'createdAt',
+    'updatedAt',
+];
+
+/**
+ * bookExportsConstants - An object that holds constants for exporting the catalog.
+ *
+ * @typedef {Object} BookExportsConstants
+ * @property {Object} format - An object containing the export formats.
+ * @property {Object} files - An object mapping each export format to its content type and file extension.
+ * @property {Array<string>} csvColumns - An array of the columns of CSV exports.
+ */
+const bookExportsConstants = {
+    format,
+    files,
+    csvColumns,
+};
+
+export default bookExportsConstants;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview This file defines and exports the controller for exporting the catalog.
+ * Exports are streamed to the requester as a file download instead of being sent as JSON.
+ */
+
+import { pipeline } from 'stream';
+
+import bookExportsService from './bookExports.service.js';
+import asyncErrorHandlerService from '../../../../utilities/asyncErrorHandler.js';
+import getRequesterId from '../../../../utilities/getRequesterId.js';
+import loggerService from '../../../../service/logger.service.js';
+
+/**
+ * bookExportsController - Controller for exporting the catalog.
+ *
+ * @typedef {Object} BookExportsController
+ * @property {Function} exportBooks - Controller method for streaming an export of the catalog.
+ */
+const bookExportsController = {
+    /**
+     * exportBooks - Controller method for streaming an export of the catalog. Errors raised before the
+     * export starts are sent as JSON like any other response, an error while streaming ends the download.
+     *
+     * @param {Object} req - The request object containing the export format and filters in the query.
+     * @param {Object} res - The response object to stream the export or send the error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    exportBooks: asyncErrorHandlerService(async (req, res) => {
+        const requester = getRequesterId(req);
+        const result = await bookExportsService.exportBooks(
+            requester,
+            req.query
+        );
+
+        if (!result.success) {
+            result.route = req.originalUrl;
+
+            return res.status(result.status).send(result);
+        }
+
+        loggerService.info(
+            `Catalog exported by ${requester} at ${req.originalUrl}`
+        );
+
+        const { stream, contentType, fileName } = result.data;
+
+        res.status(result.status).type(contentType).attachment(fileName);
+
+        pipeline(stream, res, (error) => {
+            if (error) {
+                loggerService.error(
+                    `Failed to stream catalog export: ${error}`
+                );
+            }
+        });
+    }),
+};
+
+export default bookExportsController;
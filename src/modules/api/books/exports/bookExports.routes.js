@@ -0,0 +1,93 @@
+/**
+ * @fileoverview This file sets up the express router for exporting the catalog.
+ * It includes the route streaming the catalog as CSV, JSON Lines, MARC 21 or MARCXML, with middleware
+ * for authentication and validation. Methods that are not supported respond with a methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import bookExportsValidator from './bookExports.validator.js';
+import bookExportsController from './bookExports.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/exports:
+ *   get:
+ *     summary: Exports the catalog.
+ *     description: Streams every book, or the books matching the same filters as the list of books, as a file download. Each record holds the names of its contributors with their roles, publication and subjects. CSV exports use the columns of book imports, so they can be imported again. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, marc, marcxml]
+ *           default: csv
+ *         description: The format of the export, MARC 21 records being written as ISO 2709 by marc and as a MARCXML collection by marcxml.
+ *       - in: query
+ *         name: categories
+ *         schema:
+ *           type: string
+ *         description: Comma-separated IDs of subjects, only the books with one of them are exported.
+ *       - in: query
+ *         name: includeSubjectDescendants
+ *         schema:
+ *           type: boolean
+ *         description: Also export the books of the sub-subjects of the given subjects.
+ *       - in: query
+ *         name: writers
+ *         schema:
+ *           type: string
+ *         description: Comma-separated IDs of writers, only their books are exported.
+ *       - in: query
+ *         name: publications
+ *         schema:
+ *           type: string
+ *         description: Comma-separated IDs of publications, only their books are exported.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *         description: The order of the exported books.
+ *     responses:
+ *       200:
+ *         description: The export, as a file download.
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *           application/marc: {}
+ *           application/marcxml+xml: {}
+ *       400:
+ *         description: Invalid format or filters.
+ *     tags:
+ *       - Book Exports Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Exports Management
+ */
+router
+    .route('/')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookExports.permissions.export
+        ),
+        bookExportsValidator.exportBooks,
+        bookExportsController.exportBooks
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for exporting the catalog.
+ * An export accepts the same filters as the list of books, along with the format to export in,
+ * and always covers every matching book.
+ */
+
+import Joi from 'joi';
+
+import bookExportsConstants from './bookExports.constant.js';
+import booksSchema from '../books.schema.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+
+/**
+ * exportBooksQuerySchema - Joi schema for validating query parameters when exporting the catalog.
+ * Extends the query schema of the list of books with the export format, and without its page size, facets and
+ * collapsing of editions, as every edition is exported.
+ *
+ * @function
+ */
+const exportBooksQuerySchema = booksSchema.getBooksQuerySchema
+    .keys({
+        format: Joi.string()
+            .valid(...Object.values(bookExportsConstants.format))
+            .default(bookExportsConstants.format.CSV)
+            .messages(customValidationMessage)
+            .description('The format to export the catalog in.'),
+    })
+    .fork(['limit', 'facets', 'collapseEditions'], (field) => field.strip());
+
+/**
+ * bookExportsSchema - An object that holds the Joi validation schemas for exporting the catalog.
+ *
+ * @typedef {Object} BookExportsSchema
+ * @property {Object} exportBooksQuerySchema - Joi schema for validating query parameters when exporting the catalog.
+ */
+const bookExportsSchema = {
+    exportBooksQuerySchema,
+};
+
+export default bookExportsSchema;
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview This file defines and exports the service functions for exporting the catalog.
+ * The whole catalog, or the books matching the same filters as the list of books, is exported as CSV, JSON Lines,
+ * MARC 21 or MARCXML, with the names of the contributors, publication, series and subjects written into each
+ * record, so the export can be read without the rest of the database. The books are read from a database cursor
+ * and written as a stream, so catalogs of any size are exported without being held in memory.
+ */
+
+import { Readable } from 'stream';
+
+import bookExportsConstants from './bookExports.constant.js';
+import BooksModel from '../books.model.js';
+import booksService from '../books.service.js';
+import booksConstants from '../books.constant.js';
+import bookImportsConstants from '../imports/bookImports.constant.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import loggerService from '../../../../service/logger.service.js';
+import marcService from '../../../../service/marc.service.js';
+import AdminActivityLoggerModel from '../../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import errorResponse from '../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+const { format } = bookExportsConstants;
+const { contributorRoles } = booksConstants;
+
+/**
+ * The longest summary written in a single MARC field, in bytes. Longer summaries are split over repeated
+ * summary fields, as a MARC field cannot exceed 9999 bytes.
+ */
+const MARC_SUMMARY_BYTES = 9000;
+
+/**
+ * Helper function to turn a book into the record written to an export, with the names of its references.
+ *
+ * @param {Object} book - The book, with its contributors, publication, series and subjects populated.
+ * @returns {Object} - The export record.
+ */
+const toExportRecord = (book) => ({
+    id: book._id.toString(),
+    name: book.name,
+    contributors: (book.contributors ?? [])
+        .map((contributor) => ({
+            role: contributor.role,
+            name: (contributor.writer ?? contributor.translator)?.name,
+        }))
+        .filter((contributor) => contributor.name),
+    publication: book.publication?.name,
+    series: book.series?.name,
+    volume: book.series ? book.volume : undefined,
+    subjects: (book.subject ?? [])
+        .map((subject) => subject?.name)
+        .filter(Boolean),
+    page: book.page,
+    edition: book.edition,
+    summary: book.summary,
+    isbn13: book.isbn13,
+    isbn10: book.isbn10,
+    price: book.price,
+    bestSeller: book.bestSeller,
+    review: book.review,
+    stockAvailable: book.stockAvailable,
+    image: book.image?.shareableLink,
+    createdAt: book.createdAt?.toISOString(),
+    updatedAt: book.updatedAt?.toISOString(),
+});
+
+/**
+ * Helper function to write a value as a CSV cell, quoting it when it holds a separator, a quote or a line break.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The CSV cell.
+ */
+const toCsvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Helper function to write a record as a CSV line. The contributors and subjects are joined the way book imports
+ * split them, the author before the co-authors in the writer column, as imports take the first writer as author.
+ *
+ * @param {Object} record - The export record.
+ * @returns {string} - The CSV line.
+ */
+const toCsvLine = (record) => {
+    const separator = `${bookImportsConstants.nameSeparator} `;
+    const namesOf = (...roles) =>
+        record.contributors
+            .filter((contributor) => roles.includes(contributor.role))
+            .sort((a, b) => roles.indexOf(a.role) - roles.indexOf(b.role))
+            .map((contributor) => contributor.name)
+            .join(separator);
+
+    const values = {
+        ...record,
+        writer: namesOf(contributorRoles.AUTHOR, contributorRoles.CO_AUTHOR),
+        editor: namesOf(contributorRoles.EDITOR),
+        illustrator: namesOf(contributorRoles.ILLUSTRATOR),
+        translator: namesOf(contributorRoles.TRANSLATOR),
+        isbn: record.isbn13,
+        subjects: record.subjects.join(separator),
+    };
+
+    return `${bookExportsConstants.csvColumns.map((column) => toCsvCell(values[column])).join(',')}\r\n`;
+};
+
+/**
+ * Helper function to split a text into parts of at most the given number of bytes in UTF-8.
+ *
+ * @param {string} text - The text.
+ * @param {number} maxBytes - The largest size of a part, in bytes.
+ * @returns {Array<string>} - The parts of the text.
+ */
+const splitByBytes = (text, maxBytes) => {
+    const parts = [];
+    let part = '';
+
+    for (const character of text) {
+        if (Buffer.byteLength(part + character, 'utf-8') > maxBytes) {
+            parts.push(part);
+            part = '';
+        }
+
+        part += character;
+    }
+
+    if (part) parts.push(part);
+
+    return parts;
+};
+
+/**
+ * The relator terms written in the added entries of the contributors, co-authors being authors in MARC.
+ */
+const MARC_RELATOR_TERMS = {
+    [contributorRoles.AUTHOR]: 'author',
+    [contributorRoles.CO_AUTHOR]: 'author',
+    [contributorRoles.EDITOR]: 'editor',
+    [contributorRoles.ILLUSTRATOR]: 'illustrator',
+    [contributorRoles.TRANSLATOR]: 'translator',
+};
+
+/**
+ * Helper function to turn a record into a MARC 21 bibliographic record. The fields follow the usual cataloging
+ * of a monograph: the ISBNs and price in 020, the first author as main entry in 100, the name in 245, the
+ * edition in 250, the publication in 264, the pages in 300, the series and volume in 490, the summary in 520,
+ * the subjects in 650, the other contributors as added entries in 700 with their relator term, and the cover
+ * in 856. Names are written in the
+ * direct order the library keeps them in.
+ *
+ * @param {Object} record - The export record.
+ * @returns {Object} - The MARC record.
+ */
+const toMarcRecord = (record) => {
+    const updatedAt = record.updatedAt
+        ? `${record.updatedAt.replace(/[-:T]/g, '').slice(0, 14)}.0`
+        : undefined;
+    // Date entered on file, as YYMMDD, followed by the unused positions of the fixed-length data elements
+    const enteredOn = (record.createdAt ?? '')
+        .replace(/-/g, '')
+        .slice(2, 8)
+        .padEnd(6, ' ');
+
+    const dataField = (tag, ind1, ind2, subfields) => ({
+        tag,
+        ind1,
+        ind2,
+        subfields: subfields.filter(
+            ([, value]) => value !== undefined && value !== null && value !== ''
+        ),
+    });
+
+    const mainEntry = record.contributors.find(
+        (contributor) => contributor.role === contributorRoles.AUTHOR
+    );
+
+    const fields = [
+        { tag: '001', value: record.id },
+        updatedAt && { tag: '005', value: updatedAt },
+        { tag: '008', value: `${enteredOn}${' '.repeat(34)}` },
+        record.isbn13 &&
+            dataField('020', ' ', ' ', [
+                ['a', record.isbn13],
+                ['c', record.price],
+            ]),
+        record.isbn10 && dataField('020', ' ', ' ', [['a', record.isbn10]]),
+        !record.isbn13 &&
+            record.price !== undefined &&
+            dataField('020', ' ', ' ', [['c', record.price]]),
+        mainEntry &&
+            dataField('100', '0', ' ', [
+                ['a', mainEntry.name],
+                ['e', MARC_RELATOR_TERMS[mainEntry.role]],
+            ]),
+        dataField('245', mainEntry ? '1' : '0', '0', [['a', record.name]]),
+        record.edition && dataField('250', ' ', ' ', [['a', record.edition]]),
+        record.publication &&
+            dataField('264', ' ', '1', [['b', record.publication]]),
+        record.page &&
+            dataField('300', ' ', ' ', [['a', `${record.page} pages`]]),
+        record.series &&
+            dataField('490', '0', ' ', [
+                ['a', record.series],
+                ['v', record.volume],
+            ]),
+        ...splitByBytes(record.summary ?? '', MARC_SUMMARY_BYTES).map((part) =>
+            dataField('520', ' ', ' ', [['a', part]])
+        ),
+        ...record.subjects.map((subject) =>
+            dataField('650', ' ', '4', [['a', subject]])
+        ),
+        ...record.contributors
+            .filter((contributor) => contributor !== mainEntry)
+            .map((contributor) =>
+                dataField('700', '0', ' ', [
+                    ['a', contributor.name],
+                    ['e', MARC_RELATOR_TERMS[contributor.role]],
+                ])
+            ),
+        record.image &&
+            dataField('856', '4', '2', [
+                ['3', 'Cover image'],
+                ['u', record.image],
+            ]),
+    ];
+
+    return {
+        leader: marcService.DEFAULT_LEADER,
+        fields: fields.filter(Boolean),
+    };
+};
+
+/**
+ * The writers of each export format: the text written before the records, the way each record is written,
+ * and the text written after them.
+ */
+const writers = {
+    [format.CSV]: {
+        open: `${bookExportsConstants.csvColumns.join(',')}\r\n`,
+        write: toCsvLine,
+    },
+    [format.JSONL]: {
+        write: (record) => `${JSON.stringify(record)}\n`,
+    },
+    [format.MARC]: {
+        write: (record) => marcService.toIso2709(toMarcRecord(record)),
+    },
+    [format.MARCXML]: {
+        open: marcService.marcXmlCollection.open,
+        write: (record) =>
+            `${marcService.toMarcXmlRecord(toMarcRecord(record))}\n`,
+        close: marcService.marcXmlCollection.close,
+    },
+};
+
+/**
+ * Writes the books read from a cursor in an export format. A book that cannot be written is logged and
+ * left out, so it does not cut the rest of the export short.
+ *
+ * @async
+ * @generator
+ * @param {Object} cursor - The cursor over the books.
+ * @param {string} exportFormat - The export format.
+ * @yields {string|Buffer} - The parts of the export.
+ */
+async function* writeExport(cursor, exportFormat) {
+    const writer = writers[exportFormat];
+
+    if (writer.open) yield writer.open;
+
+    for await (const book of cursor) {
+        try {
+            yield writer.write(toExportRecord(book));
+        } catch (error) {
+            loggerService.error(
+                `Failed to export book ${book._id} as ${exportFormat}: ${error}`
+            );
+        }
+    }
+
+    if (writer.close) yield writer.close;
+}
+
+/**
+ * Exports the catalog, or the books matching the given filters, in the given format. The export is returned
+ * as a stream, to be sent to the requester as it is written.
+ *
+ * @param {string} requester - The ID of the admin exporting the catalog.
+ * @param {Object} params - The export format and the filters of the list of books.
+ * @returns {Promise<Object>} - A promise that resolves to the response object holding the stream, its content type and file name.
+ */
+const exportBooks = async (requester, params) => {
+    try {
+        const {
+            format: exportFormat = format.CSV,
+            sort = 'createdAt',
+            page, // Exports always cover every matching book
+            ...filters
+        } = params;
+
+        const query = await booksService.buildBookListQuery(filters);
+
+        const cursor = BooksModel.find(query)
+            .sort(sort)
+            .populate({ path: 'contributors.writer', select: 'name' })
+            .populate({ path: 'contributors.translator', select: 'name' })
+            .populate({ path: 'publication', select: 'name' })
+            .populate({ path: 'series', select: 'name' })
+            .populate({ path: 'subject', select: 'name' })
+            .lean()
+            .cursor();
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.FETCH,
+            description: `Catalog exported as ${exportFormat}.`,
+            details: JSON.stringify({ format: exportFormat, filters }),
+        });
+
+        const { contentType, extension } =
+            bookExportsConstants.files[exportFormat];
+
+        return sendResponse(
+            {
+                stream: Readable.from(writeExport(cursor, exportFormat)),
+                contentType,
+                fileName: `catalog-${new Date().toISOString().slice(0, 10)}.${extension}`,
+            },
+            'Catalog export started.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to export books: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to export books.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * bookExportsService - An object that holds the service functions for exporting the catalog.
+ *
+ * @typedef {Object} BookExportsService
+ * @property {Function} exportBooks - Exports the catalog, or the books matching the given filters, as a stream.
+ */
+const bookExportsService = {
+    exportBooks,
+};
+
+export default bookExportsService;
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for exporting the catalog.
+ * These middlewares validate the filters and the format of exports, ensuring that the incoming
+ * data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import bookExportsSchema from './bookExports.schema.js';
+
+/**
+ * exportBooks - Middleware for validating the query parameters of requests to export the catalog.
+ *
+ * @function
+ */
+const exportBooks = validateWithSchema([
+    {
+        schema: bookExportsSchema.exportBooksQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * bookExportsValidator - An object that holds the validation middleware for exporting the catalog.
+ *
+ * @typedef {Object} BookExportsValidator
+ * @property {Function} exportBooks - Middleware for validating the query parameters of requests to export the catalog.
+ */
+const bookExportsValidator = {
+    exportBooks,
+};
+
+export default bookExportsValidator;
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview This file defines and exports the constants used for managing the fines ledger.
+ * These constants include the length constraints of the remarks and the types of ledger entries.
+ */
+
+const lengths = {
+    REMARKS_MIN: 3,
+    REMARKS_MAX: 500,
+};
+
+/**
+ * type - The types of entries in the fines ledger. Charges, replacement fees of lost copies and positive
+ * adjustments increase the balance of a user, payments, waivers and negative adjustments decrease it.
+ */
+const type = {
+    CHARGE: 'charge',
+    REPLACEMENT: 'replacement',
+    PAYMENT: 'payment',
+    WAIVER: 'waiver',
+    ADJUSTMENT: 'adjustment',
+};
+
+/**
+ * bookFinesConstants - An object that holds constants for the fines ledger.
+ *
+ * @typedef {Object} BookFinesConstants
+ * @property {Object} lengths - An object defining the minimum and maximum lengths of the remarks.
+ * @property {Object} type - An object containing the allowed types of ledger entries.
+ */
+const bookFinesConstants = {
+    lengths,
+    type,
+};
+
+export default bookFinesConstants;
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview This file defines and exports the controller for the fines module.
+ * The controller includes methods for recording payments, waivers and adjustments and for retrieving
+ * the fines ledger. These methods utilize the shared controller functions to handle the core logic.
+ */
+
+import bookFinesService from './bookFines.service.js';
+import controller from '../../../../shared/controller.js';
+
+/**
+ * bookFinesController - Controller for handling fine operations.
+ *
+ * @typedef {Object} BookFinesController
+ * @property {Function} createFinePayment - Controller method for recording a payment.
+ * @property {Function} createFineWaiver - Controller method for waiving fines.
+ * @property {Function} createFineAdjustment - Controller method for adjusting a balance.
+ * @property {Function} getFineList - Controller method for retrieving the fines ledger.
+ */
+const bookFinesController = {
+    /**
+     * createFinePayment - Controller method for recording a payment.
+     *
+     * @function
+     */
+    createFinePayment: controller.create(bookFinesService, 'createFinePayment'),
+
+    /**
+     * createFineWaiver - Controller method for waiving fines.
+     *
+     * @function
+     */
+    createFineWaiver: controller.create(bookFinesService, 'createFineWaiver'),
+
+    /**
+     * createFineAdjustment - Controller method for adjusting a balance.
+     *
+     * @function
+     */
+    createFineAdjustment: controller.create(
+        bookFinesService,
+        'createFineAdjustment'
+    ),
+
+    /**
+     * getFineList - Controller method for retrieving the fines ledger.
+     *
+     * @function
+     */
+    getFineList: controller.getList(bookFinesService, 'getFineList'),
+};
+
+export default bookFinesController;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for the fines ledger.
+ * Each document is a single entry in the ledger of a user. The amount is signed, so the balance of a
+ * user is the sum of the amounts of all their entries.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import bookFinesConstants from './bookFines.constant.js';
+import sharedSchema from '../../../../shared/schema.js';
+
+/**
+ * bookFineSchema - Mongoose schema for storing the entries of the fines ledger.
+ *
+ * @typedef {Object} bookFineSchema
+ * @property {Schema.Types.ObjectId} user - Reference to the user the entry belongs to, required.
+ * @property {String} type - The type of the entry, required.
+ * @property {Number} amount - The signed amount of the entry, positive when it increases the balance, required.
+ * @property {Schema.Types.ObjectId} book - Reference to the book of the loan, for charges and replacement fees.
+ * @property {Schema.Types.ObjectId} copy - Reference to the copy of the loan, for charges and replacement fees.
+ * @property {Schema.Types.ObjectId} loan - The ID of the loan entry, for charges and replacement fees.
+ * @property {String} remarks - Optional remarks about the entry.
+ * @property {Object} createdBy - Reference to the admin who recorded the entry, empty for system charges.
+ * @property {Date} createdAt - Timestamp for when the entry was recorded.
+ * @property {Date} updatedAt - Timestamp for when the entry was last updated.
+ */
+const bookFineSchema = new mongoose.Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'Users',
+            required: [true, 'Please specify the user of the fine.'],
+            description: 'The database ID of the user the entry belongs to.',
+        },
+        type: {
+            type: String,
+            enum: Object.values(bookFinesConstants.type),
+            required: [true, 'Please specify the type of the entry.'],
+            description: 'The type of the ledger entry.',
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Please specify the amount of the entry.'],
+            description:
+                'The signed amount of the entry, positive when it increases the balance of the user.',
+        },
+        book: {
+            type: Schema.Types.ObjectId,
+            ref: 'Books',
+            description: 'The database ID of the book of the overdue loan.',
+        },
+        copy: {
+            type: Schema.Types.ObjectId,
+            ref: 'BookCopies',
+            description: 'The database ID of the copy of the overdue loan.',
+        },
+        loan: {
+            type: Schema.Types.ObjectId,
+            description: 'The database ID of the overdue loan entry.',
+        },
+        remarks: {
+            type: String,
+            trim: true,
+            default: '',
+            maxlength: [
+                bookFinesConstants.lengths.REMARKS_MAX,
+                `The remarks should not be longer than ${bookFinesConstants.lengths.REMARKS_MAX} characters.`,
+            ],
+            description: 'Additional remarks about the entry.',
+        },
+        createdBy: sharedSchema.createdByAdminSchema,
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing the entries of the fines ledger with automatic timestamping for creation and updates.',
+    }
+);
+
+// The balance and the ledger of a user are always looked up by user
+bookFineSchema.index({ user: 1, createdAt: -1 });
+
+const BookFinesModel = mongoose.model('BookFines', bookFineSchema);
+
+export default BookFinesModel;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview This file sets up the express router for fine endpoints.
+ * It includes routes for retrieving the fines ledger and for recording payments, waivers and adjustments,
+ * with middleware for authentication and validation. Routes that are not supported respond with a
+ * methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import bookFinesValidator from './bookFines.validator.js';
+import bookFinesController from './bookFines.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/fines:
+ *   get:
+ *     summary: Retrieves the fines ledger.
+ *     description: Fetches the entries of the fines ledger filtered by user, type and book. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only return the entries of this user.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [charge, replacement, payment, waiver, adjustment]
+ *         description: Only return the entries of this type.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the fines ledger.
+ *       404:
+ *         description: No fines found.
+ *     tags:
+ *       - Fines Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Fines Management
+ */
+router
+    .route('/')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookFines.permissions.getList
+        ),
+        bookFinesValidator.getFineList,
+        bookFinesController.getFineList
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/fines/payments:
+ *   post:
+ *     summary: Records a payment of fines.
+ *     description: Records a payment that reduces the outstanding fine balance of a user. The payment cannot exceed the balance. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: ID of the user paying the fines.
+ *               amount:
+ *                 type: number
+ *                 description: The amount paid.
+ *               remarks:
+ *                 type: string
+ *                 description: Additional remarks about the payment.
+ *     responses:
+ *       201:
+ *         description: Fine payment recorded successfully, the response includes the new balance.
+ *       400:
+ *         description: The payment exceeds the outstanding balance.
+ *       404:
+ *         description: No user found with the provided ID.
+ *       409:
+ *         description: The user has no outstanding fines.
+ *     tags:
+ *       - Fines Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Fines Management
+ */
+router
+    .route('/payments')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookFines.permissions.createPayment
+        ),
+        bookFinesValidator.createFinePayment,
+        bookFinesController.createFinePayment
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/fines/waivers:
+ *   post:
+ *     summary: Waives fines.
+ *     description: Waives an amount of the outstanding fine balance of a user, or the whole balance when no amount is given. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: ID of the user whose fines are waived.
+ *               amount:
+ *                 type: number
+ *                 description: The amount waived, the whole balance when omitted.
+ *               remarks:
+ *                 type: string
+ *                 description: The reason of the waiver.
+ *     responses:
+ *       201:
+ *         description: Fine waiver recorded successfully, the response includes the new balance.
+ *       400:
+ *         description: The waiver exceeds the outstanding balance.
+ *       404:
+ *         description: No user found with the provided ID.
+ *       409:
+ *         description: The user has no outstanding fines.
+ *     tags:
+ *       - Fines Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Fines Management
+ */
+router
+    .route('/waivers')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookFines.permissions.createWaiver
+        ),
+        bookFinesValidator.createFineWaiver,
+        bookFinesController.createFineWaiver
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/fines/adjustments:
+ *   post:
+ *     summary: Adjusts a fine balance.
+ *     description: Records a manual correction of the fine balance of a user, positive to charge and negative to credit. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: ID of the user whose balance is adjusted.
+ *               amount:
+ *                 type: number
+ *                 description: The signed amount of the adjustment.
+ *               remarks:
+ *                 type: string
+ *                 description: The reason of the adjustment.
+ *     responses:
+ *       201:
+ *         description: Fine adjustment recorded successfully, the response includes the new balance.
+ *       404:
+ *         description: No user found with the provided ID.
+ *     tags:
+ *       - Fines Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Fines Management
+ */
+router
+    .route('/adjustments')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookFines.permissions.createAdjustment
+        ),
+        bookFinesValidator.createFineAdjustment,
+        bookFinesController.createFineAdjustment
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for managing fines.
+ * These schemas are used to validate the input data for the fines endpoints, including recording
+ * payments, waivers and adjustments, and querying the fines ledger.
+ */
+
+import Joi from 'joi';
+
+import bookFinesConstants from './bookFines.constant.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+import validationService from '../../../../service/validation.service.js';
+
+/**
+ * bookFineSchemaBase - Base Joi schema for validating common fields used in fine operations.
+ * Ensures that fields such as user, amount, remarks, type, book, page, limit, sort, createdBy, createdAt,
+ * and updatedAt meet the specified criteria.
+ */
+const bookFineSchemaBase = Joi.object({
+    user: validationService.objectIdField.description(
+        'The user ID of the ledger. ID must be a valid MongoDB ObjectId.'
+    ),
+    amount: Joi.number()
+        .positive()
+        .messages(customValidationMessage)
+        .description('The amount of the entry.'),
+    remarks: validationService
+        .createStringField(
+            bookFinesConstants.lengths.REMARKS_MIN,
+            bookFinesConstants.lengths.REMARKS_MAX
+        )
+        .description('Additional remarks about the entry.'),
+    type: Joi.string()
+        .valid(...Object.values(bookFinesConstants.type))
+        .messages(customValidationMessage)
+        .description('The type of the ledger entry.'),
+    book: validationService.objectIdField,
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('-createdAt'),
+    createdBy: validationService.objectIdField,
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * createFinePaymentSchema - Joi schema for validating the data to record a payment.
+ * Ensures that the user and amount fields are required.
+ *
+ * @function
+ */
+const createFinePaymentSchema = bookFineSchemaBase.fork(
+    ['user', 'amount'],
+    (field) => field.required()
+);
+
+/**
+ * createFineWaiverSchema - Joi schema for validating the data to waive fines.
+ * Ensures that the user and remarks fields are required, the whole balance is waived when no amount is given.
+ *
+ * @function
+ */
+const createFineWaiverSchema = bookFineSchemaBase.fork(
+    ['user', 'remarks'],
+    (field) => field.required()
+);
+
+/**
+ * createFineAdjustmentSchema - Joi schema for validating the data to adjust a balance.
+ * Ensures that the user, a non-zero signed amount and the remarks are provided.
+ *
+ * @function
+ */
+const createFineAdjustmentSchema = bookFineSchemaBase
+    .keys({
+        amount: Joi.number()
+            .invalid(0)
+            .messages(customValidationMessage)
+            .description(
+                'The signed amount of the adjustment, positive to charge and negative to credit.'
+            ),
+    })
+    .fork(['user', 'amount', 'remarks'], (field) => field.required());
+
+/**
+ * getFinesQuerySchema - Joi schema for validating query parameters when retrieving the fines ledger.
+ *
+ * @function
+ */
+const getFinesQuerySchema = bookFineSchemaBase.fork(
+    [
+        'user',
+        'type',
+        'book',
+        'page',
+        'limit',
+        'sort',
+        'createdBy',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * bookFinesSchema - An object that holds various Joi validation schemas for fine operations.
+ *
+ * @typedef {Object} BookFinesSchema
+ * @property {Object} createFinePaymentSchema - Joi schema for validating the data to record a payment.
+ * @property {Object} createFineWaiverSchema - Joi schema for validating the data to waive fines.
+ * @property {Object} createFineAdjustmentSchema - Joi schema for validating the data to adjust a balance.
+ * @property {Object} getFinesQuerySchema - Joi schema for validating query parameters when retrieving the fines ledger.
+ */
+const bookFinesSchema = {
+    createFinePaymentSchema,
+    createFineWaiverSchema,
+    createFineAdjustmentSchema,
+    getFinesQuerySchema,
+};
+
+export default bookFinesSchema;
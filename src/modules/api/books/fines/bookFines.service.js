@@ -0,0 +1,423 @@
+/**
+ * @fileoverview This file defines and exports the service functions for managing fines.
+ * Overdue loans are scanned periodically and charged at the daily rate of the circulation policy of the
+ * user, within the configured grace period and maximum, and each charge is recorded in the fines ledger
+ * of the user. Admins record the payments, waivers and adjustments
+ * that settle the balance of a user, which is the sum of all the entries in their ledger.
+ */
+
+import mongoose from 'mongoose';
+
+import BookFinesModel from './bookFines.model.js';
+import bookFinesConstants from './bookFines.constant.js';
+import LendBooksModel from '../lend/lendBooks.model.js';
+import UsersModel from '../../users/users.model.js';
+import circulationPoliciesService from '../../circulationPolicies/circulationPolicies.service.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import configuration from '../../../../configuration/configuration.js';
+import loggerService from '../../../../service/logger.service.js';
+import service from '../../../../shared/service.js';
+import AdminActivityLoggerModel from '../../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import calculateOverdueFine from '../../../../utilities/calculateOverdueFine.js';
+import errorResponse from '../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+/**
+ * Helper function to populate fine fields with related data.
+ *
+ * @param {Object} query - Mongoose query object.
+ * @returns {Promise<Object>} - Populated query result.
+ */
+const populateBookFineFields = async (query) => {
+    return await query
+        .populate({
+            path: 'user',
+            select: 'name emails',
+        })
+        .populate({
+            path: 'book',
+            select: 'name edition image',
+        })
+        .populate({
+            path: 'copy',
+            select: 'accessionNumber barcode',
+        });
+};
+
+/**
+ * Calculates the outstanding fine balance of a user from their ledger, rounded to cents.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [session] - The Mongoose session of a running transaction to read the ledger in.
+ * @returns {Promise<number>} - The outstanding balance, positive when the user owes fines.
+ */
+const getFineBalance = async (userId, session = null) => {
+    const [ledger] = await BookFinesModel.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: null, balance: { $sum: '$amount' } } },
+    ]).session(session);
+
+    return Math.round((ledger?.balance ?? 0) * 100) / 100;
+};
+
+/**
+ * Flags a loan as overdue and charges the part of its fine that has not been charged yet, at the daily rate
+ * of the circulation policy of the user. The lend record must have been read inside the transaction of the
+ * given session, so concurrent scans cannot charge the same days twice.
+ *
+ * @param {Object} lendRecord - The lend record of the user, read with the session.
+ * @param {Object} loan - The loan entry of the lend record to check.
+ * @param {Object} session - The Mongoose session of the running transaction.
+ * @param {Object} [policy] - The circulation policy of the user, looked up when not given.
+ * @returns {Promise<number>} - The amount charged, `0` if nothing new was owed.
+ */
+const accrueLoanFine = async (lendRecord, loan, session, policy) => {
+    const now = new Date();
+    if (loan.to >= now) return 0;
+
+    const { fineRatePerDay } =
+        policy ||
+        (await circulationPoliciesService.getApplicablePolicy(
+            lendRecord.lender
+        ));
+    const totalFine = calculateOverdueFine(loan.to, now, {
+        ...configuration.fine,
+        ratePerDay: fineRatePerDay,
+    });
+    const charge =
+        Math.round((totalFine - (loan.fineAccrued || 0)) * 100) / 100;
+    if (loan.isOverdue && charge <= 0) return 0;
+
+    await LendBooksModel.updateOne(
+        { _id: lendRecord._id, 'books._id': loan._id },
+        {
+            $set: {
+                'books.$.isOverdue': true,
+                'books.$.fineAccrued': Math.max(
+                    totalFine,
+                    loan.fineAccrued || 0
+                ),
+            },
+        },
+        { session }
+    );
+
+    if (charge <= 0) return 0;
+
+    await BookFinesModel.create(
+        [
+            {
+                user: lendRecord.lender,
+                type: bookFinesConstants.type.CHARGE,
+                amount: charge,
+                book: loan.id,
+                copy: loan.copy,
+                loan: loan._id,
+                remarks: `Overdue fine for the loan due on ${loan.to.toDateString()}.`,
+            },
+        ],
+        { session }
+    );
+
+    return charge;
+};
+
+/**
+ * Charges the replacement fee of a copy declared lost during a loan to the ledger of its user.
+ * Must be called inside the transaction that closes the loan.
+ *
+ * @param {string} requester - The ID of the admin declaring the copy lost.
+ * @param {string} userId - The ID of the user the copy was lent to.
+ * @param {Object} loan - The loan entry of the lost copy.
+ * @param {number} amount - The replacement fee, the price of the book.
+ * @param {Object} session - The Mongoose session of the running transaction.
+ * @returns {Promise<number>} - The amount charged, `0` if the book has no price.
+ */
+const chargeReplacementFee = async (
+    requester,
+    userId,
+    loan,
+    amount,
+    session
+) => {
+    if (!(amount > 0)) return 0;
+
+    await BookFinesModel.create(
+        [
+            {
+                user: userId,
+                type: bookFinesConstants.type.REPLACEMENT,
+                amount,
+                book: loan.id,
+                copy: loan.copy,
+                loan: loan._id,
+                remarks: 'Replacement fee of a copy declared lost.',
+                createdBy: requester,
+            },
+        ],
+        { session }
+    );
+
+    return amount;
+};
+
+/**
+ * Scans the lend records for overdue loans, flags them and charges the fines owed since the last scan.
+ * Each lend record is processed in its own transaction, so a failure only affects that one.
+ * This function is run periodically by the scheduler.
+ *
+ * @returns {Promise<number>} - The total amount charged by the scan.
+ */
+const scanOverdueLoans = async () => {
+    const lendRecordIds = await LendBooksModel.distinct('_id', {
+        'books.to': { $lt: new Date() },
+    });
+
+    let totalCharged = 0;
+
+    for (const lendRecordId of lendRecordIds) {
+        const session = await mongoose.startSession();
+
+        try {
+            session.startTransaction();
+
+            const lendRecord =
+                await LendBooksModel.findById(lendRecordId).session(session);
+            const policy =
+                lendRecord &&
+                (await circulationPoliciesService.getApplicablePolicy(
+                    lendRecord.lender
+                ));
+
+            let charged = 0;
+            for (const loan of lendRecord?.books ?? []) {
+                charged += await accrueLoanFine(
+                    lendRecord,
+                    loan,
+                    session,
+                    policy
+                );
+            }
+
+            await session.commitTransaction();
+
+            totalCharged += charged;
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction();
+            }
+
+            loggerService.error(
+                `Failed to scan lend record ${lendRecordId} for overdue loans: ${error}`
+            );
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    if (totalCharged) {
+        loggerService.info(
+            `Overdue scan charged ${totalCharged} in fines over ${lendRecordIds.length} lend record(s).`
+        );
+    }
+
+    return totalCharged;
+};
+
+/**
+ * Records an admin entry in the fines ledger of a user. Payments and waivers cannot exceed the outstanding
+ * balance, a waiver without an amount waives the whole balance. The balance is checked and the entry recorded
+ * in a single transaction.
+ *
+ * @param {string} requester - The ID of the admin recording the entry.
+ * @param {string} type - The type of the entry.
+ * @param {Object} fineData - The data of the entry, holding the user, amount and remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createLedgerEntry = async (requester, type, fineData) => {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        // Step 1: Touch the user, so concurrent entries for the same user conflict instead of reading the same balance
+        const userUpdate = await UsersModel.updateOne(
+            { _id: fineData.user },
+            { $set: { updatedAt: new Date() } },
+            { session }
+        );
+        if (!userUpdate.matchedCount) {
+            await session.abortTransaction();
+
+            return errorResponse(
+                'No user found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        // Step 2: Check the entry against the outstanding balance
+        const balance = await getFineBalance(fineData.user, session);
+        let amount = fineData.amount;
+
+        if (type !== bookFinesConstants.type.ADJUSTMENT) {
+            if (balance <= 0) {
+                await session.abortTransaction();
+
+                return errorResponse(
+                    'This user has no outstanding fines.',
+                    httpStatus.CONFLICT
+                );
+            }
+
+            amount = amount ?? balance;
+            if (amount > balance) {
+                await session.abortTransaction();
+
+                return errorResponse(
+                    `The ${type} cannot exceed the outstanding balance of ${balance}.`,
+                    httpStatus.BAD_REQUEST
+                );
+            }
+
+            // Payments and waivers settle the balance
+            amount = -amount;
+        }
+
+        // Step 3: Record the entry
+        const [newEntry] = await BookFinesModel.create(
+            [
+                {
+                    user: fineData.user,
+                    type,
+                    amount,
+                    remarks: fineData.remarks || '',
+                    createdBy: requester,
+                },
+            ],
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        const newEntryDetails = await populateBookFineFields(
+            BookFinesModel.findById(newEntry._id)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.CREATE,
+            description: `Fine ${type} of ${Math.abs(amount)} recorded for user ${fineData.user}.`,
+            details: JSON.stringify(newEntryDetails),
+            affectedId: newEntry._id,
+        });
+
+        return sendResponse(
+            { entry: newEntryDetails, balance: balance + amount },
+            `Fine ${type} recorded successfully.`,
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to record fine ${type}: ${error}`);
+
+        return errorResponse(
+            error.message || `Failed to record fine ${type}.`,
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Records a payment of the fines of a user.
+ *
+ * @param {string} requester - The ID of the admin recording the payment.
+ * @param {Object} paymentData - The data of the payment, holding the user, amount and remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createFinePayment = async (requester, paymentData) => {
+    return createLedgerEntry(
+        requester,
+        bookFinesConstants.type.PAYMENT,
+        paymentData
+    );
+};
+
+/**
+ * Waives the fines of a user, either a given amount or the whole outstanding balance.
+ *
+ * @param {string} requester - The ID of the admin waiving the fines.
+ * @param {Object} waiverData - The data of the waiver, holding the user, optional amount and remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createFineWaiver = async (requester, waiverData) => {
+    return createLedgerEntry(
+        requester,
+        bookFinesConstants.type.WAIVER,
+        waiverData
+    );
+};
+
+/**
+ * Records a manual adjustment of the balance of a user, positive to charge and negative to credit.
+ *
+ * @param {string} requester - The ID of the admin recording the adjustment.
+ * @param {Object} adjustmentData - The data of the adjustment, holding the user, signed amount and remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createFineAdjustment = async (requester, adjustmentData) => {
+    return createLedgerEntry(
+        requester,
+        bookFinesConstants.type.ADJUSTMENT,
+        adjustmentData
+    );
+};
+
+/**
+ * Retrieves a list of fines ledger entries based on query parameters.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - Query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of entries.
+ */
+const getFineList = async (requester, params) => {
+    return service.getResourceList(
+        BookFinesModel,
+        populateBookFineFields,
+        params,
+        {},
+        'fines'
+    );
+};
+
+/**
+ * bookFinesService - An object that holds the service functions for managing fines.
+ *
+ * @typedef {Object} BookFinesService
+ * @property {Function} getFineBalance - Calculates the outstanding fine balance of a user.
+ * @property {Function} accrueLoanFine - Flags a loan as overdue and charges the fine owed for it.
+ * @property {Function} chargeReplacementFee - Charges the replacement fee of a copy declared lost.
+ * @property {Function} scanOverdueLoans - Scans the lend records for overdue loans and charges their fines.
+ * @property {Function} createFinePayment - Records a payment of the fines of a user.
+ * @property {Function} createFineWaiver - Waives the fines of a user.
+ * @property {Function} createFineAdjustment - Records a manual adjustment of the balance of a user.
+ * @property {Function} getFineList - Retrieves a list of fines ledger entries.
+ */
+const bookFinesService = {
+    getFineBalance,
+    accrueLoanFine,
+    chargeReplacementFee,
+    scanOverdueLoans,
+    createFinePayment,
+    createFineWaiver,
+    createFineAdjustment,
+    getFineList,
+};
+
+export default bookFinesService;
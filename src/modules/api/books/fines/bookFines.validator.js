@@ -0,0 +1,62 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for fine operations.
+ * These middlewares validate the input data for recording payments, waivers and adjustments and for
+ * retrieving the fines ledger, ensuring that the incoming data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import bookFinesSchema from './bookFines.schema.js';
+
+/**
+ * createFinePayment - Middleware for validating the body of requests to record a payment.
+ *
+ * @function
+ */
+const createFinePayment = validateWithSchema([
+    { schema: bookFinesSchema.createFinePaymentSchema, property: 'body' },
+]);
+
+/**
+ * createFineWaiver - Middleware for validating the body of requests to waive fines.
+ *
+ * @function
+ */
+const createFineWaiver = validateWithSchema([
+    { schema: bookFinesSchema.createFineWaiverSchema, property: 'body' },
+]);
+
+/**
+ * createFineAdjustment - Middleware for validating the body of requests to adjust a balance.
+ *
+ * @function
+ */
+const createFineAdjustment = validateWithSchema([
+    { schema: bookFinesSchema.createFineAdjustmentSchema, property: 'body' },
+]);
+
+/**
+ * getFineList - Middleware for validating the query parameters of requests to retrieve the fines ledger.
+ *
+ * @function
+ */
+const getFineList = validateWithSchema([
+    { schema: bookFinesSchema.getFinesQuerySchema, property: 'query' },
+]);
+
+/**
+ * bookFinesValidator - An object that holds Joi validation middleware for fine operations.
+ *
+ * @typedef {Object} BookFinesValidator
+ * @property {Function} createFinePayment - Middleware for validating the body of requests to record a payment.
+ * @property {Function} createFineWaiver - Middleware for validating the body of requests to waive fines.
+ * @property {Function} createFineAdjustment - Middleware for validating the body of requests to adjust a balance.
+ * @property {Function} getFineList - Middleware for validating the query parameters of requests to retrieve the fines ledger.
+ */
+const bookFinesValidator = {
+    createFinePayment,
+    createFineWaiver,
+    createFineAdjustment,
+    getFineList,
+};
+
+export default bookFinesValidator;
@@ -6,6 +6,8 @@
 
 import mongoose, { Schema } from 'mongoose';
 
+import returnBooksConstants from '../return/returnBooks.constant.js';
+
 /**
  * booksHistorySchema - Mongoose schema for storing the history of books.
  * Utilizes the booksHistorySchema to define the structure of the documents in the 'BooksHistory' collection.
@@ -14,13 +16,25 @@ import mongoose, { Schema } from 'mongoose';
  * @property {Schema.Types.ObjectId} book - Reference to the book.
  * @property {Array<Object>} lend - Array of lending records.
  * @property {Schema.Types.ObjectId} lend.user - Reference to the user who borrowed the book.
+ * @property {Schema.Types.ObjectId} lend.copy - Reference to the copy of the book that was lent.
  * @property {Date} lend.from - Start date of the lending period.
  * @property {Date} lend.to - End date of the lending period.
  * @property {String} lend.remarks - Optional remarks about the lending.
  * @property {Array<Object>} return - Array of return records.
  * @property {Schema.Types.ObjectId} return.user - Reference to the user who returned the book.
+ * @property {Schema.Types.ObjectId} return.copy - Reference to the copy of the book that was returned.
  * @property {Date} return.date - Date the book was returned.
  * @property {String} return.remarks - Optional remarks about the return.
+ * @property {String} return.outcome - The outcome of the return, good, damaged or lost.
+ * @property {String} return.severity - The severity of the damage, for damaged returns.
+ * @property {Number} return.replacementFee - The replacement fee charged, for lost copies.
+ * @property {Array<Object>} renew - Array of renewal records.
+ * @property {Schema.Types.ObjectId} renew.user - Reference to the user whose loan was renewed.
+ * @property {Schema.Types.ObjectId} renew.copy - Reference to the copy of the book that was renewed.
+ * @property {Date} renew.date - Date the loan was renewed.
+ * @property {Date} renew.previousTo - End date of the lending period before the renewal.
+ * @property {Date} renew.to - End date of the lending period after the renewal.
+ * @property {String} renew.remarks - Optional remarks about the renewal.
  */
 const booksHistorySchema = new mongoose.Schema(
     {
@@ -39,6 +53,12 @@ const booksHistorySchema = new mongoose.Schema(
                     required: [true, 'User reference for lending is required.'],
                     description: 'Reference to the user who has lent the book.',
                 },
+                copy: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'BookCopies',
+                    description:
+                        'Reference to the copy of the book that was lent.',
+                },
                 from: {
                     type: Date,
                     required: [true, 'Lending start date is required.'],
@@ -69,6 +89,12 @@ const booksHistorySchema = new mongoose.Schema(
                     ],
                     description: 'Reference to the user who returned the book.',
                 },
+                copy: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'BookCopies',
+                    description:
+                        'Reference to the copy of the book that was returned.',
+                },
                 date: {
                     type: Date,
                     required: [true, 'Return date is required.'],
@@ -82,6 +108,66 @@ const booksHistorySchema = new mongoose.Schema(
                     description:
                         'Additional comments or remarks about the return process.',
                 },
+                outcome: {
+                    type: String,
+                    enum: Object.values(returnBooksConstants.outcome),
+                    default: returnBooksConstants.outcome.RETURNED_GOOD,
+                    description:
+                        'The outcome of the return, whether the copy came back in good condition, damaged or was declared lost.',
+                },
+                severity: {
+                    type: String,
+                    enum: Object.values(returnBooksConstants.damageSeverity),
+                    description:
+                        'The severity of the damage of a copy returned damaged.',
+                },
+                replacementFee: {
+                    type: Number,
+                    default: 0,
+                    description:
+                        'The replacement fee charged for a copy declared lost.',
+                },
+            },
+        ],
+        renew: [
+            {
+                user: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Users',
+                    required: [
+                        true,
+                        'User reference for renewing is required.',
+                    ],
+                    description:
+                        'Reference to the user whose loan was renewed.',
+                },
+                copy: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'BookCopies',
+                    description:
+                        'Reference to the copy of the book that was renewed.',
+                },
+                date: {
+                    type: Date,
+                    required: [true, 'Renewal date is required.'],
+                    description: 'The date when the loan was renewed.',
+                },
+                previousTo: {
+                    type: Date,
+                    required: [true, 'Previous end date is required.'],
+                    description: 'The expected return date before the renewal.',
+                },
+                to: {
+                    type: Date,
+                    required: [true, 'Renewed end date is required.'],
+                    description: 'The expected return date after the renewal.',
+                },
+                remarks: {
+                    type: String,
+                    default: '',
+                    description:
+                        'Additional comments or remarks about the renewal.',
+                },
             },
         ],
     },
@@ -89,7 +175,7 @@ const booksHistorySchema = new mongoose.Schema(
         timestamps: true,
         versionKey: false,
         description:
-            'Schema for managing the history of books lent and returned by users, including timestamps for automatic tracking of creation and updates. Each record tracks the book, lending details, and return details, allowing for comprehensive management of book circulation in a library system.',
+            'Schema for managing the history of books lent, renewed and returned by users, including timestamps for automatic tracking of creation and updates. Each record tracks the book, lending details, and return details, allowing for comprehensive management of book circulation in a library system.',
     }
 );
 
@@ -66,10 +66,15 @@ const getBooksHistory = async (params) => {
                 select: '-createdBy -updatedBy',
                 populate: [
                     {
-                        path: 'writer',
+                        path: 'contributors.writer',
                         model: 'Writers',
                         select: '-createdBy -updatedBy',
                     },
+                    {
+                        path: 'contributors.translator',
+                        model: 'Translators',
+                        select: '-createdBy -updatedBy',
+                    },
                     {
                         path: 'subject',
                         model: 'Subjects',
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview This file defines and exports the constants used for importing books in bulk.
+ * These constants include the accepted file formats, the lifecycle states of an import, the columns
+ * recognised in tabular files and the limits that decide how an import is run.
+ */
+
+/**
+ * format - The file formats books can be imported from, with their MIME types and file extensions. CSV and
+ * XLSX files hold one book per row, `marc` files hold ISO 2709 binary MARC 21 records and `marcxml` files a
+ * MARCXML collection.
+ */
+const format = {
+    CSV: 'csv',
+    XLSX: 'xlsx',
+    MARC: 'marc',
+    MARCXML: 'marcxml',
+};
+
+const mimeTypes = {
+    [format.CSV]: ['text/csv', 'application/vnd.ms-excel'],
+    [format.XLSX]: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+    [format.MARC]: ['application/marc'],
+    [format.MARCXML]: [
+        'application/marcxml+xml',
+        'application/xml',
+        'text/xml',
+    ],
+};
+
+const extensions = {
+    [format.CSV]: ['csv'],
+    [format.XLSX]: ['xlsx'],
+    [format.MARC]: ['mrc', 'marc'],
+    [format.MARCXML]: ['xml', 'marcxml'],
+};
+
+/**
+ * tabularFormats - The formats whose first row holds the column headers.
+ */
+const tabularFormats = [format.CSV, format.XLSX];
+
+/**
+ * status - The lifecycle states of an import. An import is `QUEUED` until it starts, `PROCESSING` while its
+ * rows are imported, and `COMPLETED` once every row has been handled, even when some of them failed. An import
+ * is `FAILED` only when it could not run to the end.
+ */
+const status = {
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+};
+
+/**
+ * columns - The columns recognised in the header row of a tabular file, mapped to the fields of a book.
+ * Headers are matched ignoring case and spaces, and unknown columns are ignored. The contributors, publication
+ * and subjects are given by name, several contributors or subjects separated by `nameSeparator`. The first
+ * writer of a row is its author and the others its co-authors.
+ */
+const columns = {
+    name: 'name',
+    writer: 'writer',
+    writers: 'writer',
+    editor: 'editor',
+    editors: 'editor',
+    illustrator: 'illustrator',
+    illustrators: 'illustrator',
+    translator: 'translator',
+    translators: 'translator',
+    publication: 'publication',
+    subjects: 'subjects',
+    page: 'page',
+    pages: 'page',
+    edition: 'edition',
+    summary: 'summary',
+    isbn: 'isbn',
+    price: 'price',
+    bestseller: 'bestSeller',
+    review: 'review',
+    image: 'image',
+};
+
+/**
+ * requiredColumns - The fields every tabular file must have a column for, unless the import gives a
+ * default value for them.
+ */
+const requiredColumns = [
+    'name',
+    'writer',
+    'publication',
+    'subjects',
+    'page',
+    'edition',
+    'summary',
+    'price',
+];
+
+/**
+ * listColumns - The fields whose cells hold several names, separated by `nameSeparator`.
+ */
+const listColumns = [
+    'writer',
+    'editor',
+    'illustrator',
+    'translator',
+    'subjects',
+];
+
+const nameSeparator = ';';
+
+/**
+ * limits - The limits of an import. Files with more rows than `BACKGROUND_ROWS` are imported as a background
+ * job whose progress is saved every `PROGRESS_INTERVAL_ROWS` rows.
+ */
+const limits = {
+    FILE_SIZE: 10 * 1024 * 1024, // 10 MB
+    MAX_ROWS: 10000,
+    BACKGROUND_ROWS: 100,
+    PROGRESS_INTERVAL_ROWS: 50,
+};
+
+/**
+ * bookImportsConstants - An object that holds constants for importing books in bulk.
+ *
+ * @typedef {Object} BookImportsConstants
+ * @property {Object} format - An object containing the accepted file formats.
+ * @property {Object} mimeTypes - An object mapping each file format to its accepted MIME types.
+ * @property {Object} extensions - An object mapping each file format to its accepted file extensions.
+ * @property {Array<string>} tabularFormats - An array of the formats whose first row holds the column headers.
+ * @property {Object} status - An object containing the lifecycle states of an import.
+ * @property {Object} columns - An object mapping the recognised column headers to the fields of a book.
+ * @property {Array<string>} requiredColumns - An array of the fields every tabular file must have a column for.
+ * @property {Array<string>} listColumns - An array of the fields whose cells hold several names.
+ * @property {string} nameSeparator - The separator of several names in a single cell.
+ * @property {Object} limits - An object defining the limits of an import.
+ */
+const bookImportsConstants = {
+    format,
+    mimeTypes,
+    extensions,
+    tabularFormats,
+    status,
+    columns,
+    requiredColumns,
+    listColumns,
+    nameSeparator,
+    limits,
+};
+
+export default bookImportsConstants;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview This file defines and exports the controller for the book imports module.
+ * The controller includes methods for starting an import of books from a file and following its progress.
+ * These methods utilize the shared controller functions to handle the core logic.
+ */
+
+import bookImportsService from './bookImports.service.js';
+import controller from '../../../../shared/controller.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+/**
+ * bookImportsController - Controller for handling book import operations.
+ *
+ * @typedef {Object} BookImportsController
+ * @property {Function} createBookImport - Controller method for starting an import of books from a file.
+ * @property {Function} getBookImportList - Controller method for retrieving a list of book imports.
+ * @property {Function} getBookImportById - Controller method for retrieving a book import by its ID.
+ */
+const bookImportsController = {
+    /**
+     * createBookImport - Controller method for starting an import of books from a file.
+     *
+     * @function
+     */
+    createBookImport: controller.create(bookImportsService, 'createBookImport'),
+
+    /**
+     * getBookImportList - Controller method for retrieving a list of book imports.
+     *
+     * @function
+     */
+    getBookImportList: controller.getList(
+        bookImportsService,
+        'getBookImportList'
+    ),
+
+    /**
+     * getBookImportById - Controller method for retrieving a book import by its ID.
+     *
+     * @function
+     */
+    getBookImportById: controller.getById(
+        bookImportsService,
+        'getBookImportById',
+        routesConstants.bookImports.params
+    ),
+};
+
+export default bookImportsController;
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for book imports.
+ * Each document records one file imported by an admin, with the progress of the import while it runs
+ * and, once it is done, the number of books imported, the writers, translators, publications and
+ * subjects created on the way, the errors of the rows that could not be imported and the rows left
+ * out because they match a book the library already has.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import bookImportsConstants from './bookImports.constant.js';
+import sharedSchema from '../../../../shared/schema.js';
+
+/**
+ * bookImportSchema - Mongoose schema for storing book imports.
+ *
+ * @typedef {Object} bookImportSchema
+ * @property {String} fileName - The name of the imported file.
+ * @property {String} format - The format of the imported file, required.
+ * @property {Boolean} dryRun - Whether the rows are only validated, without importing any book.
+ * @property {Object} defaults - The translator and price given to the rows that have none.
+ * @property {String} status - The state of the import, required.
+ * @property {Number} totalRows - The number of rows in the file, not counting the header row.
+ * @property {Number} processedRows - The number of rows handled so far.
+ * @property {Number} importedCount - The number of books imported, or found valid by a dry run.
+ * @property {Number} failedCount - The number of rows that could not be imported.
+ * @property {Number} conflictCount - The number of rows matching a book the library already has.
+ * @property {Object} created - The names of the writers, translators, publications and subjects created, or to be created by a dry run.
+ * @property {Array<Object>} rowErrors - The errors of each row that could not be imported, by row number.
+ * @property {Array<Object>} conflicts - The rows matching a book the library already has, or an earlier row, by row number.
+ * @property {String} failureReason - Why the import could not run to the end.
+ * @property {Date} startedAt - When the rows started to be imported.
+ * @property {Date} completedAt - When the import completed or failed.
+ * @property {Object} createdBy - Reference to the admin who started the import.
+ * @property {Date} createdAt - Timestamp for when the import was started.
+ * @property {Date} updatedAt - Timestamp for when the progress of the import was last saved.
+ */
+const bookImportSchema = new mongoose.Schema(
+    {
+        fileName: {
+            type: String,
+            trim: true,
+            description: 'The name of the imported file.',
+        },
+        format: {
+            type: String,
+            enum: Object.values(bookImportsConstants.format),
+            required: [true, 'Please specify the format of the import.'],
+            description: 'The format of the imported file.',
+        },
+        dryRun: {
+            type: Boolean,
+            default: false,
+            description:
+                'Whether the rows are only validated, without importing any book.',
+        },
+        defaults: {
+            translator: {
+                type: String,
+                trim: true,
+                description: 'The translator of the rows that name none.',
+            },
+            price: {
+                type: Number,
+                description: 'The price of the rows that have none.',
+            },
+        },
+        status: {
+            type: String,
+            enum: Object.values(bookImportsConstants.status),
+            default: bookImportsConstants.status.QUEUED,
+            description: 'The state of the import.',
+        },
+        totalRows: {
+            type: Number,
+            default: 0,
+            description:
+                'The number of rows in the file, not counting the header row.',
+        },
+        processedRows: {
+            type: Number,
+            default: 0,
+            description: 'The number of rows handled so far.',
+        },
+        importedCount: {
+            type: Number,
+            default: 0,
+            description:
+                'The number of books imported, or found valid by a dry run.',
+        },
+        failedCount: {
+            type: Number,
+            default: 0,
+            description: 'The number of rows that could not be imported.',
+        },
+        conflictCount: {
+            type: Number,
+            default: 0,
+            description:
+                'The number of rows matching a book the library already has.',
+        },
+        created: {
+            writers: [String],
+            translators: [String],
+            publications: [String],
+            subjects: [String],
+        },
+        rowErrors: [
+            {
+                _id: false,
+                row: {
+                    type: Number,
+                    description:
+                        'The number of the row in the file, the header being row 1, or of the record in MARC files.',
+                },
+                messages: {
+                    type: [String],
+                    description: 'Why the row could not be imported.',
+                },
+            },
+        ],
+        conflicts: [
+            {
+                _id: false,
+                row: {
+                    type: Number,
+                    description:
+                        'The number of the row in the file, the header being row 1, or of the record in MARC files.',
+                },
+                book: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Books',
+                    description:
+                        'The existing book the row matches, unless it matches an earlier row.',
+                },
+                message: {
+                    type: String,
+                    description: 'What the row matches.',
+                },
+            },
+        ],
+        failureReason: {
+            type: String,
+            description: 'Why the import could not run to the end.',
+        },
+        startedAt: {
+            type: Date,
+            description: 'When the rows started to be imported.',
+        },
+        completedAt: {
+            type: Date,
+            description: 'When the import completed or failed.',
+        },
+        createdBy: sharedSchema.createdByAdminSchema,
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing book imports with automatic timestamping for creation and updates.',
+    }
+);
+
+bookImportSchema.index({ status: 1, createdAt: -1 });
+
+const BookImportsModel = mongoose.model('BookImports', bookImportSchema);
+
+export default BookImportsModel;
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview This file sets up the express router for book import endpoints.
+ * It includes routes for importing books in bulk from CSV, XLSX, MARC 21 or MARCXML files, optionally as a dry
+ * run, and for following the progress and the row-level error and conflict reports of the imports, with
+ * middleware for authentication, file upload and validation. Routes that are not supported respond with a
+ * methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import importUploadMiddleware from '../../../../middleware/importUpload.middleware.js';
+import cacheMiddleware from '../../../../middleware/cache.middleware.js';
+import bookImportsValidator from './bookImports.validator.js';
+import bookImportsController from './bookImports.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/imports:
+ *   post:
+ *     summary: Imports books from a CSV, XLSX, MARC 21 or MARCXML file.
+ *     description: Imports one book per row of a CSV or XLSX file, whose first row holds the column headers, or per record of a MARC 21 (.mrc) or MARCXML (.xml) file. The name, writer, publication, subjects, page, edition, summary and price columns are required, and the editor, illustrator, translator, isbn, bestSeller, review and image columns are optional. MARC records are mapped from their 020 ISBN and price, 100 author, 245 title, 250 edition, 260/264 publisher, 300 pages, 520 summary, 650 subjects and 700 co-authors, editors, illustrators and translators by their relator. The contributors, publication and subjects are given by name, several of them separated by a semicolon, and the ones that do not exist are created. The first writer of a row is its author and the others its co-authors. Rows matching an existing book by ISBN and edition, or by name and edition, are reported as conflicts instead of being imported. Books without an image get the default cover. A dry run only validates the rows. Files with more than 100 rows are imported in the background. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The CSV, XLSX, MARC 21 or MARCXML file, of at most 10 MB and 10000 rows or records.
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Only validate the rows and report what would be created, without importing any book.
+ *               translator:
+ *                 type: string
+ *                 description: The translator of the rows that name none.
+ *               price:
+ *                 type: number
+ *                 description: The price of the rows that have none.
+ *     responses:
+ *       200:
+ *         description: Dry run completed, with the reports of the rows that have errors or conflicts.
+ *       201:
+ *         description: Import completed, with the reports of the rows that failed or conflicted.
+ *       202:
+ *         description: Import started in the background, its progress can be followed with its ID.
+ *       400:
+ *         description: The file is missing, cannot be read, has no rows, too many rows or lacks a required column.
+ *       415:
+ *         description: The file is neither a CSV, XLSX, MARC 21 nor MARCXML file.
+ *     tags:
+ *       - Book Imports Management
+ *   get:
+ *     summary: Retrieves a list of book imports.
+ *     description: Fetches the book imports, newest first by default, without the reports of their failed and conflicting rows. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *         description: Only return the imports with this status.
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only return dry runs, or only actual imports.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book imports.
+ *       404:
+ *         description: No book imports found.
+ *     tags:
+ *       - Book Imports Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Imports Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookImports.permissions.create
+        ),
+        importUploadMiddleware.single('file'),
+        bookImportsValidator.createBookImport,
+        bookImportsController.createBookImport,
+        cacheMiddleware.invalidate(routesConstants.books.routes)
+    )
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookImports.permissions.getList
+        ),
+        bookImportsValidator.getBookImportList,
+        bookImportsController.getBookImportList
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/imports/{importId}:
+ *   get:
+ *     summary: Retrieves a book import by its ID.
+ *     description: Fetches an import with its progress, the number of books imported and failed, the writers, translators, publications and subjects created, the errors of each row that failed and the existing book each conflicting row matches. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the book import.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the book import.
+ *       404:
+ *         description: Book import not found.
+ *     tags:
+ *       - Book Imports Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Imports Management
+ */
+router
+    .route(`/:${routesConstants.bookImports.params}`)
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookImports.permissions.getById
+        ),
+        bookImportsValidator.getBookImportById,
+        bookImportsController.getBookImportById
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for importing books in bulk.
+ * These schemas validate the requests to start and follow imports, as well as each row of an imported
+ * file. The rows are read from CSV or XLSX files, where every value is text, or from the fields of MARC
+ * records, so their values are converted to the expected types while validating.
+ */
+
+import Joi from 'joi';
+
+import bookImportsConstants from './bookImports.constant.js';
+import booksConstants from '../books.constant.js';
+import writersConstants from '../../writers/writers.constant.js';
+import translatorsConstants from '../../translators/translators.constant.js';
+import publicationsConstants from '../../publications/publications.constant.js';
+import subjectsConstants from '../../subjects/subjects.constant.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+import validationService from '../../../../service/validation.service.js';
+
+const { lengths } = booksConstants;
+
+/**
+ * Helper function to build the schema of the names of a contributor field of a row. A single name, such as the
+ * default translator of an import, is accepted as a list of one.
+ *
+ * @param {Object} constants - The constants of the writers or translators, with the lengths of their names.
+ * @returns {Object} - The Joi schema of the names.
+ */
+const contributorNamesField = (constants) =>
+    Joi.array()
+        .items(
+            validationService.createStringField(
+                constants.lengths.NAME_MIN,
+                constants.lengths.NAME_MAX
+            )
+        )
+        .single()
+        .messages(customValidationMessage);
+
+/**
+ * bookImportSchemaBase - Base Joi schema for validating common fields used in book import operations.
+ * Ensures that fields such as dryRun, format, status, page, limit, sort, createdAt,
+ * and updatedAt meet the specified criteria.
+ */
+const bookImportSchemaBase = Joi.object({
+    dryRun: validationService.booleanField.description(
+        'Whether the rows are only validated, without importing any book.'
+    ),
+    format: Joi.string()
+        .valid(...Object.values(bookImportsConstants.format))
+        .messages(customValidationMessage)
+        .description('The format of the imported file.'),
+    status: Joi.string()
+        .valid(...Object.values(bookImportsConstants.status))
+        .messages(customValidationMessage)
+        .description('The state of the import.'),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('-createdAt'),
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * getBookImportsQuerySchema - Joi schema for validating query parameters when retrieving a list of imports.
+ * The imports are listed newest first by default.
+ *
+ * @function
+ */
+const getBookImportsQuerySchema = bookImportSchemaBase.fork(
+    [
+        'dryRun',
+        'format',
+        'status',
+        'page',
+        'limit',
+        'sort',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * bookImportIdParamSchema - Joi schema for validating a single book import ID.
+ * Ensures that the importId field is a valid MongoDB ObjectId.
+ *
+ * @function
+ */
+const bookImportIdParamSchema = Joi.object({
+    importId: validationService.objectIdField
+        .required()
+        .description(
+            'The book import ID. ID must be a valid MongoDB ObjectId.'
+        ),
+}).strict();
+
+/**
+ * bookImportRowSchema - Joi schema for validating a row of an imported file, or the fields read from a
+ * MARC record. The contributors, publication and subjects are names, which are matched to the existing
+ * ones or created. A row has at least one writer, its author, while editors, illustrators and translators
+ * are optional. Rows are validated with conversion, as the values of a CSV file are always text.
+ *
+ * @function
+ */
+const bookImportRowSchema = Joi.object({
+    name: validationService
+        .createStringField(lengths.NAME_MIN, lengths.NAME_MAX)
+        .required(),
+    writer: contributorNamesField(writersConstants).min(1).required(),
+    editor: contributorNamesField(writersConstants),
+    illustrator: contributorNamesField(writersConstants),
+    translator: contributorNamesField(translatorsConstants),
+    publication: validationService
+        .createStringField(
+            publicationsConstants.lengths.NAME_MIN,
+            publicationsConstants.lengths.NAME_MAX
+        )
+        .required(),
+    subjects: Joi.array()
+        .items(
+            validationService.createStringField(
+                subjectsConstants.lengths.NAME_MIN,
+                subjectsConstants.lengths.NAME_MAX
+            )
+        )
+        .min(1)
+        .required()
+        .messages(customValidationMessage),
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages(customValidationMessage),
+    edition: validationService
+        .createStringField(lengths.EDITION_MIN, lengths.EDITION_MAX)
+        .required(),
+    summary: validationService
+        .createStringField(lengths.SUMMARY_MIN, lengths.SUMMARY_MAX)
+        .required(),
+    isbn: validationService.isbnField,
+    price: Joi.number()
+        .min(0)
+        .precision(2)
+        .required()
+        .messages(customValidationMessage),
+    bestSeller: Joi.number()
+        .integer()
+        .min(lengths.BEST_SELLER_MIN)
+        .max(lengths.BEST_SELLER_MAX)
+        .messages(customValidationMessage),
+    review: Joi.number()
+        .min(lengths.REVIEW_MIN)
+        .max(lengths.REVIEW_MAX)
+        .messages(customValidationMessage),
+    image: Joi.string()
+        .trim()
+        .uri({ scheme: ['http', 'https'] })
+        .max(lengths.SHAREABLE_LINK)
+        .messages(customValidationMessage),
+});
+
+/**
+ * createBookImportSchema - Joi schema for validating the form fields sent with an imported file. The form
+ * fields arrive as text, so the schema is not strict and converts them. The translator and price are given
+ * to the rows that have none, such as MARC records, which seldom carry them.
+ *
+ * @function
+ */
+const createBookImportSchema = Joi.object({
+    dryRun: bookImportSchemaBase.extract('dryRun').default(false),
+    translator: validationService
+        .createStringField(
+            translatorsConstants.lengths.NAME_MIN,
+            translatorsConstants.lengths.NAME_MAX
+        )
+        .description('The translator of the rows that name none.'),
+    price: bookImportRowSchema
+        .extract('price')
+        .optional()
+        .description('The price of the rows that have none.'),
+});
+
+/**
+ * bookImportsSchema - An object that holds various Joi validation schemas for book import operations.
+ *
+ * @typedef {Object} BookImportsSchema
+ * @property {Object} createBookImportSchema - Joi schema for validating the form fields sent with an imported file.
+ * @property {Object} getBookImportsQuerySchema - Joi schema for validating query parameters when retrieving imports.
+ * @property {Object} bookImportIdParamSchema - Joi schema for validating a single book import ID.
+ * @property {Object} bookImportRowSchema - Joi schema for validating a row of an imported file.
+ */
+const bookImportsSchema = {
+    createBookImportSchema,
+    getBookImportsQuerySchema,
+    bookImportIdParamSchema,
+    bookImportRowSchema,
+};
+
+export default bookImportsSchema;
@@ -0,0 +1,905 @@
+/**
+ * @fileoverview This file defines and exports the service functions for importing books in bulk.
+ * An admin uploads a CSV or XLSX file with one book per row, or a MARC 21 or MARCXML file with one book per record,
+ * and the rows are validated and imported one by one, so a row that fails does not stop the others. The contributors,
+ * publications and subjects are given by name, and the ones that do not exist yet are created on the
+ * way. Rows matching a book the library already has, by ISBN or by name, are reported as conflicts instead of being
+ * imported again. A dry run validates the rows and reports what would be created without importing anything. Small
+ * files are imported before responding, larger ones run as a background job whose progress is saved on the import,
+ * and every import ends with a report of the rows that failed or conflicted.
+ */
+
+import { parse } from 'csv-parse/sync';
+import { readSheet } from 'read-excel-file/node';
+
+import BookImportsModel from './bookImports.model.js';
+import bookImportsConstants from './bookImports.constant.js';
+import bookImportsSchema from './bookImports.schema.js';
+import marcService from '../../../../service/marc.service.js';
+import BooksModel from '../books.model.js';
+import booksConstants from '../books.constant.js';
+import bookSearchService from '../search/bookSearch.service.js';
+import WritersModel from '../../writers/writers.model.js';
+import TranslatorsModel from '../../translators/translators.model.js';
+import PublicationsModel from '../../publications/publications.model.js';
+import SubjectsModel from '../../subjects/subjects.model.js';
+import subjectsService from '../../subjects/subjects.service.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import configuration from '../../../../configuration/configuration.js';
+import loggerService from '../../../../service/logger.service.js';
+import service from '../../../../shared/service.js';
+import AdminActivityLoggerModel from '../../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import normalizeIsbn from '../../../../utilities/normalizeIsbn.js';
+import errorResponse from '../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+const { format, status, limits } = bookImportsConstants;
+const { contributorRoles } = booksConstants;
+
+/**
+ * The models of the references a row names, keyed by the list they are recorded in when created.
+ */
+const referenceModels = {
+    writers: WritersModel,
+    translators: TranslatorsModel,
+    publications: PublicationsModel,
+    subjects: SubjectsModel,
+};
+
+/**
+ * Helper function to populate book import fields with related data.
+ *
+ * @param {Object} query - Mongoose query object.
+ * @returns {Promise<Object>} - Populated query result.
+ */
+const populateBookImportFields = async (query) => {
+    return await query
+        .populate({
+            path: 'createdBy',
+            select: 'name',
+        })
+        .populate({
+            path: 'conflicts.book',
+            select: 'name edition isbn13',
+        });
+};
+
+/**
+ * Helper function to tell the format of an imported file, from its extension or otherwise its MIME type.
+ *
+ * @param {Object} file - The imported file.
+ * @returns {string|null} - The format of the file, or null if it is not supported.
+ */
+const detectFormat = (file) => {
+    const extension = file.originalname?.split('.').pop().toLowerCase();
+    const formats = Object.values(format);
+
+    return (
+        formats.find((fileFormat) =>
+            bookImportsConstants.extensions[fileFormat].includes(extension)
+        ) ??
+        formats.find((fileFormat) =>
+            bookImportsConstants.mimeTypes[fileFormat].includes(file.mimetype)
+        ) ??
+        null
+    );
+};
+
+/**
+ * Helper function to normalise a header of an imported file, ignoring case and spaces.
+ *
+ * @param {*} header - The header cell.
+ * @returns {string|undefined} - The book field of the column, or undefined if the column is not recognised.
+ */
+const mapHeader = (header) =>
+    bookImportsConstants.columns[
+        String(header ?? '')
+            .toLowerCase()
+            .replace(/\s+/g, '')
+    ];
+
+/**
+ * Helper function to drop the empty and repeated names of a list, regardless of case.
+ *
+ * @param {Array<string>} names - The names.
+ * @returns {Array<string>} - The distinct names, in their first spelling.
+ */
+const uniqueNames = (names) => {
+    const distinct = new Map();
+
+    names
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .forEach((name) => {
+            if (!distinct.has(name.toLowerCase())) {
+                distinct.set(name.toLowerCase(), name);
+            }
+        });
+
+    return [...distinct.values()];
+};
+
+/**
+ * Helper function to split the names of a cell, such as the subjects or writers of a row, dropping the empty
+ * and repeated ones regardless of case.
+ *
+ * @param {string} value - The cell.
+ * @returns {Array<string>} - The names.
+ */
+const splitNames = (value) =>
+    uniqueNames(value.split(bookImportsConstants.nameSeparator));
+
+/**
+ * Reads the rows of a CSV or XLSX file. The first row holds the headers, and each following row is turned into
+ * an object keyed by the book fields of the recognised columns, with its number in the file. Empty cells are left
+ * out and empty rows are skipped.
+ *
+ * @async
+ * @param {Object} file - The imported file.
+ * @param {string} fileFormat - The format of the file.
+ * @returns {Promise<Object>} - The book fields of the headers and the rows of the file.
+ */
+const readTabularRows = async (file, fileFormat) => {
+    const [headerRow = [], ...dataRows] =
+        fileFormat === format.XLSX
+            ? await readSheet(file.buffer)
+            : parse(file.buffer, {
+                  bom: true,
+                  relax_column_count: true,
+                  skip_empty_lines: false,
+              });
+
+    const fields = headerRow.map(mapHeader);
+
+    const rows = dataRows
+        .map((cells, index) => {
+            const values = {};
+
+            fields.forEach((field, column) => {
+                const cell = cells[column];
+                if (!field || cell === null || cell === undefined) return;
+
+                const value = String(cell).trim();
+                if (!value) return;
+
+                values[field] = bookImportsConstants.listColumns.includes(field)
+                    ? splitNames(value)
+                    : value;
+            });
+
+            // The header is row 1, as it is shown in spreadsheet applications
+            return { rowNumber: index + 2, values };
+        })
+        .filter(({ values }) => Object.keys(values).length);
+
+    return { fields, rows };
+};
+
+/**
+ * Helper function to clean a MARC value of the punctuation cataloging rules add at its end, such as the slash
+ * before a statement of responsibility or the colon before a subtitle.
+ *
+ * @param {string} [value] - The value.
+ * @returns {string} - The cleaned value.
+ */
+const cleanMarcValue = (value = '') =>
+    value
+        .trim()
+        .replace(/[\s/:;,=]+$/, '')
+        .replace(/([^.])\.$/, '$1')
+        .trim();
+
+/**
+ * Helper function to read the values of a subfield in the fields with the given tags.
+ *
+ * @param {Object} record - The MARC record.
+ * @param {Array<string>} tags - The tags of the fields.
+ * @param {string} code - The code of the subfield.
+ * @returns {Array<string>} - The values of the subfield, in order.
+ */
+const subfieldValues = (record, tags, code) =>
+    record.fields
+        .filter((field) => tags.includes(field.tag) && field.subfields)
+        .flatMap((field) =>
+            field.subfields
+                .filter(([subfieldCode]) => subfieldCode === code)
+                .map(([, value]) => value)
+        );
+
+/**
+ * Helper function to read a personal name, turning the inverted form of surnames, such as
+ * `Tagore, Rabindranath`, into the direct form the library uses.
+ *
+ * @param {Object} [field] - The MARC field of the name.
+ * @returns {string|undefined} - The name.
+ */
+const personalName = (field) => {
+    const [, name] = field?.subfields.find(([code]) => code === 'a') ?? [];
+    if (!name) return undefined;
+
+    const cleaned = cleanMarcValue(name);
+    const inverted = cleaned.match(/^([^,]+),\s*([^,]+)$/);
+
+    return field.ind1 === '1' && inverted
+        ? `${inverted[2]} ${inverted[1]}`
+        : cleaned;
+};
+
+/**
+ * Helper function to read the first number of a value, such as the pages of `xii, 345 p.` or the price of
+ * `Tk 250.00`. For pages, the number followed by a page abbreviation is preferred.
+ *
+ * @param {string} [value] - The value.
+ * @param {RegExp} [preferred] - The pattern of the preferred number.
+ * @returns {string|undefined} - The number.
+ */
+const firstNumber = (value, preferred) =>
+    (preferred && value?.match(preferred)?.[1]) ??
+    value?.match(/\d+(?:\.\d+)?/)?.[0];
+
+/**
+ * The contributor fields of a row an added entry of a MARC record goes to, by the relator code in its subfield 4
+ * or the start of the relator term in its subfield e. Added entries without a known relator are co-authors.
+ */
+const marcRelators = [
+    { field: 'translator', code: 'trl', term: /^translat/i },
+    { field: 'editor', code: 'edt', term: /^edit/i },
+    { field: 'illustrator', code: 'ill', term: /^illustrat/i },
+];
+
+/**
+ * Maps a MARC 21 bibliographic record onto the fields of a row: the ISBN and price from 020, the author from 100,
+ * the name from 245, the edition from 250, the publication from 264 or 260, the pages from 300, the summary from
+ * 520, the subjects from 650, the co-authors, editors, illustrators and translators from the 700 added entries by
+ * their relator, and the cover from the 856 linking to a cover image.
+ *
+ * @param {Object} record - The MARC record.
+ * @returns {Object} - The values of the row, without the fields the record does not have.
+ */
+const marcRecordToRow = (record) => {
+    const fieldOf = (tag, predicate = () => true) =>
+        record.fields.find((field) => field.tag === tag && predicate(field));
+    const subfieldOf = (field, code) =>
+        field?.subfields.find(([subfieldCode]) => subfieldCode === code)?.[1];
+
+    const title = fieldOf('245');
+    const isbnField = record.fields.find(
+        (field) =>
+            field.tag === '020' &&
+            normalizeIsbn(subfieldOf(field, 'a')?.trim().split(/\s/)[0])
+    );
+    const publisher =
+        fieldOf('264', (field) => field.ind2 === '1') ?? fieldOf('260');
+    const addedEntries = {
+        writer: [],
+        editor: [],
+        illustrator: [],
+        translator: [],
+    };
+    record.fields
+        .filter((field) => field.tag === '700' && field.subfields)
+        .forEach((field) => {
+            const relator = marcRelators.find(
+                ({ code, term }) =>
+                    subfieldOf(field, '4') === code ||
+                    term.test(subfieldOf(field, 'e')?.trim() ?? '')
+            );
+
+            addedEntries[relator?.field ?? 'writer'].push(field);
+        });
+    const namesOf = (fields) =>
+        uniqueNames(fields.map(personalName).filter(Boolean));
+    const cover = fieldOf('856', (field) =>
+        /cover/i.test(subfieldOf(field, '3') ?? '')
+    );
+
+    const values = {
+        name: [subfieldOf(title, 'a'), subfieldOf(title, 'b')]
+            .map((part) => cleanMarcValue(part))
+            .filter(Boolean)
+            .join(' : '),
+        writer: namesOf([fieldOf('100'), ...addedEntries.writer]),
+        editor: namesOf(addedEntries.editor),
+        illustrator: namesOf(addedEntries.illustrator),
+        translator: namesOf(addedEntries.translator),
+        publication: cleanMarcValue(subfieldOf(publisher, 'b')),
+        subjects: uniqueNames(
+            subfieldValues(record, ['650'], 'a').map((subject) =>
+                cleanMarcValue(subject)
+            )
+        ),
+        page: firstNumber(
+            subfieldOf(fieldOf('300'), 'a'),
+            /(\d+)\s*(?:p\b|pp|pages)/i
+        ),
+        edition: cleanMarcValue(subfieldOf(fieldOf('250'), 'a')),
+        summary: subfieldValues(record, ['520'], 'a')
+            .map((part) => part.trim())
+            .join(' '),
+        isbn: subfieldOf(isbnField, 'a')?.trim().split(/\s/)[0],
+        price: firstNumber(subfieldValues(record, ['020'], 'c')[0]),
+        image: subfieldOf(cover, 'u')?.trim(),
+    };
+
+    return Object.fromEntries(
+        Object.entries(values).filter(
+            ([, value]) =>
+                value !== undefined && value !== '' && value.length !== 0
+        )
+    );
+};
+
+/**
+ * Reads the records of a MARC 21 or MARCXML file as rows, numbered from 1 in the order of the file. A binary
+ * record that cannot be read becomes a row with an error, so it is reported without stopping the others.
+ *
+ * @param {Object} file - The imported file.
+ * @param {string} fileFormat - The format of the file.
+ * @returns {Object} - The rows of the file.
+ */
+const readMarcRows = (file, fileFormat) => {
+    const records =
+        fileFormat === format.MARCXML
+            ? marcService.fromMarcXml(file.buffer)
+            : marcService.splitIso2709(file.buffer).map((buffer) => {
+                  try {
+                      return marcService.fromIso2709(buffer);
+                  } catch (error) {
+                      return error;
+                  }
+              });
+
+    return {
+        rows: records.map((record, index) =>
+            record instanceof Error
+                ? { rowNumber: index + 1, error: record.message }
+                : { rowNumber: index + 1, values: marcRecordToRow(record) }
+        ),
+    };
+};
+
+/**
+ * The readers of each import format.
+ */
+const readers = {
+    [format.CSV]: readTabularRows,
+    [format.XLSX]: readTabularRows,
+    [format.MARC]: readMarcRows,
+    [format.MARCXML]: readMarcRows,
+};
+
+/**
+ * Helper function to find a writer, translator, publication or subject by its name, ignoring the case, and to
+ * create it if it does not exist. Names are looked up once per import. A dry run only records the names that
+ * would be created.
+ *
+ * @async
+ * @param {Object} context - The state of the running import.
+ * @param {string} kind - The kind of reference, a key of the reference models.
+ * @param {string} name - The name of the reference.
+ * @returns {Promise<Object|null>} - The ID of the reference, or null if it would be created by a dry run.
+ */
+const resolveReference = async (context, kind, name) => {
+    const cache = context.references[kind];
+    const key = name.toLowerCase();
+    if (cache.has(key)) return cache.get(key);
+
+    const Model = referenceModels[kind];
+    const existing = await Model.findOne({ name })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id')
+        .lean();
+
+    let referenceId = existing?._id ?? null;
+    if (!existing) {
+        if (!context.dryRun) {
+            const created = await Model.create({
+                name,
+                createdBy: context.requester,
+            });
+
+            referenceId = created._id;
+        }
+
+        context.created[kind].push(name);
+    }
+
+    cache.set(key, referenceId);
+
+    return referenceId;
+};
+
+/**
+ * Helper function to find the book a row matches, which would be duplicated by importing it. A row with an ISBN
+ * matches the books with the same ISBN and edition, and the books with the same name and edition that have no
+ * ISBN. A row without an ISBN matches the books with the same name and edition, ignoring the case. Rows are
+ * matched against the earlier rows of the file too.
+ *
+ * @async
+ * @param {Object} context - The state of the running import.
+ * @param {number} rowNumber - The number of the row.
+ * @param {Object} value - The validated values of the row.
+ * @param {Object|null} normalizedIsbn - The ISBN of the row, in both forms.
+ * @returns {Promise<Object|null>} - The conflict, with the matching book and a message, or null if the row matches nothing.
+ */
+const findConflict = async (context, rowNumber, value, normalizedIsbn) => {
+    const key = normalizedIsbn
+        ? `isbn:${normalizedIsbn.isbn13}:${value.edition}`
+        : `name:${value.name.toLowerCase()}:${value.edition.toLowerCase()}`;
+    const description = normalizedIsbn
+        ? `the ISBN ${normalizedIsbn.isbn13} and edition "${value.edition}"`
+        : `the name "${value.name}" and edition "${value.edition}"`;
+
+    if (context.seenBooks.has(key)) {
+        return {
+            message: `The row has ${description}, like row ${context.seenBooks.get(key)}.`,
+        };
+    }
+
+    context.seenBooks.set(key, rowNumber);
+
+    const existing =
+        (normalizedIsbn &&
+            (await BooksModel.findOne({
+                isbn13: normalizedIsbn.isbn13,
+                edition: value.edition,
+            })
+                .select('_id')
+                .lean())) ||
+        (await BooksModel.findOne({
+            name: value.name,
+            edition: value.edition,
+            ...(normalizedIsbn && { isbn13: { $exists: false } }),
+        })
+            .collation({ locale: 'en', strength: 2 })
+            .select('_id')
+            .lean());
+
+    return existing
+        ? {
+              book: existing._id,
+              message: `A book with ${description} already exists.`,
+          }
+        : null;
+};
+
+/**
+ * The contributor fields of a row, in the order their contributors are listed on the book, with the role of
+ * their names. The first writer is the author of the book and the other writers its co-authors.
+ */
+const contributorFields = [
+    { field: 'writer', role: contributorRoles.CO_AUTHOR, kind: 'writers' },
+    { field: 'editor', role: contributorRoles.EDITOR, kind: 'writers' },
+    {
+        field: 'illustrator',
+        role: contributorRoles.ILLUSTRATOR,
+        kind: 'writers',
+    },
+    {
+        field: 'translator',
+        role: contributorRoles.TRANSLATOR,
+        kind: 'translators',
+    },
+];
+
+/**
+ * Imports a single row as a book. The row is validated first, and a row matching an existing book or an
+ * earlier row is reported as a conflict instead of being imported. The booksCount of its contributors,
+ * publication and subjects is updated like for a book created on its own.
+ *
+ * @async
+ * @param {Object} context - The state of the running import.
+ * @param {number} rowNumber - The number of the row.
+ * @param {Object} row - The values of the row.
+ * @returns {Promise<Object>} - The reasons the row could not be imported or its conflict, empty if it was imported.
+ */
+const importRow = async (context, rowNumber, row) => {
+    const { error, value } = bookImportsSchema.bookImportRowSchema.validate(
+        { ...context.defaults, ...row },
+        { abortEarly: false, convert: true }
+    );
+    if (error) {
+        return { errors: error.details.map((detail) => detail.message) };
+    }
+
+    const normalizedIsbn = value.isbn ? normalizeIsbn(value.isbn) : null;
+    const conflict = await findConflict(
+        context,
+        rowNumber,
+        value,
+        normalizedIsbn
+    );
+    if (conflict) return { conflict };
+
+    // References are resolved one after the other, so a name repeated in a row is only created once
+    const contributors = [];
+    for (const { field, role, kind } of contributorFields) {
+        for (const name of value[field] ?? []) {
+            const referenceId = await resolveReference(context, kind, name);
+
+            contributors.push({
+                role:
+                    field === 'writer' && !contributors.length
+                        ? contributorRoles.AUTHOR
+                        : role,
+                [kind === 'translators' ? 'translator' : 'writer']: referenceId,
+                order: contributors.length,
+            });
+        }
+    }
+    const publication = await resolveReference(
+        context,
+        'publications',
+        value.publication
+    );
+    const subject = [];
+    for (const name of value.subjects) {
+        subject.push(await resolveReference(context, 'subjects', name));
+    }
+
+    if (context.dryRun) return {};
+
+    const coverUrl = value.image ?? configuration.book.defaultCoverUrl;
+
+    const book = await BooksModel.create({
+        name: value.name,
+        bestSeller: value.bestSeller,
+        review: value.review,
+        contributors,
+        subject,
+        publication,
+        page: value.page,
+        edition: value.edition,
+        summary: value.summary,
+        isbn10: normalizedIsbn?.isbn10,
+        isbn13: normalizedIsbn?.isbn13,
+        price: value.price,
+        // The stock is derived from the book copies, a new book has none yet
+        stockAvailable: 0,
+        image: {
+            shareableLink: coverUrl,
+            downloadLink: coverUrl,
+        },
+        createdBy: context.requester,
+    });
+
+    await bookSearchService.indexBooks({ _id: book._id });
+
+    await Promise.all([
+        // The ancestors of the subjects count the book as well
+        subjectsService.updateSubjectsBooksCount([], subject),
+        // A person with several roles in the book counts it once, as $in matches each of them once
+        WritersModel.updateMany(
+            {
+                _id: {
+                    $in: contributors.map((contributor) => contributor.writer),
+                },
+            },
+            { $inc: { booksCount: 1 } }
+        ),
+        TranslatorsModel.updateMany(
+            {
+                _id: {
+                    $in: contributors.map(
+                        (contributor) => contributor.translator
+                    ),
+                },
+            },
+            { $inc: { booksCount: 1 } }
+        ),
+        PublicationsModel.updateOne(
+            { _id: publication },
+            { $inc: { booksCount: 1 } }
+        ),
+    ]);
+
+    return {};
+};
+
+/**
+ * Runs an import over the rows of its file. The progress is saved on the import every few rows, so it can be
+ * followed while a large file is imported in the background. The import ends as completed, even when some of
+ * its rows failed, or as failed if it could not run to the end.
+ *
+ * @async
+ * @param {Object} bookImport - The import document.
+ * @param {Array<Object>} rows - The rows of the file.
+ * @param {string} requester - The ID of the admin who started the import.
+ * @returns {Promise<void>} - A promise that resolves once the import is completed or failed.
+ */
+const runBookImport = async (bookImport, rows, requester) => {
+    const context = {
+        requester,
+        dryRun: bookImport.dryRun,
+        references: Object.fromEntries(
+            Object.keys(referenceModels).map((kind) => [kind, new Map()])
+        ),
+        created: Object.fromEntries(
+            Object.keys(referenceModels).map((kind) => [kind, []])
+        ),
+        defaults: Object.fromEntries(
+            Object.entries(bookImport.defaults?.toObject() ?? {}).filter(
+                ([, value]) => value !== undefined && value !== null
+            )
+        ),
+        seenBooks: new Map(),
+    };
+
+    try {
+        bookImport.status = status.PROCESSING;
+        bookImport.startedAt = new Date();
+        await bookImport.save();
+
+        for (const { rowNumber, values, error: readError } of rows) {
+            let result;
+            try {
+                result = readError
+                    ? { errors: [readError] }
+                    : await importRow(context, rowNumber, values);
+            } catch (error) {
+                result = {
+                    errors: [error.message || 'Failed to import the row.'],
+                };
+            }
+
+            if (result.errors) {
+                bookImport.failedCount += 1;
+                bookImport.rowErrors.push({
+                    row: rowNumber,
+                    messages: result.errors,
+                });
+            } else if (result.conflict) {
+                bookImport.conflictCount += 1;
+                bookImport.conflicts.push({
+                    row: rowNumber,
+                    ...result.conflict,
+                });
+            } else {
+                bookImport.importedCount += 1;
+            }
+
+            bookImport.processedRows += 1;
+            if (
+                bookImport.processedRows % limits.PROGRESS_INTERVAL_ROWS ===
+                0
+            ) {
+                await bookImport.save();
+            }
+        }
+
+        bookImport.created = context.created;
+        bookImport.status = status.COMPLETED;
+        bookImport.completedAt = new Date();
+        await bookImport.save();
+
+        if (!bookImport.dryRun) {
+            await AdminActivityLoggerModel.create({
+                user: requester,
+                action: adminActivityLoggerConstants.actionTypes.CREATE,
+                description: `${bookImport.importedCount} books imported from ${bookImport.fileName}.`,
+                details: JSON.stringify({
+                    importId: bookImport._id,
+                    importedCount: bookImport.importedCount,
+                    failedCount: bookImport.failedCount,
+                    conflictCount: bookImport.conflictCount,
+                    created: context.created,
+                }),
+                affectedId: bookImport._id,
+            });
+        }
+    } catch (error) {
+        loggerService.error(
+            `Failed to run book import ${bookImport._id}: ${error}`
+        );
+
+        bookImport.created = context.created;
+        bookImport.status = status.FAILED;
+        bookImport.failureReason = error.message || 'Failed to import books.';
+        bookImport.completedAt = new Date();
+        await bookImport.save();
+    }
+};
+
+/**
+ * Starts the import of a CSV, XLSX, MARC 21 or MARCXML file of books. The whole file is checked first, and refused
+ * if it cannot be read, has no rows, too many rows or, for tabular files, lacks a required column without a
+ * default. Files with up to `BACKGROUND_ROWS` rows are imported before responding, larger ones are imported in the
+ * background and their progress can be followed through the returned import.
+ *
+ * @param {string} requester - The ID of the admin starting the import.
+ * @param {Object} importData - The form fields sent with the file, whether the import is a dry run and the defaults of the rows.
+ * @param {Object} file - The imported file.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the import.
+ */
+const createBookImport = async (requester, importData, file) => {
+    try {
+        if (!file) {
+            return errorResponse(
+                'Please provide a CSV, XLSX, MARC or MARCXML file to import.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const fileFormat = detectFormat(file);
+        if (!fileFormat) {
+            return errorResponse(
+                'Only CSV, XLSX, MARC and MARCXML files can be imported.',
+                httpStatus.UNSUPPORTED_MEDIA_TYPE
+            );
+        }
+
+        let fields;
+        let rows;
+        try {
+            ({ fields, rows } = await readers[fileFormat](file, fileFormat));
+        } catch (error) {
+            return errorResponse(
+                `The file could not be read: ${error.message}`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        // MARC records are mapped field by field, only tabular files have columns to check
+        const missingColumns = bookImportsConstants.tabularFormats.includes(
+            fileFormat
+        )
+            ? bookImportsConstants.requiredColumns.filter(
+                  (column) =>
+                      !fields.includes(column) &&
+                      importData[column] === undefined
+              )
+            : [];
+        if (missingColumns.length) {
+            return errorResponse(
+                `The file is missing the required columns: ${missingColumns.join(', ')}.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        if (!rows.length) {
+            return errorResponse(
+                'The file has no books to import.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        if (rows.length > limits.MAX_ROWS) {
+            return errorResponse(
+                `A file can hold at most ${limits.MAX_ROWS} books, this one has ${rows.length}.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const bookImport = await BookImportsModel.create({
+            fileName: file.originalname,
+            format: fileFormat,
+            dryRun: importData.dryRun,
+            defaults: {
+                translator: importData.translator,
+                price: importData.price,
+            },
+            totalRows: rows.length,
+            createdBy: requester,
+        });
+
+        if (rows.length > limits.BACKGROUND_ROWS) {
+            runBookImport(bookImport, rows, requester).catch((error) =>
+                loggerService.error(
+                    `Failed to save book import ${bookImport._id}: ${error}`
+                )
+            );
+
+            return sendResponse(
+                bookImport.toObject(),
+                'Book import started, follow its progress with the import ID.',
+                httpStatus.ACCEPTED
+            );
+        }
+
+        await runBookImport(bookImport, rows, requester);
+
+        const message = bookImport.dryRun
+            ? `Dry run completed: ${bookImport.importedCount} books can be imported, ${bookImport.failedCount} rows have errors and ${bookImport.conflictCount} match existing books.`
+            : `Book import completed: ${bookImport.importedCount} books imported, ${bookImport.failedCount} rows failed and ${bookImport.conflictCount} matched existing books.`;
+
+        return sendResponse(
+            bookImport.toObject(),
+            message,
+            bookImport.dryRun ? httpStatus.OK : httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to import books: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to import books.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Retrieves a list of book imports, newest first by default. The reports of the failed and conflicting rows
+ * are left out, as they can hold thousands of entries.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - Query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of imports.
+ */
+const getBookImportList = async (requester, params) => {
+    return service.getResourceList(
+        BookImportsModel,
+        (query) =>
+            populateBookImportFields(query.select('-rowErrors -conflicts')),
+        params,
+        {},
+        'book imports'
+    );
+};
+
+/**
+ * Retrieves a book import by its ID, with its progress and the reports of its failed and conflicting rows.
+ *
+ * @param {string} requester - The ID of the admin requesting the import.
+ * @param {string} importId - The ID of the import.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the import.
+ */
+const getBookImportById = async (requester, importId) => {
+    return service.getResourceById(
+        BookImportsModel,
+        populateBookImportFields,
+        importId,
+        'Book import'
+    );
+};
+
+/**
+ * Marks the imports left queued or processing by a previous run of the server as failed. Imports run in the
+ * memory of the server, so they cannot resume after a restart and would otherwise never complete.
+ *
+ * @async
+ * @returns {Promise<void>} - A promise that resolves once the interrupted imports are marked as failed.
+ */
+const failInterruptedBookImports = async () => {
+    try {
+        const { modifiedCount } = await BookImportsModel.updateMany(
+            { status: { $in: [status.QUEUED, status.PROCESSING] } },
+            {
+                $set: {
+                    status: status.FAILED,
+                    failureReason: 'Interrupted by a server restart.',
+                    completedAt: new Date(),
+                },
+            }
+        );
+
+        if (modifiedCount) {
+            loggerService.info(
+                `Marked ${modifiedCount} interrupted book imports as failed.`
+            );
+        }
+    } catch (error) {
+        loggerService.error(
+            `Failed to fail interrupted book imports: ${error}`
+        );
+    }
+};
+
+/**
+ * bookImportsService - An object that holds the service functions for importing books in bulk.
+ *
+ * @typedef {Object} BookImportsService
+ * @property {Function} createBookImport - Starts the import of a CSV, XLSX, MARC 21 or MARCXML file of books, optionally as a dry run.
+ * @property {Function} getBookImportList - Retrieves a list of book imports.
+ * @property {Function} getBookImportById - Retrieves a book import by its ID, with the reports of its failed and conflicting rows.
+ * @property {Function} failInterruptedBookImports - Marks the imports interrupted by a server restart as failed.
+ */
+const bookImportsService = {
+    createBookImport,
+    getBookImportList,
+    getBookImportById,
+    failInterruptedBookImports,
+};
+
+export default bookImportsService;
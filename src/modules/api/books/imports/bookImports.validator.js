@@ -0,0 +1,61 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for book import operations.
+ * These middlewares validate the input data for starting, listing and following imports, ensuring that
+ * the incoming data meets the required criteria before processing. The rows of the imported files are
+ * validated one by one while they are imported.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import bookImportsSchema from './bookImports.schema.js';
+
+/**
+ * createBookImport - Middleware for validating the form fields of requests to import books.
+ *
+ * @function
+ */
+const createBookImport = validateWithSchema([
+    {
+        schema: bookImportsSchema.createBookImportSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * getBookImportList - Middleware for validating the query parameters of requests to retrieve book imports.
+ *
+ * @function
+ */
+const getBookImportList = validateWithSchema([
+    {
+        schema: bookImportsSchema.getBookImportsQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * getBookImportById - Middleware for validating the ID of requests to retrieve a book import.
+ *
+ * @function
+ */
+const getBookImportById = validateWithSchema([
+    {
+        schema: bookImportsSchema.bookImportIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * bookImportsValidator - An object that holds the validation middleware for book import operations.
+ *
+ * @typedef {Object} BookImportsValidator
+ * @property {Function} createBookImport - Middleware for validating requests to import books.
+ * @property {Function} getBookImportList - Middleware for validating requests to retrieve book imports.
+ * @property {Function} getBookImportById - Middleware for validating requests to retrieve a book import.
+ */
+const bookImportsValidator = {
+    createBookImport,
+    getBookImportList,
+    getBookImportById,
+};
+
+export default bookImportsValidator;
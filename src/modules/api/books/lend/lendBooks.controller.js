@@ -13,6 +13,7 @@ import controller from '../../../../shared/controller.js';
  *
  * @typedef {Object} LendBooksController
  * @property {Function} createLendBook - Controller method for creating a new lend book record.
+ * @property {Function} renewLendBook - Controller method for renewing a lend book record.
  * @property {Function} getLendBooks - Controller method for retrieving a list of lend book records.
  */
 const lendBooksController = {
@@ -24,6 +25,14 @@ const lendBooksController = {
      */
     createLendBook: controller.create(lendBooksService, 'createLendBook'),
 
+    /**
+     * renewLendBook - Controller method for renewing a lend book record.
+     * Utilizes the shared controller's create method with the lendBooksService.
+     *
+     * @function
+     */
+    renewLendBook: controller.create(lendBooksService, 'renewLendBook'),
+
     /**
      * getLendBooks - Controller method for retrieving a list of lend book records.
      * Utilizes the shared controller's getList method with the lendBooksService.
@@ -14,9 +14,13 @@ import mongoose, { Schema } from 'mongoose';
  * @property {Schema.Types.ObjectId} lender - Reference to the user who lends the book.
  * @property {Array<Object>} books - Array of books lent.
  * @property {Schema.Types.ObjectId} books.id - Reference to the book.
+ * @property {Schema.Types.ObjectId} books.copy - Reference to the physical copy of the book that was lent.
  * @property {Date} books.from - Start date of the lending period.
  * @property {Date} books.to - End date of the lending period.
  * @property {String} books.remarks - Optional remarks about the lending.
+ * @property {Number} books.renewals - Number of times the loan has been renewed.
+ * @property {Boolean} books.isOverdue - Whether the loan has passed its end date.
+ * @property {Number} books.fineAccrued - Total fine charged for the loan so far.
  */
 const lendBookSchema = new mongoose.Schema(
     {
@@ -30,6 +34,10 @@ const lendBookSchema = new mongoose.Schema(
                     type: Schema.Types.ObjectId,
                     ref: 'Books',
                 },
+                copy: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'BookCopies',
+                },
                 from: {
                     type: Date,
                     required: true,
@@ -42,6 +50,18 @@ const lendBookSchema = new mongoose.Schema(
                     type: String,
                     default: '',
                 },
+                renewals: {
+                    type: Number,
+                    default: 0,
+                },
+                isOverdue: {
+                    type: Boolean,
+                    default: false,
+                },
+                fineAccrued: {
+                    type: Number,
+                    default: 0,
+                },
             },
         ],
     },
@@ -1,6 +1,6 @@
 /**
  * @fileoverview This file sets up the express router for lend books-related endpoints.
- * It includes routes for creating and retrieving lend book records, with middleware for authentication and validation.
+ * It includes routes for creating, renewing and retrieving lend book records, with middleware for authentication and validation.
  * Routes that are not supported respond with a methodNotSupported handler.
  */
 
@@ -20,7 +20,7 @@ const router = express.Router();
  * /lend-books:
  *   post:
  *     summary: Creates a lend book record.
- *     description: Creates a new lend book record with the provided data. Access is limited to admins.
+ *     description: Creates a new lend book record with the provided data. The loan period and the number of books the user can have on loan are limited by the circulation policy of the user. Access is limited to admins.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -33,9 +33,9 @@ const router = express.Router();
  *               user:
  *                 type: string
  *                 description: User ID of the lender.
- *               bookId:
+ *               copy:
  *                 type: string
- *                 description: Book ID of the book to lend.
+ *                 description: ID of the book copy to lend.
  *               from:
  *                 type: string
  *                 format: date
@@ -51,11 +51,11 @@ const router = express.Router();
  *       201:
  *         description: Lend book record created successfully.
  *       404:
- *         description: No book or user found with the provided ID.
+ *         description: No book copy or user found with the provided ID.
  *       409:
- *         description: Book is already lent or already in your lend list.
+ *         description: The copy is not available, the book is already in your lend list or the user reached their loan limit.
  *       400:
- *         description: Invalid date provided for 'from' or 'to'.
+ *         description: Invalid date provided for 'from' or 'to', or a 'to' date beyond the loan period.
  *     tags:
  *       - Lend Books Management
  *   get:
@@ -111,4 +111,52 @@ router
     )
     .all(methodNotSupported);
 
+/**
+ * @openapi
+ * /books/lend/renew:
+ *   post:
+ *     summary: Renews a lend book record.
+ *     description: Extends the end date of a loan by the configured number of days. Users can renew their own loans and admins can renew any loan. A loan cannot be renewed once it is overdue, more than the circulation policy of the lender allows or while another user has reserved the book.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               copy:
+ *                 type: string
+ *                 description: ID of the lent book copy.
+ *               remarks:
+ *                 type: string
+ *                 description: Additional remarks about the renewal.
+ *     responses:
+ *       200:
+ *         description: The loan has been renewed successfully.
+ *       404:
+ *         description: No loan found for the provided copy.
+ *       409:
+ *         description: The loan is overdue, the renewal limit has been reached or the book is reserved by another user.
+ *     tags:
+ *       - Lend Books Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Lend Books Management
+ */
+router
+    .route('/renew')
+    .post(
+        authenticateMiddleware(accessTypesConstants.BOTH),
+        lendBooksValidator.renewLendBookSchema,
+        lendBooksController.renewLendBook
+    )
+    .all(methodNotSupported);
+
 export default router;
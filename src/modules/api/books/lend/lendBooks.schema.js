@@ -12,11 +12,11 @@ import lendBooksConstants from './lendBooks.constant.js';
 
 /**
  * lendBookSchemaBase - Base Joi schema for validating common fields used in lend books-related operations.
- * Ensures that fields such as user, book, from, to, remarks, page, limit, sort, createdBy, updatedBy, createdAt, and updatedAt meet the specified criteria.
+ * Ensures that fields such as user, copy, from, to, remarks, page, limit, sort, createdBy, updatedBy, createdAt, and updatedAt meet the specified criteria.
  */
 const lendBookSchemaBase = Joi.object({
     user: validationService.objectIdField,
-    book: validationService.objectIdField,
+    copy: validationService.objectIdField,
     to: Joi.string().messages({
         'date.base': '"to" must be a valid date in ISO 8601 format',
         'date.iso': '"to" date must strictly follow ISO 8601 format',
@@ -45,25 +45,35 @@ const lendBookSchemaBase = Joi.object({
 
 /**
  * createLendBooksSchema - Joi schema for validating the data to create a new lend book record.
- * Ensures that the user, book, from, to, and remarks fields are required and meet the specified criteria.
+ * Ensures that the user, copy, from, to, and remarks fields are required and meet the specified criteria.
  *
  * @function
  */
 const createLendBooksSchema = lendBookSchemaBase.fork(
-    ['user', 'book', 'to', 'remarks'],
+    ['user', 'copy', 'to', 'remarks'],
     (field) => field.required()
 );
 
+/**
+ * renewLendBookSchema - Joi schema for validating the data to renew a lend book record.
+ * Ensures that the copy field is required, the remarks are optional.
+ *
+ * @function
+ */
+const renewLendBookSchema = lendBookSchemaBase.fork(['copy'], (field) =>
+    field.required()
+);
+
 /**
  * getLendBooksQuerySchema - Joi schema for validating query parameters when retrieving a list of lend books.
- * Ensures that parameters such as user, book, from, to, remarks, page, limit, sort, createdBy, updatedBy, createdAt, and updatedAt are optional and meet the specified criteria.
+ * Ensures that parameters such as user, copy, from, to, remarks, page, limit, sort, createdBy, updatedBy, createdAt, and updatedAt are optional and meet the specified criteria.
  *
  * @function
  */
 const getLendBooksQuerySchema = lendBookSchemaBase.fork(
     [
         'user',
-        'book',
+        'copy',
         'to',
         'remarks',
         'page',
@@ -83,10 +93,12 @@ const getLendBooksQuerySchema = lendBookSchemaBase.fork(
  *
  * @typedef {Object} BooksSchema
  * @property {Object} createLendBooksSchema - Joi schema for validating the data to create a new lend book record.
+ * @property {Object} renewLendBookSchema - Joi schema for validating the data to renew a lend book record.
  * @property {Object} getLendBooksQuerySchema - Joi schema for validating query parameters when retrieving a list of lend books.
  */
 const booksSchema = {
     createLendBooksSchema,
+    renewLendBookSchema,
     getLendBooksQuerySchema,
 };
 
@@ -1,27 +1,69 @@
 /**
  * @fileoverview This file defines and exports the services related to lending books.
- * It includes functions for creating a lend book record and retrieving lend books for a requester.
+ * It includes functions for creating and renewing a lend book record and retrieving lend books for a requester.
  * These services interact with the database models to perform the necessary operations and return appropriate responses.
  */
 
+import mongoose from 'mongoose';
+
 import LendBooksModel from './lendBooks.model.js';
 import httpStatus from '../../../../constant/httpStatus.constants.js';
 import BooksModel from '../books.model.js';
 import UsersModel from '../../users/users.model.js';
+import BookCopiesModel from '../copies/bookCopies.model.js';
+import bookCopiesConstants from '../copies/bookCopies.constant.js';
+import BookReservationsModel from '../reservations/bookReservations.model.js';
+import bookReservationsConstants from '../reservations/bookReservations.constant.js';
+import bookReservationsService from '../reservations/bookReservations.service.js';
+import BooksHistoryModel from '../history/booksHistory.model.js';
+import circulationPoliciesService from '../../circulationPolicies/circulationPolicies.service.js';
 import loggerService from '../../../../service/logger.service.js';
+import configuration from '../../../../configuration/configuration.js';
+
+import validateAdminRequest from '../../../../utilities/validateAdminRequest.js';
 
 import errorResponse from '../../../../utilities/errorResponse.js';
 import sendResponse from '../../../../utilities/sendResponse.js';
 
+/**
+ * findLendableCopy - Picks the copy of a book to lend to a user. The copy kept on hold for the ready
+ * reservation of the user comes first, any available copy otherwise.
+ *
+ * @param {ObjectId} bookId - The ID of the book.
+ * @param {ObjectId} userId - The ID of the user.
+ * @returns {Promise<Object|null>} - The copy to lend, or null if none can be lent to the user.
+ */
+const findLendableCopy = async (bookId, userId) => {
+    const readyReservation = await BookReservationsModel.findOne({
+        book: bookId,
+        user: userId,
+        status: bookReservationsConstants.status.READY,
+    }).lean();
+    if (readyReservation) {
+        return BookCopiesModel.findById(readyReservation.copy).lean();
+    }
+
+    return BookCopiesModel.findOne({
+        book: bookId,
+        status: bookCopiesConstants.status.AVAILABLE,
+    }).lean();
+};
+
 /**
  * createLendBook - Service function to create a new lend book record.
  * This function validates the input data, checks for existing lend records, and saves the new record to the database.
+ * The copy status, the book stock and the lend record are updated in a single transaction, so concurrent
+ * checkouts can never lend more copies than the book has available. A copy on hold can only be lent to the
+ * user whose reservation it is kept for, and lending the book fulfils the reservation of the user. The loan
+ * period and the number of concurrent loans are limited by the circulation policy that applies to the user.
  *
  * @param {ObjectId} requester - The ID of the user making the request.
  * @param {Object} lendBookData - The data for the lend book record.
  * @returns {Promise<Object>} - The response object containing the status and data or error message.
  */
 const createLendBook = async (requester, lendBookData) => {
+    const session = await mongoose.startSession();
+
     try {
         const lenderDetails = await UsersModel.findById(lendBookData.user);
         if (!lenderDetails) {
@@ -31,21 +73,45 @@ const createLendBook = async (requester, lendBookData) => {
             );
         }
 
-        const bookDetails = await BooksModel.findById(lendBookData.book);
+        const policy = await circulationPoliciesService.getApplicablePolicy(
+            lendBookData.user
+        );
+
+        const copyDetails = await BookCopiesModel.findById(lendBookData.copy);
+        if (!copyDetails) {
+            return errorResponse(
+                'No book copy found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const bookDetails = await BooksModel.findById(copyDetails.book);
         if (!bookDetails) {
             return errorResponse(
-                'No book found with the provided ID.',
+                'No book found for the provided copy.',
                 httpStatus.NOT_FOUND
             );
         }
 
-        // Step 3: Check if the book is already lent by someone else
-        const isBookLent = await LendBooksModel.findOne({
-            'books.id': lendBookData.book,
-        });
-        if (isBookLent) {
+        // Step 3: Check if the copy can be lent, a copy on hold is kept for the user of the ready reservation
+        const isOnHold =
+            copyDetails.status === bookCopiesConstants.status.ON_HOLD;
+        if (isOnHold) {
+            const readyReservation = await BookReservationsModel.findOne({
+                copy: lendBookData.copy,
+                status: bookReservationsConstants.status.READY,
+            });
+            if (readyReservation?.user.toString() !== lendBookData.user) {
+                return errorResponse(
+                    'This copy is on hold for the reservation of another user.',
+                    httpStatus.CONFLICT
+                );
+            }
+        } else if (
+            copyDetails.status !== bookCopiesConstants.status.AVAILABLE
+        ) {
             return errorResponse(
-                'This book is already lent by someone else.',
+                `This copy is not available for lending, its current status is "${copyDetails.status}". The book can be reserved to join the queue for the next returned copy.`,
                 httpStatus.CONFLICT
             );
         }
@@ -65,20 +131,92 @@ const createLendBook = async (requester, lendBookData) => {
         }
 
         const maxToDate = new Date(fromDate);
-        maxToDate.setDate(fromDate.getDate() + 30); // Adding 30 days to 'from' date
+        maxToDate.setDate(fromDate.getDate() + policy.loanPeriodDays); // Adding the loan period of the policy to 'from' date
 
         if (toDate > maxToDate) {
             return errorResponse(
-                'The "to" date cannot be more than 30 days from the "from" date.',
+                `The "to" date cannot be more than ${policy.loanPeriodDays} days from the "from" date.`,
                 httpStatus.BAD_REQUEST
             );
         }
 
         lendBookData.from = fromDate; // Update the 'to' date to the validated value
-        // Step 5: Find existing document for the user or create a new one
+        lendBookData.book = bookDetails._id.toString();
+
+        session.startTransaction();
+
+        // Step 5: Put the copy on loan, the status filter guards against a concurrent checkout of the same copy
+        const copyUpdate = await BookCopiesModel.updateOne(
+            {
+                _id: lendBookData.copy,
+                status: copyDetails.status,
+            },
+            {
+                $set: {
+                    status: bookCopiesConstants.status.ON_LOAN,
+                    updatedBy: requester,
+                },
+            },
+            { session }
+        );
+        if (!copyUpdate.modifiedCount) {
+            await session.abortTransaction();
+
+            return errorResponse(
+                'This copy has just been lent by someone else.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        // Step 6: Decrement the stock, refusing when no copy is left, a copy on hold was never part of the stock
+        if (!isOnHold) {
+            const stockUpdate = await BooksModel.updateOne(
+                { _id: lendBookData.book, stockAvailable: { $gt: 0 } },
+                { $inc: { stockAvailable: -1 } },
+                { session }
+            );
+            if (!stockUpdate.modifiedCount) {
+                await session.abortTransaction();
+
+                return errorResponse(
+                    'No copies of this book are available for lending.',
+                    httpStatus.CONFLICT
+                );
+            }
+        }
+
+        // Step 7: Fulfil the reservation of the user, releasing the copy kept for it when another copy was lent
+        const fulfilledReservation =
+            await BookReservationsModel.findOneAndUpdate(
+                {
+                    book: lendBookData.book,
+                    user: lendBookData.user,
+                    status: { $in: bookReservationsConstants.activeStatus },
+                },
+                {
+                    $set: {
+                        status: bookReservationsConstants.status.FULFILLED,
+                    },
+                },
+                { session }
+            );
+        if (
+            fulfilledReservation?.status ===
+                bookReservationsConstants.status.READY &&
+            fulfilledReservation.copy.toString() !== lendBookData.copy
+        ) {
+            await bookReservationsService.assignCopyToNextReservation(
+                lendBookData.book,
+                fulfilledReservation.copy,
+                session,
+                requester
+            );
+        }
+
+        // Step 8: Find existing document for the user or create a new one
         const existingLend = await LendBooksModel.findOne({
             lender: lendBookData.user,
-        });
+        }).session(session);
         if (existingLend) {
             // Prevent adding duplicate book IDs
             if (
@@ -86,19 +224,33 @@ const createLendBook = async (requester, lendBookData) => {
                     (book) => book.id.toString() === lendBookData.book
                 )
             ) {
+                await session.abortTransaction();
+
                 return errorResponse(
                     'This book is already in your lend list.',
                     httpStatus.CONFLICT
                 );
             }
 
+            // Enforce the loan limit of the circulation policy of the user
+            if (existingLend.books.length >= policy.maxConcurrentLoans) {
+                await session.abortTransaction();
+
+                return errorResponse(
+                    `This user already has ${existingLend.books.length} book(s) on loan, the maximum allowed is ${policy.maxConcurrentLoans}.`,
+                    httpStatus.CONFLICT
+                );
+            }
+
             existingLend.books.push({
                 id: lendBookData.book,
+                copy: lendBookData.copy,
                 from: lendBookData.from,
                 to: lendBookData.to,
                 remarks: lendBookData.remarks || '',
             });
-            await existingLend.save();
+            await existingLend.save({ session });
+            await session.commitTransaction();
 
             return sendResponse(
                 existingLend,
@@ -107,17 +259,24 @@ const createLendBook = async (requester, lendBookData) => {
             );
         } else {
             // Create a new document if none exists
-            const newLendBook = await LendBooksModel.create({
-                lender: lendBookData.user,
-                books: [
+            const [newLendBook] = await LendBooksModel.create(
+                [
                     {
-                        id: lendBookData.book,
-                        from: lendBookData.from,
-                        to: lendBookData.to,
-                        remarks: lendBookData.remarks || '',
+                        lender: lendBookData.user,
+                        books: [
+                            {
+                                id: lendBookData.book,
+                                copy: lendBookData.copy,
+                                from: lendBookData.from,
+                                to: lendBookData.to,
+                                remarks: lendBookData.remarks || '',
+                            },
+                        ],
                     },
                 ],
-            });
+                { session }
+            );
+            await session.commitTransaction();
 
             return sendResponse(
                 newLendBook,
@@ -126,12 +285,163 @@ const createLendBook = async (requester, lendBookData) => {
             );
         }
     } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
         loggerService.error(`Failed to lend book: ${error}`);
 
         return errorResponse(
             error.message || 'Failed to lend book.',
             httpStatus.INTERNAL_SERVER_ERROR
         );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * renewLendBook - Service function to extend the end date of an existing loan.
+ * Users can only renew their own loans, while admins can renew any loan. A loan cannot be renewed once it
+ * is overdue, as its fine keeps accruing until it is returned, more often than the circulation policy of the
+ * lender allows, or while another user holds a reservation on the book. The loan and the book history are
+ * updated in a single transaction.
+ *
+ * @param {ObjectId} requester - The ID of the user or admin making the request.
+ * @param {Object} renewData - The data for the renewal, holding the lent copy and optional remarks.
+ * @returns {Promise<Object>} - The response object containing the status and data or error message.
+ */
+const renewLendBook = async (requester, renewData) => {
+    const session = await mongoose.startSession();
+
+    try {
+        // Step 1: Find the loan of the copy, users are limited to their own loans
+        const lendDetails = await LendBooksModel.findOne({
+            'books.copy': renewData.copy,
+        });
+        const isAdmin = await validateAdminRequest(requester);
+        if (
+            !lendDetails ||
+            (!isAdmin && lendDetails.lender.toString() !== requester)
+        ) {
+            return errorResponse(
+                'No loan found for the provided copy.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const loan = lendDetails.books.find(
+            (book) => book.copy?.toString() === renewData.copy
+        );
+
+        // An overdue loan is charged for every day it is late, so it has to be returned instead
+        if (loan.isOverdue || loan.to < new Date()) {
+            return errorResponse(
+                'This loan is overdue and cannot be renewed. Please return the book.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        // Step 2: Enforce the renewal limit of the circulation policy of the lender
+        const { maxRenewals } =
+            await circulationPoliciesService.getApplicablePolicy(
+                lendDetails.lender
+            );
+        const { renewalExtensionDays } = configuration.lend;
+        if (loan.renewals >= maxRenewals) {
+            return errorResponse(
+                `This loan has already been renewed ${loan.renewals} time(s), the maximum allowed is ${maxRenewals}.`,
+                httpStatus.CONFLICT
+            );
+        }
+
+        // Step 3: Someone else waiting for the book takes precedence over a renewal
+        const hasReservation = await BookReservationsModel.exists({
+            book: loan.id,
+            user: { $ne: lendDetails.lender },
+            status: { $in: bookReservationsConstants.activeStatus },
+        });
+        if (hasReservation) {
+            return errorResponse(
+                'This book is reserved by another user and cannot be renewed.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        const previousTo = loan.to;
+        const renewedTo = new Date(previousTo);
+        renewedTo.setDate(renewedTo.getDate() + renewalExtensionDays);
+
+        session.startTransaction();
+
+        // Step 4: Extend the loan, the renewal count guards against concurrent renewals
+        const lendUpdate = await LendBooksModel.updateOne(
+            {
+                _id: lendDetails._id,
+                books: {
+                    $elemMatch: { _id: loan._id, renewals: loan.renewals },
+                },
+            },
+            {
+                $set: { 'books.$.to': renewedTo },
+                $inc: { 'books.$.renewals': 1 },
+            },
+            { session }
+        );
+        if (!lendUpdate.modifiedCount) {
+            await session.abortTransaction();
+
+            return errorResponse(
+                'This loan has just been renewed or returned. Please try again.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        // Step 5: Record the renewal in the book history
+        await BooksHistoryModel.updateOne(
+            { book: loan.id },
+            {
+                $push: {
+                    renew: {
+                        user: lendDetails.lender,
+                        copy: loan.copy,
+                        date: new Date(),
+                        previousTo,
+                        to: renewedTo,
+                        remarks: renewData.remarks || '',
+                    },
+                },
+            },
+            { upsert: true, session }
+        );
+
+        await session.commitTransaction();
+
+        return sendResponse(
+            {
+                book: loan.id,
+                copy: loan.copy,
+                from: loan.from,
+                to: renewedTo,
+                renewals: loan.renewals + 1,
+                renewalsLeft: maxRenewals - loan.renewals - 1,
+            },
+            'The loan has been renewed successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to renew lend book: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to renew lend book.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
     }
 };
 
@@ -252,9 +562,11 @@ const getLendBooks = async () => {
                 image: book.id.image, // If there is an image associated
                 createdAt: book.id.createdAt,
                 updatedAt: book.id.updatedAt,
+                copy: book.copy, // Adding the lent copy
                 from: book.from, // Adding from date
                 to: book.to, // Adding to date
                 remarks: book.remarks, // Adding remarks field
+                renewals: book.renewals, // Adding the number of renewals
             })),
         }));
 
@@ -288,11 +600,15 @@ const getLendBooks = async () => {
  * These services include creating a lend book record and retrieving lend books for a requester.
  *
  * @typedef {Object} WritersService
+ * @property {Function} findLendableCopy - Picks the copy of a book to lend to a user.
  * @property {Function} createLendBook - Service function to create a new lend book record.
+ * @property {Function} renewLendBook - Service function to extend the end date of an existing loan.
  * @property {Function} getLendBooks - Service function to retrieve lend books for a requester.
  */
 const writersService = {
+    findLendableCopy,
     createLendBook,
+    renewLendBook,
     getLendBooks,
 };
 
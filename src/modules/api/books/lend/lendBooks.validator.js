@@ -17,6 +17,16 @@ const createLendBooksSchema = validateWithSchema([
     { schema: favouriteBooksSchema.createLendBooksSchema, property: 'body' },
 ]);
 
+/**
+ * renewLendBookSchema - Middleware for validating the body of requests to renew a lend book.
+ * Ensures that the request body meets the specified schema requirements.
+ *
+ * @function
+ */
+const renewLendBookSchema = validateWithSchema([
+    { schema: favouriteBooksSchema.renewLendBookSchema, property: 'body' },
+]);
+
 /**
  * getLendBooksQuerySchema - Middleware for validating the query parameters of requests to retrieve lend books.
  * Ensures that the query parameters meet the specified schema requirements.
@@ -36,10 +46,12 @@ const getLendBooksQuerySchema = validateWithSchema([
  *
  * @typedef {Object} LendBooksValidator
  * @property {Function} createLendBooksSchema - Middleware for validating the body of requests to create lend books.
+ * @property {Function} renewLendBookSchema - Middleware for validating the body of requests to renew a lend book.
  * @property {Function} getLendBooksQuerySchema - Middleware for validating the query parameters of requests to retrieve lend books.
  */
 const lendBooksValidator = {
     createLendBooksSchema,
+    renewLendBookSchema,
     getLendBooksQuerySchema,
 };
 
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview This file defines and exports the constants used for the notices sent about loans.
+ * These constants include the types of notices and the subject of the email sent for each type.
+ */
+
+/**
+ * type - The types of notices sent about a loan, in the order they are sent.
+ */
+const type = {
+    DUE_SOON: 'due_soon',
+    DUE_TODAY: 'due_today',
+    OVERDUE: 'overdue',
+};
+
+/**
+ * subject - The subject of the email sent for each type of notice, which also selects its email template.
+ */
+const subject = {
+    [type.DUE_SOON]: 'Book Due Soon',
+    [type.DUE_TODAY]: 'Book Due Today',
+    [type.OVERDUE]: 'Book Overdue',
+};
+
+/**
+ * loanNoticesConstants - An object that holds constants for the notices sent about loans.
+ *
+ * @typedef {Object} LoanNoticesConstants
+ * @property {Object} type - An object containing the types of notices.
+ * @property {Object} subject - An object mapping each type of notice to the subject of its email.
+ */
+const loanNoticesConstants = {
+    type,
+    subject,
+};
+
+export default loanNoticesConstants;
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for the notices sent about loans.
+ * Each document records that a notice of a given type was sent for a loan and its due date, so a user never
+ * receives the same notice twice. Renewing a loan changes its due date, which allows the notices to be sent
+ * again for the new date.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import loanNoticesConstants from './loanNotices.constant.js';
+
+/**
+ * loanNoticeSchema - Mongoose schema for storing the notices sent about loans.
+ *
+ * @typedef {Object} loanNoticeSchema
+ * @property {Schema.Types.ObjectId} user - Reference to the user the notice was sent to, required.
+ * @property {Schema.Types.ObjectId} loan - The ID of the loan entry the notice is about, required.
+ * @property {Schema.Types.ObjectId} book - Reference to the lent book.
+ * @property {Schema.Types.ObjectId} copy - Reference to the lent copy.
+ * @property {String} type - The type of the notice, required.
+ * @property {Date} dueDate - The due date of the loan when the notice was sent, required.
+ * @property {Date} createdAt - Timestamp for when the notice was sent.
+ * @property {Date} updatedAt - Timestamp for when the notice was last updated.
+ */
+const loanNoticeSchema = new mongoose.Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'Users',
+            required: [true, 'Please specify the user of the notice.'],
+            description: 'The database ID of the user the notice was sent to.',
+        },
+        loan: {
+            type: Schema.Types.ObjectId,
+            required: [true, 'Please specify the loan of the notice.'],
+            description:
+                'The database ID of the loan entry in the lend record.',
+        },
+        book: {
+            type: Schema.Types.ObjectId,
+            ref: 'Books',
+            description: 'The database ID of the lent book.',
+        },
+        copy: {
+            type: Schema.Types.ObjectId,
+            ref: 'BookCopies',
+            description: 'The database ID of the lent copy.',
+        },
+        type: {
+            type: String,
+            enum: Object.values(loanNoticesConstants.type),
+            required: [true, 'Please specify the type of the notice.'],
+            description: 'The type of the notice.',
+        },
+        dueDate: {
+            type: Date,
+            required: [true, 'Please specify the due date of the loan.'],
+            description: 'The due date of the loan when the notice was sent.',
+        },
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing the notices sent about loans with automatic timestamping for creation and updates.',
+    }
+);
+
+// A notice is sent once per loan, type and due date
+loanNoticeSchema.index({ loan: 1, type: 1, dueDate: 1 }, { unique: true });
+
+const LoanNoticesModel = mongoose.model('LoanNotices', loanNoticeSchema);
+
+export default LoanNoticesModel;
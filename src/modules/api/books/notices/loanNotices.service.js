@@ -0,0 +1,189 @@
+/**
+ * @fileoverview This file defines and exports the service functions for the notices sent about loans.
+ * Active loans are checked periodically, and their users receive a "due soon" reminder a configured number
+ * of days before the due date, a "due today" reminder on the due date and an "overdue" notice once the loan
+ * is late. Each notice sent is recorded, so nobody receives the same notice twice, and users who turned loan
+ * reminders off in their notification settings are skipped.
+ */
+
+import LoanNoticesModel from './loanNotices.model.js';
+import loanNoticesConstants from './loanNotices.constant.js';
+import LendBooksModel from '../lend/lendBooks.model.js';
+import configuration from '../../../../configuration/configuration.js';
+import EmailService from '../../../../service/email.service.js';
+import loggerService from '../../../../service/logger.service.js';
+import prepareEmail from '../../../../shared/prepareEmail.js';
+import prepareEmailContent from '../../../../shared/prepareEmailContent.js';
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Determines the notice due for a loan on the current date, by the number of calendar days between the
+ * current date and the due date.
+ *
+ * @param {Date} dueDate - The due date of the loan.
+ * @param {Date} currentDate - The current date.
+ * @returns {Object|null} - The type of the notice and the number of days left or overdue, or null if no notice is due yet.
+ */
+const getDueNotice = (dueDate, currentDate) => {
+    const due = new Date(dueDate).setHours(0, 0, 0, 0);
+    const today = new Date(currentDate).setHours(0, 0, 0, 0);
+    const daysLeft = Math.round((due - today) / MILLISECONDS_PER_DAY);
+
+    if (daysLeft < 0) {
+        return { type: loanNoticesConstants.type.OVERDUE, days: -daysLeft };
+    }
+
+    if (daysLeft === 0) {
+        return { type: loanNoticesConstants.type.DUE_TODAY, days: 0 };
+    }
+
+    if (daysLeft <= configuration.loanNotice.dueSoonDays) {
+        return { type: loanNoticesConstants.type.DUE_SOON, days: daysLeft };
+    }
+
+    return null;
+};
+
+/**
+ * Sends the email of a notice to a user.
+ *
+ * @param {Object} lender - The user the notice is sent to, with their name and emails.
+ * @param {Object} loan - The loan entry the notice is about, with its book and copy populated.
+ * @param {Object} notice - The type of the notice and the number of days left or overdue.
+ * @returns {Promise<void>} - A promise that resolves once the email is sent.
+ */
+const sendNoticeEmail = async (lender, loan, notice) => {
+    const subject = loanNoticesConstants.subject[notice.type];
+    const emailAddress = (
+        lender.emails.find((email) => email.isPrimaryEmail) || lender.emails[0]
+    ).email;
+
+    const emailData = {
+        userName: lender.name?.first,
+        bookName: loan.id?.name,
+        accessionNumber: loan.copy?.accessionNumber,
+        dueDate: loan.to.toDateString(),
+        daysLeft: notice.days,
+        daysOverdue: notice.days,
+    };
+    const {
+        pageTitle,
+        preheaderText,
+        heroSection,
+        mainSection,
+        footerContent,
+    } = prepareEmailContent(subject, emailData);
+
+    await EmailService.sendEmail(
+        emailAddress,
+        subject,
+        prepareEmail(
+            pageTitle,
+            preheaderText,
+            heroSection,
+            mainSection,
+            footerContent
+        )
+    );
+};
+
+/**
+ * Sends the due date reminders and overdue notices of the active loans. A notice is recorded before its email
+ * is sent, and the record is removed again when the email fails, so it is retried on the next run.
+ * This function is run periodically by the scheduler.
+ *
+ * @returns {Promise<number>} - The number of notices that were sent.
+ */
+const sendLoanNotices = async () => {
+    const now = new Date();
+    const horizon = new Date(now);
+    horizon.setDate(horizon.getDate() + configuration.loanNotice.dueSoonDays);
+    horizon.setHours(23, 59, 59, 999);
+
+    const lendRecords = await LendBooksModel.find({
+        'books.to': { $lte: horizon },
+    })
+        .populate({
+            path: 'lender',
+            select: 'name emails notificationSettings',
+        })
+        .populate({
+            path: 'books.id',
+            select: 'name',
+        })
+        .populate({
+            path: 'books.copy',
+            select: 'accessionNumber',
+        })
+        .lean();
+
+    let sentCount = 0;
+
+    for (const lendRecord of lendRecords) {
+        const { lender } = lendRecord;
+        if (
+            !lender?.emails?.length ||
+            lender.notificationSettings?.loanReminders === false
+        ) {
+            continue;
+        }
+
+        for (const loan of lendRecord.books) {
+            const notice = getDueNotice(loan.to, now);
+            if (!notice) continue;
+
+            let noticeRecord;
+
+            try {
+                noticeRecord = await LoanNoticesModel.create({
+                    user: lender._id,
+                    loan: loan._id,
+                    book: loan.id?._id,
+                    copy: loan.copy?._id,
+                    type: notice.type,
+                    dueDate: loan.to,
+                });
+            } catch (error) {
+                // The notice has already been sent for this due date
+                if (error.code === 11000) continue;
+
+                loggerService.error(
+                    `Failed to record ${notice.type} notice for loan ${loan._id}: ${error}`
+                );
+
+                continue;
+            }
+
+            try {
+                await sendNoticeEmail(lender, loan, notice);
+
+                sentCount += 1;
+            } catch (error) {
+                await LoanNoticesModel.deleteOne({ _id: noticeRecord._id });
+
+                loggerService.error(
+                    `Failed to send ${notice.type} notice for loan ${loan._id}: ${error}`
+                );
+            }
+        }
+    }
+
+    if (sentCount) {
+        loggerService.info(`${sentCount} loan notice(s) sent.`);
+    }
+
+    return sentCount;
+};
+
+/**
+ * loanNoticesService - An object that holds the service functions for the notices sent about loans.
+ *
+ * @typedef {Object} LoanNoticesService
+ * @property {Function} sendLoanNotices - Sends the due date reminders and overdue notices of the active loans.
+ */
+const loanNoticesService = {
+    sendLoanNotices,
+};
+
+export default loanNoticesService;
@@ -5,26 +5,19 @@
  * and use various utilities for validation and file handling.
  */
 
-import { v2 as cloudinary } from 'cloudinary';
-
 import httpStatus from '../../../../constant/httpStatus.constants.js';
 import requestBooksConstant from './requestBooks.constant.js';
 import mimeTypesConstants from '../../../../constant/mimeTypes.constants.js';
 import fileExtensionsConstants from '../../../../constant/fileExtensions.constants.js';
 import RequestBooksModel from './requestBooks.model.js';
 import loggerService from '../../../../service/logger.service.js';
-import configuration from '../../../../configuration/configuration.js';
+import imageService from '../../../../service/image.service.js';
+import service from '../../../../shared/service.js';
 
 import errorResponse from '../../../../utilities/errorResponse.js';
 import validateFile from '../../../../utilities/validateFile.js';
 import sendResponse from '../../../../utilities/sendResponse.js';
 
-cloudinary.config({
-    cloud_name: configuration.cloudinary.cloudName,
-    api_key: configuration.cloudinary.apiKey,
-    api_secret: configuration.cloudinary.apiSecret,
-});
-
 /**
  * @description Handles the creation of a book request. Validates the request data and image,
  * checks for duplicate requests, uploads the image, and saves the request to the database.
@@ -74,21 +67,8 @@ const createRequestBook = async (requester, bookData, bookImage) => {
                 );
             }
 
-            const file = bookImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in bookData
-            bookData.image = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            bookData.image = await imageService.uploadImage(bookImage);
             bookData.createdBy = requester;
 
             // Add new book to the existing requestedBooks document
@@ -127,21 +107,8 @@ const createRequestBook = async (requester, bookData, bookImage) => {
                 );
             }
 
-            const file = bookImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in bookData
-            bookData.image = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            bookData.image = await imageService.uploadImage(bookImage);
             bookData.createdBy = requester;
 
             // Create a new requestedBooks document if none exists
@@ -166,7 +133,7 @@ const createRequestBook = async (requester, bookData, bookImage) => {
 
         return errorResponse(
             error.message || 'Failed to request book.',
-            httpStatus.INTERNAL_SERVER_ERROR
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
@@ -340,10 +307,13 @@ const deleteRequestBook = async (requester, requestBookId) => {
             (book) => book._id.toString() === requestBookId
         );
         if (index > -1) {
-            requestBook.requestedBooks.splice(index, 1);
+            const [removedBook] = requestBook.requestedBooks.splice(index, 1);
 
             await requestBook.save();
 
+            // The image of the requested book is not used anywhere else
+            await service.deleteResourceImages([removedBook], 'requested book');
+
             return sendResponse(
                 {
                     removedBookId: requestBookId,
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview This file defines and exports the constants used for managing book reservations.
+ * These constants include the lifecycle states of a reservation (hold) placed by a user on a book.
+ */
+
+/**
+ * status - The lifecycle states of a reservation. `WAITING` and `READY` reservations are considered
+ * active and keep their place in the queue of the book.
+ */
+const status = {
+    WAITING: 'waiting',
+    READY: 'ready',
+    FULFILLED: 'fulfilled',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+};
+
+/**
+ * activeStatus - The reservation states that still hold a claim on the next available copy of a book.
+ */
+const activeStatus = [status.WAITING, status.READY];
+
+/**
+ * bookReservationsConstants - An object that holds constants for book reservations.
+ *
+ * @typedef {Object} BookReservationsConstants
+ * @property {Object} status - An object containing the allowed status values of a reservation.
+ * @property {Array<string>} activeStatus - The status values of the reservations that are still active.
+ */
+const bookReservationsConstants = {
+    status,
+    activeStatus,
+};
+
+export default bookReservationsConstants;
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview This file defines and exports the controller for the book reservations module.
+ * The controller includes methods for placing, retrieving and cancelling book reservations.
+ * These methods utilize the shared controller functions to handle the core logic.
+ */
+
+import bookReservationsService from './bookReservations.service.js';
+import controller from '../../../../shared/controller.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+/**
+ * bookReservationsController - Controller for handling book reservation operations.
+ *
+ * @typedef {Object} BookReservationsController
+ * @property {Function} createBookReservation - Controller method for placing a new book reservation.
+ * @property {Function} getBookReservationList - Controller method for retrieving a list of book reservations.
+ * @property {Function} cancelBookReservationById - Controller method for cancelling a book reservation by its ID.
+ */
+const bookReservationsController = {
+    /**
+     * createBookReservation - Controller method for placing a new book reservation.
+     *
+     * @function
+     */
+    createBookReservation: controller.create(
+        bookReservationsService,
+        'createBookReservation'
+    ),
+
+    /**
+     * getBookReservationList - Controller method for retrieving a list of book reservations.
+     *
+     * @function
+     */
+    getBookReservationList: controller.getList(
+        bookReservationsService,
+        'getBookReservationList'
+    ),
+
+    /**
+     * cancelBookReservationById - Controller method for cancelling a book reservation by its ID.
+     *
+     * @function
+     */
+    cancelBookReservationById: controller.deleteById(
+        bookReservationsService,
+        'cancelBookReservationById',
+        routesConstants.bookReservations.params
+    ),
+};
+
+export default bookReservationsController;
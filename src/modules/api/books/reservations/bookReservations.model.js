@@ -0,0 +1,75 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for book reservations.
+ * Each document represents a hold placed by a user on a book, waiting for one of its copies to be
+ * available for lending.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import bookReservationsConstants from './bookReservations.constant.js';
+
+/**
+ * bookReservationSchema - Mongoose schema for storing the reservations placed by users on books.
+ *
+ * @typedef {Object} bookReservationSchema
+ * @property {Schema.Types.ObjectId} book - Reference to the reserved book, required.
+ * @property {Schema.Types.ObjectId} user - Reference to the user who placed the reservation, required.
+ * @property {String} status - The current state of the reservation.
+ * @property {Schema.Types.ObjectId} copy - Reference to the copy kept on hold once the reservation is ready.
+ * @property {Date} expiresAt - The end of the pickup window once the reservation is ready.
+ * @property {Date} createdAt - Timestamp for when the reservation was placed.
+ * @property {Date} updatedAt - Timestamp for when the reservation was last updated.
+ */
+const bookReservationSchema = new mongoose.Schema(
+    {
+        book: {
+            type: Schema.Types.ObjectId,
+            ref: 'Books',
+            required: [true, 'Please specify the book to reserve.'],
+            description: 'The database ID of the reserved book.',
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'Users',
+            required: [true, 'Please specify the user of the reservation.'],
+            description:
+                'The database ID of the user who placed the reservation.',
+        },
+        status: {
+            type: String,
+            enum: Object.values(bookReservationsConstants.status),
+            default: bookReservationsConstants.status.WAITING,
+            description: 'The current state of the reservation.',
+        },
+        copy: {
+            type: Schema.Types.ObjectId,
+            ref: 'BookCopies',
+            description:
+                'The database ID of the copy kept on hold for the user once the reservation is ready.',
+        },
+        expiresAt: {
+            type: Date,
+            description:
+                'The date until which the copy on hold can be picked up.',
+        },
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing the reservations placed by users on books with automatic timestamping for creation and updates.',
+    }
+);
+
+// Reservations of a book are looked up by state and served in the order they were placed
+bookReservationSchema.index({ book: 1, status: 1, createdAt: 1 });
+
+// Ready reservations are scanned by the end of their pickup window
+bookReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const BookReservationsModel = mongoose.model(
+    'BookReservations',
+    bookReservationSchema
+);
+
+export default BookReservationsModel;
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview This file sets up the express router for book reservation endpoints.
+ * It includes routes for placing, retrieving and cancelling reservations on books, with middleware
+ * for authentication and validation. Routes that are not supported respond with a methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import bookReservationsValidator from './bookReservations.validator.js';
+import bookReservationsController from './bookReservations.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/reservations:
+ *   post:
+ *     summary: Reserves a book.
+ *     description: Places the authenticated user in the queue of a book that has no copy available. When a copy is returned it is kept on hold for the first user in the queue for a limited pickup window.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               book:
+ *                 type: string
+ *                 description: ID of the book to reserve.
+ *     responses:
+ *       201:
+ *         description: Book reserved successfully, the response includes the position in the queue.
+ *       403:
+ *         description: The circulation policy of the user does not allow reserving books.
+ *       404:
+ *         description: No book found with the provided ID.
+ *       409:
+ *         description: A copy is available, the book is already on loan to the user or already reserved.
+ *     tags:
+ *       - Book Reservations Management
+ *   get:
+ *     summary: Retrieves a list of book reservations.
+ *     description: Fetches book reservations filtered by book, user and status. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Only return the reservations of this book.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *         description: Only return the reservations with this status.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book reservations.
+ *       404:
+ *         description: No book reservations found.
+ *     tags:
+ *       - Book Reservations Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Reservations Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(accessTypesConstants.USER),
+        bookReservationsValidator.createBookReservation,
+        bookReservationsController.createBookReservation
+    )
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookReservations.permissions.getList
+        ),
+        bookReservationsValidator.getBookReservationList,
+        bookReservationsController.getBookReservationList
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/reservations/{reservationId}:
+ *   delete:
+ *     summary: Cancels a book reservation by ID.
+ *     description: Cancels a waiting or ready reservation. Users can cancel their own reservations and admins can cancel any reservation. The copy on hold for a ready reservation passes on to the next user in the queue.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the book reservation.
+ *     responses:
+ *       200:
+ *         description: Book reservation cancelled successfully.
+ *       404:
+ *         description: Book reservation not found.
+ *       409:
+ *         description: The reservation is no longer active.
+ *     tags:
+ *       - Book Reservations Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Reservations Management
+ */
+router
+    .route(`/:${routesConstants.bookReservations.params}`)
+    .delete(
+        authenticateMiddleware(accessTypesConstants.BOTH),
+        bookReservationsValidator.cancelBookReservationById,
+        bookReservationsController.cancelBookReservationById
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for managing book reservations.
+ * These schemas are used to validate the input data for the book reservation endpoints, including
+ * placing, querying and cancelling reservations.
+ */
+
+import Joi from 'joi';
+
+import bookReservationsConstants from './bookReservations.constant.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+import validationService from '../../../../service/validation.service.js';
+
+/**
+ * bookReservationSchemaBase - Base Joi schema for validating common fields used in book reservation operations.
+ * Ensures that fields such as book, user, status, page, limit, sort, createdAt, and updatedAt meet the specified criteria.
+ */
+const bookReservationSchemaBase = Joi.object({
+    book: validationService.objectIdField.description(
+        'The book ID to reserve. ID must be a valid MongoDB ObjectId.'
+    ),
+    user: validationService.objectIdField.description(
+        'The user ID of the reservation. ID must be a valid MongoDB ObjectId.'
+    ),
+    status: Joi.string()
+        .valid(...Object.values(bookReservationsConstants.status))
+        .messages(customValidationMessage)
+        .description('The current state of the reservation.'),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('createdAt'),
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * createBookReservationSchema - Joi schema for validating the data to place a new reservation.
+ * Ensures that the book field is required, the reservation is always placed for the requester.
+ *
+ * @function
+ */
+const createBookReservationSchema = bookReservationSchemaBase.fork(
+    ['book'],
+    (field) => field.required()
+);
+
+/**
+ * getBookReservationsQuerySchema - Joi schema for validating query parameters when retrieving a list of reservations.
+ *
+ * @function
+ */
+const getBookReservationsQuerySchema = bookReservationSchemaBase.fork(
+    [
+        'book',
+        'user',
+        'status',
+        'page',
+        'limit',
+        'sort',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * bookReservationIdParamSchema - Joi schema for validating a single book reservation ID.
+ * Ensures that the reservationId field is a valid MongoDB ObjectId.
+ *
+ * @function
+ */
+const bookReservationIdParamSchema = Joi.object({
+    reservationId: validationService.objectIdField
+        .required()
+        .description(
+            'The book reservation ID. ID must be a valid MongoDB ObjectId.'
+        ),
+}).strict();
+
+/**
+ * bookReservationsSchema - An object that holds various Joi validation schemas for book reservation operations.
+ *
+ * @typedef {Object} BookReservationsSchema
+ * @property {Object} createBookReservationSchema - Joi schema for validating the data to place a new reservation.
+ * @property {Object} getBookReservationsQuerySchema - Joi schema for validating query parameters when retrieving reservations.
+ * @property {Object} bookReservationIdParamSchema - Joi schema for validating a single book reservation ID.
+ */
+const bookReservationsSchema = {
+    createBookReservationSchema,
+    getBookReservationsQuerySchema,
+    bookReservationIdParamSchema,
+};
+
+export default bookReservationsSchema;
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview This file defines and exports the service functions for managing book reservations.
+ * Users place reservations (holds) on books that have no copy available, and the reservations of a book
+ * are served first in, first out. When a copy is returned it is kept on hold for the next user in line,
+ * who has a limited pickup window before the copy passes on to the following reservation.
+ */
+
+import mongoose from 'mongoose';
+
+import BookReservationsModel from './bookReservations.model.js';
+import bookReservationsConstants from './bookReservations.constant.js';
+import BooksModel from '../books.model.js';
+import BookCopiesModel from '../copies/bookCopies.model.js';
+import bookCopiesConstants from '../copies/bookCopies.constant.js';
+import LendBooksModel from '../lend/lendBooks.model.js';
+import circulationPoliciesService from '../../circulationPolicies/circulationPolicies.service.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import configuration from '../../../../configuration/configuration.js';
+import loggerService from '../../../../service/logger.service.js';
+import service from '../../../../shared/service.js';
+
+import validateAdminRequest from '../../../../utilities/validateAdminRequest.js';
+import errorResponse from '../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+/**
+ * Helper function to populate book reservation fields with related data.
+ *
+ * @param {Object} query - Mongoose query object.
+ * @returns {Promise<Object>} - Populated query result.
+ */
+const populateBookReservationFields = async (query) => {
+    return await query
+        .populate({
+            path: 'book',
+            select: 'name edition image',
+        })
+        .populate({
+            path: 'user',
+            select: 'name emails',
+        })
+        .populate({
+            path: 'copy',
+            select: 'accessionNumber barcode shelfLocation',
+        });
+};
+
+/**
+ * Calculates the position of a waiting reservation in the queue of its book, starting at 1.
+ *
+ * @param {Object} reservation - The reservation to locate.
+ * @returns {Promise<number>} - The position of the reservation in the queue.
+ */
+const getQueuePosition = async (reservation) => {
+    const reservationsAhead = await BookReservationsModel.countDocuments({
+        book: reservation.book,
+        status: bookReservationsConstants.status.WAITING,
+        createdAt: { $lt: reservation.createdAt },
+    });
+
+    return reservationsAhead + 1;
+};
+
+/**
+ * Hands a copy that is back on the shelf to the oldest waiting reservation of its book, opening the pickup
+ * window for that user and keeping the copy on hold. When nobody is waiting the copy becomes available
+ * and the stock of the book is incremented. Must be called inside the transaction that released the copy.
+ *
+ * @param {string} bookId - The ID of the book the copy belongs to.
+ * @param {string} copyId - The ID of the released copy.
+ * @param {Object} session - The Mongoose session of the running transaction.
+ * @param {string} [updatedBy] - The ID of the admin releasing the copy, if any.
+ * @returns {Promise<Object|null>} - The reservation the copy is now on hold for, or null if it is available.
+ */
+const assignCopyToNextReservation = async (
+    bookId,
+    copyId,
+    session,
+    updatedBy
+) => {
+    const expiresAt = new Date();
+    expiresAt.setHours(
+        expiresAt.getHours() + configuration.reservation.pickupWindowHours
+    );
+
+    const nextReservation = await BookReservationsModel.findOneAndUpdate(
+        { book: bookId, status: bookReservationsConstants.status.WAITING },
+        {
+            $set: {
+                status: bookReservationsConstants.status.READY,
+                copy: copyId,
+                expiresAt,
+            },
+        },
+        { sort: { createdAt: 1 }, new: true, session }
+    );
+
+    await BookCopiesModel.updateOne(
+        { _id: copyId },
+        {
+            $set: {
+                status: nextReservation
+                    ? bookCopiesConstants.status.ON_HOLD
+                    : bookCopiesConstants.status.AVAILABLE,
+                ...(updatedBy && { updatedBy }),
+            },
+        },
+        { session }
+    );
+
+    if (!nextReservation) {
+        await BooksModel.updateOne(
+            { _id: bookId },
+            { $inc: { stockAvailable: 1 } },
+            { session }
+        );
+    }
+
+    return nextReservation;
+};
+
+/**
+ * Places a reservation on a book for the requesting user. A book can only be reserved when the circulation
+ * policy of the user allows holds, none of its copies are available and the user neither has it on loan nor
+ * already reserved.
+ *
+ * @param {string} requester - The ID of the user placing the reservation.
+ * @param {Object} reservationData - The data of the reservation, holding the book to reserve.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const createBookReservation = async (requester, reservationData) => {
+    try {
+        const { holdsAllowed } =
+            await circulationPoliciesService.getApplicablePolicy(requester);
+        if (!holdsAllowed) {
+            return errorResponse(
+                'Your circulation policy does not allow reserving books.',
+                httpStatus.FORBIDDEN
+            );
+        }
+
+        const book = await BooksModel.findById(reservationData.book).lean();
+        if (!book) {
+            return errorResponse(
+                'No book found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        if (book.stockAvailable > 0) {
+            return errorResponse(
+                'A copy of this book is available, please borrow it instead of reserving it.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        if (
+            await LendBooksModel.exists({
+                lender: requester,
+                'books.id': reservationData.book,
+            })
+        ) {
+            return errorResponse(
+                'You already have this book on loan.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        if (
+            await BookReservationsModel.exists({
+                book: reservationData.book,
+                user: requester,
+                status: { $in: bookReservationsConstants.activeStatus },
+            })
+        ) {
+            return errorResponse(
+                'You have already reserved this book.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        const newReservation = await BookReservationsModel.create({
+            book: reservationData.book,
+            user: requester,
+        });
+
+        const position = await getQueuePosition(newReservation);
+        const newReservationDetails = await populateBookReservationFields(
+            BookReservationsModel.findById(newReservation._id)
+        );
+
+        return sendResponse(
+            { ...newReservationDetails.toObject(), position },
+            `Book reserved successfully, you are number ${position} in the queue.`,
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to reserve book: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to reserve book.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Retrieves a list of book reservations based on query parameters.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - Query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of reservations.
+ */
+const getBookReservationList = async (requester, params) => {
+    return service.getResourceList(
+        BookReservationsModel,
+        populateBookReservationFields,
+        params,
+        {},
+        'book reservations'
+    );
+};
+
+/**
+ * Cancels an active reservation. Users can only cancel their own reservations, while admins can cancel
+ * any reservation. When the reservation was ready for pickup, its copy passes on to the next user in line.
+ *
+ * @param {string} requester - The ID of the user or admin cancelling the reservation.
+ * @param {string} reservationId - The ID of the reservation to cancel.
+ * @returns {Promise<Object>} - A promise that resolves to the response object indicating the result of the operation.
+ */
+const cancelBookReservationById = async (requester, reservationId) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const reservation = await BookReservationsModel.findById(reservationId);
+        const isAdmin = await validateAdminRequest(requester);
+        if (
+            !reservation ||
+            (!isAdmin && reservation.user.toString() !== requester)
+        ) {
+            return errorResponse(
+                'Book reservation not found.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        if (
+            !bookReservationsConstants.activeStatus.includes(reservation.status)
+        ) {
+            return errorResponse(
+                `This reservation is already ${reservation.status}.`,
+                httpStatus.CONFLICT
+            );
+        }
+
+        session.startTransaction();
+
+        const reservationUpdate = await BookReservationsModel.updateOne(
+            { _id: reservationId, status: reservation.status },
+            { $set: { status: bookReservationsConstants.status.CANCELLED } },
+            { session }
+        );
+        if (!reservationUpdate.modifiedCount) {
+            await session.abortTransaction();
+
+            return errorResponse(
+                'This reservation has just been updated. Please try again.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        if (reservation.status === bookReservationsConstants.status.READY) {
+            await assignCopyToNextReservation(
+                reservation.book,
+                reservation.copy,
+                session,
+                isAdmin ? requester : undefined
+            );
+        }
+
+        await session.commitTransaction();
+
+        return sendResponse(
+            {},
+            'Book reservation cancelled successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to cancel book reservation: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to cancel book reservation.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Expires the ready reservations whose pickup window has passed and passes their copies on to the next
+ * user in line. Each reservation is expired in its own transaction, so a failure only affects that one.
+ * This function is run periodically by the scheduler.
+ *
+ * @returns {Promise<number>} - The number of reservations that were expired.
+ */
+const expireBookReservations = async () => {
+    const expiredReservations = await BookReservationsModel.find({
+        status: bookReservationsConstants.status.READY,
+        expiresAt: { $lt: new Date() },
+    }).lean();
+
+    let expiredCount = 0;
+
+    for (const reservation of expiredReservations) {
+        const session = await mongoose.startSession();
+
+        try {
+            session.startTransaction();
+
+            const reservationUpdate = await BookReservationsModel.updateOne(
+                {
+                    _id: reservation._id,
+                    status: bookReservationsConstants.status.READY,
+                },
+                {
+                    $set: { status: bookReservationsConstants.status.EXPIRED },
+                },
+                { session }
+            );
+            if (!reservationUpdate.modifiedCount) {
+                await session.abortTransaction();
+
+                continue;
+            }
+
+            await assignCopyToNextReservation(
+                reservation.book,
+                reservation.copy,
+                session
+            );
+
+            await session.commitTransaction();
+
+            expiredCount += 1;
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction();
+            }
+
+            loggerService.error(
+                `Failed to expire book reservation ${reservation._id}: ${error}`
+            );
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    if (expiredCount) {
+        loggerService.info(`${expiredCount} book reservation(s) expired.`);
+    }
+
+    return expiredCount;
+};
+
+/**
+ * bookReservationsService - An object that holds the service functions for managing book reservations.
+ *
+ * @typedef {Object} BookReservationsService
+ * @property {Function} getQueuePosition - Calculates the position of a waiting reservation in the queue of its book.
+ * @property {Function} assignCopyToNextReservation - Hands a released copy to the next waiting reservation of its book.
+ * @property {Function} createBookReservation - Places a reservation on a book for the requesting user.
+ * @property {Function} getBookReservationList - Retrieves a list of book reservations based on query parameters.
+ * @property {Function} cancelBookReservationById - Cancels an active reservation.
+ * @property {Function} expireBookReservations - Expires the ready reservations whose pickup window has passed.
+ */
+const bookReservationsService = {
+    getQueuePosition,
+    assignCopyToNextReservation,
+    createBookReservation,
+    getBookReservationList,
+    cancelBookReservationById,
+    expireBookReservations,
+};
+
+export default bookReservationsService;
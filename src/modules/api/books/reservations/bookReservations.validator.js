@@ -0,0 +1,60 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for book reservation operations.
+ * These middlewares validate the input data for placing, retrieving and cancelling book reservations,
+ * ensuring that the incoming data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import bookReservationsSchema from './bookReservations.schema.js';
+
+/**
+ * createBookReservation - Middleware for validating the body of requests to place a book reservation.
+ *
+ * @function
+ */
+const createBookReservation = validateWithSchema([
+    {
+        schema: bookReservationsSchema.createBookReservationSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * getBookReservationList - Middleware for validating the query parameters of requests to retrieve book reservations.
+ *
+ * @function
+ */
+const getBookReservationList = validateWithSchema([
+    {
+        schema: bookReservationsSchema.getBookReservationsQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * cancelBookReservationById - Middleware for validating the parameters of requests to cancel a book reservation.
+ *
+ * @function
+ */
+const cancelBookReservationById = validateWithSchema([
+    {
+        schema: bookReservationsSchema.bookReservationIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * bookReservationsValidator - An object that holds Joi validation middleware for book reservation operations.
+ *
+ * @typedef {Object} BookReservationsValidator
+ * @property {Function} createBookReservation - Middleware for validating the body of requests to place a book reservation.
+ * @property {Function} getBookReservationList - Middleware for validating the query parameters of requests to retrieve book reservations.
+ * @property {Function} cancelBookReservationById - Middleware for validating the requests to cancel a book reservation.
+ */
+const bookReservationsValidator = {
+    createBookReservation,
+    getBookReservationList,
+    cancelBookReservationById,
+};
+
+export default bookReservationsValidator;
@@ -16,17 +16,40 @@ const lengths = {
     REMARKS_MAX: 5000,
 };
 
+/**
+ * outcome - The outcomes of a return. A copy returned in good condition goes back into circulation,
+ * a damaged copy is sent to repair and a lost copy is charged a replacement fee.
+ */
+const outcome = {
+    RETURNED_GOOD: 'returned_good',
+    RETURNED_DAMAGED: 'returned_damaged',
+    DECLARED_LOST: 'declared_lost',
+};
+
+/**
+ * damageSeverity - The severity of the damage of a copy returned damaged.
+ */
+const damageSeverity = {
+    MINOR: 'minor',
+    MODERATE: 'moderate',
+    SEVERE: 'severe',
+};
+
 /**
  * lendBooksConstants - An object that holds constants related to lending books.
- * These constants include length restrictions for remarks.
+ * These constants include length restrictions for remarks and the outcomes of a return.
  *
  * @typedef {Object} LendBooksConstants
  * @property {Object} lengths - Length restrictions for remarks.
  * @property {number} lengths.REMARKS_MIN - Minimum length for remarks.
  * @property {number} lengths.REMARKS_MAX - Maximum length for remarks.
+ * @property {Object} outcome - The outcomes of a return.
+ * @property {Object} damageSeverity - The severity of the damage of a copy returned damaged.
  */
 const lendBooksConstants = {
     lengths,
+    outcome,
+    damageSeverity,
 };
 
 export default lendBooksConstants;
@@ -13,6 +13,7 @@ import controller from '../../../../shared/controller.js';
  *
  * @typedef {Object} ReturnBooksController
  * @property {Function} returnBook - Controller method for returning a book.
+ * @property {Function} getReturnReport - Controller method for the report of lost and damaged copies.
  */
 const returnBooksController = {
     /**
@@ -22,6 +23,14 @@ const returnBooksController = {
      * @function
      */
     returnBook: controller.create(returnBooksService, 'returnBook'),
+
+    /**
+     * Controller method for the report of lost and damaged copies.
+     * It uses the shared controller's getList method to handle the report query.
+     *
+     * @function
+     */
+    getReturnReport: controller.getList(returnBooksService, 'getReturnReport'),
 };
 
 export default returnBooksController;
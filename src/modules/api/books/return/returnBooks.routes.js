@@ -33,17 +33,25 @@ const router = express.Router();
  *               userId:
  *                 type: string
  *                 description: ID of the user returning the book.
- *               bookId:
+ *               copy:
  *                 type: string
- *                 description: ID of the book being returned.
+ *                 description: ID of the book copy being returned.
  *               remarks:
  *                 type: string
  *                 description: Optional remarks about the book return.
+ *               outcome:
+ *                 type: string
+ *                 enum: [returned_good, returned_damaged, declared_lost]
+ *                 description: The outcome of the return, returned_good when omitted. A damaged copy is sent to repair and a lost copy is charged at the price of the book.
+ *               severity:
+ *                 type: string
+ *                 enum: [minor, moderate, severe]
+ *                 description: The severity of the damage, required for damaged returns only.
  *     responses:
  *       200:
- *         description: Book returned successfully.
+ *         description: Book returned successfully, the response includes the outcome, the fines and the replacement fee charged.
  *       404:
- *         description: No lending record found for this book by the specified user.
+ *         description: No lending record found for this copy by the specified user.
  *       500:
  *         description: Internal server error, failed to process the return.
  *     tags:
@@ -69,4 +77,67 @@ router
     )
     .all(methodNotSupported);
 
+/**
+ * @openapi
+ * /books/return/report:
+ *   get:
+ *     summary: Reports lost and damaged copies.
+ *     description: Lists the copies returned damaged or declared lost, most recent first, with the number of returns and the replacement fees charged per outcome. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [returned_damaged, declared_lost]
+ *         description: Only report the returns with this outcome.
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only report the returns of this user.
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Only report the returns of this book.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only report the returns on or after this date.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only report the returns on or before this date.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the report of lost and damaged copies.
+ *     tags:
+ *       - Book Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Management
+ */
+router
+    .route('/report')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.returnBooks.permissions.getReport
+        ),
+        returnBooksValidator.returnReportSchema,
+        returnBooksController.getReturnReport
+    )
+    .all(methodNotSupported);
+
 export default router;
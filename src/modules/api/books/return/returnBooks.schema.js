@@ -6,42 +6,93 @@
 
 import Joi from 'joi';
 
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
 import validationService from '../../../../service/validation.service.js';
 import returnBookConstants from './returnBooks.constant.js';
 
+const { outcome, damageSeverity } = returnBookConstants;
+
 /**
  * returnBookSchemaBase - Base Joi schema for validating common fields used in book return operations.
- * Ensures that fields such as user, bookId, and remarks meet the specified criteria.
+ * Ensures that fields such as user, copy, remarks, outcome and severity meet the specified criteria.
+ * The severity is required for damaged returns and not allowed for the other outcomes.
  */
 const returnBookSchemaBase = Joi.object({
     user: validationService.objectIdField,
-    bookId: validationService.objectIdField,
+    copy: validationService.objectIdField,
     remarks: validationService.createStringField(
         returnBookConstants.lengths.REMARKS_MIN,
         returnBookConstants.lengths.REMARKS_MAX
     ),
+    outcome: Joi.string()
+        .valid(...Object.values(outcome))
+        .default(outcome.RETURNED_GOOD)
+        .messages(customValidationMessage)
+        .description('The outcome of the return.'),
+    severity: Joi.string()
+        .valid(...Object.values(damageSeverity))
+        .when('outcome', {
+            is: outcome.RETURNED_DAMAGED,
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+        })
+        .messages(customValidationMessage)
+        .description('The severity of the damage of a copy returned damaged.'),
 }).strict();
 
 /**
  * returnSchema - Joi schema for validating the data required to return a book.
- * Ensures that the user, bookId, and remarks fields are required and meet the specified criteria.
+ * Ensures that the user, copy, and remarks fields are required and meet the specified criteria.
+ * The return is in good condition when no outcome is given.
  *
  * @function
  */
 const returnSchema = returnBookSchemaBase.fork(
-    ['user', 'bookId', 'remarks'],
+    ['user', 'copy', 'remarks'],
     (field) => field.required()
 );
 
+/**
+ * returnReportQuerySchema - Joi schema for validating the query parameters of the report of lost and
+ * damaged copies. The report can be filtered by outcome, user, book and return date.
+ *
+ * @function
+ */
+const returnReportQuerySchema = Joi.object({
+    outcome: Joi.string()
+        .valid(outcome.RETURNED_DAMAGED, outcome.DECLARED_LOST)
+        .messages(customValidationMessage)
+        .description('Only report the returns with this outcome.'),
+    user: validationService.objectIdField,
+    book: validationService.objectIdField,
+    from: validationService.dateField.description(
+        'Only report the returns on or after this date.'
+    ),
+    to: validationService.dateField.description(
+        'Only report the returns on or before this date.'
+    ),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+}).strict();
+
 /**
  * returnBookSchema - An object that holds Joi validation schemas for book return operations.
  * These schemas validate the input data for returning books, ensuring it meets the required criteria.
  *
  * @typedef {Object} ReturnBookSchema
  * @property {Object} returnSchema - Joi schema for validating the data required to return a book.
+ * @property {Object} returnReportQuerySchema - Joi schema for validating the query parameters of the report of lost and damaged copies.
  */
 const returnBookSchema = {
     returnSchema,
+    returnReportQuerySchema,
 };
 
 export default returnBookSchema;
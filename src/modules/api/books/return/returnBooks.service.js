@@ -2,12 +2,22 @@
  * @fileoverview This file defines and exports the service functions for handling book returns.
  * The main function, returnBook, is responsible for validating the book return, updating the lending records,
  * and maintaining the book's history. It ensures that the book return process is handled correctly and logs
- * any errors encountered during the process.
+ * any errors encountered during the process. A copy can come back in good condition, come back damaged and
+ * be sent to repair, or be declared lost and charged a replacement fee, and the lost and damaged copies are
+ * listed in a report for the admins.
  */
 
+import mongoose from 'mongoose';
+
 import httpStatus from '../../../../constant/httpStatus.constants.js';
+import returnBooksConstants from './returnBooks.constant.js';
+import BooksModel from '../books.model.js';
+import BookCopiesModel from '../copies/bookCopies.model.js';
+import bookCopiesConstants from '../copies/bookCopies.constant.js';
 import LendBooksModel from '../lend/lendBooks.model.js';
 import BooksHistoryModel from '../history/booksHistory.model.js';
+import bookReservationsService from '../reservations/bookReservations.service.js';
+import bookFinesService from '../fines/bookFines.service.js';
 import errorResponse from '../../../../utilities/errorResponse.js';
 import sendResponse from '../../../../utilities/sendResponse.js';
 import loggerService from '../../../../service/logger.service.js';
@@ -15,11 +25,16 @@ import loggerService from '../../../../service/logger.service.js';
 /**
  * returnBook - Service function to handle the return of a book by a user.
  * It validates if the book is currently lent by the user, updates the lending records, and maintains the book's history.
+ * All the writes run in a single transaction, so the stock of the book is only incremented when the return succeeds.
+ * When users are waiting for the book, the returned copy is kept on hold for the first of them instead.
+ * A late return is charged the fine owed up to the return date before the loan is closed.
+ * A copy returned damaged is sent to repair and a copy declared lost is charged at the price of the book,
+ * neither goes back on the shelf nor to the next reservation.
  *
  * @async
  * @function
  * @param {Object} requester - The user who is requesting the book return.
- * @param {Object} bookData - The data related to the book being returned, including user ID, book ID, and remarks.
+ * @param {Object} bookData - The data related to the book being returned, including user ID, copy ID, remarks, outcome and severity.
  * @returns {Promise<Object>} - Returns a response object indicating success or failure.
  *
  * @example
@@ -27,44 +42,107 @@ import loggerService from '../../../../service/logger.service.js';
  * console.log(response);
  */
 const returnBook = async (requester, bookData) => {
+    const session = await mongoose.startSession();
+
     try {
-        // Step 2: Validate if the book is currently lent by the user
+        session.startTransaction();
+
+        // Step 2: Validate if the copy is currently lent by the user
         const lendRecord = await LendBooksModel.findOne({
             lender: bookData.user,
-            'books.id': bookData.bookId,
-        });
+            'books.copy': bookData.copy,
+        }).session(session);
         if (!lendRecord) {
+            await session.abortTransaction();
+
             return errorResponse(
-                'No lending record found for this book by the specified user.',
+                'No lending record found for this copy by the specified user.',
                 httpStatus.NOT_FOUND
             );
         }
 
-        // Find the lend details for the specific book
+        // Find the lend details for the specific copy
         const lendDetails = lendRecord.books.find(
-            (book) => book.id.toString() === bookData.bookId
+            (book) => book.copy?.toString() === bookData.copy
         );
         if (!lendDetails) {
+            await session.abortTransaction();
+
             return errorResponse(
-                'No lending record details found for this book by the specified user.',
+                'No lending record details found for this copy by the specified user.',
                 httpStatus.NOT_FOUND
             );
         }
 
-        // Step 3: Remove the book from the lender's list
+        const bookId = lendDetails.id.toString();
+
+        // Charge the fine owed until today, the loan will no longer be picked up by the overdue scan
+        const fineCharged = await bookFinesService.accrueLoanFine(
+            lendRecord,
+            lendDetails,
+            session
+        );
+
+        // Step 3: Remove the copy from the lender's list
         lendRecord.books = lendRecord.books.filter(
-            (book) => book.id.toString() !== bookData.bookId
+            (book) => book.copy?.toString() !== bookData.copy
         );
 
-        await lendRecord.save();
+        await lendRecord.save({ session });
+
+        const { outcome } = returnBooksConstants;
+        const returnOutcome = bookData.outcome || outcome.RETURNED_GOOD;
+        let nextReservation = null;
+        let replacementFee = 0;
+
+        if (returnOutcome === outcome.RETURNED_GOOD) {
+            // Hand the copy to the next reservation, or put it back on the shelf and increment the stock of the book
+            nextReservation =
+                await bookReservationsService.assignCopyToNextReservation(
+                    bookId,
+                    bookData.copy,
+                    session,
+                    requester
+                );
+        } else {
+            // A damaged or lost copy leaves circulation, so the stock of the book is left as it is
+            await BookCopiesModel.updateOne(
+                { _id: bookData.copy },
+                {
+                    $set: {
+                        status:
+                            returnOutcome === outcome.DECLARED_LOST
+                                ? bookCopiesConstants.status.LOST
+                                : bookCopiesConstants.status.IN_REPAIR,
+                        updatedBy: requester,
+                    },
+                },
+                { session }
+            );
+
+            if (returnOutcome === outcome.DECLARED_LOST) {
+                const book = await BooksModel.findById(bookId)
+                    .select('price')
+                    .session(session)
+                    .lean();
+
+                replacementFee = await bookFinesService.chargeReplacementFee(
+                    requester,
+                    bookData.user,
+                    lendDetails,
+                    book?.price,
+                    session
+                );
+            }
+        }
 
         // Step 4: Update the books history with the lend and return details
         let bookHistory = await BooksHistoryModel.findOne({
-            book: bookData.bookId,
-        });
+            book: bookId,
+        }).session(session);
         if (!bookHistory) {
             bookHistory = new BooksHistoryModel({
-                book: bookData.bookId,
+                book: bookId,
                 lend: [],
                 return: [],
             });
@@ -73,11 +151,14 @@ const returnBook = async (requester, bookData) => {
         // Add to lend history if not already present
         if (
             !bookHistory.lend.some(
-                (lend) => lend.user.toString() === bookData.user
+                (lend) =>
+                    lend.user.toString() === bookData.user &&
+                    lend.from?.getTime() === lendDetails.from.getTime()
             )
         ) {
             bookHistory.lend.push({
                 user: bookData.user,
+                copy: bookData.copy,
                 from: lendDetails.from,
                 to: lendDetails.to,
                 remarks: lendDetails.remarks || '',
@@ -87,31 +168,223 @@ const returnBook = async (requester, bookData) => {
         // Add to return history
         bookHistory.return.push({
             user: bookData.user,
+            copy: bookData.copy,
             date: new Date(),
             remarks: bookData.remarks || '',
+            outcome: returnOutcome,
+            severity: bookData.severity,
+            replacementFee,
         });
 
-        await bookHistory.save();
+        await bookHistory.save({ session });
+        await session.commitTransaction();
+
+        const messages = {
+            [outcome.RETURNED_GOOD]: nextReservation
+                ? 'Book returned successfully. The copy is on hold for the next reservation.'
+                : 'Book returned successfully.',
+            [outcome.RETURNED_DAMAGED]:
+                'Book returned damaged. The copy has been sent to repair.',
+            [outcome.DECLARED_LOST]: `Book declared lost. A replacement fee of ${replacementFee} has been charged.`,
+        };
 
-        return sendResponse({}, 'Book returned successfully.', httpStatus.OK);
+        return sendResponse(
+            {
+                outcome: returnOutcome,
+                fineCharged,
+                fineAccrued: lendDetails.fineAccrued + fineCharged,
+                replacementFee,
+            },
+            messages[returnOutcome],
+            httpStatus.OK
+        );
     } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
         loggerService.error(`Failed to return book: ${error}`);
 
         return errorResponse(
             error.message || 'Failed to return book.',
             httpStatus.INTERNAL_SERVER_ERROR
         );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * getReturnReport - Service function to report the copies returned damaged or declared lost.
+ * The returns are read from the books history, most recent first, with their book, user and copy, and the
+ * report includes the number of returns and the replacement fees charged per outcome.
+ *
+ * @async
+ * @function
+ * @param {Object} requester - The admin requesting the report.
+ * @param {Object} params - The query parameters for filtering and paginating the report.
+ * @param {string} [params.outcome] - Only report the returns with this outcome.
+ * @param {string} [params.user] - Only report the returns of this user.
+ * @param {string} [params.book] - Only report the returns of this book.
+ * @param {string} [params.from] - Only report the returns on or after this date.
+ * @param {string} [params.to] - Only report the returns on or before this date.
+ * @returns {Promise<Object>} - Returns a response object containing the report.
+ */
+const getReturnReport = async (requester, params) => {
+    try {
+        const { page = 1, limit = 10, outcome, user, book, from, to } = params;
+        const { RETURNED_DAMAGED, DECLARED_LOST } =
+            returnBooksConstants.outcome;
+
+        const returnQuery = {
+            'return.outcome': outcome || {
+                $in: [RETURNED_DAMAGED, DECLARED_LOST],
+            },
+        };
+        if (user)
+            returnQuery['return.user'] = new mongoose.Types.ObjectId(user);
+        if (from || to) {
+            returnQuery['return.date'] = {
+                ...(from && { $gte: new Date(from) }),
+                ...(to && { $lte: new Date(to) }),
+            };
+        }
+
+        const [report] = await BooksHistoryModel.aggregate([
+            { $match: book ? { book: new mongoose.Types.ObjectId(book) } : {} },
+            { $unwind: '$return' },
+            { $match: returnQuery },
+            { $sort: { 'return.date': -1 } },
+            {
+                $facet: {
+                    returns: [
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        {
+                            $lookup: {
+                                from: 'books',
+                                localField: 'book',
+                                foreignField: '_id',
+                                pipeline: [
+                                    {
+                                        $project: {
+                                            name: 1,
+                                            edition: 1,
+                                            price: 1,
+                                        },
+                                    },
+                                ],
+                                as: 'book',
+                            },
+                        },
+                        {
+                            $lookup: {
+                                from: 'users',
+                                localField: 'return.user',
+                                foreignField: '_id',
+                                pipeline: [
+                                    { $project: { name: 1, emails: 1 } },
+                                ],
+                                as: 'user',
+                            },
+                        },
+                        {
+                            $lookup: {
+                                from: 'bookcopies',
+                                localField: 'return.copy',
+                                foreignField: '_id',
+                                pipeline: [
+                                    {
+                                        $project: {
+                                            accessionNumber: 1,
+                                            barcode: 1,
+                                            status: 1,
+                                        },
+                                    },
+                                ],
+                                as: 'copy',
+                            },
+                        },
+                        {
+                            $project: {
+                                _id: '$return._id',
+                                book: { $first: '$book' },
+                                user: { $first: '$user' },
+                                copy: { $first: '$copy' },
+                                date: '$return.date',
+                                outcome: '$return.outcome',
+                                severity: '$return.severity',
+                                replacementFee: '$return.replacementFee',
+                                remarks: '$return.remarks',
+                            },
+                        },
+                    ],
+                    summary: [
+                        {
+                            $group: {
+                                _id: '$return.outcome',
+                                count: { $sum: 1 },
+                                replacementFees: {
+                                    $sum: '$return.replacementFee',
+                                },
+                            },
+                        },
+                    ],
+                },
+            },
+        ]);
+
+        const totalReturns = report.summary.reduce(
+            (total, entry) => total + entry.count,
+            0
+        );
+        if (!totalReturns) {
+            return sendResponse(
+                {},
+                'No lost or damaged copies found.',
+                httpStatus.OK
+            );
+        }
+
+        const summary = Object.fromEntries(
+            report.summary.map(({ _id, count, replacementFees }) => [
+                _id,
+                { count, replacementFees },
+            ])
+        );
+
+        return sendResponse(
+            {
+                returns: report.returns,
+                summary,
+                totalReturns,
+                totalPages: Math.ceil(totalReturns / limit),
+                currentPage: page,
+                pageSize: report.returns.length,
+            },
+            `${report.returns.length} lost or damaged return(s) fetched successfully.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get return report: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get return report.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
     }
 };
 
 /**
- * writersService - An object that holds the service functions for book return operations.
+ * returnBooksService - An object that holds the service functions for book return operations.
  *
- * @typedef {Object} WritersService
+ * @typedef {Object} ReturnBooksService
  * @property {Function} returnBook - Service function to handle the return of a book by a user.
+ * @property {Function} getReturnReport - Service function to report the copies returned damaged or declared lost.
  */
-const writersService = {
+const returnBooksService = {
     returnBook,
+    getReturnReport,
 };
 
-export default writersService;
+export default returnBooksService;
@@ -24,14 +24,27 @@ const returnBooksSchema = validateWithSchema([
     { schema: returnBookSchema.returnSchema, property: 'body' },
 ]);
 
+/**
+ * returnReportSchema - Validation schema for the report of lost and damaged copies.
+ * This schema validates the query parameters used to filter and paginate the report.
+ *
+ * @constant
+ * @type {Function}
+ */
+const returnReportSchema = validateWithSchema([
+    { schema: returnBookSchema.returnReportQuerySchema, property: 'query' },
+]);
+
 /**
  * returnBooksValidator - An object that holds the validation schemas for book return operations.
  *
  * @typedef {Object} ReturnBooksValidator
  * @property {Function} returnBooksSchema - Validation schema for returning a book.
+ * @property {Function} returnReportSchema - Validation schema for the report of lost and damaged copies.
  */
 const returnBooksValidator = {
     returnBooksSchema,
+    returnReportSchema,
 };
 
 export default returnBooksValidator;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview This file defines and exports the constants used for searching the catalog.
+ * These constants include the fields a book is searched by and their weights, the settings of the
+ * typo tolerant matching and the limits of a search.
+ */
+
+/**
+ * fields - The fields of a book that are searched, with the weight of a match in each of them. A match in
+ * the name of a book counts the most, a match in its summary the least.
+ */
+const fields = {
+    name: 10,
+    writer: 5,
+    subjects: 4,
+    translator: 3,
+    publication: 3,
+    summary: 1,
+};
+
+/**
+ * fuzzy - The settings of the typo tolerant matching. A book matches when the trigrams of its name, writer,
+ * translator, publication and subjects cover `MIN_SIMILARITY` of the trigrams of the search, and its score
+ * grows by `WEIGHT` times that share.
+ */
+const fuzzy = {
+    MIN_SIMILARITY: 0.5,
+    WEIGHT: 5,
+};
+
+/**
+ * limits - The limits of a search. At most `CANDIDATES` books are ranked for a search, the highlighted
+ * snippets are at most `SNIPPET_LENGTH` characters long, and the books are indexed `INDEX_BATCH` at a time.
+ */
+const limits = {
+    QUERY_MIN: 1,
+    QUERY_MAX: 200,
+    CANDIDATES: 500,
+    SNIPPET_LENGTH: 160,
+    INDEX_BATCH: 500,
+};
+
+/**
+ * bookSearchConstants - An object that holds constants for searching the catalog.
+ *
+ * @typedef {Object} BookSearchConstants
+ * @property {Object} fields - An object mapping the searched fields to their weights.
+ * @property {Object} fuzzy - An object defining the settings of the typo tolerant matching.
+ * @property {Object} limits - An object defining the limits of a search.
+ */
+const bookSearchConstants = {
+    fields,
+    fuzzy,
+    limits,
+};
+
+export default bookSearchConstants;
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview This file defines and exports the controller for searching the catalog.
+ * The controller functions handle searching the books and rebuilding the search index, delegating
+ * to generic functions from a shared controller module and to the bookSearchService.
+ */
+
+import bookSearchService from './bookSearch.service.js';
+import controller from '../../../../shared/controller.js';
+
+/**
+ * bookSearchController - An object that holds controller functions for searching the catalog.
+ *
+ * @typedef {Object} BookSearchController
+ * @property {Function} searchBooks - Controller function for searching the catalog.
+ * @property {Function} reindexBooks - Controller function for rebuilding the search index.
+ */
+const bookSearchController = {
+    /**
+     * searchBooks - Controller function for searching the catalog.
+     * Delegates the request to the generic getList function from the shared controller, which in turn calls the searchBooks method of the bookSearchService.
+     */
+    searchBooks: controller.getList(bookSearchService, 'searchBooks'),
+
+    /**
+     * reindexBooks - Controller function for rebuilding the search index.
+     * Delegates the request to the generic create function from the shared controller, which in turn calls the reindexBooks method of the bookSearchService.
+     */
+    reindexBooks: controller.create(bookSearchService, 'reindexBooks'),
+};
+
+export default bookSearchController;
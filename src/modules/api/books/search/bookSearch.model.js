@@ -0,0 +1,78 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model of the search index of the catalog.
+ * Each document holds the searchable text of one book, with the names of its writer, translator, publication
+ * and subjects copied in, so a single text index can rank a search over all of them. The trigrams of the names
+ * are kept alongside for typo tolerant matching. The documents are derived from the books and can be rebuilt
+ * at any time.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import bookSearchConstants from './bookSearch.constant.js';
+
+/**
+ * bookSearchIndexSchema - Mongoose schema for the search index of the catalog.
+ *
+ * @typedef {Object} bookSearchIndexSchema
+ * @property {Schema.Types.ObjectId} book - Reference to the indexed book, unique.
+ * @property {String} name - The name of the book.
+ * @property {String} summary - The summary of the book.
+ * @property {String} writer - The name of the writer of the book.
+ * @property {String} translator - The name of the translator of the book.
+ * @property {String} publication - The name of the publication of the book.
+ * @property {Array<String>} subjects - The names of the subjects of the book.
+ * @property {String} isbn13 - The ISBN-13 of the book.
+ * @property {Array<String>} trigrams - The trigrams of the name, writer, translator, publication and subjects.
+ */
+const bookSearchIndexSchema = new mongoose.Schema(
+    {
+        book: {
+            type: Schema.Types.ObjectId,
+            ref: 'Books',
+            required: [true, 'Please specify the indexed book.'],
+            unique: true,
+            description: 'Reference to the indexed book.',
+        },
+        name: String,
+        summary: String,
+        writer: String,
+        translator: String,
+        publication: String,
+        subjects: [String],
+        isbn13: {
+            type: String,
+            index: true,
+        },
+        trigrams: {
+            type: [String],
+            index: true,
+            description:
+                'The trigrams of the name, writer, translator, publication and subjects.',
+        },
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for the search index of the catalog, derived from the books.',
+    }
+);
+
+// The catalog mixes languages, so words are indexed as they are, without stemming or stop words
+bookSearchIndexSchema.index(
+    Object.fromEntries(
+        Object.keys(bookSearchConstants.fields).map((field) => [field, 'text'])
+    ),
+    {
+        name: 'book_search_text',
+        weights: bookSearchConstants.fields,
+        default_language: 'none',
+    }
+);
+
+const BookSearchIndexModel = mongoose.model(
+    'BookSearchIndex',
+    bookSearchIndexSchema
+);
+
+export default BookSearchIndexModel;
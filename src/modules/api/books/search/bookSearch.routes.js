@@ -0,0 +1,103 @@
+/**
+ * @fileoverview This file sets up the express router for catalog search endpoints.
+ * It includes a public route for searching the books, ranked by relevance with the matching words
+ * highlighted, and a route for admins to rebuild the search index. Routes that are not supported
+ * respond with a methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
+import cacheMiddleware from '../../../../middleware/cache.middleware.js';
+import bookSearchValidator from './bookSearch.validator.js';
+import bookSearchController from './bookSearch.controller.js';
+import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
+import routesConstants from '../../../../constant/routes.constants.js';
+import configuration from '../../../../configuration/configuration.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /books/search:
+ *   get:
+ *     summary: Searches the catalog.
+ *     description: Searches the name, summary, writer, translator, publication and subjects of the books, ranked by relevance. Matches in the name count the most and matches in the summary the least. Misspelled words still match books whose names are spelled close to them, and a search for an ISBN returns its book first. Each result holds the book, its score and its fields with the matching words wrapped in `<mark>` elements, with a snippet of the summary.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The words to search for, or an ISBN.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: The page of results, starting at 1.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of results per page, at most 100.
+ *     responses:
+ *       200:
+ *         description: The matching books, the most relevant first.
+ *       400:
+ *         description: The search is missing or too long.
+ *     tags:
+ *       - Book Search
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Search
+ */
+router
+    .route('/')
+    .get(
+        bookSearchValidator.searchBooks,
+        bookSearchController.searchBooks,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /books/search/reindex:
+ *   post:
+ *     summary: Rebuilds the search index.
+ *     description: Indexes the whole catalog again, such as after switching search engines. Books are indexed as they are created, updated and deleted, so this is seldom needed. Access is limited to admins.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Search index rebuilt, with the number of books indexed.
+ *     tags:
+ *       - Book Search
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Book Search
+ */
+router
+    .route(`/${routesConstants.bookSearch.reindex}`)
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.bookSearch.permissions.reindex
+        ),
+        bookSearchController.reindexBooks,
+        cacheMiddleware.invalidate(routesConstants.books.routes)
+    )
+    .all(methodNotSupported);
+
+export default router;
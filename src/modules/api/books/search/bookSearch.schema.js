@@ -0,0 +1,51 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for searching the catalog.
+ * A search takes the words to look for, as free text, and the page of results to return.
+ */
+
+import Joi from 'joi';
+
+import bookSearchConstants from './bookSearch.constant.js';
+import customValidationMessage from '../../../../shared/customValidationMessage.js';
+
+const { limits } = bookSearchConstants;
+
+/**
+ * searchBooksQuerySchema - Joi schema for validating query parameters when searching the catalog.
+ * Ensures that the search is given and that the page and its size are within range.
+ *
+ * @function
+ */
+const searchBooksQuerySchema = Joi.object({
+    q: Joi.string()
+        .min(limits.QUERY_MIN)
+        .max(limits.QUERY_MAX)
+        .pattern(/\S/, 'text')
+        .custom((value, helpers) => value.trim())
+        .required()
+        .messages(customValidationMessage)
+        .description(
+            'The words to search the name, summary, writer, translator, publication and subjects of the books for, or an ISBN.'
+        ),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+}).strict();
+
+/**
+ * bookSearchSchema - An object that holds the Joi validation schemas for searching the catalog.
+ *
+ * @typedef {Object} BookSearchSchema
+ * @property {Object} searchBooksQuerySchema - Joi schema for validating query parameters when searching the catalog.
+ */
+const bookSearchSchema = {
+    searchBooksQuerySchema,
+};
+
+export default bookSearchSchema;
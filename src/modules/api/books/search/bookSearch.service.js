@@ -0,0 +1,354 @@
+/**
+ * @fileoverview This file defines and exports the service functions for searching the catalog.
+ * The name, summary, writer, translator, publication and subjects of each book are indexed by a search
+ * engine, which ranks the books matching a search by relevance and tolerates misspelled words. The words
+ * matching the search are highlighted in the results.
+ *
+ * A search engine is an object with:
+ * - `name`: The name the engine is selected by in the configuration.
+ * - `index`: An async function receiving the searchable text of books and adding or replacing them.
+ * - `remove`: An async function receiving the IDs of books and removing them.
+ * - `clear`: An async function removing every book.
+ * - `count`: An async function resolving to the number of indexed books.
+ * - `search`: An async function receiving a search and its options, such as the `limit` of books to
+ *   return, and resolving to the matching books as `{ book, score }`, where `book` is the ID of the book
+ *   as a string, the most relevant first.
+ *
+ * The `mongo-text` engine keeps its index in MongoDB. Other engines, such as one searching in process, can
+ * be added with `registerEngine`.
+ */
+
+import bookSearchConstants from './bookSearch.constant.js';
+import mongoTextEngine from './engines/mongoText.engine.js';
+import BooksModel from '../books.model.js';
+import configuration from '../../../../configuration/configuration.js';
+import httpStatus from '../../../../constant/httpStatus.constants.js';
+import loggerService from '../../../../service/logger.service.js';
+import AdminActivityLoggerModel from '../../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import errorResponse from '../../../../utilities/errorResponse.js';
+import highlightText from '../../../../utilities/highlightText.js';
+import normalizeIsbn from '../../../../utilities/normalizeIsbn.js';
+import sendResponse from '../../../../utilities/sendResponse.js';
+
+const { limits } = bookSearchConstants;
+
+const engines = new Map([[mongoTextEngine.name, mongoTextEngine]]);
+
+/**
+ * Registers a search engine, replacing any engine registered under the same name.
+ *
+ * @function registerEngine
+ * @param {Object} engine - The engine, with its `name` and `index`, `remove`, `clear`, `count` and `search` functions.
+ * @throws {Error} - Throws an error if the engine has no name or lacks one of the functions.
+ */
+const registerEngine = (engine) => {
+    if (
+        !engine?.name ||
+        ['index', 'remove', 'clear', 'count', 'search'].some(
+            (method) => typeof engine[method] !== 'function'
+        )
+    ) {
+        throw new Error(
+            'A search engine needs a name and index, remove, clear, count and search functions.'
+        );
+    }
+
+    engines.set(engine.name, engine);
+};
+
+/**
+ * Helper function to get the configured search engine.
+ *
+ * @returns {Object} - The search engine.
+ * @throws {Error} - Throws an error if the configured engine is not registered.
+ */
+const getEngine = () => {
+    const engine = engines.get(configuration.search.engine);
+    if (!engine) {
+        throw new Error(
+            `Unknown search engine: ${configuration.search.engine}`
+        );
+    }
+
+    return engine;
+};
+
+/**
+ * Helper function to populate the names of the contributors, publication and subjects of books.
+ *
+ * @param {Object} query - Mongoose query object.
+ * @returns {Object} - The populated query.
+ */
+const populateNames = (query) =>
+    query
+        .populate({ path: 'contributors.writer', select: 'name' })
+        .populate({ path: 'contributors.translator', select: 'name' })
+        .populate({ path: 'publication', select: 'name' })
+        .populate({ path: 'subject', select: 'name' });
+
+/**
+ * Helper function to turn a book into the searchable text given to the search engine. Every contributor but
+ * the translators is searched as a writer of the book.
+ *
+ * @param {Object} book - The book, with its contributors, publication and subjects populated.
+ * @returns {Object} - The searchable text of the book.
+ */
+const toSearchDocument = (book) => {
+    const namesOf = (field) =>
+        [
+            ...new Set(
+                (book.contributors ?? [])
+                    .map((contributor) => contributor[field]?.name)
+                    .filter(Boolean)
+            ),
+        ].join(', ') || undefined;
+
+    return {
+        book: book._id,
+        name: book.name,
+        summary: book.summary,
+        writer: namesOf('writer'),
+        translator: namesOf('translator'),
+        publication: book.publication?.name,
+        subjects: (book.subject ?? [])
+            .map((subject) => subject?.name)
+            .filter(Boolean),
+        isbn13: book.isbn13,
+    };
+};
+
+/**
+ * Indexes the books matching a filter, such as a newly created book or the books of a renamed writer. The
+ * books are read from a cursor and indexed in batches. Indexing never fails the operation that asked for
+ * it: errors are logged, and the index can be rebuilt afterwards.
+ *
+ * @async
+ * @function indexBooks
+ * @param {Object} filter - The filter of the books to index.
+ * @returns {Promise<number>} - The number of books indexed.
+ */
+const indexBooks = async (filter) => {
+    let indexed = 0;
+
+    try {
+        const engine = getEngine();
+        const cursor = populateNames(BooksModel.find(filter)).lean().cursor();
+
+        let batch = [];
+        for await (const book of cursor) {
+            batch.push(toSearchDocument(book));
+
+            if (batch.length === limits.INDEX_BATCH) {
+                await engine.index(batch);
+                indexed += batch.length;
+                batch = [];
+            }
+        }
+
+        await engine.index(batch);
+        indexed += batch.length;
+    } catch (error) {
+        loggerService.error(`Failed to index books: ${error}`);
+    }
+
+    return indexed;
+};
+
+/**
+ * Removes deleted books from the index. Like indexing, errors are logged instead of thrown.
+ *
+ * @async
+ * @function removeBooks
+ * @param {Array<string>} bookIds - The IDs of the books.
+ * @returns {Promise<void>}
+ */
+const removeBooks = async (bookIds) => {
+    try {
+        await getEngine().remove(bookIds);
+    } catch (error) {
+        loggerService.error(`Failed to remove books from the index: ${error}`);
+    }
+};
+
+/**
+ * Searches the catalog. A search for a valid ISBN returns the book with that ISBN first. The other books
+ * are ranked by the search engine, and the words of their fields matching the search are highlighted, with
+ * a snippet cut from the summary.
+ *
+ * @async
+ * @function searchBooks
+ * @param {Object} params - The search `q`, and the `page` and `limit` of the results.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the ranked books.
+ */
+const searchBooks = async (params) => {
+    try {
+        const { q: query, page = 1, limit = 10 } = params;
+
+        let ranked = await getEngine().search(query, {
+            limit: limits.CANDIDATES,
+        });
+
+        const isbn13 = normalizeIsbn(query)?.isbn13;
+        if (isbn13) {
+            const isbnBookIds = (
+                await BooksModel.find({ isbn13 }).distinct('_id')
+            ).map((bookId) => bookId.toString());
+            const topScore = ranked[0]?.score ?? 0;
+
+            ranked = [
+                ...isbnBookIds.map((book) => ({ book, score: topScore + 1 })),
+                ...ranked.filter(({ book }) => !isbnBookIds.includes(book)),
+            ];
+        }
+
+        if (!ranked.length) {
+            return sendResponse({}, 'No books found.', httpStatus.OK);
+        }
+
+        const pageResults = ranked.slice((page - 1) * limit, page * limit);
+        const books = await populateNames(
+            BooksModel.find({
+                _id: { $in: pageResults.map(({ book }) => book) },
+            })
+        )
+            .select('-createdBy -updatedBy')
+            .lean();
+        const booksById = new Map(
+            books.map((book) => [book._id.toString(), book])
+        );
+
+        // Books deleted since they were indexed are left out
+        const items = pageResults
+            .filter(({ book }) => booksById.has(book))
+            .map(({ book: bookId, score }) => {
+                const book = booksById.get(bookId);
+                const document = toSearchDocument(book);
+                const highlights = {
+                    name: highlightText(document.name, query),
+                    summary: highlightText(
+                        document.summary,
+                        query,
+                        limits.SNIPPET_LENGTH
+                    ),
+                    writer: highlightText(document.writer, query),
+                    translator: highlightText(document.translator, query),
+                    publication: highlightText(document.publication, query),
+                    subjects: document.subjects
+                        .map((subject) => highlightText(subject, query))
+                        .filter(Boolean),
+                };
+
+                return {
+                    book,
+                    score,
+                    highlights: Object.fromEntries(
+                        Object.entries(highlights).filter(([, value]) =>
+                            Array.isArray(value) ? value.length : value
+                        )
+                    ),
+                };
+            });
+
+        return sendResponse(
+            {
+                items,
+                totalItems: ranked.length,
+                totalPages: Math.ceil(ranked.length / limit),
+                currentPage: page,
+                pageSize: limit,
+            },
+            `${items.length} books found.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to search books: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to search books.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Rebuilds the search index from the whole catalog, such as after switching search engines.
+ *
+ * @async
+ * @function reindexBooks
+ * @param {string} requester - The ID of the admin rebuilding the index.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the number of books indexed.
+ */
+const reindexBooks = async (requester) => {
+    try {
+        await getEngine().clear();
+        const indexed = await indexBooks({});
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `Search index rebuilt with ${indexed} books.`,
+            details: JSON.stringify({
+                engine: configuration.search.engine,
+                indexed,
+            }),
+        });
+
+        return sendResponse(
+            { indexed },
+            `Search index rebuilt with ${indexed} books.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to rebuild the search index: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to rebuild the search index.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Builds the search index when it is empty while the catalog is not, such as on the first start after
+ * upgrading or after switching to an engine without a persistent index.
+ *
+ * @async
+ * @function ensureBookSearchIndex
+ * @returns {Promise<void>}
+ */
+const ensureBookSearchIndex = async () => {
+    try {
+        if ((await getEngine().count()) || !(await BooksModel.exists({}))) {
+            return;
+        }
+
+        const indexed = await indexBooks({});
+        loggerService.info(`Search index built with ${indexed} books.`);
+    } catch (error) {
+        loggerService.error(`Failed to build the search index: ${error}`);
+    }
+};
+
+/**
+ * bookSearchService - An object that holds the service functions for searching the catalog.
+ *
+ * @typedef {Object} BookSearchService
+ * @property {Function} registerEngine - Registers a search engine.
+ * @property {Function} indexBooks - Indexes the books matching a filter.
+ * @property {Function} removeBooks - Removes deleted books from the index.
+ * @property {Function} searchBooks - Searches the catalog, ranked by relevance, with highlighted matches.
+ * @property {Function} reindexBooks - Rebuilds the search index from the whole catalog.
+ * @property {Function} ensureBookSearchIndex - Builds the search index when it is empty.
+ */
+const bookSearchService = {
+    registerEngine,
+    indexBooks,
+    removeBooks,
+    searchBooks,
+    reindexBooks,
+    ensureBookSearchIndex,
+};
+
+export default bookSearchService;
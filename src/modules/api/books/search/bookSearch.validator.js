@@ -0,0 +1,32 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for searching the catalog.
+ * These middlewares validate the search and its pagination, ensuring that the incoming
+ * data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../../shared/validateWithSchema.js';
+import bookSearchSchema from './bookSearch.schema.js';
+
+/**
+ * searchBooks - Middleware for validating the query parameters of requests to search the catalog.
+ *
+ * @function
+ */
+const searchBooks = validateWithSchema([
+    {
+        schema: bookSearchSchema.searchBooksQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * bookSearchValidator - An object that holds the validation middleware for searching the catalog.
+ *
+ * @typedef {Object} BookSearchValidator
+ * @property {Function} searchBooks - Middleware for validating the query parameters of requests to search the catalog.
+ */
+const bookSearchValidator = {
+    searchBooks,
+};
+
+export default bookSearchValidator;
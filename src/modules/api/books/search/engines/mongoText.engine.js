@@ -0,0 +1,158 @@
+/**
+ * @fileoverview This module provides a search engine backed by a MongoDB text index. The searchable text of
+ * each book is kept in the `BookSearchIndex` collection, whose weighted text index ranks the books matching
+ * the words of a search. Misspelled words match no text index entry, so the books whose names share most of
+ * the trigrams of the search are matched as well, and ranked by how much they share.
+ */
+
+import bookSearchConstants from '../bookSearch.constant.js';
+import BookSearchIndexModel from '../bookSearch.model.js';
+
+import createTrigrams from '../../../../../utilities/createTrigrams.js';
+
+const { fuzzy, limits } = bookSearchConstants;
+
+/**
+ * Adds or replaces the documents of books in the index. The trigrams are taken from the names only, as
+ * summaries are long enough to share the trigrams of almost any search.
+ *
+ * @async
+ * @function index
+ * @param {Array<Object>} documents - The searchable text of the books, each with the ID of its `book`.
+ * @returns {Promise<void>}
+ */
+const index = async (documents) => {
+    if (!documents.length) return;
+
+    await BookSearchIndexModel.bulkWrite(
+        documents.map((document) => ({
+            replaceOne: {
+                filter: { book: document.book },
+                replacement: {
+                    ...document,
+                    trigrams: createTrigrams(
+                        [
+                            document.name,
+                            document.writer,
+                            document.translator,
+                            document.publication,
+                            ...(document.subjects ?? []),
+                        ].join(' ')
+                    ),
+                },
+                upsert: true,
+            },
+        })),
+        { ordered: false }
+    );
+};
+
+/**
+ * Removes books from the index.
+ *
+ * @async
+ * @function remove
+ * @param {Array<string>} bookIds - The IDs of the books.
+ * @returns {Promise<void>}
+ */
+const remove = async (bookIds) => {
+    await BookSearchIndexModel.deleteMany({ book: { $in: bookIds } });
+};
+
+/**
+ * Removes every book from the index.
+ *
+ * @async
+ * @function clear
+ * @returns {Promise<void>}
+ */
+const clear = async () => {
+    await BookSearchIndexModel.deleteMany({});
+};
+
+/**
+ * Counts the books in the index.
+ *
+ * @async
+ * @function count
+ * @returns {Promise<number>} - The number of indexed books.
+ */
+const count = async () => BookSearchIndexModel.estimatedDocumentCount();
+
+/**
+ * Searches the index. The score of a book is its text index score, raised by the share of the trigrams of
+ * the search found in its names, so exact matches rank first and close misspellings follow.
+ *
+ * @async
+ * @function search
+ * @param {string} query - The search.
+ * @param {Object} [options] - The search options.
+ * @param {number} [options.limit] - The largest number of books to return.
+ * @returns {Promise<Array<Object>>} - The matching books as `{ book, score }`, with the ID of the book as a string, the most relevant first.
+ */
+const search = async (query, { limit = limits.CANDIDATES } = {}) => {
+    const trigrams = createTrigrams(query);
+
+    const [textMatches, fuzzyMatches] = await Promise.all([
+        BookSearchIndexModel.find(
+            { $text: { $search: query } },
+            { book: 1, score: { $meta: 'textScore' } }
+        )
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(limit)
+            .lean(),
+        trigrams.length
+            ? BookSearchIndexModel.aggregate([
+                  { $match: { trigrams: { $in: trigrams } } },
+                  {
+                      $project: {
+                          book: 1,
+                          similarity: {
+                              $divide: [
+                                  {
+                                      $size: {
+                                          $setIntersection: [
+                                              '$trigrams',
+                                              trigrams,
+                                          ],
+                                      },
+                                  },
+                                  trigrams.length,
+                              ],
+                          },
+                      },
+                  },
+                  { $match: { similarity: { $gte: fuzzy.MIN_SIMILARITY } } },
+                  { $sort: { similarity: -1 } },
+                  { $limit: limit },
+              ])
+            : [],
+    ]);
+
+    const scores = new Map();
+    textMatches.forEach(({ book, score }) =>
+        scores.set(book.toString(), score)
+    );
+    fuzzyMatches.forEach(({ book, similarity }) =>
+        scores.set(
+            book.toString(),
+            (scores.get(book.toString()) ?? 0) + similarity * fuzzy.WEIGHT
+        )
+    );
+
+    return [...scores]
+        .map(([book, score]) => ({ book, score }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+const mongoTextEngine = {
+    name: 'mongo-text',
+    index,
+    remove,
+    clear,
+    count,
+    search,
+};
+
+export default mongoTextEngine;
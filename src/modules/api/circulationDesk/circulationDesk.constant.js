@@ -0,0 +1,76 @@
+/**
+ * @fileoverview This file defines constants for the circulation desk. It includes the constraints on
+ * the codes scanned at the desk, the format of the library card numbers and the symbologies and image
+ * formats the labels and library cards can be printed in.
+ */
+
+/**
+ * lengths - An object containing constants for the minimum and maximum lengths of the desk fields.
+ *
+ * - CODE_MIN: Minimum length of a scanned barcode or card number (3 characters).
+ * - CODE_MAX: Maximum length of a scanned barcode or card number (50 characters).
+ * - REMARKS_MIN: Minimum length of the remarks (3 characters).
+ * - REMARKS_MAX: Maximum length of the remarks (500 characters).
+ */
+const lengths = {
+    CODE_MIN: 3,
+    CODE_MAX: 50,
+    REMARKS_MIN: 3,
+    REMARKS_MAX: 500,
+};
+
+/**
+ * libraryCard - The format of the library card numbers, a prefix followed by random digits.
+ *
+ * - PREFIX: The prefix of every card number.
+ * - DIGITS: The number of random digits after the prefix.
+ * - MAX_ATTEMPTS: The number of times a new number is drawn when the previous one is already taken.
+ */
+const libraryCard = {
+    PREFIX: 'LC',
+    DIGITS: 10,
+    MAX_ATTEMPTS: 5,
+};
+
+/**
+ * symbology - The symbologies the labels and library cards can be printed in.
+ */
+const symbology = {
+    CODE128: 'code128',
+    QR_CODE: 'qrcode',
+};
+
+/**
+ * imageFormat - The image formats the labels and library cards can be printed in.
+ */
+const imageFormat = {
+    PNG: 'png',
+    SVG: 'svg',
+};
+
+/**
+ * receiptType - The types of the receipts returned by the desk.
+ */
+const receiptType = {
+    CHECKOUT: 'checkout',
+    CHECKIN: 'checkin',
+};
+
+/**
+ * circulationDeskConstants - An object containing constants for the circulation desk:
+ *
+ * - lengths: An object containing constants for the minimum and maximum lengths of the desk fields.
+ * - libraryCard: The format of the library card numbers.
+ * - symbology: The symbologies the labels and library cards can be printed in.
+ * - imageFormat: The image formats the labels and library cards can be printed in.
+ * - receiptType: The types of the receipts returned by the desk.
+ */
+const circulationDeskConstants = {
+    lengths,
+    libraryCard,
+    symbology,
+    imageFormat,
+    receiptType,
+};
+
+export default circulationDeskConstants;
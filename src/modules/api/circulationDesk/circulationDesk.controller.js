@@ -0,0 +1,108 @@
+/**
+ * @fileoverview This file defines the controller functions of the circulation desk. These functions
+ * handle checking copies out and in and issuing library cards through the shared controller, and
+ * send the printed labels and library cards as images instead of JSON.
+ */
+
+import controller from '../../../shared/controller.js';
+import circulationDeskService from './circulationDesk.service.js';
+import asyncErrorHandlerService from '../../../utilities/asyncErrorHandler.js';
+import getRequesterId from '../../../utilities/getRequesterId.js';
+import loggerService from '../../../service/logger.service.js';
+
+/**
+ * sendBarcodeImage - Creates a controller function that renders a barcode image through the given
+ * service function and sends it with its content type. Errors are sent as JSON like any other response.
+ *
+ * @param {string} serviceFunction - The service function rendering the image.
+ * @param {string} paramsId - The name of the route parameter identifying the record to render.
+ * @returns {Function} - The controller function.
+ */
+const sendBarcodeImage = (serviceFunction, paramsId) =>
+    asyncErrorHandlerService(async (req, res) => {
+        const requester = getRequesterId(req);
+        const result = await circulationDeskService[serviceFunction](
+            requester,
+            req.params[paramsId],
+            req.query
+        );
+
+        if (!result.success) {
+            result.route = req.originalUrl;
+
+            return res.status(result.status).send(result);
+        }
+
+        loggerService.info(
+            `Barcode image of ${req.params[paramsId]} rendered by ${requester} at ${req.originalUrl}`
+        );
+
+        const { image, contentType, fileName } = result.data;
+
+        res.status(result.status)
+            .type(contentType)
+            .set('Content-Disposition', `inline; filename="${fileName}"`)
+            .send(image);
+    });
+
+/**
+ * circulationDeskController - Object containing all the defined controller functions of the circulation desk:
+ *
+ * - checkout: Controller function to handle a checkout at the desk.
+ * - checkin: Controller function to handle a checkin at the desk.
+ * - issueLibraryCard: Controller function to handle the issue of a library card.
+ * - getLibraryCardImage: Controller function to send a library card as a barcode image.
+ * - getCopyLabelImage: Controller function to send the label of a copy as a barcode image.
+ */
+const circulationDeskController = {
+    /**
+     * checkout - Controller function to handle a checkout at the desk.
+     *
+     * @param {Object} req - The request object containing the library card number and the barcode or accession number.
+     * @param {Object} res - The response object to send the receipt or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    checkout: controller.create(circulationDeskService, 'checkout'),
+
+    /**
+     * checkin - Controller function to handle a checkin at the desk.
+     *
+     * @param {Object} req - The request object containing the barcode or accession number.
+     * @param {Object} res - The response object to send the receipt or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    checkin: controller.create(circulationDeskService, 'checkin'),
+
+    /**
+     * issueLibraryCard - Controller function to handle the issue of a library card.
+     *
+     * @param {Object} req - The request object containing the ID of the user in the parameters.
+     * @param {Object} res - The response object to send the new card number or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    issueLibraryCard: controller.updateById(
+        circulationDeskService,
+        'issueLibraryCard',
+        'userId'
+    ),
+
+    /**
+     * getLibraryCardImage - Controller function to send a library card as a barcode image.
+     *
+     * @param {Object} req - The request object containing the ID of the user and the image options.
+     * @param {Object} res - The response object to send the image or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getLibraryCardImage: sendBarcodeImage('getLibraryCardImage', 'userId'),
+
+    /**
+     * getCopyLabelImage - Controller function to send the label of a copy as a barcode image.
+     *
+     * @param {Object} req - The request object containing the ID of the copy and the image options.
+     * @param {Object} res - The response object to send the image or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getCopyLabelImage: sendBarcodeImage('getCopyLabelImage', 'copyId'),
+};
+
+export default circulationDeskController;
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview This file defines the routes of the circulation desk using Express. It includes routes
+ * for checking copies out and in by library card number and barcode, accession number or ISBN, for issuing library cards
+ * and for printing the labels of copies and the library cards of patrons, and applies middlewares for
+ * authentication, validation and method support.
+ */
+
+import express from 'express';
+
+import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import circulationDeskValidator from './circulationDesk.validator.js';
+import circulationDeskController from './circulationDesk.controller.js';
+import accessTypesConstants from '../../../constant/accessTypes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /circulation-desk/checkout:
+ *   post:
+ *     summary: Checks a copy out at the desk.
+ *     description: Resolves the library card number of the patron and the barcode or accession number of the copy, or picks a lendable copy of the book with the ISBN, and lends the copy for the loan period of the circulation policy of the patron. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cardNumber:
+ *                 type: string
+ *                 description: The library card number of the patron.
+ *               barcode:
+ *                 type: string
+ *                 description: The barcode of the copy, required without an accession number or ISBN.
+ *               accessionNumber:
+ *                 type: string
+ *                 description: The accession number of the copy, required without a barcode or ISBN.
+ *               isbn:
+ *                 type: string
+ *                 description: The ISBN-10 or ISBN-13 of the book, to lend any copy of it the patron can borrow.
+ *               remarks:
+ *                 type: string
+ *                 description: Optional remarks about the checkout.
+ *     responses:
+ *       201:
+ *         description: Checkout completed successfully, the response is the receipt of the loan.
+ *       404:
+ *         description: No patron or copy found for the scanned codes, or no copy of the book with the ISBN can be lent.
+ *       409:
+ *         description: The copy cannot be lent, or the patron reached the loan limit of their policy.
+ *     tags:
+ *       - Circulation Desk
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Desk
+ */
+router
+    .route('/checkout')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationDesk.permissions.checkout
+        ),
+        circulationDeskValidator.checkout,
+        circulationDeskController.checkout
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /circulation-desk/checkin:
+ *   post:
+ *     summary: Checks a copy in at the desk.
+ *     description: Resolves the barcode or accession number of the copy, or the ISBN of the book with the library card number of the patron, and returns the copy from the patron it is lent to. The outcome works as for any return. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cardNumber:
+ *                 type: string
+ *                 description: The library card number of the patron, required with an ISBN only.
+ *               barcode:
+ *                 type: string
+ *                 description: The barcode of the copy, required without an accession number or ISBN.
+ *               accessionNumber:
+ *                 type: string
+ *                 description: The accession number of the copy, required without a barcode or ISBN.
+ *               isbn:
+ *                 type: string
+ *                 description: The ISBN-10 or ISBN-13 of the book, to check in the copy of it lent to the patron.
+ *               outcome:
+ *                 type: string
+ *                 enum: [returned_good, returned_damaged, declared_lost]
+ *                 description: The outcome of the checkin, returned_good when omitted.
+ *               severity:
+ *                 type: string
+ *                 enum: [minor, moderate, severe]
+ *                 description: The severity of the damage, required for damaged checkins only.
+ *               remarks:
+ *                 type: string
+ *                 description: Optional remarks about the checkin.
+ *     responses:
+ *       200:
+ *         description: Checkin completed successfully, the response is the receipt of the return with the fines and fees charged.
+ *       404:
+ *         description: No copy found for the scanned codes, or the copy is not on loan, or no copy of the book with the ISBN is lent to the patron.
+ *     tags:
+ *       - Circulation Desk
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Desk
+ */
+router
+    .route('/checkin')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationDesk.permissions.checkin
+        ),
+        circulationDeskValidator.checkin,
+        circulationDeskController.checkin
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /circulation-desk/patrons/{userId}/card:
+ *   put:
+ *     summary: Issues a library card.
+ *     description: Issues a new library card number to a user. Any previous card of the user stops working. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user.
+ *     responses:
+ *       200:
+ *         description: Library card issued successfully, the response includes the new card number.
+ *       404:
+ *         description: No user found with the provided ID.
+ *     tags:
+ *       - Circulation Desk
+ *   get:
+ *     summary: Prints a library card.
+ *     description: Renders the library card number of a user as a Code128 barcode or a QR code, in PNG or SVG. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user.
+ *       - in: query
+ *         name: symbology
+ *         schema:
+ *           type: string
+ *           enum: [code128, qrcode]
+ *           default: code128
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *     responses:
+ *       200:
+ *         description: The library card image.
+ *         content:
+ *           image/png: {}
+ *           image/svg+xml: {}
+ *       404:
+ *         description: No user found with the provided ID, or the user has no library card.
+ *     tags:
+ *       - Circulation Desk
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Desk
+ */
+router
+    .route('/patrons/:userId/card')
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationDesk.permissions.issueLibraryCard
+        ),
+        circulationDeskValidator.issueLibraryCard,
+        circulationDeskController.issueLibraryCard
+    )
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationDesk.permissions.getLibraryCard
+        ),
+        circulationDeskValidator.getLibraryCardImage,
+        circulationDeskController.getLibraryCardImage
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /circulation-desk/copies/{copyId}/label:
+ *   get:
+ *     summary: Prints the label of a copy.
+ *     description: Renders the barcode of a copy as a Code128 barcode or a QR code, in PNG or SVG. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the copy.
+ *       - in: query
+ *         name: symbology
+ *         schema:
+ *           type: string
+ *           enum: [code128, qrcode]
+ *           default: code128
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *     responses:
+ *       200:
+ *         description: The label image.
+ *         content:
+ *           image/png: {}
+ *           image/svg+xml: {}
+ *       404:
+ *         description: No book copy found with the provided ID.
+ *     tags:
+ *       - Circulation Desk
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Desk
+ */
+router
+    .route('/copies/:copyId/label')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationDesk.permissions.getCopyLabel
+        ),
+        circulationDeskValidator.getCopyLabelImage,
+        circulationDeskController.getCopyLabelImage
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview This file defines various Joi schemas for validating circulation desk data. The
+ * schemas include base validation for the codes scanned at the desk, as well as specific schemas for
+ * checking copies out and in and for printing labels and library cards. A copy is identified by its
+ * barcode or by its accession number, or a book by its ISBN.
+ */
+
+import Joi from 'joi';
+
+import circulationDeskConstants from './circulationDesk.constant.js';
+import bookCopiesConstants from '../books/copies/bookCopies.constant.js';
+import returnBooksConstants from '../books/return/returnBooks.constant.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+import validationService from '../../../service/validation.service.js';
+
+const { lengths, symbology, imageFormat } = circulationDeskConstants;
+const { lengths: bookCopiesLengths } = bookCopiesConstants;
+const { outcome, damageSeverity } = returnBooksConstants;
+
+/**
+ * circulationDeskSchemaBase - Base Joi schema for validating circulation desk fields. This schema includes:
+ *
+ * - cardNumber: String, the library card number of the patron
+ * - barcode: String, the barcode of the copy
+ * - accessionNumber: String, the accession number of the copy
+ * - isbn: String, the ISBN-10 or ISBN-13 of the book
+ * - remarks: String (trimmed, minLength, maxLength)
+ */
+const circulationDeskSchemaBase = Joi.object({
+    cardNumber: validationService
+        .createStringField(lengths.CODE_MIN, lengths.CODE_MAX)
+        .description('The library card number of the patron.'),
+    barcode: validationService
+        .createStringField(lengths.CODE_MIN, lengths.CODE_MAX)
+        .description('The barcode of the copy.'),
+    accessionNumber: validationService
+        .createStringField(
+            bookCopiesLengths.ACCESSION_NUMBER_MIN,
+            bookCopiesLengths.ACCESSION_NUMBER_MAX
+        )
+        .description('The accession number of the copy.'),
+    isbn: validationService.isbnField.description(
+        'The ISBN of the book, when no copy is scanned.'
+    ),
+    remarks: validationService
+        .createStringField(lengths.REMARKS_MIN, lengths.REMARKS_MAX)
+        .description('Additional remarks about the checkout or checkin.'),
+}).strict();
+
+/**
+ * checkoutSchema - Joi schema for validating the data of a checkout. The patron is identified by their
+ * library card number, and the copy by its barcode or by its accession number, or by the ISBN of its book.
+ */
+const checkoutSchema = circulationDeskSchemaBase
+    .fork(['cardNumber'], (field) => field.required())
+    .xor('barcode', 'accessionNumber', 'isbn');
+
+/**
+ * checkinSchema - Joi schema for validating the data of a checkin. The copy is identified by its
+ * barcode or by its accession number, the patron is the one it is lent to. A book identified by its
+ * ISBN needs the library card number of the patron, whose copy of the book is checked in. The outcome
+ * is the same as for a return, a copy checked in damaged must come with the severity.
+ */
+const checkinSchema = circulationDeskSchemaBase
+    .fork(['cardNumber'], (field) =>
+        field.when('isbn', {
+            is: Joi.exist(),
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+        })
+    )
+    .keys({
+        outcome: Joi.string()
+            .valid(...Object.values(outcome))
+            .default(outcome.RETURNED_GOOD)
+            .messages(customValidationMessage)
+            .description('The outcome of the checkin.'),
+        severity: Joi.string()
+            .valid(...Object.values(damageSeverity))
+            .when('outcome', {
+                is: outcome.RETURNED_DAMAGED,
+                then: Joi.required(),
+                otherwise: Joi.forbidden(),
+            })
+            .messages(customValidationMessage)
+            .description(
+                'The severity of the damage of a copy checked in damaged.'
+            ),
+    })
+    .xor('barcode', 'accessionNumber', 'isbn');
+
+/**
+ * userIdParamSchema - Joi schema for validating the ID of the user whose library card is issued or printed.
+ */
+const userIdParamSchema = Joi.object({
+    userId: validationService.objectIdField.required(),
+}).strict();
+
+/**
+ * copyIdParamSchema - Joi schema for validating the ID of the copy whose label is printed.
+ */
+const copyIdParamSchema = Joi.object({
+    copyId: validationService.objectIdField.required(),
+}).strict();
+
+/**
+ * barcodeImageQuerySchema - Joi schema for validating the symbology and the image format of a printed
+ * label or library card, a Code128 barcode in PNG by default.
+ */
+const barcodeImageQuerySchema = Joi.object({
+    symbology: Joi.string()
+        .valid(...Object.values(symbology))
+        .default(symbology.CODE128)
+        .messages(customValidationMessage),
+    format: Joi.string()
+        .valid(...Object.values(imageFormat))
+        .default(imageFormat.PNG)
+        .messages(customValidationMessage),
+}).strict();
+
+/**
+ * circulationDeskSchema - Object containing all the defined Joi schemas for circulation desk validation:
+ *
+ * - checkoutSchema: Schema for validating the data of a checkout.
+ * - checkinSchema: Schema for validating the data of a checkin.
+ * - userIdParamSchema: Schema for validating the ID of the user whose library card is issued or printed.
+ * - copyIdParamSchema: Schema for validating the ID of the copy whose label is printed.
+ * - barcodeImageQuerySchema: Schema for validating the symbology and the image format of a label or card.
+ */
+const circulationDeskSchema = {
+    checkoutSchema,
+    checkinSchema,
+    userIdParamSchema,
+    copyIdParamSchema,
+    barcodeImageQuerySchema,
+};
+
+export default circulationDeskSchema;
@@ -0,0 +1,476 @@
+/**
+ * @fileoverview This file defines and exports the service functions of the circulation desk. Librarians
+ * scan the library card of a patron and the barcode of a copy, or type its accession number or the ISBN of
+ * its book, and the desk resolves them to the underlying records before checking the copy out or in through the lending and
+ * return services, so the same rules apply as everywhere else. Each checkout and checkin answers with a
+ * receipt. The desk also issues library cards and prints the labels of copies and the library cards of
+ * patrons as Code128 barcodes or QR codes, rendered locally.
+ */
+
+import { randomInt } from 'crypto';
+
+import circulationDeskConstants from './circulationDesk.constant.js';
+import UsersModel from '../users/users.model.js';
+import BooksModel from '../books/books.model.js';
+import BookCopiesModel from '../books/copies/bookCopies.model.js';
+import LendBooksModel from '../books/lend/lendBooks.model.js';
+import lendBooksService from '../books/lend/lendBooks.service.js';
+import returnBooksService from '../books/return/returnBooks.service.js';
+import circulationPoliciesService from '../circulationPolicies/circulationPolicies.service.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import loggerService from '../../../service/logger.service.js';
+import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import generateBarcodeImage from '../../../utilities/generateBarcodeImage.js';
+import normalizeIsbn from '../../../utilities/normalizeIsbn.js';
+import errorResponse from '../../../utilities/errorResponse.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+
+const { libraryCard, receiptType } = circulationDeskConstants;
+
+/**
+ * Finds the patron holding a library card.
+ *
+ * @param {string} cardNumber - The scanned library card number.
+ * @returns {Promise<Object|null>} - The patron, or null if no user holds the card.
+ */
+const findPatronByCard = async (cardNumber) => {
+    return UsersModel.findOne({
+        libraryCardNumber: cardNumber.toUpperCase(),
+    })
+        .select('name libraryCardNumber')
+        .lean();
+};
+
+/**
+ * Finds the copy scanned or typed at the desk.
+ *
+ * @param {Object} codes - The barcode or the accession number of the copy.
+ * @returns {Promise<Object|null>} - The copy, or null if no copy carries the code.
+ */
+const findCopyByCode = async ({ barcode, accessionNumber }) => {
+    return BookCopiesModel.findOne(
+        barcode ? { barcode } : { accessionNumber }
+    ).lean();
+};
+
+/**
+ * Finds the IDs of the books of an ISBN typed at the desk, given as an ISBN-10 or an ISBN-13. The editions
+ * of a book may share its ISBN, so there can be several.
+ *
+ * @param {string} isbn - The ISBN of the book.
+ * @returns {Promise<Array<ObjectId>>} - The IDs of the books.
+ */
+const findBookIdsByIsbn = async (isbn) => {
+    const books = await BooksModel.find({
+        isbn13: normalizeIsbn(isbn).isbn13,
+    })
+        .select('_id')
+        .lean();
+
+    return books.map((book) => book._id);
+};
+
+/**
+ * Finds the copy to check out to a patron. A scanned copy is found by its code, while for an ISBN a copy
+ * of the book that can be lent to the patron is picked.
+ *
+ * @param {Object} checkoutData - The barcode, the accession number or the ISBN.
+ * @param {ObjectId} patronId - The ID of the patron.
+ * @returns {Promise<Object|null>} - The copy, or null if none is found.
+ */
+const findCheckoutCopy = async (checkoutData, patronId) => {
+    if (!checkoutData.isbn) return findCopyByCode(checkoutData);
+
+    for (const bookId of await findBookIdsByIsbn(checkoutData.isbn)) {
+        const copy = await lendBooksService.findLendableCopy(bookId, patronId);
+        if (copy) return copy;
+    }
+
+    return null;
+};
+
+/**
+ * Finds the copy to check in. A scanned copy is found by its code, while for an ISBN the copy of the book
+ * lent to the patron holding the library card is.
+ *
+ * @param {Object} checkinData - The barcode, the accession number, or the ISBN with the library card number.
+ * @returns {Promise<Object|null>} - The copy, or null if none is found.
+ */
+const findCheckinCopy = async (checkinData) => {
+    if (!checkinData.isbn) return findCopyByCode(checkinData);
+
+    const patron = await findPatronByCard(checkinData.cardNumber);
+    if (!patron) return null;
+
+    const [bookIds, lendRecord] = await Promise.all([
+        findBookIdsByIsbn(checkinData.isbn),
+        LendBooksModel.findOne({ lender: patron._id }).lean(),
+    ]);
+
+    const loan = lendRecord?.books.find(
+        (lentBook) =>
+            lentBook.copy &&
+            bookIds.some(
+                (bookId) => bookId.toString() === lentBook.id?.toString()
+            )
+    );
+
+    return loan ? BookCopiesModel.findById(loan.copy).lean() : null;
+};
+
+/**
+ * Builds the receipt of a checkout or checkin.
+ *
+ * @param {string} type - The type of the receipt.
+ * @param {string} requester - The ID of the librarian at the desk.
+ * @param {Object} patron - The patron, with their name and library card number.
+ * @param {Object} book - The book of the copy.
+ * @param {Object} copy - The copy checked out or in.
+ * @param {Object} details - The details specific to the type of the receipt.
+ * @returns {Object} - The receipt.
+ */
+const buildReceipt = (type, requester, patron, book, copy, details) => ({
+    type,
+    issuedAt: new Date(),
+    issuedBy: requester,
+    patron: {
+        id: patron._id,
+        name: patron.name,
+        libraryCardNumber: patron.libraryCardNumber,
+    },
+    book: {
+        id: book._id,
+        name: book.name,
+        edition: book.edition,
+    },
+    copy: {
+        id: copy._id,
+        accessionNumber: copy.accessionNumber,
+        barcode: copy.barcode,
+        shelfLocation: copy.shelfLocation,
+    },
+    ...details,
+});
+
+/**
+ * Checks a copy out to the patron holding a library card, for the loan period of their circulation policy.
+ * The copy is found by its barcode or its accession number, or picked among the lendable copies of the book
+ * with an ISBN.
+ *
+ * @param {string} requester - The ID of the librarian at the desk.
+ * @param {Object} checkoutData - The library card number, the barcode, accession number or ISBN and optional remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object holding the receipt.
+ */
+const checkout = async (requester, checkoutData) => {
+    try {
+        const patron = await findPatronByCard(checkoutData.cardNumber);
+        if (!patron) {
+            return errorResponse(
+                'No patron found with the provided library card number.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const copy = await findCheckoutCopy(checkoutData, patron._id);
+        if (!copy) {
+            return errorResponse(
+                checkoutData.isbn
+                    ? 'No copy of a book with the provided ISBN can be lent.'
+                    : 'No book copy found with the provided code.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const { loanPeriodDays } =
+            await circulationPoliciesService.getApplicablePolicy(patron._id);
+        const dueDate = new Date();
+        dueDate.setDate(dueDate.getDate() + loanPeriodDays);
+
+        const lendResult = await lendBooksService.createLendBook(requester, {
+            user: patron._id.toString(),
+            copy: copy._id.toString(),
+            to: dueDate.toISOString(),
+            remarks: checkoutData.remarks,
+        });
+        if (!lendResult.success) return lendResult;
+
+        const book = await BooksModel.findById(copy.book)
+            .select('name edition')
+            .lean();
+
+        return sendResponse(
+            buildReceipt(receiptType.CHECKOUT, requester, patron, book, copy, {
+                dueDate,
+                loanPeriodDays,
+            }),
+            'Checkout completed successfully.',
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to check out at the desk: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to check out at the desk.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Checks a copy in from the patron it is lent to. The copy is found by its barcode or its accession number,
+ * or as the copy of the book with an ISBN lent to the patron holding a library card.
+ *
+ * @param {string} requester - The ID of the librarian at the desk.
+ * @param {Object} checkinData - The barcode, accession number or ISBN with the card number, the outcome and optional remarks.
+ * @returns {Promise<Object>} - A promise that resolves to the response object holding the receipt.
+ */
+const checkin = async (requester, checkinData) => {
+    try {
+        const copy = await findCheckinCopy(checkinData);
+        if (!copy) {
+            return errorResponse(
+                checkinData.isbn
+                    ? 'No copy of a book with the provided ISBN is lent to the patron with the provided library card number.'
+                    : 'No book copy found with the provided code.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const lendRecord = await LendBooksModel.findOne({
+            'books.copy': copy._id,
+        }).lean();
+
+        const loan = lendRecord?.books.find(
+            (lentBook) => lentBook.copy?.toString() === copy._id.toString()
+        );
+        if (!loan) {
+            return errorResponse(
+                'This copy is not on loan.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const patron = await UsersModel.findById(lendRecord.lender)
+            .select('name libraryCardNumber')
+            .lean();
+
+        const returnResult = await returnBooksService.returnBook(requester, {
+            user: lendRecord.lender.toString(),
+            copy: copy._id.toString(),
+            remarks: checkinData.remarks,
+            outcome: checkinData.outcome,
+            severity: checkinData.severity,
+        });
+        if (!returnResult.success) return returnResult;
+
+        const book = await BooksModel.findById(copy.book)
+            .select('name edition')
+            .lean();
+
+        return sendResponse(
+            buildReceipt(receiptType.CHECKIN, requester, patron, book, copy, {
+                lentOn: loan.from,
+                dueDate: loan.to,
+                returnedAt: new Date(),
+                ...returnResult.data,
+            }),
+            returnResult.message,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to check in at the desk: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to check in at the desk.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Issues a new library card to a user. Any previous card of the user stops working, so a lost card can be
+ * replaced by issuing a new one.
+ *
+ * @param {string} requester - The ID of the admin issuing the card.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} - A promise that resolves to the response object holding the new card number.
+ */
+const issueLibraryCard = async (requester, userId) => {
+    try {
+        if (!(await UsersModel.exists({ _id: userId }))) {
+            return errorResponse(
+                'No user found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        let updatedUser;
+        for (
+            let attempt = 1;
+            !updatedUser && attempt <= libraryCard.MAX_ATTEMPTS;
+            attempt += 1
+        ) {
+            const libraryCardNumber = `${libraryCard.PREFIX}${randomInt(
+                10 ** libraryCard.DIGITS
+            )
+                .toString()
+                .padStart(libraryCard.DIGITS, '0')}`;
+
+            try {
+                updatedUser = await UsersModel.findByIdAndUpdate(
+                    userId,
+                    { $set: { libraryCardNumber } },
+                    { new: true }
+                ).select('name libraryCardNumber');
+            } catch (error) {
+                // The number is already on another card, draw a new one
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        if (!updatedUser) {
+            return errorResponse(
+                'Failed to generate a unique library card number, please try again.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `Library card ${updatedUser.libraryCardNumber} issued to user ${userId}.`,
+            details: JSON.stringify(updatedUser),
+            affectedId: userId,
+        });
+
+        return sendResponse(
+            updatedUser,
+            'Library card issued successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to issue library card: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to issue library card.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Renders the library card of a user as a barcode image.
+ *
+ * @param {string} requester - The ID of the admin printing the card.
+ * @param {string} userId - The ID of the user.
+ * @param {Object} imageOptions - The symbology and the image format.
+ * @returns {Promise<Object>} - A promise that resolves to the response object holding the image.
+ */
+const getLibraryCardImage = async (requester, userId, imageOptions) => {
+    try {
+        const user = await UsersModel.findById(userId)
+            .select('libraryCardNumber')
+            .lean();
+        if (!user) {
+            return errorResponse(
+                'No user found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        if (!user.libraryCardNumber) {
+            return errorResponse(
+                'This user has no library card, please issue one first.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const { image, contentType } = await generateBarcodeImage(
+            user.libraryCardNumber,
+            imageOptions
+        );
+
+        return sendResponse(
+            {
+                image,
+                contentType,
+                fileName: `${user.libraryCardNumber}.${imageOptions.format}`,
+            },
+            'Library card rendered successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to render library card: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to render library card.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Renders the label of a copy as a barcode image encoding the barcode of the copy.
+ *
+ * @param {string} requester - The ID of the admin printing the label.
+ * @param {string} copyId - The ID of the copy.
+ * @param {Object} imageOptions - The symbology and the image format.
+ * @returns {Promise<Object>} - A promise that resolves to the response object holding the image.
+ */
+const getCopyLabelImage = async (requester, copyId, imageOptions) => {
+    try {
+        const copy = await BookCopiesModel.findById(copyId)
+            .select('barcode')
+            .lean();
+        if (!copy) {
+            return errorResponse(
+                'No book copy found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const { image, contentType } = await generateBarcodeImage(
+            copy.barcode,
+            imageOptions
+        );
+
+        return sendResponse(
+            {
+                image,
+                contentType,
+                fileName: `${copy.barcode}.${imageOptions.format}`,
+            },
+            'Book label rendered successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to render book label: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to render book label.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * circulationDeskService - An object that holds the service functions of the circulation desk.
+ *
+ * @typedef {Object} CirculationDeskService
+ * @property {Function} checkout - Checks a copy out to the patron holding a library card.
+ * @property {Function} checkin - Checks a copy in from the patron it is lent to.
+ * @property {Function} issueLibraryCard - Issues a new library card to a user.
+ * @property {Function} getLibraryCardImage - Renders the library card of a user as a barcode image.
+ * @property {Function} getCopyLabelImage - Renders the label of a copy as a barcode image.
+ */
+const circulationDeskService = {
+    checkout,
+    checkin,
+    issueLibraryCard,
+    getLibraryCardImage,
+    getCopyLabelImage,
+};
+
+export default circulationDeskService;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview This file defines validation middleware for circulation desk API requests. The
+ * middleware functions use Joi schemas to validate request data for checking copies out and in, for
+ * issuing library cards and for printing labels and library cards. Each function ensures that the
+ * request data conforms to the defined schema before proceeding to the next middleware or controller.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import circulationDeskSchema from './circulationDesk.schema.js';
+
+/**
+ * checkout - Middleware function to validate the request body of a checkout.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const checkout = validateWithSchema([
+    { schema: circulationDeskSchema.checkoutSchema, property: 'body' },
+]);
+
+/**
+ * checkin - Middleware function to validate the request body of a checkin.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const checkin = validateWithSchema([
+    { schema: circulationDeskSchema.checkinSchema, property: 'body' },
+]);
+
+/**
+ * issueLibraryCard - Middleware function to validate the ID of the user a library card is issued to.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const issueLibraryCard = validateWithSchema([
+    { schema: circulationDeskSchema.userIdParamSchema, property: 'params' },
+]);
+
+/**
+ * getLibraryCardImage - Middleware function to validate the user and the image options of a printed library card.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getLibraryCardImage = validateWithSchema([
+    { schema: circulationDeskSchema.userIdParamSchema, property: 'params' },
+    {
+        schema: circulationDeskSchema.barcodeImageQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * getCopyLabelImage - Middleware function to validate the copy and the image options of a printed label.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getCopyLabelImage = validateWithSchema([
+    { schema: circulationDeskSchema.copyIdParamSchema, property: 'params' },
+    {
+        schema: circulationDeskSchema.barcodeImageQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * circulationDeskValidator - Object containing all the defined validation middleware functions for the circulation desk:
+ *
+ * - checkout: Function to validate the request body of a checkout.
+ * - checkin: Function to validate the request body of a checkin.
+ * - issueLibraryCard: Function to validate the ID of the user a library card is issued to.
+ * - getLibraryCardImage: Function to validate the user and the image options of a printed library card.
+ * - getCopyLabelImage: Function to validate the copy and the image options of a printed label.
+ */
+const circulationDeskValidator = {
+    checkout,
+    checkin,
+    issueLibraryCard,
+    getLibraryCardImage,
+    getCopyLabelImage,
+};
+
+export default circulationDeskValidator;
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview This file defines constants for validating circulation policy data. It includes
+ * constraints on the length of policy names and on the limits a policy can set, which are used in
+ * the Mongoose model and the validation schemas of circulation policies.
+ */
+
+/**
+ * lengths - An object containing constants for the minimum and maximum lengths of policy names.
+ *
+ * - NAME_MIN: Minimum length for a policy name (3 characters).
+ * - NAME_MAX: Maximum length for a policy name (100 characters).
+ */
+const lengths = {
+    NAME_MIN: 3,
+    NAME_MAX: 100,
+};
+
+/**
+ * limits - An object containing constants for the bounds of the limits a policy can set.
+ *
+ * - MAX_CONCURRENT_LOANS_MIN: Minimum number of books a user can have on loan at once (1).
+ * - MAX_CONCURRENT_LOANS_MAX: Maximum number of books a user can have on loan at once (100).
+ * - LOAN_PERIOD_DAYS_MIN: Minimum loan period in days (1).
+ * - LOAN_PERIOD_DAYS_MAX: Maximum loan period in days (365).
+ * - MAX_RENEWALS_MAX: Maximum number of renewals of a loan (20).
+ */
+const limits = {
+    MAX_CONCURRENT_LOANS_MIN: 1,
+    MAX_CONCURRENT_LOANS_MAX: 100,
+    LOAN_PERIOD_DAYS_MIN: 1,
+    LOAN_PERIOD_DAYS_MAX: 365,
+    MAX_RENEWALS_MAX: 20,
+};
+
+/**
+ * circulationPoliciesConstants - An object containing constants for circulation policy validation:
+ *
+ * - lengths: An object containing constants for the minimum and maximum lengths of policy names.
+ * - limits: An object containing constants for the bounds of the limits a policy can set.
+ */
+const circulationPoliciesConstants = {
+    lengths,
+    limits,
+};
+
+export default circulationPoliciesConstants;
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview This file defines the controller functions for managing circulation policies. These
+ * functions handle the creation, retrieval, updating and deletion of policies, and the assignment of
+ * the patron category of users, by interacting with the circulation policies service. Each function
+ * utilizes a shared controller to streamline the handling of standard CRUD operations.
+ */
+
+import controller from '../../../shared/controller.js';
+import circulationPoliciesService from './circulationPolicies.service.js';
+import routesConstants from '../../../constant/routes.constants.js';
+
+/**
+ * circulationPoliciesController - Object containing all the defined controller functions for circulation policies:
+ *
+ * - createCirculationPolicy: Controller function to handle the creation of a new circulation policy.
+ * - getCirculationPolicyList: Controller function to handle the retrieval of a list of circulation policies.
+ * - getCirculationPolicyById: Controller function to handle the retrieval of a circulation policy by its ID.
+ * - updateCirculationPolicyById: Controller function to handle the updating of a circulation policy by its ID.
+ * - deleteCirculationPolicyById: Controller function to handle the deletion of a circulation policy by its ID.
+ * - deleteCirculationPolicyByList: Controller function to handle the deletion of a list of circulation policies.
+ * - updatePatronCategory: Controller function to handle the assignment of the patron category of a user.
+ */
+const circulationPoliciesController = {
+    /**
+     * createCirculationPolicy - Controller function to handle the creation of a new circulation policy.
+     *
+     * @param {Object} req - The request object containing the policy data to create.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    createCirculationPolicy: controller.create(
+        circulationPoliciesService,
+        'createCirculationPolicy'
+    ),
+
+    /**
+     * getCirculationPolicyList - Controller function to handle the retrieval of a list of circulation policies.
+     *
+     * @param {Object} req - The request object containing the query parameters.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getCirculationPolicyList: controller.getList(
+        circulationPoliciesService,
+        'getCirculationPolicyList'
+    ),
+
+    /**
+     * getCirculationPolicyById - Controller function to handle the retrieval of a circulation policy by its ID.
+     *
+     * @param {Object} req - The request object containing the policy ID.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getCirculationPolicyById: controller.getById(
+        circulationPoliciesService,
+        'getCirculationPolicyById',
+        routesConstants.circulationPolicies.params
+    ),
+
+    /**
+     * updateCirculationPolicyById - Controller function to handle the updating of a circulation policy by its ID.
+     *
+     * @param {Object} req - The request object containing the policy ID and update data.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    updateCirculationPolicyById: controller.updateById(
+        circulationPoliciesService,
+        'updateCirculationPolicyById',
+        routesConstants.circulationPolicies.params
+    ),
+
+    /**
+     * deleteCirculationPolicyById - Controller function to handle the deletion of a circulation policy by its ID.
+     *
+     * @param {Object} req - The request object containing the policy ID.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    deleteCirculationPolicyById: controller.deleteById(
+        circulationPoliciesService,
+        'deleteCirculationPolicyById',
+        routesConstants.circulationPolicies.params
+    ),
+
+    /**
+     * deleteCirculationPolicyByList - Controller function to handle the deletion of a list of circulation policies.
+     *
+     * @param {Object} req - The request object containing the list of policy IDs.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    deleteCirculationPolicyByList: controller.deleteList(
+        circulationPoliciesService,
+        'deleteCirculationPolicyByList'
+    ),
+
+    /**
+     * updatePatronCategory - Controller function to handle the assignment of the patron category of a user.
+     *
+     * @param {Object} req - The request object containing the user ID and the patron category.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    updatePatronCategory: controller.updateById(
+        circulationPoliciesService,
+        'updatePatronCategory',
+        routesConstants.users.params
+    ),
+};
+
+export default circulationPoliciesController;
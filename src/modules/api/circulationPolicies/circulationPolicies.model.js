@@ -0,0 +1,188 @@
+/**
+ * @fileoverview This file defines the Mongoose schema for the CirculationPolicies model. A policy
+ * holds the lending rules of a group of users, such as how many books they can borrow at once and
+ * for how long, and applies either to a role, to a patron category or to everyone as the default
+ * policy. Each role, each patron category and the default can only have one policy.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import circulationPoliciesConstants from './circulationPolicies.constant.js';
+import userConstants from '../users/users.constants.js';
+import sharedSchema from '../../../shared/schema.js';
+
+const { lengths, limits } = circulationPoliciesConstants;
+
+/**
+ * circulationPolicySchema - Mongoose schema for the CirculationPolicies model. This schema defines
+ * the structure and constraints for storing circulation policies in the database. It includes:
+ *
+ * - name: String (required, unique, trimmed, minlength, maxlength)
+ * - role: ObjectId referencing the Roles model the policy applies to
+ * - patronCategory: String, the patron category the policy applies to
+ * - isDefault: Boolean, whether the policy applies to users no other policy applies to
+ * - maxConcurrentLoans: Number of books a user can have on loan at once
+ * - loanPeriodDays: Number of days a book can be lent for
+ * - maxRenewals: Number of times a loan can be renewed
+ * - fineRatePerDay: Fine charged per day a loan is overdue
+ * - holdsAllowed: Boolean, whether the users can reserve books
+ * - isActive: Shared schema for active status
+ * - createdBy: Shared schema for created by admin details
+ * - updatedBy: Shared schema for updated by admin details
+ */
+const circulationPolicySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            trim: true,
+            unique: true,
+            required: [
+                true,
+                'Please provide a name for the circulation policy.',
+            ],
+            minlength: [
+                lengths.NAME_MIN,
+                `Circulation policy name must be at least ${lengths.NAME_MIN} characters long.`,
+            ],
+            maxlength: [
+                lengths.NAME_MAX,
+                `Circulation policy name cannot exceed ${lengths.NAME_MAX} characters in length.`,
+            ],
+            description: 'The unique name of the circulation policy.',
+        },
+        role: {
+            type: Schema.Types.ObjectId,
+            ref: 'Roles',
+            description: 'The role whose users the policy applies to.',
+        },
+        patronCategory: {
+            type: String,
+            enum: Object.values(userConstants.patronCategory),
+            description: 'The patron category the policy applies to.',
+        },
+        isDefault: {
+            type: Boolean,
+            default: false,
+            description:
+                'Whether the policy applies to the users no other policy applies to.',
+        },
+        maxConcurrentLoans: {
+            type: Number,
+            required: [
+                true,
+                'Please provide the maximum number of concurrent loans.',
+            ],
+            min: limits.MAX_CONCURRENT_LOANS_MIN,
+            max: limits.MAX_CONCURRENT_LOANS_MAX,
+            description:
+                'The maximum number of books a user can have on loan at once.',
+        },
+        loanPeriodDays: {
+            type: Number,
+            required: [true, 'Please provide the loan period in days.'],
+            min: limits.LOAN_PERIOD_DAYS_MIN,
+            max: limits.LOAN_PERIOD_DAYS_MAX,
+            description: 'The maximum number of days a book can be lent for.',
+        },
+        maxRenewals: {
+            type: Number,
+            required: [true, 'Please provide the maximum number of renewals.'],
+            min: 0,
+            max: limits.MAX_RENEWALS_MAX,
+            description: 'The maximum number of times a loan can be renewed.',
+        },
+        fineRatePerDay: {
+            type: Number,
+            required: [true, 'Please provide the fine rate per day.'],
+            min: 0,
+            description: 'The fine charged per day a loan is overdue.',
+        },
+        holdsAllowed: {
+            type: Boolean,
+            default: true,
+            description: 'Whether the users can place reservations on books.',
+        },
+        isActive: sharedSchema.isActiveSchema,
+        createdBy: sharedSchema.createdByAdminSchema,
+        updatedBy: sharedSchema.updatedByAdminSchema,
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing circulation policies with automatic timestamping for creation and updates.',
+    }
+);
+
+// Each role, each patron category and the default can only have one policy
+circulationPolicySchema.index(
+    { role: 1 },
+    { unique: true, partialFilterExpression: { role: { $exists: true } } }
+);
+circulationPolicySchema.index(
+    { patronCategory: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { patronCategory: { $exists: true } },
+    }
+);
+circulationPolicySchema.index(
+    { isDefault: 1 },
+    { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+/**
+ * Pre-save and update Middleware - A middleware that runs before save and update operations to
+ * ensure the presence of createdBy and updatedBy fields. Throws an error if these fields are missing.
+ *
+ * @param {Function} next - The next middleware function in the stack.
+ * @throws {Error} - Throws an error if createdBy or updatedBy fields are missing.
+ */
+circulationPolicySchema.pre(['save', 'findOneAndUpdate'], function (next) {
+    if (
+        (this.isNew && !this.createdBy) ||
+        (this._update && !this._update.updatedBy)
+    ) {
+        return next(new Error('Creator or updater is required.'));
+    }
+    next();
+});
+
+/**
+ * Error Handling Middleware - A middleware that runs after save and update operations to handle
+ * unique constraint violations. A duplicate key means the name is taken or the role, the patron
+ * category or the default already has a policy.
+ *
+ * @param {Error} error - The error object passed to the middleware.
+ * @param {Document} doc - The document being processed.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+circulationPolicySchema.post(
+    ['save', 'findOneAndUpdate'],
+    (error, doc, next) => {
+        if (error.name === 'MongoServerError' && error.code === 11000) {
+            const messages = {
+                role: 'A circulation policy already exists for this role.',
+                patronCategory:
+                    'A circulation policy already exists for this patron category.',
+                isDefault: 'A default circulation policy already exists.',
+            };
+            const [field] = Object.keys(error.keyPattern || {});
+
+            next(
+                new Error(
+                    messages[field] || 'Circulation policy name already exists.'
+                )
+            );
+        } else {
+            next(error);
+        }
+    }
+);
+
+const CirculationPoliciesModel = mongoose.model(
+    'CirculationPolicies',
+    circulationPolicySchema
+);
+
+export default CirculationPoliciesModel;
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview This file defines the routes for managing circulation policies using Express. It includes
+ * routes for creating, retrieving, updating and deleting policies and for assigning the patron category of
+ * users, and applies various middlewares for authentication, validation, caching, and method support.
+ */
+
+import express from 'express';
+
+import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import circulationPoliciesValidator from './circulationPolicies.validator.js';
+import circulationPoliciesController from './circulationPolicies.controller.js';
+import cacheMiddleware from '../../../middleware/cache.middleware.js';
+import configuration from '../../../configuration/configuration.js';
+import accessTypesConstants from '../../../constant/accessTypes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /circulation-policies:
+ *   post:
+ *     summary: Creates a new circulation policy.
+ *     description: Creates the lending rules applied to the users of a role, of a patron category, or to everyone as the default policy. A policy targets exactly one of them, and each target can only have one policy. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The unique name of the policy.
+ *               role:
+ *                 type: string
+ *                 description: ID of the role the policy applies to.
+ *               patronCategory:
+ *                 type: string
+ *                 enum: [student, faculty, public]
+ *                 description: The patron category the policy applies to.
+ *               isDefault:
+ *                 type: boolean
+ *                 description: Applies the policy to the users no other policy applies to.
+ *               maxConcurrentLoans:
+ *                 type: integer
+ *                 description: The maximum number of books a user can have on loan at once.
+ *               loanPeriodDays:
+ *                 type: integer
+ *                 description: The maximum number of days a book can be lent for.
+ *               maxRenewals:
+ *                 type: integer
+ *                 description: The maximum number of times a loan can be renewed.
+ *               fineRatePerDay:
+ *                 type: number
+ *                 description: The fine charged per day a loan is overdue.
+ *               holdsAllowed:
+ *                 type: boolean
+ *                 description: Whether the users can reserve books.
+ *     responses:
+ *       201:
+ *         description: Circulation policy created successfully.
+ *       400:
+ *         description: Invalid data provided.
+ *       404:
+ *         description: No role found with the provided ID.
+ *     tags:
+ *       - Circulation Policy Management
+ *   get:
+ *     summary: Retrieves a list of circulation policies.
+ *     description: Fetches a list of circulation policies based on pagination and filters. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number of the policies list
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of policies per page
+ *       - in: query
+ *         name: patronCategory
+ *         schema:
+ *           type: string
+ *         description: Only return the policy of this patron category
+ *     responses:
+ *       200:
+ *         description: A list of circulation policies.
+ *       404:
+ *         description: No circulation policies found.
+ *     tags:
+ *       - Circulation Policy Management
+ *   delete:
+ *     summary: Deletes a list of circulation policies.
+ *     description: Deletes the circulation policies whose IDs are given in the query. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of policy IDs to delete.
+ *     responses:
+ *       200:
+ *         description: Circulation policies deleted successfully.
+ *     tags:
+ *       - Circulation Policy Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Policy Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.create
+        ),
+        circulationPoliciesValidator.createCirculationPolicy,
+        circulationPoliciesController.createCirculationPolicy,
+        cacheMiddleware.invalidate(routesConstants.circulationPolicies.routes)
+    )
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.getList
+        ),
+        circulationPoliciesValidator.getCirculationPolicyList,
+        circulationPoliciesController.getCirculationPolicyList,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .delete(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.deleteByList
+        ),
+        circulationPoliciesValidator.deleteCirculationPolicyByList,
+        circulationPoliciesController.deleteCirculationPolicyByList,
+        cacheMiddleware.invalidate(routesConstants.circulationPolicies.routes)
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /circulation-policies/patrons/{userId}:
+ *   put:
+ *     summary: Assigns the patron category of a user.
+ *     description: Sets the patron category whose circulation policy applies to the user when their role has no policy. A null category removes the user from their category. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the user.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               patronCategory:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [student, faculty, public]
+ *                 description: The patron category of the user.
+ *     responses:
+ *       200:
+ *         description: Patron category updated successfully.
+ *       404:
+ *         description: No user found with the provided ID.
+ *     tags:
+ *       - Circulation Policy Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Policy Management
+ */
+router
+    .route(`/patrons/:${routesConstants.users.params}`)
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.updatePatronCategory
+        ),
+        circulationPoliciesValidator.updatePatronCategory,
+        circulationPoliciesController.updatePatronCategory
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /circulation-policies/{policyId}:
+ *   get:
+ *     summary: Retrieves a circulation policy by ID.
+ *     description: Fetches the details of a circulation policy. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the circulation policy.
+ *     responses:
+ *       200:
+ *         description: Circulation policy fetched successfully.
+ *       404:
+ *         description: Circulation policy not found.
+ *     tags:
+ *       - Circulation Policy Management
+ *   put:
+ *     summary: Updates a circulation policy by ID.
+ *     description: Updates the limits of a circulation policy. Setting a role, a patron category or the default flag moves the policy to that target. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the circulation policy.
+ *     responses:
+ *       200:
+ *         description: Circulation policy updated successfully.
+ *       404:
+ *         description: Circulation policy or role not found.
+ *     tags:
+ *       - Circulation Policy Management
+ *   delete:
+ *     summary: Deletes a circulation policy by ID.
+ *     description: Deletes a circulation policy, its users fall back to the next applicable policy. Requires admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the circulation policy.
+ *     responses:
+ *       200:
+ *         description: Circulation policy deleted successfully.
+ *       404:
+ *         description: Circulation policy not found.
+ *     tags:
+ *       - Circulation Policy Management
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Circulation Policy Management
+ */
+router
+    .route(`/:${routesConstants.circulationPolicies.params}`)
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.getById
+        ),
+        circulationPoliciesValidator.getCirculationPolicyById,
+        circulationPoliciesController.getCirculationPolicyById,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.updateById
+        ),
+        circulationPoliciesValidator.updateCirculationPolicyById,
+        circulationPoliciesController.updateCirculationPolicyById,
+        cacheMiddleware.invalidate(routesConstants.circulationPolicies.routes)
+    )
+    .delete(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.circulationPolicies.permissions.deleteById
+        ),
+        circulationPoliciesValidator.deleteCirculationPolicyById,
+        circulationPoliciesController.deleteCirculationPolicyById,
+        cacheMiddleware.invalidate(routesConstants.circulationPolicies.routes)
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview This file defines various Joi schemas for validating circulation policy data. The
+ * schemas include base validation for policy fields, as well as specific schemas for creating,
+ * updating and querying policies and for assigning the patron category of a user. A policy applies
+ * to exactly one of a role, a patron category or everyone as the default policy.
+ */
+
+import Joi from 'joi';
+
+import circulationPoliciesConstants from './circulationPolicies.constant.js';
+import userConstants from '../users/users.constants.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+import validationService from '../../../service/validation.service.js';
+
+const { lengths, limits } = circulationPoliciesConstants;
+
+/**
+ * circulationPolicySchemaBase - Base Joi schema for validating circulation policy fields. This schema includes:
+ *
+ * - name: String (trimmed, minLength, maxLength)
+ * - role: ObjectId of the role the policy applies to
+ * - patronCategory: String, one of the patron categories
+ * - isDefault: Boolean, only `true` can be set as a policy stops being the default by targeting a role or category
+ * - maxConcurrentLoans, loanPeriodDays, maxRenewals: Integers within the policy limits
+ * - fineRatePerDay: Number, zero or positive
+ * - holdsAllowed: Boolean
+ * - page: String (minLength, default value, custom parsing to integer)
+ * - limit: String (minLength, maxLength, default value, custom parsing to integer)
+ * - sort: String (trimmed, default value)
+ * - isActive: Boolean
+ * - createdBy: ObjectId
+ * - updatedBy: ObjectId
+ * - createdAt: Date
+ * - updatedAt: Date
+ *
+ * This schema is used as the base for more specific circulation policy schemas.
+ */
+const circulationPolicySchemaBase = Joi.object({
+    name: validationService.createStringField(
+        lengths.NAME_MIN,
+        lengths.NAME_MAX
+    ),
+    role: validationService.objectIdField,
+    patronCategory: Joi.string()
+        .valid(...Object.values(userConstants.patronCategory))
+        .messages(customValidationMessage),
+    isDefault: validationService.booleanField.valid(true),
+    maxConcurrentLoans: Joi.number()
+        .integer()
+        .min(limits.MAX_CONCURRENT_LOANS_MIN)
+        .max(limits.MAX_CONCURRENT_LOANS_MAX)
+        .messages(customValidationMessage),
+    loanPeriodDays: Joi.number()
+        .integer()
+        .min(limits.LOAN_PERIOD_DAYS_MIN)
+        .max(limits.LOAN_PERIOD_DAYS_MAX)
+        .messages(customValidationMessage),
+    maxRenewals: Joi.number()
+        .integer()
+        .min(0)
+        .max(limits.MAX_RENEWALS_MAX)
+        .messages(customValidationMessage),
+    fineRatePerDay: Joi.number().min(0).messages(customValidationMessage),
+    holdsAllowed: validationService.booleanField,
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('createdAt'),
+    isActive: validationService.booleanField,
+    createdBy: validationService.objectIdField,
+    updatedBy: validationService.objectIdField,
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * createCirculationPolicySchema - Joi schema for validating data when creating a circulation policy.
+ * This schema makes the name and the limits required, and requires exactly one of role, patronCategory
+ * and isDefault.
+ */
+const createCirculationPolicySchema = circulationPolicySchemaBase
+    .fork(
+        [
+            'name',
+            'maxConcurrentLoans',
+            'loanPeriodDays',
+            'maxRenewals',
+            'fineRatePerDay',
+        ],
+        (field) => field.required()
+    )
+    .xor('role', 'patronCategory', 'isDefault');
+
+/**
+ * updateCirculationPolicySchema - Joi schema for validating data when updating a circulation policy.
+ * This schema makes all fields optional, requires at least one field to be provided, and allows at most
+ * one of role, patronCategory and isDefault.
+ */
+const updateCirculationPolicySchema = circulationPolicySchemaBase
+    .fork(Object.keys(circulationPolicySchemaBase.describe().keys), (field) =>
+        field.optional()
+    )
+    .oxor('role', 'patronCategory', 'isDefault')
+    .min(1);
+
+/**
+ * getCirculationPoliciesQuerySchema - Joi schema for validating query parameters when retrieving
+ * circulation policies. This schema makes all fields optional and uses the base schema for validation.
+ */
+const getCirculationPoliciesQuerySchema = circulationPolicySchemaBase.fork(
+    [
+        'name',
+        'role',
+        'patronCategory',
+        'holdsAllowed',
+        'isActive',
+        'page',
+        'limit',
+        'sort',
+        'createdBy',
+        'updatedBy',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * circulationPolicyIdsParamSchema - Joi schema for validating a list of circulation policy IDs passed
+ * as a parameter. This schema ensures that the 'ids' field is an array of valid ObjectIds.
+ */
+const circulationPolicyIdsParamSchema = Joi.object({
+    ids: validationService.objectIdsField.required(),
+})
+    .required()
+    .messages(customValidationMessage);
+
+/**
+ * circulationPolicyIdParamSchema - Joi schema for validating a single circulation policy ID passed as
+ * a parameter. This schema ensures that the 'policyId' field is a valid ObjectId.
+ */
+const circulationPolicyIdParamSchema = Joi.object({
+    policyId: validationService.objectIdField.required(),
+}).strict();
+
+/**
+ * userIdParamSchema - Joi schema for validating the ID of the user whose patron category is assigned.
+ */
+const userIdParamSchema = Joi.object({
+    userId: validationService.objectIdField.required(),
+}).strict();
+
+/**
+ * updatePatronCategorySchema - Joi schema for validating the patron category assigned to a user.
+ * A `null` category removes the user from their patron category.
+ */
+const updatePatronCategorySchema = Joi.object({
+    patronCategory: Joi.string()
+        .valid(...Object.values(userConstants.patronCategory), null)
+        .required()
+        .messages(customValidationMessage),
+}).strict();
+
+/**
+ * circulationPoliciesSchema - Object containing all the defined Joi schemas for circulation policy validation:
+ *
+ * - createCirculationPolicySchema: Schema for validating data when creating a circulation policy.
+ * - updateCirculationPolicySchema: Schema for validating data when updating a circulation policy.
+ * - getCirculationPoliciesQuerySchema: Schema for validating query parameters when retrieving circulation policies.
+ * - circulationPolicyIdsParamSchema: Schema for validating a list of circulation policy IDs passed as a parameter.
+ * - circulationPolicyIdParamSchema: Schema for validating a single circulation policy ID passed as a parameter.
+ * - userIdParamSchema: Schema for validating the ID of the user whose patron category is assigned.
+ * - updatePatronCategorySchema: Schema for validating the patron category assigned to a user.
+ */
+const circulationPoliciesSchema = {
+    createCirculationPolicySchema,
+    updateCirculationPolicySchema,
+    getCirculationPoliciesQuerySchema,
+    circulationPolicyIdsParamSchema,
+    circulationPolicyIdParamSchema,
+    userIdParamSchema,
+    updatePatronCategorySchema,
+};
+
+export default circulationPoliciesSchema;
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview This file defines the service functions for managing circulation policies. Admins create,
+ * update and delete the policies and assign the patron category of users, while the lending, renewal,
+ * reservation and fine flows look up the policy that applies to a user. The policy of the role of a user
+ * takes precedence over the policy of their patron category, which takes precedence over the default
+ * policy. When no active policy applies, the lending rules of the configuration are used.
+ */
+
+import CirculationPoliciesModel from './circulationPolicies.model.js';
+import UsersModel from '../users/users.model.js';
+import RolesModel from '../roles/roles.model.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import configuration from '../../../configuration/configuration.js';
+import loggerService from '../../../service/logger.service.js';
+import service from '../../../shared/service.js';
+import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import isEmptyObject from '../../../utilities/isEmptyObject.js';
+import errorResponse from '../../../utilities/errorResponse.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+
+/**
+ * populateCirculationPolicyFields - A helper function to populate related fields in the circulation policy documents.
+ *
+ * @param {Object} query - The Mongoose query object.
+ * @returns {Promise<Object>} - The query result with populated fields.
+ */
+const populateCirculationPolicyFields = async (query) => {
+    return await query
+        .populate({
+            path: 'role',
+            select: 'name',
+        })
+        .populate({
+            path: 'createdBy',
+            select: 'name image department designation isActive',
+        })
+        .populate({
+            path: 'updatedBy',
+            select: 'name image department designation isActive',
+        });
+};
+
+/**
+ * getApplicablePolicy - Looks up the circulation policy that applies to a user. The active policy of
+ * the role of the user is used first, then the one of their patron category, then the default policy.
+ * When none of them exists, a policy built from the lending rules of the configuration is returned.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} - The limits of the applicable policy: maxConcurrentLoans, loanPeriodDays,
+ * maxRenewals, fineRatePerDay and holdsAllowed.
+ */
+const getApplicablePolicy = async (userId) => {
+    const user = await UsersModel.findById(userId)
+        .select('role patronCategory')
+        .lean();
+
+    const targets = [
+        user?.role && { role: user.role },
+        user?.patronCategory && { patronCategory: user.patronCategory },
+        { isDefault: true },
+    ].filter(Boolean);
+
+    const policies = await CirculationPoliciesModel.find({
+        isActive: true,
+        $or: targets,
+    }).lean();
+
+    const policy =
+        policies.find(
+            (item) =>
+                user?.role && item.role?.toString() === user.role.toString()
+        ) ||
+        policies.find(
+            (item) =>
+                user?.patronCategory &&
+                item.patronCategory === user.patronCategory
+        ) ||
+        policies.find((item) => item.isDefault);
+
+    return (
+        policy || {
+            name: 'Configuration',
+            maxConcurrentLoans: configuration.lend.maxConcurrentLoans,
+            loanPeriodDays: configuration.lend.loanPeriodDays,
+            maxRenewals: configuration.lend.maxRenewals,
+            fineRatePerDay: configuration.fine.ratePerDay,
+            holdsAllowed: true,
+        }
+    );
+};
+
+/**
+ * createCirculationPolicy - Service function to create a new circulation policy. The role the policy
+ * applies to must exist, and each role, patron category and the default can only have one policy.
+ *
+ * @param {string} requester - The ID of the admin creating the policy.
+ * @param {Object} newPolicyData - The data for the new policy.
+ * @returns {Promise<Object>} - The created policy or an error response.
+ */
+const createCirculationPolicy = async (requester, newPolicyData) => {
+    try {
+        if (
+            newPolicyData.role &&
+            !(await RolesModel.exists({ _id: newPolicyData.role }))
+        ) {
+            return errorResponse(
+                'No role found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        newPolicyData.createdBy = requester;
+
+        const newPolicy = await CirculationPoliciesModel.create(newPolicyData);
+        const populatedPolicy = await populateCirculationPolicyFields(
+            CirculationPoliciesModel.findById(newPolicy._id)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.CREATE,
+            description: 'Created a new circulation policy',
+            details: JSON.stringify(populatedPolicy),
+            affectedId: newPolicy._id,
+        });
+
+        return sendResponse(
+            populatedPolicy,
+            'Circulation policy created successfully.',
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to create circulation policy: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to create circulation policy.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * getCirculationPolicyList - Service function to retrieve a list of circulation policies based on query parameters.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - The query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - The retrieved list of policies or an error response.
+ */
+const getCirculationPolicyList = async (requester, params) => {
+    return service.getResourceList(
+        CirculationPoliciesModel,
+        populateCirculationPolicyFields,
+        params,
+        {},
+        'circulation policies'
+    );
+};
+
+/**
+ * getCirculationPolicyById - Service function to retrieve a circulation policy by its ID.
+ *
+ * @param {string} requester - The ID of the admin requesting the policy.
+ * @param {string} policyId - The ID of the policy to retrieve.
+ * @returns {Promise<Object>} - The retrieved policy or an error response.
+ */
+const getCirculationPolicyById = async (requester, policyId) => {
+    return service.getResourceById(
+        CirculationPoliciesModel,
+        populateCirculationPolicyFields,
+        policyId,
+        'circulation policy'
+    );
+};
+
+/**
+ * updateCirculationPolicyById - Service function to update a circulation policy by its ID. Setting the
+ * role, the patron category or the default flag moves the policy to that target and clears the other two.
+ *
+ * @param {string} requester - The ID of the admin updating the policy.
+ * @param {string} policyId - The ID of the policy to update.
+ * @param {Object} updateData - The data to update the policy with.
+ * @returns {Promise<Object>} - The updated policy or an error response.
+ */
+const updateCirculationPolicyById = async (requester, policyId, updateData) => {
+    try {
+        if (isEmptyObject(updateData)) {
+            return errorResponse(
+                'Please provide update data.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        if (
+            updateData.role &&
+            !(await RolesModel.exists({ _id: updateData.role }))
+        ) {
+            return errorResponse(
+                'No role found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const { role, patronCategory, isDefault, ...limits } = updateData;
+        const update = { $set: { ...limits }, updatedBy: requester };
+
+        if (role || patronCategory || isDefault) {
+            update.$set.isDefault = Boolean(isDefault);
+            update.$unset = {};
+
+            if (role) update.$set.role = role;
+            else update.$unset.role = '';
+
+            if (patronCategory) update.$set.patronCategory = patronCategory;
+            else update.$unset.patronCategory = '';
+        }
+
+        const updatedPolicy = await CirculationPoliciesModel.findByIdAndUpdate(
+            policyId,
+            update,
+            { new: true, runValidators: true }
+        );
+        if (!updatedPolicy) {
+            return errorResponse(
+                'Circulation policy not found.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const populatedPolicy = await populateCirculationPolicyFields(
+            CirculationPoliciesModel.findById(updatedPolicy._id)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: 'Circulation policy updated',
+            details: JSON.stringify(populatedPolicy),
+            affectedId: updatedPolicy._id,
+        });
+
+        return sendResponse(
+            populatedPolicy,
+            'Circulation policy updated successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to update circulation policy: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to update circulation policy.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * deleteCirculationPolicyByList - Service function to delete a list of circulation policies by their IDs.
+ *
+ * @param {string} requester - The ID of the admin deleting the policies.
+ * @param {Array<string>} policyIds - The IDs of the policies to delete.
+ * @returns {Promise<Object>} - The result of the deletion process or an error response.
+ */
+const deleteCirculationPolicyByList = async (requester, policyIds) => {
+    return service.deleteResourcesByList(
+        requester,
+        CirculationPoliciesModel,
+        policyIds,
+        'circulation policy'
+    );
+};
+
+/**
+ * deleteCirculationPolicyById - Service function to delete a circulation policy by its ID.
+ *
+ * @param {string} requester - The ID of the admin deleting the policy.
+ * @param {string} policyId - The ID of the policy to delete.
+ * @returns {Promise<Object>} - The result of the deletion process or an error response.
+ */
+const deleteCirculationPolicyById = async (requester, policyId) => {
+    return service.deleteResourceById(
+        requester,
+        CirculationPoliciesModel,
+        policyId,
+        'circulation policy'
+    );
+};
+
+/**
+ * updatePatronCategory - Service function to assign the patron category of a user, which selects the
+ * circulation policy of that category when the role of the user has no policy. A `null` category removes
+ * the user from their category.
+ *
+ * @param {string} requester - The ID of the admin assigning the category.
+ * @param {string} userId - The ID of the user.
+ * @param {Object} categoryData - The data holding the patron category.
+ * @returns {Promise<Object>} - The updated user or an error response.
+ */
+const updatePatronCategory = async (requester, userId, categoryData) => {
+    try {
+        const { patronCategory } = categoryData;
+
+        const updatedUser = await UsersModel.findByIdAndUpdate(
+            userId,
+            patronCategory
+                ? { $set: { patronCategory } }
+                : { $unset: { patronCategory: '' } },
+            { new: true, runValidators: true }
+        ).select('name email patronCategory');
+        if (!updatedUser) {
+            return errorResponse(
+                'No user found with the provided ID.',
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `Patron category of user ${userId} set to ${patronCategory || 'none'}.`,
+            details: JSON.stringify(updatedUser),
+            affectedId: userId,
+        });
+
+        return sendResponse(
+            updatedUser,
+            'Patron category updated successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to update patron category: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to update patron category.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * circulationPoliciesService - An object that holds the service functions for managing circulation policies.
+ *
+ * @typedef {Object} CirculationPoliciesService
+ * @property {Function} getApplicablePolicy - Looks up the circulation policy that applies to a user.
+ * @property {Function} createCirculationPolicy - Creates a new circulation policy.
+ * @property {Function} getCirculationPolicyList - Retrieves a list of circulation policies.
+ * @property {Function} getCirculationPolicyById - Retrieves a circulation policy by its ID.
+ * @property {Function} updateCirculationPolicyById - Updates a circulation policy by its ID.
+ * @property {Function} deleteCirculationPolicyByList - Deletes a list of circulation policies by their IDs.
+ * @property {Function} deleteCirculationPolicyById - Deletes a circulation policy by its ID.
+ * @property {Function} updatePatronCategory - Assigns the patron category of a user.
+ */
+const circulationPoliciesService = {
+    getApplicablePolicy,
+    createCirculationPolicy,
+    getCirculationPolicyList,
+    getCirculationPolicyById,
+    updateCirculationPolicyById,
+    deleteCirculationPolicyByList,
+    deleteCirculationPolicyById,
+    updatePatronCategory,
+};
+
+export default circulationPoliciesService;
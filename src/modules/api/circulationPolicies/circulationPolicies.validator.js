@@ -0,0 +1,139 @@
+/**
+ * @fileoverview This file defines validation middleware for circulation policy API requests. The
+ * middleware functions use Joi schemas to validate request data for creating, retrieving, updating
+ * and deleting circulation policies, and for assigning the patron category of a user. Each function
+ * ensures that the request data conforms to the defined schema before proceeding to the next
+ * middleware or controller.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import circulationPoliciesSchema from './circulationPolicies.schema.js';
+
+/**
+ * createCirculationPolicy - Middleware function to validate the request body when creating a new circulation policy.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const createCirculationPolicy = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.createCirculationPolicySchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * getCirculationPolicyList - Middleware function to validate the query parameters when retrieving a list of circulation policies.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getCirculationPolicyList = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.getCirculationPoliciesQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * getCirculationPolicyById - Middleware function to validate the request parameters when retrieving a circulation policy by its ID.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getCirculationPolicyById = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.circulationPolicyIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * updateCirculationPolicyById - Middleware function to validate the request body and parameters when updating a circulation policy by its ID.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const updateCirculationPolicyById = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.circulationPolicyIdParamSchema,
+        property: 'params',
+    },
+    {
+        schema: circulationPoliciesSchema.updateCirculationPolicySchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * deleteCirculationPolicyByList - Middleware function to validate the query parameters when deleting a list of circulation policies.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const deleteCirculationPolicyByList = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.circulationPolicyIdsParamSchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * deleteCirculationPolicyById - Middleware function to validate the request parameters when deleting a circulation policy by its ID.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const deleteCirculationPolicyById = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.circulationPolicyIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * updatePatronCategory - Middleware function to validate the request body and parameters when assigning the patron category of a user.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const updatePatronCategory = validateWithSchema([
+    {
+        schema: circulationPoliciesSchema.userIdParamSchema,
+        property: 'params',
+    },
+    {
+        schema: circulationPoliciesSchema.updatePatronCategorySchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * circulationPoliciesValidator - Object containing all the defined validation middleware functions for circulation policies:
+ *
+ * - createCirculationPolicy: Validates the request body when creating a new circulation policy.
+ * - getCirculationPolicyList: Validates the query parameters when retrieving a list of circulation policies.
+ * - getCirculationPolicyById: Validates the request parameters when retrieving a circulation policy by its ID.
+ * - updateCirculationPolicyById: Validates the request body and parameters when updating a circulation policy by its ID.
+ * - deleteCirculationPolicyByList: Validates the query parameters when deleting a list of circulation policies.
+ * - deleteCirculationPolicyById: Validates the request parameters when deleting a circulation policy by its ID.
+ * - updatePatronCategory: Validates the request body and parameters when assigning the patron category of a user.
+ */
+const circulationPoliciesValidator = {
+    createCirculationPolicy,
+    getCirculationPolicyList,
+    getCirculationPolicyById,
+    updateCirculationPolicyById,
+    deleteCirculationPolicyByList,
+    deleteCirculationPolicyById,
+    updatePatronCategory,
+};
+
+export default circulationPoliciesValidator;
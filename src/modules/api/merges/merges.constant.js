@@ -0,0 +1,51 @@
+/**
+ * @fileoverview This file defines constants for merging duplicate catalog records. It includes the types of
+ * records that can be merged and the limits of the search for duplicate candidates.
+ */
+
+/**
+ * types - The types of records that can be merged, as named in the requests to merge them. Each is the name of
+ * the collection of its records.
+ */
+const types = {
+    WRITERS: 'writers',
+    TRANSLATORS: 'translators',
+    PUBLICATIONS: 'publications',
+    SUBJECTS: 'subjects',
+};
+
+/**
+ * similarity - The limits of the search for duplicate candidates. Only names sharing at least `SHARED_TRIGRAMS`
+ * of their trigrams, by the Dice coefficient, are compared, and pairs rated at least `DEFAULT` are reported
+ * unless another rating is asked for.
+ */
+const similarity = {
+    MIN: 0.5,
+    DEFAULT: 0.8,
+    SHARED_TRIGRAMS: 0.3,
+};
+
+/**
+ * limits - The number of duplicate candidates reported by default and at most, and the number of records
+ * merged into another at once.
+ */
+const limits = {
+    CANDIDATES_DEFAULT: 20,
+    CANDIDATES_MAX: 100,
+    SOURCES_MAX: 50,
+};
+
+/**
+ * mergesConstants - An object containing constants for merging duplicate catalog records:
+ *
+ * - types: The types of records that can be merged.
+ * - similarity: The limits of the search for duplicate candidates.
+ * - limits: The numbers of candidates reported and of records merged at once.
+ */
+const mergesConstants = {
+    types,
+    similarity,
+    limits,
+};
+
+export default mergesConstants;
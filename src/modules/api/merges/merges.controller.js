@@ -0,0 +1,39 @@
+/**
+ * @fileoverview This file defines the controller functions for merging duplicate records. These functions handle
+ * finding the records that may be duplicates and merging them by interacting with the merges service. Each
+ * function utilizes a shared controller to streamline the handling of the requests.
+ */
+
+import mergesService from './merges.service.js';
+import controller from '../../../shared/controller.js';
+
+/**
+ * mergesController - Object containing all the defined controller functions for merges:
+ *
+ * - getMergeCandidates: Controller function to handle finding the records of a type that may be duplicates.
+ * - mergeRecords: Controller function to handle merging records into another one.
+ */
+const mergesController = {
+    /**
+     * getMergeCandidates - Controller function to handle finding the records of a type that may be duplicates.
+     * This function delegates the search to the merges service and uses a shared controller method to handle
+     * the request and response.
+     *
+     * @param {Object} req - The request object containing the query parameters.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getMergeCandidates: controller.getList(mergesService, 'getMergeCandidates'),
+
+    /**
+     * mergeRecords - Controller function to handle merging records into another one. This function delegates
+     * the merge to the merges service and uses a shared controller method to handle the request and response.
+     *
+     * @param {Object} req - The request object containing the record to merge into and the records to merge.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    mergeRecords: controller.create(mergesService, 'mergeRecords'),
+};
+
+export default mergesController;
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for the merges of duplicate catalog
+ * records. Each document records a writer, translator, publication or subject merged into another one, so its ID
+ * still resolves to the record it was merged into. When that record is merged in turn, the merges into it are
+ * redirected to the new record, so an ID always resolves in a single step.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import mergesConstants from './merges.constant.js';
+import sharedSchema from '../../../shared/schema.js';
+
+/**
+ * mergeSchema - Mongoose schema for storing the merges of duplicate catalog records.
+ *
+ * @typedef {Object} mergeSchema
+ * @property {String} resourceType - The type of the merged records, required.
+ * @property {Object} source - The ID of the record merged away, required.
+ * @property {String} sourceName - The name of the record merged away.
+ * @property {Object} target - The ID of the record it was merged into, required.
+ * @property {Object} createdBy - Reference to the admin who merged the records.
+ * @property {Date} createdAt - Timestamp for when the records were merged.
+ */
+const mergeSchema = new mongoose.Schema(
+    {
+        resourceType: {
+            type: String,
+            enum: Object.values(mergesConstants.types),
+            required: [true, 'Please specify the type of the merged records.'],
+            description: 'The type of the merged records.',
+        },
+        source: {
+            type: Schema.Types.ObjectId,
+            required: [true, 'Please specify the record merged away.'],
+            description: 'The ID of the record merged away.',
+        },
+        sourceName: {
+            type: String,
+            trim: true,
+            description: 'The name of the record merged away.',
+        },
+        target: {
+            type: Schema.Types.ObjectId,
+            required: [true, 'Please specify the record merged into.'],
+            description: 'The ID of the record it was merged into.',
+        },
+        createdBy: sharedSchema.createdByAdminSchema,
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        versionKey: false,
+        description:
+            'Schema for storing the merges of duplicate catalog records with the time of each merge.',
+    }
+);
+
+// A record is merged away once, and the merges into a record are found to redirect them
+mergeSchema.index({ resourceType: 1, source: 1 }, { unique: true });
+mergeSchema.index({ resourceType: 1, target: 1 });
+
+const MergesModel = mongoose.model('Merges', mergeSchema);
+
+export default MergesModel;
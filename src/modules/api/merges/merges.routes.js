@@ -0,0 +1,129 @@
+/**
+ * @fileoverview This file defines the routes for merging duplicate writers, translators, publications and
+ * subjects using Express. It includes routes for finding the records that may be duplicates and for merging
+ * records into another one, and applies various middlewares for authentication, validation, and method support.
+ */
+
+import express from 'express';
+
+import mergesController from './merges.controller.js';
+import mergesValidator from './merges.validator.js';
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import accessTypesConstants from '../../../constant/accessTypes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /merges:
+ *   post:
+ *     summary: Merges records into another one.
+ *     description: Merges duplicate writers, translators, publications or subjects into another record of the same type. The books referring to the merged records refer to that record instead, a contributor or subject a book would have twice being kept once, and the record counts them. Favourites and trending data follow the books. The children of merged subjects move under the subject merged into. The merged records are removed with their images, and their IDs resolve to the record they were merged into. A subject cannot be merged into one of its sub-subjects. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [writers, translators, publications, subjects]
+ *                 description: The type of the records.
+ *               target:
+ *                 type: string
+ *                 description: The ID of the record to merge into.
+ *               sources:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The IDs of the records to merge, at most 50.
+ *     responses:
+ *       200:
+ *         description: Records merged, with the record merged into and the number of records merged.
+ *       400:
+ *         description: A record is given to be merged into itself.
+ *       404:
+ *         description: The record to merge into or a record to merge is not found.
+ *       409:
+ *         description: A subject is merged into one of its sub-subjects.
+ *     tags:
+ *       - Merge Management
+ *   all:
+ *     summary: Handles unsupported methods for the merges route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Merge Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.merges.permissions.merge
+        ),
+        mergesValidator.mergeRecords,
+        mergesController.mergeRecords
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /merges/candidates:
+ *   get:
+ *     summary: Finds records that may be duplicates.
+ *     description: Returns pairs of writers, translators, publications or subjects whose names are similar, the most similar first. Names are compared by their words, ignoring case, punctuation, accents and the order of the words, and rated from 0 to 1. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [writers, translators, publications, subjects]
+ *         description: The type of the records.
+ *       - in: query
+ *         name: minSimilarity
+ *         schema:
+ *           type: number
+ *           default: 0.8
+ *         description: The lowest similarity of the names of a pair, from 0.5 to 1.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of pairs returned, at most 100.
+ *     responses:
+ *       200:
+ *         description: The pairs of records that may be duplicates, each with the similarity of their names.
+ *     tags:
+ *       - Merge Management
+ *   all:
+ *     summary: Handles unsupported methods for the merge candidates route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Merge Management
+ */
+router
+    .route('/candidates')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.merges.permissions.getCandidates
+        ),
+        mergesValidator.getMergeCandidates,
+        mergesController.getMergeCandidates
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview This file defines the Joi schemas for validating the requests to merge duplicate records. The
+ * schemas validate the type of the records, the lowest similarity and the number of duplicate candidates to
+ * find, and the record to merge into with the records to merge.
+ */
+
+import Joi from 'joi';
+
+import mergesConstants from './merges.constant.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+import validationService from '../../../service/validation.service.js';
+
+const { similarity, limits } = mergesConstants;
+
+/**
+ * typeField - Joi schema for the type of the records, one of the types of records that can be merged.
+ */
+const typeField = Joi.string()
+    .valid(...Object.values(mergesConstants.types))
+    .messages(customValidationMessage)
+    .description('The type of the records.');
+
+/**
+ * getMergeCandidatesQuerySchema - Joi schema for validating query parameters when finding duplicate candidates.
+ * This schema includes:
+ *
+ * - type: String (one of the types of records that can be merged, required)
+ * - minSimilarity: Number (the lowest similarity of the names of a pair, with a default value)
+ * - limit: Number (the number of pairs returned, with a default value)
+ */
+const getMergeCandidatesQuerySchema = Joi.object({
+    type: typeField.required(),
+    minSimilarity: Joi.number()
+        .min(similarity.MIN)
+        .max(1)
+        .default(similarity.DEFAULT)
+        .messages(customValidationMessage)
+        .description(
+            'The lowest similarity of the names of a pair, from 0.5 to 1.'
+        ),
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(limits.CANDIDATES_MAX)
+        .default(limits.CANDIDATES_DEFAULT)
+        .messages(customValidationMessage)
+        .description('The number of pairs returned.'),
+});
+
+/**
+ * mergeRecordsSchema - Joi schema for validating the records to merge, given by their type, the ID of the record
+ * to merge into and the IDs of the records to merge.
+ */
+const mergeRecordsSchema = Joi.object({
+    type: typeField.required(),
+    target: validationService.objectIdField
+        .required()
+        .description('The ID of the record to merge into.'),
+    sources: Joi.array()
+        .items(validationService.objectIdField)
+        .min(1)
+        .max(limits.SOURCES_MAX)
+        .unique()
+        .required()
+        .messages(customValidationMessage)
+        .description('The IDs of the records to merge.'),
+}).strict();
+
+/**
+ * mergesSchema - Object containing all the defined Joi schemas for merge validation:
+ *
+ * - getMergeCandidatesQuerySchema: Schema for validating query parameters when finding duplicate candidates.
+ * - mergeRecordsSchema: Schema for validating the records to merge.
+ */
+const mergesSchema = {
+    getMergeCandidatesQuerySchema,
+    mergeRecordsSchema,
+};
+
+export default mergesSchema;
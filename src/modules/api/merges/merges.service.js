@@ -0,0 +1,327 @@
+/**
+ * @fileoverview This file defines the service functions for merging duplicate writers, translators, publications
+ * and subjects. Candidates for merging are found by the similarity of their names. Merging records into another
+ * one points the books referring to them to that record, which counts them, and removes the merged records
+ * with their images. Their IDs are kept as redirects, so they still resolve to the record they were merged into.
+ * Favourites and trending data follow the books, so they move to that record with them.
+ */
+
+import mongoose from 'mongoose';
+
+import mergesConstants from './merges.constant.js';
+import MergesModel from './merges.model.js';
+import BooksModel from '../books/books.model.js';
+import booksService from '../books/books.service.js';
+import bookSearchService from '../books/search/bookSearch.service.js';
+import WritersModel from '../writers/writers.model.js';
+import TranslatorsModel from '../translators/translators.model.js';
+import PublicationsModel from '../publications/publications.model.js';
+import SubjectsModel from '../subjects/subjects.model.js';
+import subjectsService from '../subjects/subjects.service.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import loggerService from '../../../service/logger.service.js';
+import service from '../../../shared/service.js';
+import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import createTrigrams from '../../../utilities/createTrigrams.js';
+import errorResponse from '../../../utilities/errorResponse.js';
+import nameSimilarity from '../../../utilities/nameSimilarity.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+
+const { types, similarity, limits } = mergesConstants;
+
+/**
+ * Helper function to refuse merging subjects into one of their descendants, which would have to be moved under
+ * itself to take their children.
+ *
+ * @param {Object} target - The subject to merge into.
+ * @param {Array<Object>} sources - The subjects to merge.
+ * @returns {string|undefined} - The reason the subjects cannot be merged, if any.
+ */
+const checkSubjectsMerge = (target, sources) => {
+    const ancestorIds = (target.ancestors ?? []).map(String);
+
+    if (sources.some((source) => ancestorIds.includes(String(source._id)))) {
+        return 'A subject cannot be merged into one of its sub-subjects.';
+    }
+};
+
+/**
+ * The types of records that can be merged. Each has its model, resource name and the reference of the books
+ * to it. Subjects are checked before they are merged, pass their children on before they are removed, and count
+ * their books with those of their descendants.
+ */
+const mergeableResources = {
+    [types.WRITERS]: {
+        Model: WritersModel,
+        resourceType: 'writer',
+        field: 'contributors.writer',
+    },
+    [types.TRANSLATORS]: {
+        Model: TranslatorsModel,
+        resourceType: 'translator',
+        field: 'contributors.translator',
+    },
+    [types.PUBLICATIONS]: {
+        Model: PublicationsModel,
+        resourceType: 'publication',
+        field: 'publication',
+    },
+    [types.SUBJECTS]: {
+        Model: SubjectsModel,
+        resourceType: 'subject',
+        field: 'subject',
+        checkMerge: checkSubjectsMerge,
+        beforeRemove: subjectsService.moveChildSubjects,
+        // The subject merged into, the ancestors of all the subjects and the subjects taking the children count again
+        recount: (target, sources, session) =>
+            subjectsService.recountSubjectsBooksCount(
+                [
+                    target._id,
+                    ...(target.ancestors ?? []),
+                    ...sources.flatMap((source) => source.ancestors ?? []),
+                ],
+                session
+            ),
+    },
+};
+
+/**
+ * getMergeCandidates - Service function to find the records of a type that may be duplicates, by the similarity
+ * of their names. Only names sharing enough of their trigrams are compared, and the pairs rated at least the
+ * requested similarity are returned, the most similar first.
+ *
+ * @param {string} requester - The ID of the admin requesting the candidates.
+ * @param {Object} params - The type of the records, the lowest similarity and the number of candidates to return.
+ * @returns {Promise<Object>} - The pairs of records that may be duplicates, or an error response.
+ */
+const getMergeCandidates = async (requester, params) => {
+    try {
+        const {
+            type,
+            minSimilarity = similarity.DEFAULT,
+            limit = limits.CANDIDATES_DEFAULT,
+        } = params;
+
+        const records = await mergeableResources[type].Model.find()
+            .select('name booksCount')
+            .lean();
+
+        const trigrams = records.map((record) => createTrigrams(record.name));
+        const recordsByTrigram = new Map();
+        const candidates = [];
+
+        // Each record is compared to the earlier records sharing its trigrams, so each pair is rated once
+        records.forEach((record, index) => {
+            const sharedTrigrams = new Map();
+
+            trigrams[index].forEach((trigram) =>
+                (recordsByTrigram.get(trigram) ?? []).forEach((other) =>
+                    sharedTrigrams.set(
+                        other,
+                        (sharedTrigrams.get(other) ?? 0) + 1
+                    )
+                )
+            );
+
+            sharedTrigrams.forEach((count, other) => {
+                const overlap =
+                    (2 * count) /
+                    (trigrams[index].length + trigrams[other].length);
+                if (overlap < similarity.SHARED_TRIGRAMS) return;
+
+                const rating = nameSimilarity(records[other].name, record.name);
+                if (rating >= minSimilarity) {
+                    candidates.push({
+                        similarity: Math.round(rating * 100) / 100,
+                        records: [records[other], record],
+                    });
+                }
+            });
+
+            trigrams[index].forEach((trigram) =>
+                recordsByTrigram.set(trigram, [
+                    ...(recordsByTrigram.get(trigram) ?? []),
+                    index,
+                ])
+            );
+        });
+
+        candidates.sort((a, b) => b.similarity - a.similarity);
+
+        return sendResponse(
+            {
+                items: candidates.slice(0, limit),
+                totalItems: candidates.length,
+            },
+            `${candidates.length} duplicate candidates found.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to find merge candidates: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to find merge candidates.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * mergeRecords - Service function to merge records of a type into another one. The books referring to the merged
+ * records refer to that record instead, which counts them, and the merged records are removed with their images.
+ * Their IDs, and the IDs of the records merged into them before, are redirected to that record. The records are
+ * merged in a single transaction, and the images are only deleted once it is committed.
+ *
+ * @param {string} requester - The ID of the admin merging the records.
+ * @param {Object} mergeData - The type of the records, the ID of the record to merge into and the IDs of the records to merge.
+ * @returns {Promise<Object>} - The record merged into and the number of records merged, or an error response.
+ */
+const mergeRecords = async (requester, mergeData) => {
+    const session = await mongoose.startSession();
+
+    try {
+        const { type, target: targetId, sources: sourceIds } = mergeData;
+        const {
+            Model,
+            resourceType,
+            field,
+            checkMerge,
+            beforeRemove,
+            recount,
+        } = mergeableResources[type];
+
+        if (sourceIds.includes(targetId)) {
+            return errorResponse(
+                `A ${resourceType} cannot be merged into itself.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const target = await Model.findById(targetId).lean();
+        if (!target) {
+            return errorResponse(
+                `The ${resourceType} to merge into was not found.`,
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const sources = await Model.find({ _id: { $in: sourceIds } }).lean();
+        if (sources.length !== sourceIds.length) {
+            const foundIds = sources.map((source) => String(source._id));
+
+            return errorResponse(
+                `The following ${type} to merge were not found: ${sourceIds.filter((id) => !foundIds.includes(id)).join(', ')}`,
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const conflict = checkMerge && checkMerge(target, sources);
+        if (conflict) {
+            return errorResponse(conflict, httpStatus.CONFLICT);
+        }
+
+        session.startTransaction();
+
+        await booksService.replaceBookReferences(
+            field,
+            sourceIds,
+            targetId,
+            session
+        );
+
+        if (beforeRemove) {
+            await beforeRemove(sourceIds, targetId, session);
+        }
+
+        await Model.deleteMany({ _id: { $in: sourceIds } }, { session });
+
+        await MergesModel.updateMany(
+            { resourceType: type, target: { $in: sourceIds } },
+            { target: targetId },
+            { session }
+        );
+        await MergesModel.insertMany(
+            sources.map((source) => ({
+                resourceType: type,
+                source: source._id,
+                sourceName: source.name,
+                target: targetId,
+                createdBy: requester,
+            })),
+            { session }
+        );
+
+        if (recount) {
+            await recount(target, sources, session);
+        } else {
+            await Model.updateOne(
+                { _id: targetId },
+                {
+                    booksCount: await BooksModel.countDocuments({
+                        [field]: targetId,
+                    }).session(session),
+                },
+                { session }
+            );
+        }
+
+        await session.commitTransaction();
+
+        // An image shared with the record merged into, such as a default image, is kept
+        await service.deleteResourceImages(
+            sources.filter(
+                (source) => source.image?.fileId !== target.image?.fileId
+            ),
+            resourceType
+        );
+        await bookSearchService.indexBooks({ [field]: targetId });
+
+        const mergedRecord = await Model.findById(targetId).lean();
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `${sources.length} ${type} merged into ${targetId}.`,
+            details: JSON.stringify({
+                type,
+                target: target.name,
+                sources: sources.map((source) => source.name),
+            }),
+            affectedId: [targetId, ...sourceIds],
+        });
+
+        return sendResponse(
+            { ...mergedRecord, merged: sources.length },
+            `Merged ${sources.length} ${type} into ${target.name}.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        loggerService.error(`Failed to merge ${mergeData.type}: ${error}`);
+
+        return errorResponse(
+            error.message || `Failed to merge ${mergeData.type}.`,
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * mergesService - Object containing all the defined service functions for merging duplicate records:
+ *
+ * - getMergeCandidates: Service function to find the records of a type that may be duplicates.
+ * - mergeRecords: Service function to merge records of a type into another one.
+ */
+const mergesService = {
+    getMergeCandidates,
+    mergeRecords,
+};
+
+export default mergesService;
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview This file defines validation middleware for merge-related API requests. The middleware
+ * functions use Joi schemas to validate the requests to find duplicate candidates and to merge records. Each
+ * function ensures that the request data conforms to the defined schema before proceeding to the next
+ * middleware or controller.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import mergesSchema from './merges.schema.js';
+
+/**
+ * getMergeCandidates - Middleware function to validate the query parameters when finding duplicate candidates.
+ * This function ensures that the query parameters contain valid data according to the getMergeCandidatesQuerySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getMergeCandidates = validateWithSchema([
+    {
+        schema: mergesSchema.getMergeCandidatesQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * mergeRecords - Middleware function to validate the request body when merging records.
+ * This function ensures that the request body contains valid data according to the mergeRecordsSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const mergeRecords = validateWithSchema([
+    {
+        schema: mergesSchema.mergeRecordsSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * mergesValidator - Object containing all the defined validation middleware functions for merges:
+ *
+ * - getMergeCandidates: Middleware function to validate the query parameters when finding duplicate candidates.
+ * - mergeRecords: Middleware function to validate the request body when merging records.
+ */
+const mergesValidator = {
+    getMergeCandidates,
+    mergeRecords,
+};
+
+export default mergesValidator;
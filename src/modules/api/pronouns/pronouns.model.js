@@ -9,6 +9,7 @@ import mongoose from 'mongoose';
 
 import pronounsConstants from './pronouns.constant.js';
 import sharedSchema from '../../../shared/schema.js';
+import softDeletePlugin from '../../../shared/softDeletePlugin.js';
 
 /**
  * pronounsSchema - Mongoose schema for the Pronouns model. This schema defines the structure
@@ -94,6 +95,9 @@ pronounsSchema.post(['save', 'findOneAndUpdate'], (error, doc, next) => {
     }
 });
 
+// Move deleted pronouns to the trash, from which they can be restored until they are purged
+pronounsSchema.plugin(softDeletePlugin);
+
 const PronounsModel = mongoose.model('Pronouns', pronounsSchema);
 
 export default PronounsModel;
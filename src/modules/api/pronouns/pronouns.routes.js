@@ -40,6 +40,8 @@ const router = express.Router();
  *         description: Pronouns created successfully.
  *       400:
  *         description: Bad request, e.g., missing name or pronouns already exist.
+ *       409:
+ *         description: Pronouns in the trash have the same name, restore them instead.
  *     tags:
  *       - Pronouns Management
  *   get:
@@ -66,7 +68,7 @@ const router = express.Router();
  *             description: Array of pronouns IDs to delete.
  *     responses:
  *       200:
- *         description: Pronouns deleted successfully.
+ *         description: Pronouns moved to trash until restored or purged.
  *       400:
  *         description: Bad request, e.g., some IDs do not exist.
  *     tags:
@@ -155,6 +157,8 @@ router
  *         description: Pronouns not found.
  *       400:
  *         description: Bad request, e.g., duplicate name.
+ *       409:
+ *         description: Pronouns in the trash have the same name, restore them instead.
  *     tags:
  *       - Pronouns Management
  *   delete:
@@ -171,7 +175,7 @@ router
  *         description: The ID of the pronouns to delete.
  *     responses:
  *       200:
- *         description: Pronouns deleted successfully.
+ *         description: Pronouns moved to trash until restored or purged.
  *       404:
  *         description: Pronouns not found.
  *     tags:
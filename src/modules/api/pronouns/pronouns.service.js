@@ -56,6 +56,13 @@ const createPronouns = async (requester, newPronounsData) => {
             );
         }
 
+        const trashConflict = await service.getTrashConflict(
+            PronounsModel,
+            { name: newPronounsData.name },
+            'pronouns'
+        );
+        if (trashConflict) return trashConflict;
+
         newPronounsData.createdBy = requester;
 
         const newPronouns = await PronounsModel.create(newPronounsData);
@@ -137,6 +144,15 @@ const updatePronounsById = async (requester, pronounsId, updateData) => {
             );
         }
 
+        if (updateData.name) {
+            const trashConflict = await service.getTrashConflict(
+                PronounsModel,
+                { name: updateData.name },
+                'pronouns'
+            );
+            if (trashConflict) return trashConflict;
+        }
+
         updateData.updatedBy = requester;
 
         // Attempt to update the pronouns
@@ -9,6 +9,8 @@ import mongoose from 'mongoose';
 
 import publicationsConstants from './publications.constant.js';
 import sharedSchema from '../../../shared/schema.js';
+import softDeletePlugin from '../../../shared/softDeletePlugin.js';
+import revisionPlugin from '../../../shared/revisionPlugin.js';
 
 /**
  * publicationSchema - Mongoose schema for the Publications model. This schema defines the structure
@@ -69,6 +71,12 @@ const publicationSchema = new mongoose.Schema(
 // Create a unique index on the name field
 publicationSchema.index({ name: 1 }, { unique: true });
 
+// Move deleted publications to the trash, from which they can be restored until they are purged
+publicationSchema.plugin(softDeletePlugin);
+
+// Keep the changes of publications as revisions, leaving out the count of their books
+publicationSchema.plugin(revisionPlugin, { ignoredFields: ['booksCount'] });
+
 const PublicationsModel =
     mongoose.models.Publications ||
     mongoose.model('Publications', publicationSchema);
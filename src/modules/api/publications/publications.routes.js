@@ -10,7 +10,9 @@ import publicationsController from './publications.controller.js';
 import publicationsValidator from './publications.validator.js';
 import methodNotSupported from '../../../shared/methodNotSupported.js';
 import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import mergeRedirectMiddleware from '../../../middleware/mergeRedirect.middleware.js';
 import routesConstants from '../../../constant/routes.constants.js';
+import mergesConstants from '../merges/merges.constant.js';
 import accessTypesConstants from '../../../constant/accessTypes.constants.js';
 import cacheMiddleware from '../../../middleware/cache.middleware.js';
 import configuration from '../../../configuration/configuration.js';
@@ -48,6 +50,8 @@ const router = express.Router();
  *         description: Publication with the same name already exists.
  *       401:
  *         description: Unauthorized access.
+ *       409:
+ *         description: A publication in the trash has the same name, restore it instead.
  *     tags:
  *       - Publications Management
  *   get:
@@ -85,7 +89,7 @@ const router = express.Router();
  *                 description: List of publication IDs to delete.
  *     responses:
  *       200:
- *         description: Publications deleted successfully.
+ *         description: Publications moved to trash until restored or purged.
  *       400:
  *         description: Invalid publication IDs provided.
  *       401:
@@ -133,7 +137,7 @@ router
  * /publications/{id}:
  *   get:
  *     summary: Retrieves a specific publication by ID.
- *     description: This endpoint returns a single publication based on the ID provided. It supports caching for efficient data retrieval.
+ *     description: This endpoint returns a single publication based on the ID provided. It supports caching for efficient data retrieval. The ID of a publication merged into another one resolves to the publication it was merged into, whose URL is given in the Content-Location header.
  *     parameters:
  *       - in: path
  *         name: id
@@ -187,6 +191,8 @@ router
  *         description: Publication not found.
  *       401:
  *         description: Unauthorized access.
+ *       409:
+ *         description: A publication in the trash has the same name, restore it instead.
  *     tags:
  *       - Publications Management
  *   delete:
@@ -203,7 +209,7 @@ router
  *         description: The ID of the publication to delete.
  *     responses:
  *       200:
- *         description: Publication deleted successfully.
+ *         description: Publication moved to trash until restored or purged.
  *       404:
  *         description: Publication not found.
  *       401:
@@ -223,6 +229,10 @@ router
     .route(`/:${routesConstants.publications.params}`)
     .get(
         publicationsValidator.getPublicationById,
+        mergeRedirectMiddleware(
+            mergesConstants.types.PUBLICATIONS,
+            routesConstants.publications.params
+        ),
         publicationsController.getPublicationById,
         cacheMiddleware.create(configuration.cache.timeout)
     )
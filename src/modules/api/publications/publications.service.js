@@ -14,6 +14,7 @@ import loggerService from '../../../service/logger.service.js';
 import service from '../../../shared/service.js';
 import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
 import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
+import bookSearchService from '../books/search/bookSearch.service.js';
 
 /**
  * populatePublicationFields - A helper function to populate related fields in the publication documents.
@@ -56,6 +57,13 @@ const createPublication = async (requester, newPublicationData) => {
             );
         }
 
+        const trashConflict = await service.getTrashConflict(
+            PublicationsModel,
+            { name: newPublicationData.name },
+            'publication'
+        );
+        if (trashConflict) return trashConflict;
+
         newPublicationData.createdBy = requester;
 
         const newPublication =
@@ -138,6 +146,15 @@ const updatePublicationById = async (requester, publicationId, updateData) => {
             );
         }
 
+        if (updateData.name) {
+            const trashConflict = await service.getTrashConflict(
+                PublicationsModel,
+                { name: updateData.name },
+                'publication'
+            );
+            if (trashConflict) return trashConflict;
+        }
+
         updateData.updatedBy = requester;
 
         // Attempt to update the publication
@@ -155,6 +172,11 @@ const updatePublicationById = async (requester, publicationId, updateData) => {
             );
         }
 
+        // The name is indexed with the books of the publication
+        if (updateData.name) {
+            await bookSearchService.indexBooks({ publication: publicationId });
+        }
+
         // Optionally populate if necessary (could be omitted based on requirements)
         const populatedPublication = await populatePublicationFields(
             PublicationsModel.findById(updatedPublication._id)
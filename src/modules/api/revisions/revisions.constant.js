@@ -0,0 +1,27 @@
+/**
+ * @fileoverview This file defines constants for the revision history of the catalog. It includes the types of
+ * records whose changes are kept as revisions, which can be compared and rolled back.
+ */
+
+/**
+ * types - The types of records whose changes are kept as revisions, as named in the requests to the revision
+ * history. Each is the name of the collection of its records.
+ */
+const types = {
+    BOOKS: 'books',
+    WRITERS: 'writers',
+    TRANSLATORS: 'translators',
+    PUBLICATIONS: 'publications',
+    SUBJECTS: 'subjects',
+};
+
+/**
+ * revisionsConstants - An object containing constants for the revision history:
+ *
+ * - types: The types of records whose changes are kept as revisions.
+ */
+const revisionsConstants = {
+    types,
+};
+
+export default revisionsConstants;
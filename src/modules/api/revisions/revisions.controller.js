@@ -0,0 +1,52 @@
+/**
+ * @fileoverview This file defines the controller functions for the revision history. These functions handle the
+ * listing and comparison of the revisions of catalog records and their rollback by interacting with the
+ * revisions service. Each function utilizes a shared controller to streamline the handling of the requests.
+ */
+
+import revisionsService from './revisions.service.js';
+import controller from '../../../shared/controller.js';
+
+/**
+ * revisionsController - Object containing all the defined controller functions for the revision history:
+ *
+ * - getRevisionList: Controller function to handle the retrieval of the revisions of a record.
+ * - compareRevisions: Controller function to handle the comparison of two revisions of a record.
+ * - rollbackRevision: Controller function to handle the rollback of a record to one of its revisions.
+ */
+const revisionsController = {
+    /**
+     * getRevisionList - Controller function to handle the retrieval of the revisions of a record. This function
+     * delegates the retrieval logic to the revisions service and uses a shared controller method to handle the
+     * request and response.
+     *
+     * @param {Object} req - The request object containing the query parameters.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getRevisionList: controller.getList(revisionsService, 'getRevisionList'),
+
+    /**
+     * compareRevisions - Controller function to handle the comparison of two revisions of a record. This
+     * function delegates the comparison logic to the revisions service and uses a shared controller method to
+     * handle the request and response.
+     *
+     * @param {Object} req - The request object containing the record and the revisions to compare.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    compareRevisions: controller.getList(revisionsService, 'compareRevisions'),
+
+    /**
+     * rollbackRevision - Controller function to handle the rollback of a record to one of its revisions. This
+     * function delegates the rollback logic to the revisions service and uses a shared controller method to
+     * handle the request and response.
+     *
+     * @param {Object} req - The request object containing the record and the revision to roll back to.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    rollbackRevision: controller.create(revisionsService, 'rollbackRevision'),
+};
+
+export default revisionsController;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview This file defines and exports the Mongoose schema and model for the revisions of catalog records.
+ * Each document records one change of a book, writer, translator, publication or subject: the fields that
+ * changed with their values before and after, the admin who made the change and when it was made. The
+ * revisions of a record are numbered from 1, its creation, so any two of them can be compared and the record
+ * rolled back to any of them.
+ */
+
+import mongoose, { Schema } from 'mongoose';
+
+import revisionsConstants from './revisions.constant.js';
+import sharedSchema from '../../../shared/schema.js';
+
+/**
+ * revisionSchema - Mongoose schema for storing the revisions of catalog records.
+ *
+ * @typedef {Object} revisionSchema
+ * @property {String} resourceType - The type of the revised record, required.
+ * @property {Object} resource - The ID of the revised record, required.
+ * @property {Number} version - The number of the revision among the revisions of the record, required.
+ * @property {Array<Object>} changes - The fields that changed, with their values before and after.
+ * @property {Object} createdBy - Reference to the admin who made the change.
+ * @property {Date} createdAt - Timestamp for when the change was made.
+ */
+const revisionSchema = new mongoose.Schema(
+    {
+        resourceType: {
+            type: String,
+            enum: Object.values(revisionsConstants.types),
+            required: [true, 'Please specify the type of the revised record.'],
+            description: 'The type of the revised record.',
+        },
+        resource: {
+            type: Schema.Types.ObjectId,
+            required: [true, 'Please specify the revised record.'],
+            description: 'The ID of the revised record.',
+        },
+        version: {
+            type: Number,
+            min: 1,
+            required: [true, 'Please specify the number of the revision.'],
+            description:
+                'The number of the revision among the revisions of the record, 1 being its creation.',
+        },
+        changes: [
+            {
+                _id: false,
+                field: {
+                    type: String,
+                    description: 'The name of the changed field.',
+                },
+                before: {
+                    type: Schema.Types.Mixed,
+                    description:
+                        'The value of the field before the change, null if it had none.',
+                },
+                after: {
+                    type: Schema.Types.Mixed,
+                    description:
+                        'The value of the field after the change, null if it has none.',
+                },
+            },
+        ],
+        createdBy: sharedSchema.createdByAdminSchema,
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        versionKey: false,
+        description:
+            'Schema for storing the revisions of catalog records with the time of each change.',
+    }
+);
+
+// Each record has a single revision with a given number
+revisionSchema.index(
+    { resourceType: 1, resource: 1, version: -1 },
+    { unique: true }
+);
+
+const RevisionsModel = mongoose.model('Revisions', revisionSchema);
+
+export default RevisionsModel;
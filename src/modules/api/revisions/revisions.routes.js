@@ -0,0 +1,185 @@
+/**
+ * @fileoverview This file defines the routes for the revision history using Express. It includes routes for
+ * listing the revisions of a book, writer, translator, publication or subject, for comparing two of them and for
+ * rolling the record back to one of them, and applies various middlewares for authentication, validation, and
+ * method support.
+ */
+
+import express from 'express';
+
+import revisionsController from './revisions.controller.js';
+import revisionsValidator from './revisions.validator.js';
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import accessTypesConstants from '../../../constant/accessTypes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /revisions:
+ *   get:
+ *     summary: Retrieves the revisions of a record.
+ *     description: Returns the revisions of a book, writer, translator, publication or subject, the latest first, with the admin who made each change. Revision 1 is the creation of the record, and each later revision holds the fields changed by an update with their values before and after it. Counts derived from other records, such as the number of books or the copies available, are not recorded. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [books, writers, translators, publications, subjects]
+ *         description: The type of the record.
+ *       - in: query
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the record.
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully.
+ *       404:
+ *         description: No revisions of this record.
+ *     tags:
+ *       - Revision History Management
+ *   all:
+ *     summary: Handles unsupported methods for the revisions route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Revision History Management
+ */
+router
+    .route('/')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.revisions.permissions.getList
+        ),
+        revisionsValidator.getRevisionList,
+        revisionsController.getRevisionList
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /revisions/compare:
+ *   get:
+ *     summary: Compares two revisions of a record.
+ *     description: Returns the fields that differ between a record as it was at one revision and as it was at another, with their values at each. The revisions can be given in either order, comparing a later revision to an earlier one showing what a rollback to the earlier one would change. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [books, writers, translators, publications, subjects]
+ *         description: The type of the record.
+ *       - in: query
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the record.
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The number of the revision to compare from.
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The number of the revision to compare to, other than from.
+ *     responses:
+ *       200:
+ *         description: Revisions compared, with the fields that differ between them.
+ *       404:
+ *         description: A revision is not found.
+ *     tags:
+ *       - Revision History Management
+ *   all:
+ *     summary: Handles unsupported methods for the revisions compare route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Revision History Management
+ */
+router
+    .route('/compare')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.revisions.permissions.compare
+        ),
+        revisionsValidator.compareRevisions,
+        revisionsController.compareRevisions
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /revisions/rollback:
+ *   post:
+ *     summary: Rolls a record back to one of its revisions.
+ *     description: Sets the fields changed since a revision back to their values at it, with the same checks and updates as an update of the record, and records the rollback as the latest revision. A book is only rolled back when the contributors, publication, series and subjects it had at the revision still exist, and a subject is moved back under its earlier parent unless that would move it under itself. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [books, writers, translators, publications, subjects]
+ *                 description: The type of the record.
+ *               resource:
+ *                 type: string
+ *                 description: The ID of the record.
+ *               version:
+ *                 type: integer
+ *                 description: The number of the revision to roll back to.
+ *     responses:
+ *       200:
+ *         description: Record rolled back to the revision.
+ *       400:
+ *         description: The record is already as it was at the revision, or the values of the revision are no longer valid.
+ *       404:
+ *         description: The revision or the record is not found.
+ *       409:
+ *         description: A book refers to records at the revision that no longer exist.
+ *     tags:
+ *       - Revision History Management
+ *   all:
+ *     summary: Handles unsupported methods for the revisions rollback route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Revision History Management
+ */
+router
+    .route('/rollback')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.revisions.permissions.rollback
+        ),
+        revisionsValidator.rollbackRevision,
+        revisionsController.rollbackRevision
+    )
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview This file defines the Joi schemas for validating the requests to the revision history. The
+ * schemas validate the type and ID of the revised record, the pagination and sorting of its revisions, the two
+ * revisions to compare and the revision to roll back to.
+ */
+
+import Joi from 'joi';
+
+import revisionsConstants from './revisions.constant.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+import validationService from '../../../service/validation.service.js';
+
+/**
+ * versionField - Joi schema for the number of a revision, 1 being the creation of the record. Numbers given in
+ * the query string are converted to integers.
+ */
+const versionField = Joi.number()
+    .integer()
+    .min(1)
+    .messages(customValidationMessage);
+
+/**
+ * revisionsSchemaBase - Base Joi schema for validating the fields of the requests to the revision history. This
+ * schema includes:
+ *
+ * - type: String (one of the types of records whose changes are kept as revisions)
+ * - resource: ObjectId (the revised record)
+ * - page: String (minLength, custom parsing to integer)
+ * - limit: String (minLength, maxLength, default value, custom parsing to integer)
+ * - sort: String (trimmed, default value, the latest revision first)
+ */
+const revisionsSchemaBase = Joi.object({
+    type: Joi.string()
+        .valid(...Object.values(revisionsConstants.types))
+        .messages(customValidationMessage)
+        .description('The type of the revised record.'),
+    resource: validationService.objectIdField.description(
+        'The ID of the revised record.'
+    ),
+    page: Joi.string()
+        .min(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('-version'),
+}).strict();
+
+/**
+ * getRevisionsQuerySchema - Joi schema for validating query parameters when retrieving the revisions of a
+ * record. The type and ID of the record are required, and the latest revisions come first by default.
+ */
+const getRevisionsQuerySchema = revisionsSchemaBase.fork(
+    ['type', 'resource'],
+    (field) => field.required()
+);
+
+/**
+ * compareRevisionsQuerySchema - Joi schema for validating query parameters when comparing two revisions of a
+ * record, given by their numbers.
+ */
+const compareRevisionsQuerySchema = Joi.object({
+    type: revisionsSchemaBase.extract('type').required(),
+    resource: revisionsSchemaBase.extract('resource').required(),
+    from: versionField
+        .required()
+        .description('The number of the revision to compare from.'),
+    to: versionField
+        .invalid(Joi.ref('from'))
+        .required()
+        .description('The number of the revision to compare to.'),
+});
+
+/**
+ * rollbackRevisionSchema - Joi schema for validating the revision a record is rolled back to, given by the type
+ * and ID of the record and the number of the revision.
+ */
+const rollbackRevisionSchema = Joi.object({
+    type: revisionsSchemaBase.extract('type').required(),
+    resource: revisionsSchemaBase.extract('resource').required(),
+    version: versionField
+        .required()
+        .description('The number of the revision to roll back to.'),
+}).strict();
+
+/**
+ * revisionsSchema - Object containing all the defined Joi schemas for revision history validation:
+ *
+ * - getRevisionsQuerySchema: Schema for validating query parameters when retrieving the revisions of a record.
+ * - compareRevisionsQuerySchema: Schema for validating query parameters when comparing two revisions of a record.
+ * - rollbackRevisionSchema: Schema for validating the revision a record is rolled back to.
+ */
+const revisionsSchema = {
+    getRevisionsQuerySchema,
+    compareRevisionsQuerySchema,
+    rollbackRevisionSchema,
+};
+
+export default revisionsSchema;
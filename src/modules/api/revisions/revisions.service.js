@@ -0,0 +1,256 @@
+/**
+ * @fileoverview This file defines the service functions for the revision history of books, writers, translators,
+ * publications and subjects. Every change of these records is kept as a revision holding the fields that changed,
+ * the admin who changed them and when. The revisions of a record can be listed, any two of them compared field
+ * by field, and the record rolled back to an earlier revision through the update of its own type, so the data
+ * derived from it is kept up to date as on any update.
+ */
+
+import revisionsConstants from './revisions.constant.js';
+import RevisionsModel from './revisions.model.js';
+import booksService from '../books/books.service.js';
+import writersService from '../writers/writers.service.js';
+import translatorsService from '../translators/translators.service.js';
+import publicationsService from '../publications/publications.service.js';
+import subjectsService from '../subjects/subjects.service.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import loggerService from '../../../service/logger.service.js';
+import service from '../../../shared/service.js';
+
+import errorResponse from '../../../utilities/errorResponse.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+
+const { types } = revisionsConstants;
+
+/**
+ * The types of records whose changes are kept as revisions, with their resource name and the update a record is
+ * rolled back with. Each update is given the requester, the ID of the record and the values to set.
+ */
+const revisionedResources = {
+    [types.BOOKS]: {
+        resourceType: 'book',
+        rollback: booksService.rollbackBookById,
+    },
+    [types.WRITERS]: {
+        resourceType: 'writer',
+        rollback: writersService.updateWriter,
+    },
+    [types.TRANSLATORS]: {
+        resourceType: 'translator',
+        rollback: translatorsService.updateTranslator,
+    },
+    [types.PUBLICATIONS]: {
+        resourceType: 'publication',
+        rollback: publicationsService.updatePublicationById,
+    },
+    [types.SUBJECTS]: {
+        resourceType: 'subject',
+        rollback: subjectsService.updateSubject,
+    },
+};
+
+/**
+ * Helper function to populate the admin who made the changes of the revisions.
+ *
+ * @param {Object} query - The Mongoose query object.
+ * @returns {Promise<Object>} - The query result with populated fields.
+ */
+const populateRevisionFields = async (query) => {
+    return await query.populate({
+        path: 'createdBy',
+        select: 'name image department designation isActive',
+    });
+};
+
+/**
+ * Helper function to combine the changes of consecutive revisions into the changes between the record before
+ * the first of them and after the last. A field changed back to its earlier value is left out.
+ *
+ * @param {Array<Object>} revisions - The revisions, the earliest first.
+ * @returns {Array<Object>} - The changed fields with their values before the first and after the last revision.
+ */
+const combineChanges = (revisions) => {
+    const changes = new Map();
+
+    revisions.forEach((revision) =>
+        revision.changes.forEach(({ field, before, after }) =>
+            changes.set(field, {
+                field,
+                before: changes.has(field) ? changes.get(field).before : before,
+                after,
+            })
+        )
+    );
+
+    return [...changes.values()].filter(
+        (change) =>
+            JSON.stringify(change.before) !== JSON.stringify(change.after)
+    );
+};
+
+/**
+ * Helper function to read the revisions of a record made after one revision and up to another.
+ *
+ * @param {string} type - The type of the record.
+ * @param {string} resource - The ID of the record.
+ * @param {number} after - The number of the revision the changes start after.
+ * @param {number} [upTo] - The number of the last revision read, the latest if not given.
+ * @returns {Promise<Array<Object>>} - The revisions, the earliest first.
+ */
+const getRevisionsBetween = (type, resource, after, upTo) =>
+    RevisionsModel.find({
+        resourceType: type,
+        resource,
+        version: { $gt: after, ...(upTo && { $lte: upTo }) },
+    })
+        .sort('version')
+        .select('version changes')
+        .lean();
+
+/**
+ * getRevisionList - Service function to retrieve the revisions of a record, the latest first by default, with
+ * the admin who made each change.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - The type and ID of the record, and the query parameters for pagination and sorting.
+ * @returns {Promise<Object>} - The list of revisions or an error response.
+ */
+const getRevisionList = async (requester, params) => {
+    const { type, ...listParams } = params;
+
+    return service.getResourceList(
+        RevisionsModel,
+        populateRevisionFields,
+        { ...listParams, resourceType: type },
+        {},
+        `revisions of the ${revisionedResources[type].resourceType}`
+    );
+};
+
+/**
+ * compareRevisions - Service function to compare two revisions of a record. The fields that differ between the
+ * record as it was at the first revision and as it was at the second are returned with their values at each.
+ *
+ * @param {string} requester - The ID of the admin comparing the revisions.
+ * @param {Object} params - The type and ID of the record, and the numbers of the revisions to compare.
+ * @returns {Promise<Object>} - The fields that differ between the revisions, or an error response.
+ */
+const compareRevisions = async (requester, params) => {
+    try {
+        const { type, resource, from, to } = params;
+        const [earlier, later] = from < to ? [from, to] : [to, from];
+
+        const revisions = await getRevisionsBetween(
+            type,
+            resource,
+            earlier,
+            later
+        );
+
+        if (revisions.at(-1)?.version !== later) {
+            return errorResponse(
+                `Revision ${later} of the ${revisionedResources[type].resourceType} not found.`,
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        // Comparing a later revision to an earlier one undoes the changes made in between
+        const changes = combineChanges(revisions).map((change) =>
+            from < to
+                ? change
+                : { ...change, before: change.after, after: change.before }
+        );
+
+        return sendResponse(
+            { type, resource, from, to, changes },
+            `${changes.length} fields differ between revisions ${from} and ${to}.`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to compare revisions: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to compare revisions.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * rollbackRevision - Service function to roll a record back to an earlier revision. The fields changed since
+ * that revision are set back to their values at it, through the update of the type of the record, which records
+ * the rollback as the latest revision.
+ *
+ * @param {string} requester - The ID of the admin rolling the record back.
+ * @param {Object} rollbackData - The type and ID of the record, and the number of the revision to roll back to.
+ * @returns {Promise<Object>} - The rolled back record or an error response.
+ */
+const rollbackRevision = async (requester, rollbackData) => {
+    try {
+        const { type, resource, version } = rollbackData;
+        const { resourceType, rollback } = revisionedResources[type];
+
+        if (
+            !(await RevisionsModel.exists({
+                resourceType: type,
+                resource,
+                version,
+            }))
+        ) {
+            return errorResponse(
+                `Revision ${version} of the ${resourceType} not found.`,
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const laterRevisions = await getRevisionsBetween(
+            type,
+            resource,
+            version
+        );
+        const changes = combineChanges(laterRevisions);
+
+        if (!changes.length) {
+            return errorResponse(
+                `The ${resourceType} is already as it was at revision ${version}.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const values = Object.fromEntries(
+            changes.map((change) => [change.field, change.before])
+        );
+
+        const result = await rollback(requester, resource, values);
+
+        return result.status === httpStatus.OK
+            ? sendResponse(
+                  result.data,
+                  `The ${resourceType} was rolled back to revision ${version}.`,
+                  httpStatus.OK
+              )
+            : result;
+    } catch (error) {
+        loggerService.error(`Failed to roll back revision: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to roll back revision.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * revisionsService - Object containing all the defined service functions for the revision history:
+ *
+ * - getRevisionList: Service function to retrieve the revisions of a record.
+ * - compareRevisions: Service function to compare two revisions of a record.
+ * - rollbackRevision: Service function to roll a record back to an earlier revision.
+ */
+const revisionsService = {
+    getRevisionList,
+    compareRevisions,
+    rollbackRevision,
+};
+
+export default revisionsService;
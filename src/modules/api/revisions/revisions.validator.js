@@ -0,0 +1,70 @@
+/**
+ * @fileoverview This file defines validation middleware for revision history API requests. The middleware
+ * functions use Joi schemas to validate the requests to list and compare the revisions of a record and to roll
+ * it back to one of them. Each function ensures that the request data conforms to the defined schema before
+ * proceeding to the next middleware or controller.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import revisionsSchema from './revisions.schema.js';
+
+/**
+ * getRevisionList - Middleware function to validate the query parameters when retrieving the revisions of a record.
+ * This function ensures that the query parameters contain valid data according to the getRevisionsQuerySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getRevisionList = validateWithSchema([
+    {
+        schema: revisionsSchema.getRevisionsQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * compareRevisions - Middleware function to validate the query parameters when comparing two revisions of a
+ * record. This function ensures that the query parameters contain valid data according to the
+ * compareRevisionsQuerySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const compareRevisions = validateWithSchema([
+    {
+        schema: revisionsSchema.compareRevisionsQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * rollbackRevision - Middleware function to validate the request body when rolling a record back to a revision.
+ * This function ensures that the request body contains valid data according to the rollbackRevisionSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const rollbackRevision = validateWithSchema([
+    {
+        schema: revisionsSchema.rollbackRevisionSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * revisionsValidator - Object containing all the defined validation middleware functions for the revision history:
+ *
+ * - getRevisionList: Middleware function to validate the query parameters when retrieving the revisions of a record.
+ * - compareRevisions: Middleware function to validate the query parameters when comparing two revisions of a record.
+ * - rollbackRevision: Middleware function to validate the request body when rolling a record back to a revision.
+ */
+const revisionsValidator = {
+    getRevisionList,
+    compareRevisions,
+    rollbackRevision,
+};
+
+export default revisionsValidator;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview This file defines and exports the constants used for suggesting catalog entries as users type.
+ * These constants include the types of entries suggested, the number of suggestions of each type and the
+ * length of the text to suggest for.
+ */
+
+/**
+ * types - The types of catalog entries suggested, in the order they are returned.
+ */
+const types = {
+    BOOK: 'book',
+    WRITER: 'writer',
+    TRANSLATOR: 'translator',
+    PUBLICATION: 'publication',
+    SUBJECT: 'subject',
+};
+
+/**
+ * limits - The limits of the suggestions. Every entry of each type matching the text is ranked by popularity,
+ * and `PER_TYPE` of them are suggested, or fewer when asked for.
+ */
+const limits = {
+    QUERY_MIN: 1,
+    QUERY_MAX: 100,
+    PER_TYPE: 5,
+};
+
+/**
+ * searchConstants - An object that holds constants for suggesting catalog entries.
+ *
+ * @typedef {Object} SearchConstants
+ * @property {Object} types - An object defining the types of catalog entries suggested.
+ * @property {Object} limits - An object defining the limits of the suggestions.
+ */
+const searchConstants = {
+    types,
+    limits,
+};
+
+export default searchConstants;
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview This file defines and exports the controller for suggesting catalog entries as users type.
+ * The controller delegates to a generic function from a shared controller module and to the searchService.
+ */
+
+import searchService from './search.service.js';
+import controller from '../../../shared/controller.js';
+
+/**
+ * searchController - An object that holds the controller functions for suggesting catalog entries.
+ *
+ * @typedef {Object} SearchController
+ * @property {Function} suggest - Controller function for suggesting catalog entries.
+ */
+const searchController = {
+    /**
+     * suggest - Controller function for suggesting catalog entries.
+     * Delegates the request to the generic getList function from the shared controller, which in turn calls the suggest method of the searchService.
+     */
+    suggest: controller.getList(searchService, 'suggest'),
+};
+
+export default searchController;
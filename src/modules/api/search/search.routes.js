@@ -0,0 +1,69 @@
+/**
+ * @fileoverview This file sets up the express router for catalog-wide search endpoints.
+ * It includes a public route suggesting books, writers, translators, publications and subjects as users
+ * type, with the responses cached for a short time. Routes that are not supported respond with a
+ * methodNotSupported handler.
+ */
+
+import express from 'express';
+
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import cacheMiddleware from '../../../middleware/cache.middleware.js';
+import searchValidator from './search.validator.js';
+import searchController from './search.controller.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import configuration from '../../../configuration/configuration.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /search/suggest:
+ *   get:
+ *     summary: Suggests catalog entries as the user types.
+ *     description: Returns the books, writers, translators, publications and subjects with a word of their name starting with the text typed so far, in this order. Up to 5 entries of each type are suggested, the most popular first, popularity being the number of favourites and lends of the books. Responses are cached for a short time.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The text typed so far.
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: The types of entries to suggest, separated by commas, among book, writer, translator, publication and subject.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of suggestions of each type, at most 5.
+ *     responses:
+ *       200:
+ *         description: The suggestions, each with its type, ID, name and popularity.
+ *       400:
+ *         description: The text is missing or too long, or a type is unknown.
+ *     tags:
+ *       - Search
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Search
+ */
+router
+    .route(`/${routesConstants.search.suggest}`)
+    .get(
+        searchValidator.suggest,
+        cacheMiddleware.create(configuration.cache.suggestionTimeout, {
+            includeQuery: true,
+        }),
+        searchController.suggest
+    )
+    .all(methodNotSupported);
+
+export default router;
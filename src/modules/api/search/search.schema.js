@@ -0,0 +1,60 @@
+/**
+ * @fileoverview This file defines and exports Joi validation schemas for suggesting catalog entries.
+ * A suggestion request takes the text typed so far, and optionally the types of entries to suggest
+ * and how many of each.
+ */
+
+import Joi from 'joi';
+
+import searchConstants from './search.constant.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+
+const { types, limits } = searchConstants;
+
+/**
+ * suggestQuerySchema - Joi schema for validating query parameters when suggesting catalog entries.
+ * Ensures that the text is given, that the types are a comma-separated list of known types and that
+ * the number of suggestions of each type is within range.
+ *
+ * @function
+ */
+const suggestQuerySchema = Joi.object({
+    q: Joi.string()
+        .min(limits.QUERY_MIN)
+        .max(limits.QUERY_MAX)
+        .pattern(/\S/, 'text')
+        .custom((value, helpers) => value.trim())
+        .required()
+        .messages(customValidationMessage)
+        .description('The text typed so far.'),
+    types: Joi.string()
+        .pattern(
+            new RegExp(
+                `^(${Object.values(types).join('|')})(,(${Object.values(types).join('|')}))*$`
+            ),
+            'list of suggestion types'
+        )
+        .messages(customValidationMessage)
+        .description(
+            `The types of entries to suggest, separated by commas, among ${Object.values(types).join(', ')}. Every type is suggested by default.`
+        ),
+    limit: Joi.string()
+        .pattern(/^\d+$/, 'number')
+        .custom((value, helpers) => parseInt(value))
+        .messages(customValidationMessage)
+        .description(
+            `The number of suggestions of each type, at most ${limits.PER_TYPE}.`
+        ),
+}).strict();
+
+/**
+ * searchSchema - An object that holds the Joi validation schemas for suggesting catalog entries.
+ *
+ * @typedef {Object} SearchSchema
+ * @property {Object} suggestQuerySchema - Joi schema for validating query parameters when suggesting catalog entries.
+ */
+const searchSchema = {
+    suggestQuerySchema,
+};
+
+export default searchSchema;
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview This file defines and exports the service functions for suggesting catalog entries as users type.
+ * Books, writers, translators, publications and subjects whose names have a word starting with the text typed
+ * so far are suggested together, ranked by popularity. The popularity of a book is the number of users who
+ * favourited it and the number of times it was lent, the same data the trending lists are built from, and the
+ * popularity of a writer, translator, publication or subject is the popularity of its books.
+ */
+
+import searchConstants from './search.constant.js';
+import BooksModel from '../books/books.model.js';
+import FavouriteBooksModel from '../books/favourite/favouriteBooks.model.js';
+import BooksHistoryModel from '../books/history/booksHistory.model.js';
+import WritersModel from '../writers/writers.model.js';
+import TranslatorsModel from '../translators/translators.model.js';
+import PublicationsModel from '../publications/publications.model.js';
+import SubjectsModel from '../subjects/subjects.model.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import loggerService from '../../../service/logger.service.js';
+
+import errorResponse from '../../../utilities/errorResponse.js';
+import escapeRegExp from '../../../utilities/escapeRegExp.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+
+const { types, limits } = searchConstants;
+
+/**
+ * The stages adding the popularity of each book to a pipeline over books.
+ */
+const bookPopularityStages = [
+    {
+        $lookup: {
+            from: FavouriteBooksModel.collection.name,
+            localField: '_id',
+            foreignField: 'favouriteBooks',
+            pipeline: [{ $project: { _id: 1 } }],
+            as: 'favourites',
+        },
+    },
+    {
+        $lookup: {
+            from: BooksHistoryModel.collection.name,
+            localField: '_id',
+            foreignField: 'book',
+            pipeline: [
+                {
+                    $project: {
+                        lends: { $size: { $ifNull: ['$lend', []] } },
+                    },
+                },
+            ],
+            as: 'history',
+        },
+    },
+    {
+        $addFields: {
+            popularity: {
+                $add: [{ $size: '$favourites' }, { $sum: '$history.lends' }],
+            },
+        },
+    },
+];
+
+/**
+ * The sources of each type of suggestion: the model of the entries and, for the entries books refer to, the
+ * field of the books referring to them.
+ */
+const sources = {
+    [types.BOOK]: { Model: BooksModel },
+    [types.WRITER]: { Model: WritersModel, bookField: 'contributors.writer' },
+    [types.TRANSLATOR]: {
+        Model: TranslatorsModel,
+        bookField: 'contributors.translator',
+    },
+    [types.PUBLICATION]: {
+        Model: PublicationsModel,
+        bookField: 'publication',
+    },
+    [types.SUBJECT]: { Model: SubjectsModel, bookField: 'subject' },
+};
+
+/**
+ * Helper function to find the most popular entries of a type whose names have a word starting with a text.
+ * Every matching entry is ranked, so a popular entry is never left out for being matched late.
+ *
+ * @param {string} type - The type of the entries.
+ * @param {RegExp} pattern - The pattern the names must match.
+ * @param {number} limit - The largest number of entries to return.
+ * @returns {Promise<Array<Object>>} - The entries as `{ type, id, name, popularity }`, the most popular first.
+ */
+const suggestType = async (type, pattern, limit) => {
+    const { Model, bookField } = sources[type];
+
+    const popularityStages = bookField
+        ? [
+              {
+                  $lookup: {
+                      from: BooksModel.collection.name,
+                      localField: '_id',
+                      foreignField: bookField,
+                      pipeline: [
+                          { $project: { _id: 1 } },
+                          ...bookPopularityStages,
+                          { $project: { popularity: 1 } },
+                      ],
+                      as: 'books',
+                  },
+              },
+              { $addFields: { popularity: { $sum: '$books.popularity' } } },
+          ]
+        : bookPopularityStages;
+
+    const entries = await Model.aggregate([
+        { $match: { name: pattern } },
+        ...popularityStages,
+        { $sort: { popularity: -1, name: 1 } },
+        { $limit: limit },
+        { $project: { name: 1, popularity: 1 } },
+    ]);
+
+    return entries.map(({ _id, name, popularity }) => ({
+        type,
+        id: _id,
+        name,
+        popularity,
+    }));
+};
+
+/**
+ * Suggests books, writers, translators, publications and subjects whose names have a word starting with
+ * the text typed so far. The suggestions of each type are capped and ranked by popularity, and the types
+ * are returned in a fixed order, books first.
+ *
+ * @async
+ * @function suggest
+ * @param {Object} params - The text `q` typed so far, the comma-separated `types` to suggest and the `limit` of suggestions of each type.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the suggestions.
+ */
+const suggest = async (params) => {
+    try {
+        const {
+            q: query,
+            types: requestedTypes = Object.values(types).join(','),
+            limit = limits.PER_TYPE,
+        } = params;
+
+        // A word starts at the beginning of the name or after a space or punctuation
+        const pattern = new RegExp(
+            `(^|[\\s\\p{P}])${escapeRegExp(query)}`,
+            'iu'
+        );
+        const suggestedTypes = Object.values(types).filter((type) =>
+            requestedTypes.split(',').includes(type)
+        );
+
+        const suggestions = await Promise.all(
+            suggestedTypes.map((type) =>
+                suggestType(type, pattern, Math.min(limit, limits.PER_TYPE))
+            )
+        );
+        const items = suggestions.flat();
+
+        return sendResponse(
+            {
+                items,
+                totalItems: items.length,
+            },
+            items.length
+                ? `${items.length} suggestions found.`
+                : 'No suggestions found.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get suggestions: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get suggestions.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * searchService - An object that holds the service functions for suggesting catalog entries.
+ *
+ * @typedef {Object} SearchService
+ * @property {Function} suggest - Suggests the catalog entries matching the text typed so far, ranked by popularity.
+ */
+const searchService = {
+    suggest,
+};
+
+export default searchService;
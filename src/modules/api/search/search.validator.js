@@ -0,0 +1,32 @@
+/**
+ * @fileoverview This file defines and exports Joi validation middleware for suggesting catalog entries.
+ * These middlewares validate the text typed so far and the types of suggestions, ensuring that the
+ * incoming data meets the required criteria before processing.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import searchSchema from './search.schema.js';
+
+/**
+ * suggest - Middleware for validating the query parameters of requests for suggestions.
+ *
+ * @function
+ */
+const suggest = validateWithSchema([
+    {
+        schema: searchSchema.suggestQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * searchValidator - An object that holds the validation middleware for suggesting catalog entries.
+ *
+ * @typedef {Object} SearchValidator
+ * @property {Function} suggest - Middleware for validating the query parameters of requests for suggestions.
+ */
+const searchValidator = {
+    suggest,
+};
+
+export default searchValidator;
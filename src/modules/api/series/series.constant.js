@@ -0,0 +1,33 @@
+/**
+ * @fileoverview This file defines constants for validating series-related data. It includes constraints
+ * on the length of series names and summaries and on the volume numbers books take in a series. These
+ * constants are used in various validation schemas throughout the application.
+ */
+
+/**
+ * lengths - An object containing constants for the lengths of series fields and the range of volume numbers.
+ *
+ * - NAME_MIN: Minimum length for a series name (2 characters).
+ * - NAME_MAX: Maximum length for a series name (100 characters).
+ * - SUMMARY_MAX: Maximum length for a series summary (2000 characters).
+ * - VOLUME_MIN: The first volume number of a series (1).
+ * - VOLUME_MAX: The highest volume number of a series (9999).
+ */
+const lengths = {
+    NAME_MIN: 2,
+    NAME_MAX: 100,
+    SUMMARY_MAX: 2000,
+    VOLUME_MIN: 1,
+    VOLUME_MAX: 9999,
+};
+
+/**
+ * seriesConstants - An object containing constants for series validation:
+ *
+ * - lengths: An object containing constants for the lengths of series fields and the range of volume numbers.
+ */
+const seriesConstants = {
+    lengths,
+};
+
+export default seriesConstants;
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview This file defines the controller functions for managing series. These functions
+ * handle the creation, retrieval, updating, and deletion of series by interacting with the
+ * series service. Each function utilizes a shared controller to streamline the handling of
+ * standard CRUD operations.
+ */
+
+import seriesService from './series.service.js';
+import controller from '../../../shared/controller.js';
+import routesConstants from '../../../constant/routes.constants.js';
+
+/**
+ * seriesController - Object containing all the defined controller functions for series management:
+ *
+ * - createSeries: Controller function to handle the creation of a new series.
+ * - getSeriesList: Controller function to handle the retrieval of a list of series.
+ * - getSeriesById: Controller function to handle the retrieval of a series by its ID, with its volumes.
+ * - updateSeriesById: Controller function to handle the updating of a series by its ID.
+ * - deleteSeriesById: Controller function to handle the deletion of a series by its ID.
+ * - deleteSeriesList: Controller function to handle the deletion of a list of series.
+ */
+const seriesController = {
+    /**
+     * createSeries - Controller function to handle the creation of a new series. This function
+     * delegates the creation logic to the series service and uses a shared controller method
+     * to handle the request and response.
+     *
+     * @param {Object} req - The request object containing the series data to create.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    createSeries: controller.create(seriesService, 'createSeries'),
+
+    /**
+     * getSeriesList - Controller function to handle the retrieval of a list of series. This function
+     * delegates the retrieval logic to the series service and uses a shared controller method to handle
+     * the request and response.
+     *
+     * @param {Object} req - The request object containing the query parameters.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getSeriesList: controller.getList(seriesService, 'getSeriesList'),
+
+    /**
+     * getSeriesById - Controller function to handle the retrieval of a series by its ID. This function
+     * delegates the retrieval logic to the series service and uses a shared controller method to handle
+     * the request and response.
+     *
+     * @param {Object} req - The request object containing the series ID.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getSeriesById: controller.getById(
+        seriesService,
+        'getSeriesById',
+        routesConstants.series.params
+    ),
+
+    /**
+     * updateSeriesById - Controller function to handle the updating of a series by its ID. This function
+     * delegates the update logic to the series service and uses a shared controller method to handle
+     * the request and response.
+     *
+     * @param {Object} req - The request object containing the series ID and update data.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    updateSeriesById: controller.updateById(
+        seriesService,
+        'updateSeriesById',
+        routesConstants.series.params
+    ),
+
+    /**
+     * deleteSeriesById - Controller function to handle the deletion of a series by its ID. This function
+     * delegates the deletion logic to the series service and uses a shared controller method to handle
+     * the request and response.
+     *
+     * @param {Object} req - The request object containing the series ID.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    deleteSeriesById: controller.deleteById(
+        seriesService,
+        'deleteSeriesById',
+        routesConstants.series.params
+    ),
+
+    /**
+     * deleteSeriesList - Controller function to handle the deletion of a list of series. This function
+     * delegates the deletion logic to the series service and uses a shared controller method to handle
+     * the request and response.
+     *
+     * @param {Object} req - The request object containing the list of series IDs.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    deleteSeriesList: controller.deleteList(seriesService, 'deleteSeriesList'),
+};
+
+export default seriesController;
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview This file defines the Mongoose schema for the Series model. A series groups the books
+ * published as its numbered volumes, such as the books of a trilogy. The volume number is kept on each
+ * book, so the different editions and translations of a volume share it. The schema includes shared
+ * schema components for consistent fields like isActive, createdBy, and updatedBy, and unique indexing
+ * on the name field.
+ */
+
+import mongoose from 'mongoose';
+
+import seriesConstants from './series.constant.js';
+import sharedSchema from '../../../shared/schema.js';
+
+/**
+ * seriesSchema - Mongoose schema for the Series model. This schema defines the structure
+ * and constraints for storing series-related data in the database. It includes:
+ *
+ * - name: String (required, unique, trimmed, minlength, maxlength)
+ * - summary: String (trimmed, maxlength)
+ * - booksCount: Number of books published in the series
+ * - isActive: Shared schema for active status
+ * - createdBy: Shared schema for created by admin details
+ * - updatedBy: Shared schema for updated by admin details
+ *
+ * The schema also includes automatic timestamping for creation and updates,
+ * and ensures uniqueness of the name field.
+ */
+const seriesSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            trim: true,
+            required: [true, 'Please provide a name for the series.'],
+            minlength: [
+                seriesConstants.lengths.NAME_MIN,
+                `Series name must be at least ${seriesConstants.lengths.NAME_MIN} characters long.`,
+            ],
+            maxlength: [
+                seriesConstants.lengths.NAME_MAX,
+                `Series name cannot exceed ${seriesConstants.lengths.NAME_MAX} characters in length.`,
+            ],
+            description: 'The name of the series.',
+        },
+        summary: {
+            type: String,
+            trim: true,
+            maxlength: [
+                seriesConstants.lengths.SUMMARY_MAX,
+                `Series summary cannot exceed ${seriesConstants.lengths.SUMMARY_MAX} characters in length.`,
+            ],
+            description: 'A short description of the series.',
+        },
+        booksCount: {
+            type: Number,
+            default: 0,
+            description:
+                'The number of books published in the series, counting every edition of its volumes.',
+        },
+        isActive: sharedSchema.isActiveSchema,
+        createdBy: sharedSchema.createdByAdminSchema,
+        updatedBy: sharedSchema.updatedByAdminSchema,
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+        description:
+            'Schema for storing series data with automatic timestamping for creation and updates.',
+    }
+);
+
+// Create a unique index on the name field
+seriesSchema.index({ name: 1 }, { unique: true });
+
+const SeriesModel =
+    mongoose.models.Series || mongoose.model('Series', seriesSchema);
+
+export default SeriesModel;
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview This file defines the routes for managing series using Express. It includes routes
+ * for creating, retrieving, updating, and deleting series, and applies various middlewares for
+ * authentication, validation, caching, and method support.
+ */
+
+import express from 'express';
+
+import seriesController from './series.controller.js';
+import seriesValidator from './series.validator.js';
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import accessTypesConstants from '../../../constant/accessTypes.constants.js';
+import cacheMiddleware from '../../../middleware/cache.middleware.js';
+import configuration from '../../../configuration/configuration.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /series/:
+ *   post:
+ *     summary: Creates a new series.
+ *     description: This endpoint allows admin users to create new series, which group the books published as their numbered volumes. It checks for existing series with the same name and ensures unique entries.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the series.
+ *               summary:
+ *                 type: string
+ *                 description: Short description of the series.
+ *               isActive:
+ *                 type: boolean
+ *                 description: Status of the series' activity.
+ *     responses:
+ *       201:
+ *         description: Series created successfully.
+ *       400:
+ *         description: Series with the same name already exists.
+ *       401:
+ *         description: Unauthorized access.
+ *     tags:
+ *       - Series Management
+ *   get:
+ *     summary: Retrieves a list of series.
+ *     description: This endpoint returns a list of all series. It supports caching for efficient data retrieval.
+ *     responses:
+ *       200:
+ *         description: A list of series.
+ *       401:
+ *         description: Unauthorized access.
+ *     tags:
+ *       - Series Management
+ *   delete:
+ *     summary: Deletes multiple series.
+ *     description: This endpoint allows admin users to delete multiple series based on a list of IDs. The books of the deleted series are kept, without a series or volume number.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of series IDs to delete.
+ *     responses:
+ *       200:
+ *         description: Series deleted successfully.
+ *       400:
+ *         description: Invalid series IDs provided.
+ *       401:
+ *         description: Unauthorized access.
+ *     tags:
+ *       - Series Management
+ *   all:
+ *     summary: Handles unsupported methods for the base route.
+ *     description: Returns an error if an unsupported HTTP method is used on the base route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Series Management
+ */
+router
+    .route('/')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.series.permissions.create
+        ),
+        seriesValidator.createSeries,
+        seriesController.createSeries,
+        cacheMiddleware.invalidate(routesConstants.series.routes)
+    )
+    .get(
+        seriesValidator.getSeriesList,
+        seriesController.getSeriesList,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .delete(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.series.permissions.deleteByList
+        ),
+        seriesValidator.deleteSeriesList,
+        seriesController.deleteSeriesList,
+        cacheMiddleware.invalidate(routesConstants.series.routes)
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /series/{seriesId}:
+ *   get:
+ *     summary: Retrieves a specific series by ID.
+ *     description: This endpoint returns a single series based on the ID provided, with its volumes, the books of the series in the order of their volume numbers. It supports caching for efficient data retrieval.
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the series to retrieve.
+ *     responses:
+ *       200:
+ *         description: Detailed information about the series and its volumes.
+ *       404:
+ *         description: Series not found.
+ *     tags:
+ *       - Series Management
+ *   put:
+ *     summary: Updates a specific series by ID.
+ *     description: This endpoint allows admin users to update details of a specific series by ID.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the series to update.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Updated name of the series.
+ *               summary:
+ *                 type: string
+ *                 description: Updated description of the series.
+ *               isActive:
+ *                 type: boolean
+ *                 description: Updated status of the series' activity.
+ *     responses:
+ *       200:
+ *         description: Series updated successfully.
+ *       400:
+ *         description: Invalid input data.
+ *       404:
+ *         description: Series not found.
+ *       401:
+ *         description: Unauthorized access.
+ *     tags:
+ *       - Series Management
+ *   delete:
+ *     summary: Deletes a specific series by ID.
+ *     description: This endpoint allows admin users to delete a specific series by ID. The books of the series are kept, without a series or volume number.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the series to delete.
+ *     responses:
+ *       200:
+ *         description: Series deleted successfully.
+ *       404:
+ *         description: Series not found.
+ *       401:
+ *         description: Unauthorized access.
+ *     tags:
+ *       - Series Management
+ *   all:
+ *     summary: Handles unsupported methods for the ID-specific route.
+ *     description: Returns an error if an unsupported HTTP method is used on the ID-specific route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Series Management
+ */
+router
+    .route(`/:${routesConstants.series.params}`)
+    .get(
+        seriesValidator.getSeriesById,
+        seriesController.getSeriesById,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .put(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.series.permissions.updateById
+        ),
+        seriesValidator.updateSeriesById,
+        seriesController.updateSeriesById,
+        cacheMiddleware.invalidate(routesConstants.series.routes)
+    )
+    .delete(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.series.permissions.deleteById
+        ),
+        seriesValidator.deleteSeriesById,
+        seriesController.deleteSeriesById,
+        cacheMiddleware.invalidate(routesConstants.series.routes)
+    )
+    .all(methodNotSupported);
+
+export default router;
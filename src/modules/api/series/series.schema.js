@@ -0,0 +1,130 @@
+/**
+ * @fileoverview This file defines various Joi schemas for validating series-related data. The
+ * schemas include base validation for series fields, as well as specific schemas for creating,
+ * updating, and querying series. The schemas ensure that data conforms to the required formats,
+ * lengths, and patterns, and include custom validation messages for better error reporting.
+ */
+
+import Joi from 'joi';
+
+import seriesConstants from './series.constant.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+import validationService from '../../../service/validation.service.js';
+
+/**
+ * seriesSchemaBase - Base Joi schema for validating series-related fields. This schema includes:
+ *
+ * - name: String (trimmed, minLength, maxLength)
+ * - summary: String (trimmed, maxLength)
+ * - page: String (minLength, default value, custom parsing to integer)
+ * - limit: String (minLength, maxLength, default value, custom parsing to integer)
+ * - sort: String (trimmed, default value)
+ * - isActive: Boolean
+ * - createdBy: ObjectId
+ * - updatedBy: ObjectId
+ * - createdAt: Date
+ * - updatedAt: Date
+ *
+ * This schema is used as the base for more specific series schemas.
+ */
+const seriesSchemaBase = Joi.object({
+    name: validationService
+        .createStringField(
+            seriesConstants.lengths.NAME_MIN,
+            seriesConstants.lengths.NAME_MAX
+        )
+        .messages(customValidationMessage),
+    summary: Joi.string()
+        .trim()
+        .max(seriesConstants.lengths.SUMMARY_MAX)
+        .messages(customValidationMessage),
+    page: Joi.string()
+        .min(1)
+        .default(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('createdAt'),
+    isActive: validationService.booleanField,
+    createdBy: validationService.objectIdField,
+    updatedBy: validationService.objectIdField,
+    createdAt: validationService.dateField,
+    updatedAt: validationService.dateField,
+}).strict();
+
+/**
+ * createSeriesSchema - Joi schema for validating data when creating a series. This schema
+ * makes the 'name' and 'isActive' fields required.
+ */
+const createSeriesSchema = seriesSchemaBase.fork(
+    ['name', 'isActive'],
+    (field) => field.required()
+);
+
+/**
+ * updateSeriesSchema - Joi schema for validating data when updating a series. This schema
+ * makes 'name', 'summary' and 'isActive' fields optional and requires at least one field to be provided.
+ */
+const updateSeriesSchema = seriesSchemaBase
+    .fork(['name', 'summary', 'isActive'], (field) => field.optional())
+    .min(1);
+
+/**
+ * seriesIdsParamSchema - Joi schema for validating a list of series IDs passed as a parameter.
+ * This schema ensures that the 'ids' field is an array of valid ObjectIds and includes custom validation
+ * messages.
+ */
+const seriesIdsParamSchema = Joi.object({
+    ids: validationService.objectIdsField.required(),
+})
+    .required()
+    .messages(customValidationMessage);
+
+/**
+ * getSeriesQuerySchema - Joi schema for validating query parameters when retrieving series.
+ * This schema makes all fields optional and uses the base series schema for validation.
+ */
+const getSeriesQuerySchema = seriesSchemaBase.fork(
+    [
+        'name',
+        'isActive',
+        'page',
+        'limit',
+        'sort',
+        'createdBy',
+        'updatedBy',
+        'createdAt',
+        'updatedAt',
+    ],
+    (field) => field.optional()
+);
+
+/**
+ * seriesIdParamSchema - Joi schema for validating a single series ID passed as a parameter.
+ * This schema ensures that the 'seriesId' field is a valid ObjectId.
+ */
+const seriesIdParamSchema = Joi.object({
+    seriesId: validationService.objectIdField.required(),
+}).strict();
+
+/**
+ * seriesSchema - Object containing all the defined Joi schemas for series validation:
+ *
+ * - createSeriesSchema: Schema for validating data when creating a series.
+ * - updateSeriesSchema: Schema for validating data when updating a series.
+ * - getSeriesQuerySchema: Schema for validating query parameters when retrieving series.
+ * - seriesIdsParamSchema: Schema for validating a list of series IDs passed as a parameter.
+ * - seriesIdParamSchema: Schema for validating a single series ID passed as a parameter.
+ */
+const seriesSchema = {
+    createSeriesSchema,
+    updateSeriesSchema,
+    getSeriesQuerySchema,
+    seriesIdsParamSchema,
+    seriesIdParamSchema,
+};
+
+export default seriesSchema;
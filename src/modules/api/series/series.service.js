@@ -0,0 +1,312 @@
+/**
+ * @fileoverview This file defines the service functions for managing series. These services include
+ * functions for creating, retrieving, updating, and deleting series. A series is fetched with its
+ * volumes, the books placed in it in the order of their volume numbers, and the books of a deleted
+ * series are taken out of it. The services interact with the Series model and utilize various
+ * utilities for logging, response handling, and validation.
+ */
+
+import SeriesModel from './series.model.js';
+import BooksModel from '../books/books.model.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import errorResponse from '../../../utilities/errorResponse.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+import isEmptyObject from '../../../utilities/isEmptyObject.js';
+import loggerService from '../../../service/logger.service.js';
+import service from '../../../shared/service.js';
+import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+/**
+ * populateSeriesFields - A helper function to populate related fields in the series documents.
+ *
+ * @param {Object} query - The Mongoose query object.
+ * @returns {Promise<Object>} - The query result with populated fields.
+ */
+const populateSeriesFields = async (query) => {
+    return await query
+        .populate({
+            path: 'createdBy',
+            select: 'name image department designation isActive',
+        })
+        .populate({
+            path: 'updatedBy',
+            select: 'name image department designation isActive',
+        });
+};
+
+const seriesListParamsMapping = {};
+
+/**
+ * Helper function to take the books of deleted series out of them. Only the series that no longer exist
+ * are detached, so the books of the series that failed to be deleted are kept in them.
+ *
+ * @param {Array<String>} seriesIds - The IDs of the deleted series.
+ * @returns {Promise<void>}
+ */
+const detachBooksFromSeries = async (seriesIds) => {
+    const remainingIds = (
+        await SeriesModel.find({ _id: { $in: seriesIds } }).distinct('_id')
+    ).map((id) => id.toString());
+    const deletedIds = seriesIds.filter(
+        (id) => !remainingIds.includes(id.toString())
+    );
+
+    if (deletedIds.length) {
+        await BooksModel.updateMany(
+            { series: { $in: deletedIds } },
+            { $unset: { series: '', volume: '' } }
+        );
+    }
+};
+
+/**
+ * createSeries - Service function to create a new series. This function checks for the existence
+ * of a series with the same name, creates the series if it doesn't exist, and logs the creation action.
+ *
+ * @param {Object} requester - The user creating the series.
+ * @param {Object} newSeriesData - The data for the new series.
+ * @returns {Promise<Object>} - The created series or an error response.
+ */
+const createSeries = async (requester, newSeriesData) => {
+    try {
+        const exists = await SeriesModel.exists({
+            name: newSeriesData.name,
+        });
+        if (exists) {
+            return sendResponse(
+                {},
+                `Series name "${newSeriesData.name}" already exists.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        newSeriesData.createdBy = requester;
+
+        const newSeries = await SeriesModel.create(newSeriesData);
+        // Populate the necessary fields after creation
+        const populatedSeries = await populateSeriesFields(
+            SeriesModel.findById(newSeries._id)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.CREATE,
+            description: `${newSeriesData.name} created successfully.`,
+            details: JSON.stringify(populatedSeries),
+        });
+
+        return sendResponse(
+            populatedSeries,
+            'Series created successfully.',
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to create series: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to create series.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * getSeriesList - Service function to retrieve a list of series based on provided parameters.
+ * This function utilizes a shared service to handle the retrieval and mapping of parameters.
+ *
+ * @param {Object} params - The query parameters for retrieving the series list.
+ * @returns {Promise<Object>} - The retrieved list of series.
+ */
+const getSeriesList = async (params) => {
+    return service.getResourceList(
+        SeriesModel,
+        populateSeriesFields,
+        params,
+        seriesListParamsMapping,
+        'series'
+    );
+};
+
+/**
+ * getSeriesById - Service function to retrieve a series by its ID, with its volumes. The volumes are the
+ * books of the series in the order of their volume numbers, the editions of a volume following each other.
+ *
+ * @param {String} seriesId - The ID of the series to retrieve.
+ * @returns {Promise<Object>} - The retrieved series with its volumes or an error response.
+ */
+const getSeriesById = async (seriesId) => {
+    try {
+        const series = await populateSeriesFields(
+            SeriesModel.findById(seriesId).lean()
+        );
+        if (!series) {
+            return errorResponse('Series not found.', httpStatus.NOT_FOUND);
+        }
+
+        series.volumes = await BooksModel.find({ series: seriesId })
+            .sort({ volume: 1, createdAt: 1 })
+            .select('name volume edition isbn13 image work contributors')
+            .populate({ path: 'contributors.writer', select: 'name' })
+            .populate({ path: 'contributors.translator', select: 'name' })
+            .lean();
+
+        return sendResponse(
+            series,
+            'Series fetched successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get series: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get series.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * updateSeriesById - Service function to update a series by its ID. This function checks for the
+ * existence of the series, updates it with the provided data, and logs the update action.
+ *
+ * @param {Object} requester - The user updating the series.
+ * @param {String} seriesId - The ID of the series to update.
+ * @param {Object} updateData - The data to update the series with.
+ * @returns {Promise<Object>} - The updated series or an error response.
+ */
+const updateSeriesById = async (requester, seriesId, updateData) => {
+    try {
+        if (isEmptyObject(updateData)) {
+            return errorResponse(
+                'Please provide update data.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        updateData.updatedBy = requester;
+
+        const updatedSeries = await SeriesModel.findByIdAndUpdate(
+            seriesId,
+            updateData,
+            { new: true, runValidators: true }
+        );
+
+        if (!updatedSeries) {
+            return sendResponse({}, 'Series not found.', httpStatus.NOT_FOUND);
+        }
+
+        const populatedSeries = await populateSeriesFields(
+            SeriesModel.findById(updatedSeries._id)
+        );
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `${seriesId} updated successfully.`,
+            details: JSON.stringify(populatedSeries),
+            affectedId: seriesId,
+        });
+
+        return sendResponse(
+            populatedSeries,
+            'Series updated successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            // MongoDB duplicate key error
+            return sendResponse(
+                {},
+                `Series name "${updateData.name}" already exists.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        loggerService.error(`Failed to update series: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to update series.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * deleteSeriesList - Service function to delete a list of series by their IDs. This function utilizes
+ * a shared service to handle the deletion process, then takes the books of the deleted series out of them.
+ *
+ * @param {Object} requester - The user deleting the series.
+ * @param {Array<String>} seriesIds - The IDs of the series to delete.
+ * @returns {Promise<Object>} - The result of the deletion process.
+ */
+const deleteSeriesList = async (requester, seriesIds) => {
+    const response = await service.deleteResourcesByList(
+        requester,
+        SeriesModel,
+        seriesIds,
+        'series'
+    );
+
+    if (response.success) {
+        try {
+            await detachBooksFromSeries(seriesIds);
+        } catch (error) {
+            loggerService.error(
+                `Failed to detach the books of deleted series: ${error}`
+            );
+        }
+    }
+
+    return response;
+};
+
+/**
+ * deleteSeriesById - Service function to delete a series by its ID. This function utilizes a shared
+ * service to handle the deletion process, then takes the books of the series out of it.
+ *
+ * @param {Object} requester - The user deleting the series.
+ * @param {String} seriesId - The ID of the series to delete.
+ * @returns {Promise<Object>} - The result of the deletion process.
+ */
+const deleteSeriesById = async (requester, seriesId) => {
+    const response = await service.deleteResourceById(
+        requester,
+        SeriesModel,
+        seriesId,
+        'series'
+    );
+
+    if (response.status === httpStatus.OK) {
+        try {
+            await detachBooksFromSeries([seriesId]);
+        } catch (error) {
+            loggerService.error(
+                `Failed to detach the books of deleted series: ${error}`
+            );
+        }
+    }
+
+    return response;
+};
+
+/**
+ * seriesService - Object containing all the defined service functions for series management:
+ *
+ * - createSeries: Service function to create a new series.
+ * - getSeriesList: Service function to retrieve a list of series based on provided parameters.
+ * - getSeriesById: Service function to retrieve a series by its ID, with its volumes.
+ * - updateSeriesById: Service function to update a series by its ID.
+ * - deleteSeriesList: Service function to delete a list of series by their IDs.
+ * - deleteSeriesById: Service function to delete a series by its ID.
+ */
+const seriesService = {
+    createSeries,
+    getSeriesList,
+    getSeriesById,
+    updateSeriesById,
+    deleteSeriesById,
+    deleteSeriesList,
+};
+
+export default seriesService;
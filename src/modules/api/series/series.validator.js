@@ -0,0 +1,125 @@
+/**
+ * @fileoverview This file defines validation middleware for series-related API requests. The
+ * middleware functions use Joi schemas to validate request data for creating, retrieving, updating,
+ * and deleting series. Each function ensures that the request data conforms to the defined
+ * schema before proceeding to the next middleware or controller.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import seriesSchema from './series.schema.js';
+
+/**
+ * createSeries - Middleware function to validate the request body when creating a new series.
+ * This function ensures that the request body contains valid data according to the createSeriesSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const createSeries = validateWithSchema([
+    {
+        schema: seriesSchema.createSeriesSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * getSeriesList - Middleware function to validate the query parameters when retrieving a list of series.
+ * This function ensures that the query parameters contain valid data according to the getSeriesQuerySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getSeriesList = validateWithSchema([
+    {
+        schema: seriesSchema.getSeriesQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * getSeriesById - Middleware function to validate the request parameters when retrieving a series by its ID.
+ * This function ensures that the request parameters contain a valid series ID according to the seriesIdParamSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getSeriesById = validateWithSchema([
+    {
+        schema: seriesSchema.seriesIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * updateSeriesById - Middleware function to validate the request body and parameters when updating a series by its ID.
+ * This function ensures that the request body contains valid data according to the updateSeriesSchema and the request
+ * parameters contain a valid series ID according to the seriesIdParamSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const updateSeriesById = validateWithSchema([
+    {
+        schema: seriesSchema.seriesIdParamSchema,
+        property: 'params',
+    },
+    {
+        schema: seriesSchema.updateSeriesSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * deleteSeriesList - Middleware function to validate the query parameters when deleting a list of series.
+ * This function ensures that the query parameters contain valid data according to the seriesIdsParamSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const deleteSeriesList = validateWithSchema([
+    {
+        schema: seriesSchema.seriesIdsParamSchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * deleteSeriesById - Middleware function to validate the request parameters when deleting a series by its ID.
+ * This function ensures that the request parameters contain a valid series ID according to the seriesIdParamSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const deleteSeriesById = validateWithSchema([
+    {
+        schema: seriesSchema.seriesIdParamSchema,
+        property: 'params',
+    },
+]);
+
+/**
+ * seriesValidator - Object containing all the defined validation middleware functions for series:
+ *
+ * - createSeries: Middleware function to validate the request body when creating a new series.
+ * - getSeriesList: Middleware function to validate the query parameters when retrieving a list of series.
+ * - getSeriesById: Middleware function to validate the request parameters when retrieving a series by its ID.
+ * - updateSeriesById: Middleware function to validate the request body and parameters when updating a series by its ID.
+ * - deleteSeriesList: Middleware function to validate the query parameters when deleting a list of series.
+ * - deleteSeriesById: Middleware function to validate the request parameters when deleting a series by its ID.
+ */
+const seriesValidator = {
+    createSeries,
+    getSeriesList,
+    getSeriesById,
+    updateSeriesById,
+    deleteSeriesList,
+    deleteSeriesById,
+};
+
+export default seriesValidator;
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 
 import faqsConstants from './faqs.constant.js';
 import sharedSchema from '../../../../shared/schema.js';
+import softDeletePlugin from '../../../../shared/softDeletePlugin.js';
 
 const permissionSchema = new mongoose.Schema(
     {
@@ -72,6 +73,9 @@ permissionSchema.post(['save', 'findOneAndUpdate'], (error, doc, next) => {
     }
 });
 
+// Move deleted faqs to the trash, from which they can be restored until they are purged
+permissionSchema.plugin(softDeletePlugin);
+
 const FaqsModel = mongoose.model('Faqs', permissionSchema);
 
 export default FaqsModel;
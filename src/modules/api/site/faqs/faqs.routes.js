@@ -38,6 +38,8 @@ const router = express.Router();
  *         description: Faq created successfully.
  *       400:
  *         description: Invalid input data.
+ *       409:
+ *         description: A faq in the trash has the same question, restore it instead.
  *     tags:
  *       - Faqs Management
  *   get:
@@ -80,7 +82,7 @@ const router = express.Router();
  *                 description: Array of faq IDs to delete.
  *     responses:
  *       200:
- *         description: Faqs deleted successfully.
+ *         description: Faqs moved to trash until restored or purged.
  *       400:
  *         description: Invalid request format.
  *     tags:
@@ -169,6 +171,8 @@ router
  *         description: Faq updated successfully.
  *       404:
  *         description: Faq not found.
+ *       409:
+ *         description: A faq in the trash has the same question, restore it instead.
  *     tags:
  *       - Faqs Management
  *   delete:
@@ -185,7 +189,7 @@ router
  *         description: The ID of the faq to delete.
  *     responses:
  *       200:
- *         description: Faq deleted successfully.
+ *         description: Faq moved to trash until restored or purged.
  *       404:
  *         description: Faq not found.
  *     tags:
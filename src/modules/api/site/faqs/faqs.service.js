@@ -36,6 +36,13 @@ const createFaq = async (requester, newFaqData) => {
             );
         }
 
+        const trashConflict = await service.getTrashConflict(
+            FaqsModel,
+            { question: newFaqData.question },
+            'faq'
+        );
+        if (trashConflict) return trashConflict;
+
         newFaqData.createdBy = requester;
 
         const newFaq = await FaqsModel.create(newFaqData);
@@ -97,6 +104,15 @@ const updateFaqById = async (requester, faqId, updateData) => {
             );
         }
 
+        if (updateData.question) {
+            const trashConflict = await service.getTrashConflict(
+                FaqsModel,
+                { question: updateData.question },
+                'faq'
+            );
+            if (trashConflict) return trashConflict;
+        }
+
         updateData.updatedBy = requester;
 
         // Attempt to update the FAQ
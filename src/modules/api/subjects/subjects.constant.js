@@ -1,6 +1,7 @@
 /**
  * @fileoverview This file defines constants for validating subjects-related data. It includes
- * constraints on the length of subject names to ensure they adhere to the required length restrictions.
+ * constraints on the length of subject names to ensure they adhere to the required length restrictions,
+ * and the classification schemes whose codes subjects can be given, with the form of their codes.
  * These constants are used in various validation schemas throughout the application.
  */
 
@@ -9,20 +10,47 @@
  *
  * - NAME_MIN: Minimum length for a subject name (3 characters).
  * - NAME_MAX: Maximum length for a subject name (100 characters).
+ * - CODE_MAX: Maximum length for a classification code (50 characters).
  */
 const lengths = {
     NAME_MIN: 3,
     NAME_MAX: 100,
     REVIEW_MAX: 5,
+    CODE_MAX: 50,
+};
+
+/**
+ * classificationSchemes - The library classifications whose codes subjects can be given.
+ *
+ * - DEWEY: The Dewey Decimal Classification.
+ * - UDC: The Universal Decimal Classification.
+ */
+const classificationSchemes = {
+    DEWEY: 'ddc',
+    UDC: 'udc',
+};
+
+/**
+ * classificationCodePatterns - The form of the codes of each classification scheme. Dewey codes are three
+ * digits, optionally followed by a decimal part, such as 535.6. UDC codes combine numbers with the signs of
+ * its auxiliaries, such as 821.111-31 or 94(410), so only their characters are checked.
+ */
+const classificationCodePatterns = {
+    [classificationSchemes.DEWEY]: /^\d{3}(\.\d+)?$/,
+    [classificationSchemes.UDC]: /^(?=.*\d)[\d.:+/()="\-\s]+$/,
 };
 
 /**
  * subjectsConstants - An object containing constants for subject validation:
  *
  * - lengths: An object containing constants for the minimum and maximum lengths of subject names.
+ * - classificationSchemes: The library classifications whose codes subjects can be given.
+ * - classificationCodePatterns: The form of the codes of each classification scheme.
  */
 const subjectsConstants = {
     lengths,
+    classificationSchemes,
+    classificationCodePatterns,
 };
 
 export default subjectsConstants;
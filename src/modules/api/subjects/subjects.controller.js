@@ -14,6 +14,8 @@ import routesConstants from '../../../constant/routes.constants.js';
  *
  * - createSubject: Controller function to handle the creation of a new subject.
  * - getSubjects: Controller function to handle the retrieval of a list of subjects.
+ * - getSubjectTree: Controller function to handle the retrieval of the subject tree.
+ * - importSubjectTaxonomy: Controller function to handle the import of a taxonomy of subjects.
  * - getSubjectById: Controller function to handle the retrieval of a subject by its ID.
  * - updateSubject: Controller function to handle the updating of a subject by its ID.
  * - deleteSubject: Controller function to handle the deletion of a subject by its ID.
@@ -42,6 +44,31 @@ const subjectsController = {
      */
     getSubjects: controller.getList(subjectsService, 'getSubjects'),
 
+    /**
+     * getSubjectTree - Controller function to handle the retrieval of the subject tree, or of the branch
+     * of a subject. This function delegates the retrieval logic to the subjects service and uses a shared
+     * controller method to handle the request and response.
+     *
+     * @param {Object} req - The request object containing the query parameters.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getSubjectTree: controller.getList(subjectsService, 'getSubjectTree'),
+
+    /**
+     * importSubjectTaxonomy - Controller function to handle the import of a taxonomy of subjects. This
+     * function delegates the import logic to the subjects service and uses a shared controller method to
+     * handle the request and response.
+     *
+     * @param {Object} req - The request object containing the taxonomy to import.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    importSubjectTaxonomy: controller.create(
+        subjectsService,
+        'importSubjectTaxonomy'
+    ),
+
     /**
      * getSubjectById - Controller function to handle the retrieval of a subject by its ID. This function
      * delegates the retrieval logic to the subjects service and uses a shared controller method to handle
@@ -1,26 +1,75 @@
 /**
  * @fileoverview This file defines the Mongoose schema for the Subjects model. The schema includes
- * fields for subject details such as name and status, and uses shared schema components for
- * consistent fields like isActive, createdBy, and updatedBy. The schema also features unique
- * indexing on the name field, and middleware for validation and error handling.
+ * fields for subject details such as name, classification code and status, and uses shared schema
+ * components for consistent fields like isActive, createdBy, and updatedBy. Subjects form a taxonomy:
+ * each subject refers to its parent and keeps the IDs of all its ancestors, so the descendants of a
+ * subject are found with a single query. The schema also features unique indexing on the name field
+ * and on the classification code, and middleware for validation and error handling.
  */
 
 import mongoose from 'mongoose';
 
 import subjectsConstants from './subjects.constant.js';
 import sharedSchema from '../../../shared/schema.js';
+import softDeletePlugin from '../../../shared/softDeletePlugin.js';
+import revisionPlugin from '../../../shared/revisionPlugin.js';
+
+const { classificationSchemes, classificationCodePatterns } = subjectsConstants;
+
+/**
+ * classificationSchema - Mongoose schema for the classification code of a subject, such as 535 in the Dewey
+ * Decimal Classification. The code must have the form of its scheme.
+ */
+const classificationSchema = new mongoose.Schema(
+    {
+        scheme: {
+            type: String,
+            enum: {
+                values: Object.values(classificationSchemes),
+                message: 'The classification scheme {VALUE} is not supported.',
+            },
+            required: [true, 'Please specify the classification scheme.'],
+            description: 'The classification scheme of the code, ddc or udc.',
+        },
+        code: {
+            type: String,
+            trim: true,
+            required: [true, 'Please provide the classification code.'],
+            maxlength: [
+                subjectsConstants.lengths.CODE_MAX,
+                `Classification code cannot exceed ${subjectsConstants.lengths.CODE_MAX} characters in length.`,
+            ],
+            validate: {
+                validator(value) {
+                    return (
+                        classificationCodePatterns[this.scheme]?.test(value) ??
+                        false
+                    );
+                },
+                message: (props) =>
+                    `${props.value} is not a valid classification code for its scheme.`,
+            },
+            description: 'The code of the subject in its scheme.',
+        },
+    },
+    { _id: false }
+);
 
 /**
  * subjectSchema - Mongoose schema for the Subjects model. This schema defines the structure
  * and constraints for storing subject-related data in the database. It includes:
  *
  * - name: String (required, unique, trimmed, minlength, maxlength)
+ * - parent: The subject this one is a part of, none for a top-level subject
+ * - ancestors: The IDs of the ancestors of the subject, from the top-level subject down to its parent
+ * - classification: The classification scheme and code of the subject, optional
+ * - booksCount: The number of books of the subject or of any of its descendants
  * - isActive: Shared schema for active status
  * - createdBy: Shared schema for created by admin details
  * - updatedBy: Shared schema for updated by admin details
  *
  * The schema also includes automatic timestamping for creation and updates,
- * and ensures uniqueness of the name field.
+ * and ensures uniqueness of the name field and of the code in each classification scheme.
  */
 const subjectSchema = new mongoose.Schema(
     {
@@ -41,10 +90,31 @@ const subjectSchema = new mongoose.Schema(
             description:
                 'The name of the subject. It must be unique and conform to specified length constraints.',
         },
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Subjects',
+            default: null,
+            description:
+                'The database ID of the subject this one is a part of, null for a top-level subject.',
+        },
+        ancestors: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Subjects',
+                description:
+                    'The database IDs of the ancestors of the subject, from the top-level subject down to its parent.',
+            },
+        ],
+        classification: {
+            type: classificationSchema,
+            description:
+                'The code of the subject in the Dewey Decimal or Universal Decimal Classification.',
+        },
         booksCount: {
             type: Number,
             default: 0,
-            description: 'The number of books available for the subject.',
+            description:
+                'The number of books of the subject or of any of its descendants, each book counted once.',
         },
         review: {
             type: Number,
@@ -69,7 +139,26 @@ const subjectSchema = new mongoose.Schema(
 // Create a unique index on the name field
 subjectSchema.index({ name: 1 }, { unique: true });
 
+// The descendants of a subject are the subjects it is an ancestor of
+subjectSchema.index({ ancestors: 1 });
+subjectSchema.index({ parent: 1 });
+subjectSchema.index(
+    { 'classification.scheme': 1, 'classification.code': 1 },
+    {
+        unique: true,
+        partialFilterExpression: { 'classification.code': { $exists: true } },
+    }
+);
+
 // Check if the model already exists before defining it
+// Move deleted subjects to the trash, from which they can be restored until they are purged
+subjectSchema.plugin(softDeletePlugin);
+
+// Keep the changes of subjects as revisions, leaving out the counts and ancestors derived from the taxonomy
+subjectSchema.plugin(revisionPlugin, {
+    ignoredFields: ['booksCount', 'ancestors'],
+});
+
 const SubjectsModel =
     mongoose.models.Subjects || mongoose.model('Subjects', subjectSchema);
 
@@ -1,7 +1,8 @@
 /**
  * @fileoverview This file defines the routes for managing subjects using Express. It includes routes
- * for creating, retrieving, updating, and deleting subjects, and applies various middlewares for
- * authentication, validation, caching, and method support.
+ * for creating, retrieving, updating, and deleting subjects, for retrieving the taxonomy of subjects as a
+ * tree and for importing a taxonomy in bulk, and applies various middlewares for authentication, validation,
+ * caching, and method support.
  */
 
 import express from 'express';
@@ -10,7 +11,9 @@ import subjectsController from './subjects.controller.js';
 import subjectsValidator from './subjects.validator.js';
 import methodNotSupported from '../../../shared/methodNotSupported.js';
 import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import mergeRedirectMiddleware from '../../../middleware/mergeRedirect.middleware.js';
 import routesConstants from '../../../constant/routes.constants.js';
+import mergesConstants from '../merges/merges.constant.js';
 import accessTypesConstants from '../../../constant/accessTypes.constants.js';
 import cacheMiddleware from '../../../middleware/cache.middleware.js';
 import configuration from '../../../configuration/configuration.js';
@@ -35,19 +38,32 @@ const router = express.Router();
  *               name:
  *                 type: string
  *                 description: Name of the subject.
- *               description:
+ *               parent:
  *                 type: string
- *                 description: Description of the subject.
+ *                 nullable: true
+ *                 description: ID of the parent subject, or null for a top-level subject. A subject cannot be moved under itself or one of its descendants.
+ *               classification:
+ *                 type: object
+ *                 description: The Dewey Decimal or UDC classification code of the subject, unique within its scheme.
+ *                 properties:
+ *                   scheme:
+ *                     type: string
+ *                     enum: [ddc, udc]
+ *                   code:
+ *                     type: string
+ *                     example: '510.2'
  *     responses:
  *       201:
  *         description: Subject created successfully.
  *       400:
  *         description: Bad request if the subject information is incomplete or invalid.
+ *       409:
+ *         description: A subject in the trash has the same name or classification code, restore it instead.
  *     tags:
  *       - Subject Management
  *   get:
  *     summary: Retrieves a list of subjects.
- *     description: Returns a list of all subjects, optionally filtered by various parameters.
+ *     description: Returns a list of all subjects, optionally filtered by various parameters. Each subject has its breadcrumb, the ancestors from its top-level subject down to its parent, and its booksCount also counts the books of its descendants.
  *     responses:
  *       200:
  *         description: A list of subjects.
@@ -74,9 +90,11 @@ const router = express.Router();
  *                 description: Array of subject IDs to be deleted.
  *     responses:
  *       200:
- *         description: Subjects deleted successfully.
+ *         description: Subjects moved to trash until restored or purged.
  *       400:
  *         description: Bad request if the IDs are not provided or invalid.
+ *       409:
+ *         description: Some of the subjects have sub-subjects that are not deleted with them.
  *     tags:
  *       - Subject Management
  *   all:
@@ -114,12 +132,115 @@ router
     )
     .all(methodNotSupported);
 
+/**
+ * @openapi
+ * /subjects/tree:
+ *   get:
+ *     summary: Retrieves the subject tree.
+ *     description: Returns the taxonomy of subjects as a tree, each subject with its children ordered by classification code and name. The tree can be limited to the branch of a subject.
+ *     parameters:
+ *       - in: query
+ *         name: root
+ *         schema:
+ *           type: string
+ *         description: The ID of the subject whose branch is returned.
+ *     responses:
+ *       200:
+ *         description: Subject tree retrieved successfully.
+ *       404:
+ *         description: Root subject not found.
+ *     tags:
+ *       - Subject Management
+ *   all:
+ *     summary: Handles unsupported methods for the subject tree route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Subject Management
+ */
+router
+    .route('/tree')
+    .get(
+        subjectsValidator.getSubjectTree,
+        subjectsController.getSubjectTree,
+        cacheMiddleware.create(configuration.cache.timeout)
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /subjects/taxonomy:
+ *   post:
+ *     summary: Imports a taxonomy of subjects.
+ *     description: Imports nested subjects in bulk, such as the classes of a classification. A subject matching an existing one by classification code, or else by name, updates and moves it, and the others are created. A subject that fails is reported and its children are left out, while the rest of the taxonomy is imported. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the subject to import the taxonomy under, instead of as top-level subjects.
+ *               subjects:
+ *                 type: array
+ *                 description: The subjects, each with its name, optional classification and children, which are subjects of the same form.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     classification:
+ *                       type: object
+ *                       properties:
+ *                         scheme:
+ *                           type: string
+ *                           enum: [ddc, udc]
+ *                         code:
+ *                           type: string
+ *                     children:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *     responses:
+ *       201:
+ *         description: Taxonomy imported, with the numbers of subjects created and updated and the subjects that failed.
+ *       400:
+ *         description: Bad request if the taxonomy or the parent subject is invalid.
+ *     tags:
+ *       - Subject Management
+ *   all:
+ *     summary: Handles unsupported methods for the subject taxonomy route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Subject Management
+ */
+router
+    .route('/taxonomy')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.subjects.permissions.importTaxonomy
+        ),
+        subjectsValidator.importSubjectTaxonomy,
+        subjectsController.importSubjectTaxonomy,
+        cacheMiddleware.invalidate(routesConstants.subjects.routes)
+    )
+    .all(methodNotSupported);
+
 /**
  * @openapi
  * /subjects/{subjectId}:
  *   get:
  *     summary: Retrieves a subject by ID.
- *     description: Returns a single subject by its ID.
+ *     description: Returns a single subject by its ID, with its breadcrumb and its children ordered by classification code and name. The ID of a subject merged into another one resolves to the subject it was merged into, whose URL is given in the Content-Location header.
  *     parameters:
  *       - in: path
  *         name: subjectId
@@ -156,9 +277,20 @@ router
  *               name:
  *                 type: string
  *                 description: Name of the subject.
- *               description:
+ *               parent:
  *                 type: string
- *                 description: Description of the subject.
+ *                 nullable: true
+ *                 description: ID of the parent subject, or null for a top-level subject. A subject cannot be moved under itself or one of its descendants.
+ *               classification:
+ *                 type: object
+ *                 description: The Dewey Decimal or UDC classification code of the subject, unique within its scheme.
+ *                 properties:
+ *                   scheme:
+ *                     type: string
+ *                     enum: [ddc, udc]
+ *                   code:
+ *                     type: string
+ *                     example: '510.2'
  *     responses:
  *       200:
  *         description: Subject updated successfully.
@@ -166,6 +298,8 @@ router
  *         description: Bad request if the update data is incomplete or invalid.
  *       404:
  *         description: Subject not found.
+ *       409:
+ *         description: A subject in the trash has the same name or classification code, restore it instead.
  *     tags:
  *       - Subject Management
  *   delete:
@@ -182,9 +316,11 @@ router
  *         description: The ID of the subject to delete.
  *     responses:
  *       200:
- *         description: Subject deleted successfully.
+ *         description: Subject moved to trash until restored or purged.
  *       404:
  *         description: Subject not found.
+ *       409:
+ *         description: The subject has sub-subjects.
  *     tags:
  *       - Subject Management
  *   all:
@@ -199,6 +335,10 @@ router
     .route(`/:${routesConstants.subjects.params}`)
     .get(
         subjectsValidator.getSubjectById,
+        mergeRedirectMiddleware(
+            mergesConstants.types.SUBJECTS,
+            routesConstants.subjects.params
+        ),
         subjectsController.getSubjectById,
         cacheMiddleware.create(configuration.cache.timeout)
     )
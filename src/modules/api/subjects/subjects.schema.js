@@ -11,10 +11,39 @@ import subjectsConstants from './subjects.constant.js';
 import customValidationMessage from '../../../shared/customValidationMessage.js';
 import validationService from '../../../service/validation.service.js';
 
+const { lengths, classificationSchemes, classificationCodePatterns } =
+    subjectsConstants;
+
+/**
+ * classificationField - Joi schema for validating the classification of a subject, a Dewey Decimal or Universal
+ * Decimal Classification code. The code must follow the notation of its scheme.
+ */
+const classificationField = Joi.object({
+    scheme: Joi.string()
+        .valid(...Object.values(classificationSchemes))
+        .required(),
+    code: Joi.string()
+        .trim()
+        .max(lengths.CODE_MAX)
+        .required()
+        .when('scheme', {
+            switch: Object.entries(classificationCodePatterns).map(
+                ([scheme, pattern]) => ({
+                    is: scheme,
+                    then: Joi.string().pattern(pattern),
+                })
+            ),
+        }),
+})
+    .messages(customValidationMessage)
+    .description('The Dewey Decimal (ddc) or UDC (udc) classification code.');
+
 /**
  * subjectSchemaBase - Base Joi schema for validating subjects-related fields. This schema includes:
  *
  * - name: String (trimmed, minLength, maxLength)
+ * - parent: ObjectId (null for a top-level subject)
+ * - classification: Object (scheme, code)
  * - page: String (minLength, default value, custom parsing to integer)
  * - limit: String (minLength, maxLength, default value, custom parsing to integer)
  * - sort: String (trimmed, default value)
@@ -33,6 +62,10 @@ const subjectSchemaBase = Joi.object({
             subjectsConstants.lengths.NAME_MAX
         )
         .messages(customValidationMessage),
+    parent: validationService.objectIdField
+        .allow(null)
+        .description('The parent subject, or null for a top-level subject.'),
+    classification: classificationField,
     page: Joi.string()
         .min(1)
         .custom((value, helpers) => parseInt(value)),
@@ -60,11 +93,45 @@ const createSubjectSchema = subjectSchemaBase.fork(
 /**
  * updateSubjectSchema - Joi schema for validating data when updating a subject. This schema
  * makes the 'name' and 'isActive' fields optional and requires at least one field to be provided.
+ * The classification can be removed with null.
  */
 const updateSubjectSchema = subjectSchemaBase
     .fork(['name', 'isActive'], (field) => field.optional())
+    .fork(['classification'], (field) => field.allow(null))
     .min(1);
 
+/**
+ * getSubjectTreeQuerySchema - Joi schema for validating query parameters when retrieving the subject tree.
+ * The tree can be limited to the branch of a subject.
+ */
+const getSubjectTreeQuerySchema = Joi.object({
+    root: validationService.objectIdField.description(
+        'The subject whose branch is returned, instead of the whole taxonomy.'
+    ),
+}).strict();
+
+/**
+ * importSubjectTaxonomySchema - Joi schema for validating a taxonomy of subjects imported in bulk. The
+ * subjects are nested nodes, each with its name, optional classification and children, and are imported
+ * under the optional parent subject, or as top-level subjects.
+ */
+const importSubjectTaxonomySchema = Joi.object({
+    parent: subjectSchemaBase.extract('parent'),
+    subjects: Joi.array()
+        .items(
+            Joi.object({
+                name: subjectSchemaBase.extract('name').required(),
+                classification: classificationField,
+                children: Joi.array()
+                    .items(Joi.link('#taxonomyNode'))
+                    .messages(customValidationMessage),
+            }).id('taxonomyNode')
+        )
+        .min(1)
+        .required()
+        .messages(customValidationMessage),
+}).strict();
+
 /**
  * subjectIdsParamSchema - Joi schema for validating a list of subject IDs passed as a parameter.
  * This schema ensures that the 'ids' field is an array of valid ObjectIds and includes custom validation
@@ -108,6 +175,8 @@ const subjectIdParamSchema = Joi.object({
  *
  * - createSubjectSchema: Schema for validating data when creating a subject.
  * - updateSubjectSchema: Schema for validating data when updating a subject.
+ * - getSubjectTreeQuerySchema: Schema for validating query parameters when retrieving the subject tree.
+ * - importSubjectTaxonomySchema: Schema for validating a taxonomy of subjects imported in bulk.
  * - getSubjectsQuerySchema: Schema for validating query parameters when retrieving subjects.
  * - subjectIdsParamSchema: Schema for validating a list of subject IDs passed as a parameter.
  * - subjectIdParamSchema: Schema for validating a single subject ID passed as a parameter.
@@ -115,6 +184,8 @@ const subjectIdParamSchema = Joi.object({
 const subjectsSchema = {
     createSubjectSchema,
     updateSubjectSchema,
+    getSubjectTreeQuerySchema,
+    importSubjectTaxonomySchema,
     getSubjectsQuerySchema,
     subjectIdsParamSchema,
     subjectIdParamSchema,
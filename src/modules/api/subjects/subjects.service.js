@@ -3,6 +3,10 @@
  * functions for creating, retrieving, updating, and deleting subjects. The services interact with the
  * Subjects model and utilize various utilities for logging, response handling, and validation.
  * Additionally, functions for populating related fields and managing subjects lists are provided.
+ *
+ * Subjects form a taxonomy, which is returned as a tree and can be imported in bulk. A subject counts the
+ * books of all its descendants as well as its own, each book once, so the counts of the ancestors of the
+ * subjects of a book follow its changes, and the subjects moved in the taxonomy are counted again.
  */
 
 import SubjectsModel from './subjects.model.js';
@@ -12,10 +16,12 @@ import service from '../../../shared/service.js';
 import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
 import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
 import BooksModel from '../books/books.model.js';
+import bookSearchService from '../books/search/bookSearch.service.js';
 
 import errorResponse from '../../../utilities/errorResponse.js';
 import sendResponse from '../../../utilities/sendResponse.js';
 import isEmptyObject from '../../../utilities/isEmptyObject.js';
+import buildTree from '../../../utilities/buildTree.js';
 
 /**
  * populateSubjectFields - A helper function to populate related fields in the subject documents.
@@ -35,6 +41,212 @@ const populateSubjectFields = async (query) => {
         });
 };
 
+/**
+ * Helper function to compare subjects by their classification code, then by name. Dewey and UDC codes are
+ * decimal, so comparing them as text orders them as in their classification. Subjects without a code follow
+ * the ones with one.
+ *
+ * @param {Object} a - The first subject.
+ * @param {Object} b - The second subject.
+ * @returns {number} - A negative number if the first subject comes first, a positive one if it comes last.
+ */
+const compareSubjects = (a, b) => {
+    const codeA = a.classification?.code ?? '\uffff';
+    const codeB = b.classification?.code ?? '\uffff';
+
+    if (codeA !== codeB) return codeA < codeB ? -1 : 1;
+
+    return a.name.localeCompare(b.name);
+};
+
+/**
+ * Helper function to get the ancestors of the subjects placed under a parent: the ancestors of the parent,
+ * followed by the parent itself.
+ *
+ * @param {string|null} [parentId] - The ID of the parent, none for the top level.
+ * @param {Object} [session] - The Mongoose session of a running transaction to read the parent in.
+ * @returns {Promise<Array|null>} - The IDs of the ancestors, or null if the parent does not exist.
+ */
+const getAncestorsUnder = async (parentId, session = null) => {
+    if (!parentId) return [];
+
+    const parent = await SubjectsModel.findById(parentId)
+        .select('ancestors')
+        .session(session)
+        .lean();
+
+    return parent ? [...(parent.ancestors ?? []), parent._id] : null;
+};
+
+/**
+ * Helper function to move a subject under a parent, or to the top level, together with its descendants. The
+ * descendants keep their ancestors from the subject down, after the new ancestors of the subject.
+ *
+ * @param {Object} subjectId - The ID of the subject, as an ObjectId.
+ * @param {string|null} parentId - The ID of the new parent, none for the top level.
+ * @param {Array} ancestors - The ancestors under the new parent, from `getAncestorsUnder`.
+ * @param {Object} [session] - The Mongoose session of a running transaction to move the subject in.
+ * @returns {Promise<void>}
+ */
+const moveSubject = async (subjectId, parentId, ancestors, session = null) => {
+    await SubjectsModel.updateOne(
+        { _id: subjectId },
+        { parent: parentId ?? null, ancestors },
+        { session }
+    );
+
+    // The update goes to the collection, as the pipeline builds the ancestors from the current ones
+    await SubjectsModel.collection.updateMany(
+        { ancestors: subjectId },
+        [
+            {
+                $set: {
+                    ancestors: {
+                        $concatArrays: [
+                            ancestors,
+                            {
+                                $slice: [
+                                    '$ancestors',
+                                    {
+                                        $indexOfArray: [
+                                            '$ancestors',
+                                            subjectId,
+                                        ],
+                                    },
+                                    { $size: '$ancestors' },
+                                ],
+                            },
+                        ],
+                    },
+                },
+            },
+        ],
+        { session }
+    );
+};
+
+/**
+ * Helper function to get the IDs of subjects together with the IDs of all their ancestors, each once.
+ *
+ * @param {Array} subjectIds - The IDs of the subjects.
+ * @returns {Promise<Array<string>>} - The IDs of the subjects and of their ancestors.
+ */
+const getIdsWithAncestors = async (subjectIds) => {
+    if (!subjectIds?.length) return [];
+
+    const subjects = await SubjectsModel.find({ _id: { $in: subjectIds } })
+        .select('ancestors')
+        .lean();
+
+    return [
+        ...new Set(
+            subjects.flatMap((subject) =>
+                [subject._id, ...(subject.ancestors ?? [])].map(String)
+            )
+        ),
+    ];
+};
+
+/**
+ * updateSubjectsBooksCount - Service function to update the booksCount of the subjects of a book, and of their
+ * ancestors, when its subjects change. A subject counts a book once, however many of its descendants the book
+ * has, so only the subjects the book leaves or joins with all their descendants lose or gain it.
+ *
+ * @param {Array} [previousSubjectIds=[]] - The subjects of the book before the change, empty for a new book.
+ * @param {Array} [nextSubjectIds=[]] - The subjects of the book after the change, empty for a deleted book.
+ * @returns {Promise<Array>} - A promise that resolves once the counts are updated.
+ */
+const updateSubjectsBooksCount = async (
+    previousSubjectIds = [],
+    nextSubjectIds = []
+) => {
+    const [previous, next] = await Promise.all([
+        getIdsWithAncestors(previousSubjectIds),
+        getIdsWithAncestors(nextSubjectIds),
+    ]);
+    const missingFrom = (ids, others) =>
+        ids.filter((id) => !others.includes(id));
+
+    return Promise.all([
+        SubjectsModel.updateMany(
+            { _id: { $in: missingFrom(previous, next) } },
+            { $inc: { booksCount: -1 } }
+        ),
+        SubjectsModel.updateMany(
+            { _id: { $in: missingFrom(next, previous) } },
+            { $inc: { booksCount: 1 } }
+        ),
+    ]);
+};
+
+/**
+ * recountSubjectsBooksCount - Service function to count again the books of subjects and of all their
+ * descendants, after the taxonomy changed under them.
+ *
+ * @param {Array} [subjectIds] - The IDs of the subjects to count, every subject if none.
+ * @param {Object} [session] - The Mongoose session of a running transaction to count the books in.
+ * @returns {Promise<void>}
+ */
+const recountSubjectsBooksCount = async (subjectIds, session = null) => {
+    const subjects = await SubjectsModel.find(
+        subjectIds ? { _id: { $in: subjectIds } } : {}
+    )
+        .select('_id')
+        .session(session)
+        .lean();
+
+    for (const { _id } of subjects) {
+        const descendantIds = await SubjectsModel.distinct('_id', {
+            ancestors: _id,
+        }).session(session);
+        const booksCount = await BooksModel.countDocuments({
+            subject: { $in: [_id, ...descendantIds] },
+        }).session(session);
+
+        await SubjectsModel.updateOne({ _id }, { booksCount }, { session });
+    }
+};
+
+/**
+ * getDescendantSubjectIds - Service function to get the IDs of subjects together with the IDs of all their
+ * descendants, to find the books of subjects including the ones of their sub-subjects.
+ *
+ * @param {Array<string>} subjectIds - The IDs of the subjects.
+ * @returns {Promise<Array<string>>} - The IDs of the subjects and of their descendants.
+ */
+const getDescendantSubjectIds = async (subjectIds) => {
+    const descendantIds = await SubjectsModel.distinct('_id', {
+        ancestors: { $in: subjectIds },
+    });
+
+    return [...new Set([...subjectIds, ...descendantIds.map(String)])];
+};
+
+/**
+ * moveChildSubjects - Service function to move the children of subjects merged into another one under that
+ * subject, together with their descendants. Children in the trash are moved too, so they are restored under it.
+ *
+ * @param {Array<string>} sourceIds - The IDs of the merged subjects.
+ * @param {string} targetId - The ID of the subject they are merged into.
+ * @param {Object} [session] - The Mongoose session of a running transaction to move the children in.
+ * @returns {Promise<void>}
+ */
+const moveChildSubjects = async (sourceIds, targetId, session = null) => {
+    const ancestors = await getAncestorsUnder(targetId, session);
+    const children = await SubjectsModel.find({
+        parent: { $in: sourceIds },
+        _id: { $nin: sourceIds },
+    })
+        .setOptions({ withDeleted: true })
+        .select('_id')
+        .session(session)
+        .lean();
+
+    for (const child of children) {
+        await moveSubject(child._id, targetId, ancestors, session);
+    }
+};
+
 const subjectListParamsMapping = {};
 
 /**
@@ -59,6 +271,48 @@ const createSubject = async (requester, newSubjectData) => {
             );
         }
 
+        const { classification } = newSubjectData;
+        if (
+            classification &&
+            (await SubjectsModel.exists({
+                'classification.scheme': classification.scheme,
+                'classification.code': classification.code,
+            }))
+        ) {
+            return sendResponse(
+                {},
+                `Classification code "${classification.code}" already exists.`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const trashConflict =
+            (await service.getTrashConflict(
+                SubjectsModel,
+                { name: newSubjectData.name },
+                'subject'
+            )) ||
+            (classification &&
+                (await service.getTrashConflict(
+                    SubjectsModel,
+                    {
+                        'classification.scheme': classification.scheme,
+                        'classification.code': classification.code,
+                    },
+                    'subject'
+                )));
+        if (trashConflict) return trashConflict;
+
+        // A subject placed under a parent takes its ancestors
+        const ancestors = await getAncestorsUnder(newSubjectData.parent);
+        if (!ancestors) {
+            return errorResponse(
+                `Invalid parent subject ID: ${newSubjectData.parent}`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        newSubjectData.ancestors = ancestors;
         newSubjectData.createdBy = requester;
 
         const newSubject = await SubjectsModel.create(newSubjectData);
@@ -127,6 +381,15 @@ const getSubjects = async (params) => {
                     as: 'updatedBy', // Output array name
                 },
             },
+            {
+                // Lookup stage to get the ancestors of each subject for its breadcrumb
+                $lookup: {
+                    from: 'subjects',
+                    localField: 'ancestors',
+                    foreignField: '_id',
+                    as: 'ancestorSubjects',
+                },
+            },
             {
                 // Unwind createdBy and updatedBy fields to convert them from arrays to objects
                 $unwind: {
@@ -145,6 +408,42 @@ const getSubjects = async (params) => {
                 $project: {
                     _id: 1,
                     name: 1,
+                    parent: 1,
+                    classification: 1,
+                    // The lookup loses the order of the ancestors, so they are put back in the order of their IDs
+                    breadcrumb: {
+                        $map: {
+                            input: { $ifNull: ['$ancestors', []] },
+                            as: 'ancestorId',
+                            in: {
+                                $let: {
+                                    vars: {
+                                        ancestor: {
+                                            $arrayElemAt: [
+                                                {
+                                                    $filter: {
+                                                        input: '$ancestorSubjects',
+                                                        cond: {
+                                                            $eq: [
+                                                                '$$this._id',
+                                                                '$$ancestorId',
+                                                            ],
+                                                        },
+                                                    },
+                                                },
+                                                0,
+                                            ],
+                                        },
+                                    },
+                                    in: {
+                                        _id: '$$ancestor._id',
+                                        name: '$$ancestor.name',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    booksCount: 1,
                     isActive: 1,
                     createdBy: {
                         _id: 1,
@@ -173,7 +472,7 @@ const getSubjects = async (params) => {
         const total = subjectsWithBookCounts[0]?.total[0]?.total || 0;
 
         if (!total) {
-            return sendResponse({}, 'No subjects found.', httpStatus.OK);
+            return sendResponse([], 'No subjects found.', httpStatus.OK);
         }
 
         return sendResponse(
@@ -196,18 +495,95 @@ const getSubjects = async (params) => {
 
 /**
  * getSubjectById - Service function to retrieve a subject by its ID. This function fetches the subject,
- * populates the necessary fields, and returns the subject.
+ * populates the necessary fields, and returns the subject with its breadcrumb, the ancestors from the
+ * top-level subject down to its parent, and its children.
  *
  * @param {String} subjectId - The ID of the subject to retrieve.
  * @returns {Promise<Object>} - The retrieved subject or an error response.
  */
 const getSubjectById = async (subjectId) => {
-    return service.getResourceById(
-        SubjectsModel,
-        populateSubjectFields,
-        subjectId,
-        'subject'
-    );
+    try {
+        const subject = await populateSubjectFields(
+            SubjectsModel.findById(subjectId).lean()
+        );
+        if (!subject) {
+            return errorResponse('Subject not found.', httpStatus.NOT_FOUND);
+        }
+
+        const [breadcrumb, children] = await Promise.all([
+            SubjectsModel.find({ _id: { $in: subject.ancestors ?? [] } })
+                .select('name classification')
+                .lean(),
+            SubjectsModel.find({ parent: subject._id })
+                .select('name classification booksCount isActive')
+                .lean(),
+        ]);
+
+        // The ancestors are found in any order, so they are put back in the order of their IDs
+        const ancestorIds = (subject.ancestors ?? []).map(String);
+        breadcrumb.sort(
+            (a, b) =>
+                ancestorIds.indexOf(String(a._id)) -
+                ancestorIds.indexOf(String(b._id))
+        );
+
+        return sendResponse(
+            {
+                ...subject,
+                breadcrumb,
+                children: children.sort(compareSubjects),
+            },
+            'Subject fetched successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get subject: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get subject.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * getSubjectTree - Service function to retrieve the taxonomy of subjects as a tree, or the branch under a
+ * subject. Each subject holds its children, ordered by classification code, then by name.
+ *
+ * @param {Object} params - The query parameters, with the optional ID of the subject to start the branch at.
+ * @returns {Promise<Object>} - The top-level subjects of the tree, or the subject of the branch, or an error response.
+ */
+const getSubjectTree = async (params) => {
+    try {
+        const { root } = params;
+
+        const subjects = await SubjectsModel.find(
+            root ? { $or: [{ _id: root }, { ancestors: root }] } : {}
+        )
+            .select('name parent classification booksCount isActive')
+            .lean();
+
+        if (root && !subjects.length) {
+            return errorResponse('Subject not found.', httpStatus.NOT_FOUND);
+        }
+        if (!subjects.length) {
+            return sendResponse([], 'No subjects found.', httpStatus.OK);
+        }
+
+        // The parent of the subject of a branch is left out, so it becomes the only root
+        return sendResponse(
+            buildTree(subjects, compareSubjects),
+            'Subject tree fetched successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to fetch subject tree: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to fetch subject tree.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
 };
 
 /**
@@ -228,12 +604,58 @@ const updateSubject = async (requester, subjectId, updateData) => {
             );
         }
 
-        updateData.updatedBy = requester;
+        const { parent, ...subjectData } = updateData;
+
+        const subject = await SubjectsModel.findById(subjectId)
+            .select('parent ancestors')
+            .lean();
+        if (!subject) {
+            return sendResponse({}, 'Subject not found.', httpStatus.NOT_FOUND);
+        }
+
+        // Check the new place of the subject before changing anything, a subject cannot be moved under itself
+        const isMoved =
+            parent !== undefined &&
+            String(parent ?? '') !== String(subject.parent ?? '');
+        const ancestors = isMoved ? await getAncestorsUnder(parent) : null;
+        if (isMoved && !ancestors) {
+            return errorResponse(
+                `Invalid parent subject ID: ${parent}`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+        if (isMoved && ancestors.some((id) => id.equals(subject._id))) {
+            return errorResponse(
+                'A subject cannot be moved under itself or one of its descendants.',
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const trashConflict =
+            (subjectData.name &&
+                (await service.getTrashConflict(
+                    SubjectsModel,
+                    { name: subjectData.name },
+                    'subject'
+                ))) ||
+            (subjectData.classification &&
+                (await service.getTrashConflict(
+                    SubjectsModel,
+                    {
+                        'classification.scheme':
+                            subjectData.classification.scheme,
+                        'classification.code': subjectData.classification.code,
+                    },
+                    'subject'
+                )));
+        if (trashConflict) return trashConflict;
+
+        subjectData.updatedBy = requester;
 
         // Attempt to update the subject
         const updatedSubject = await SubjectsModel.findByIdAndUpdate(
             subjectId,
-            updateData,
+            subjectData,
             { new: true, runValidators: true }
         );
 
@@ -241,6 +663,20 @@ const updateSubject = async (requester, subjectId, updateData) => {
             return sendResponse({}, 'Subject not found.', httpStatus.NOT_FOUND);
         }
 
+        // The ancestors the subject leaves lose its books and the ones it joins gain them
+        if (isMoved) {
+            await moveSubject(subject._id, parent, ancestors);
+            await recountSubjectsBooksCount([
+                ...(subject.ancestors ?? []),
+                ...ancestors,
+            ]);
+        }
+
+        // The name is indexed with the books of the subject
+        if (updateData.name) {
+            await bookSearchService.indexBooks({ subject: subjectId });
+        }
+
         // Optionally populate if necessary (could be omitted based on requirements)
         const populatedSubject = await populateSubjectFields(
             SubjectsModel.findById(updatedSubject._id)
@@ -260,12 +696,14 @@ const updateSubject = async (requester, subjectId, updateData) => {
             httpStatus.OK
         );
     } catch (error) {
-        // Handle specific errors, like duplicate names, here
+        // Handle specific errors, like duplicate names and classification codes, here
         if (error.code === 11000) {
             // MongoDB duplicate key error
             return sendResponse(
                 {},
-                `Subject name "${updateData.name}" already exists.`,
+                error.keyPattern?.name
+                    ? `Subject name "${updateData.name}" already exists.`
+                    : `Classification code "${updateData.classification?.code}" already exists.`,
                 httpStatus.BAD_REQUEST
             );
         }
@@ -279,57 +717,260 @@ const updateSubject = async (requester, subjectId, updateData) => {
     }
 };
 
+/**
+ * Helper function to delete subjects with a shared service, once none of them has children left. The ancestors
+ * of the deleted subjects are counted again, as they no longer count the books of the deleted subjects.
+ *
+ * @param {Array<String>} subjectIds - The IDs of the subjects to delete.
+ * @param {Function} deleteResources - The shared deletion of the subjects.
+ * @returns {Promise<Object>} - The result of the deletion process or an error response.
+ */
+const deleteLeafSubjects = async (subjectIds, deleteResources) => {
+    try {
+        const hasChildren = await SubjectsModel.exists({
+            parent: { $in: subjectIds },
+            _id: { $nin: subjectIds },
+        });
+        if (hasChildren) {
+            return errorResponse(
+                'Subjects with sub-subjects cannot be deleted. Please move or delete their sub-subjects first.',
+                httpStatus.CONFLICT
+            );
+        }
+
+        const ancestorIds = await SubjectsModel.distinct('ancestors', {
+            _id: { $in: subjectIds },
+        });
+
+        const response = await deleteResources();
+
+        if (response.success && ancestorIds.length) {
+            await recountSubjectsBooksCount(ancestorIds);
+        }
+
+        return response;
+    } catch (error) {
+        loggerService.error(`Failed to delete subject: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to delete subject.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
 /**
  * deleteSubjects - Service function to delete a list of subjects by their IDs. This function utilizes a
- * shared service to handle the deletion process.
+ * shared service to handle the deletion process. Subjects whose sub-subjects are not deleted with them are
+ * refused.
  *
  * @param {Object} requester - The user deleting the subjects.
  * @param {Array<String>} subjectIds - The IDs of the subjects to delete.
  * @returns {Promise<Object>} - The result of the deletion process or an error response.
  */
 const deleteSubjects = async (requester, subjectIds) => {
-    return await service.deleteResourcesByList(
-        requester,
-        SubjectsModel,
-        subjectIds,
-        'subject'
+    return deleteLeafSubjects(subjectIds, () =>
+        service.deleteResourcesByList(
+            requester,
+            SubjectsModel,
+            subjectIds,
+            'subject'
+        )
     );
 };
 
 /**
  * deleteSubject - Service function to delete a subject by its ID. This function utilizes a shared service
- * to handle the deletion process.
+ * to handle the deletion process. A subject with sub-subjects is refused.
  *
  * @param {Object} requester - The user deleting the subject.
  * @param {String} subjectId - The ID of the subject to delete.
  * @returns {Promise<Object>} - The result of the deletion process or an error response.
  */
 const deleteSubject = async (requester, subjectId) => {
-    return service.deleteResourceById(
-        requester,
-        SubjectsModel,
-        subjectId,
-        'subject'
+    return deleteLeafSubjects([subjectId], () =>
+        service.deleteResourceById(
+            requester,
+            SubjectsModel,
+            subjectId,
+            'subject'
+        )
+    );
+};
+
+/**
+ * Helper function to find the subject a node of an imported taxonomy stands for, by its classification code
+ * when it has one, otherwise by its name.
+ *
+ * @param {Object} node - The node of the taxonomy.
+ * @returns {Promise<Object|null>} - The subject, or null if it does not exist yet.
+ */
+const findTaxonomySubject = async (node) => {
+    const byCode =
+        node.classification &&
+        (await SubjectsModel.findOne({
+            'classification.scheme': node.classification.scheme,
+            'classification.code': node.classification.code,
+        })
+            .select('name parent')
+            .lean());
+
+    return (
+        byCode ||
+        SubjectsModel.findOne({ name: node.name }).select('name parent').lean()
     );
 };
 
+/**
+ * importSubjectTaxonomy - Service function to import a taxonomy of subjects in bulk, such as the classes of a
+ * classification. The subjects are given as nested nodes, each with its name, optional classification code
+ * and children. A node matching an existing subject, by classification code or by name, updates and moves it,
+ * the others are created. A node that fails is reported with its children left out, and the rest of the
+ * taxonomy is imported. The books of every subject are counted again once the taxonomy is imported.
+ *
+ * @param {Object} requester - The user importing the taxonomy.
+ * @param {Object} taxonomy - The nodes of the taxonomy, and the optional ID of the subject to import them under.
+ * @returns {Promise<Object>} - The numbers of subjects created and updated and the failed nodes, or an error response.
+ */
+const importSubjectTaxonomy = async (requester, taxonomy) => {
+    try {
+        const { parent, subjects } = taxonomy;
+
+        const rootAncestors = await getAncestorsUnder(parent);
+        if (!rootAncestors) {
+            return errorResponse(
+                `Invalid parent subject ID: ${parent}`,
+                httpStatus.BAD_REQUEST
+            );
+        }
+
+        const report = { created: 0, updated: 0, failed: [] };
+        const renamedIds = [];
+
+        const importNode = async (node, parentId, ancestors) => {
+            let subjectId;
+
+            try {
+                const subject = await findTaxonomySubject(node);
+
+                if (subject) {
+                    if (ancestors.some((id) => id.equals(subject._id))) {
+                        throw new Error(
+                            'A subject cannot be moved under itself or one of its descendants.'
+                        );
+                    }
+
+                    await SubjectsModel.updateOne(
+                        { _id: subject._id },
+                        {
+                            name: node.name,
+                            ...(node.classification && {
+                                classification: node.classification,
+                            }),
+                            updatedBy: requester,
+                        },
+                        { runValidators: true }
+                    );
+                    if (
+                        String(subject.parent ?? '') !== String(parentId ?? '')
+                    ) {
+                        await moveSubject(subject._id, parentId, ancestors);
+                    }
+                    if (subject.name !== node.name) {
+                        renamedIds.push(subject._id);
+                    }
+
+                    subjectId = subject._id;
+                    report.updated += 1;
+                } else {
+                    const newSubject = await SubjectsModel.create({
+                        name: node.name,
+                        classification: node.classification,
+                        parent: parentId ?? null,
+                        ancestors,
+                        createdBy: requester,
+                    });
+
+                    subjectId = newSubject._id;
+                    report.created += 1;
+                }
+            } catch (error) {
+                report.failed.push({ name: node.name, error: error.message });
+
+                return;
+            }
+
+            for (const child of node.children ?? []) {
+                await importNode(child, subjectId, [...ancestors, subjectId]);
+            }
+        };
+
+        for (const node of subjects) {
+            await importNode(node, parent, rootAncestors);
+        }
+
+        if (report.created || report.updated) {
+            await recountSubjectsBooksCount();
+        }
+
+        // The names are indexed with the books of the subjects
+        if (renamedIds.length) {
+            await bookSearchService.indexBooks({
+                subject: { $in: renamedIds },
+            });
+        }
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.CREATE,
+            description: `Subject taxonomy imported: ${report.created} subjects created and ${report.updated} updated.`,
+            details: JSON.stringify(report),
+        });
+
+        return sendResponse(
+            report,
+            `${report.created} subjects created, ${report.updated} updated and ${report.failed.length} failed.`,
+            httpStatus.CREATED
+        );
+    } catch (error) {
+        loggerService.error(`Failed to import subject taxonomy: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to import subject taxonomy.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
 /**
  * subjectsService - Object containing all the defined service functions for subjects management:
  *
  * - createSubject: Service function to create a new subject.
  * - getSubjects: Service function to retrieve a list of subjects based on provided parameters.
- * - getSubjectById: Service function to retrieve a subject by its ID.
- * - updateSubject: Service function to update a subject by its ID.
+ * - getSubjectById: Service function to retrieve a subject by its ID, with its breadcrumb and children.
+ * - getSubjectTree: Service function to retrieve the taxonomy of subjects, or a branch of it, as a tree.
+ * - updateSubject: Service function to update a subject by its ID, moving it in the taxonomy.
  * - deleteSubjects: Service function to delete a list of subjects by their IDs.
  * - deleteSubject: Service function to delete a subject by its ID.
+ * - importSubjectTaxonomy: Service function to import a taxonomy of subjects in bulk.
+ * - updateSubjectsBooksCount: Service function to update the booksCount of the subjects of a book and their ancestors.
+ * - recountSubjectsBooksCount: Service function to count again the books of subjects and their descendants.
+ * - getDescendantSubjectIds: Service function to get the IDs of subjects together with the IDs of their descendants.
+ * - moveChildSubjects: Service function to move the children of merged subjects under the subject they are merged into.
  */
 const subjectsService = {
     createSubject,
     getSubjects,
     getSubjectById,
+    getSubjectTree,
     updateSubject,
     deleteSubjects,
     deleteSubject,
+    importSubjectTaxonomy,
+    updateSubjectsBooksCount,
+    recountSubjectsBooksCount,
+    getDescendantSubjectIds,
+    moveChildSubjects,
 };
 
 export default subjectsService;
@@ -38,6 +38,36 @@ const getSubjects = validateWithSchema([
     },
 ]);
 
+/**
+ * getSubjectTree - Middleware function to validate the query parameters when retrieving the subject tree.
+ * This function ensures that the query parameters contain valid data according to the getSubjectTreeQuerySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getSubjectTree = validateWithSchema([
+    {
+        schema: subjectsSchema.getSubjectTreeQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * importSubjectTaxonomy - Middleware function to validate the request body when importing a taxonomy of subjects.
+ * This function ensures that the request body contains valid data according to the importSubjectTaxonomySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const importSubjectTaxonomy = validateWithSchema([
+    {
+        schema: subjectsSchema.importSubjectTaxonomySchema,
+        property: 'body',
+    },
+]);
+
 /**
  * getSubjectById - Middleware function to validate the request parameters when retrieving a subject by its ID.
  * This function ensures that the request parameters contain a valid subject ID according to the subjectIdParamSchema.
@@ -108,6 +138,8 @@ const deleteSubject = validateWithSchema([
  *
  * - createSubject: Middleware function to validate the request body when creating a new subject.
  * - getSubjects: Middleware function to validate the query parameters when retrieving a list of subjects.
+ * - getSubjectTree: Middleware function to validate the query parameters when retrieving the subject tree.
+ * - importSubjectTaxonomy: Middleware function to validate the request body when importing a taxonomy of subjects.
  * - getSubjectById: Middleware function to validate the request parameters when retrieving a subject by its ID.
  * - updateSubject: Middleware function to validate the request body and parameters when updating a subject by its ID.
  * - deleteSubjects: Middleware function to validate the query parameters when deleting a list of subjects.
@@ -116,6 +148,8 @@ const deleteSubject = validateWithSchema([
 const subjectsValidator = {
     createSubject,
     getSubjects,
+    getSubjectTree,
+    importSubjectTaxonomy,
     getSubjectById,
     updateSubject,
     deleteSubjects,
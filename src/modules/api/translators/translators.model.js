@@ -10,6 +10,8 @@ import mongoose from 'mongoose';
 
 import translatorsConstants from './translators.constant.js';
 import sharedSchema from '../../../shared/schema.js';
+import softDeletePlugin from '../../../shared/softDeletePlugin.js';
+import revisionPlugin from '../../../shared/revisionPlugin.js';
 
 /**
  * Schema for storing translator data with automatic timestamping for creation and updates.
@@ -92,7 +94,17 @@ const translatorSchema = new mongoose.Schema(
 // Create a unique index on the name field
 translatorSchema.index({ name: 1 }, { unique: true });
 
+// Move deleted translators to the trash, from which they can be restored until they are purged
+translatorSchema.plugin(softDeletePlugin);
+
+// Keep the changes of translators as revisions, leaving out the count of their books and the image,
+// whose files are deleted when it is replaced, so a rollback cannot bring it back
+translatorSchema.plugin(revisionPlugin, {
+    ignoredFields: ['booksCount', 'image'],
+});
+
 const TranslatorsModel =
-    mongoose.models.Translators || mongoose.model('Translators', translatorSchema);
+    mongoose.models.Translators ||
+    mongoose.model('Translators', translatorSchema);
 
 export default TranslatorsModel;
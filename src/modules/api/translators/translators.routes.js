@@ -8,6 +8,7 @@
 import express from 'express';
 
 import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import mergeRedirectMiddleware from '../../../middleware/mergeRedirect.middleware.js';
 import translatorsValidator from './translators.validator.js';
 import cacheMiddleware from '../../../middleware/cache.middleware.js';
 import configuration from '../../../configuration/configuration.js';
@@ -15,6 +16,7 @@ import uploadMiddleware from '../../../middleware/upload.middleware.js';
 import translatorsController from './translators.controller.js';
 import methodNotSupported from '../../../shared/methodNotSupported.js';
 import routesConstants from '../../../constant/routes.constants.js';
+import mergesConstants from '../merges/merges.constant.js';
 import accessTypesConstants from '../../../constant/accessTypes.constants.js';
 
 const router = express.Router();
@@ -49,6 +51,8 @@ const router = express.Router();
  *         description: Translator created successfully.
  *       400:
  *         description: Invalid input, object invalid.
+ *       409:
+ *         description: A translator in the trash has the same name, restore it instead.
  *     tags:
  *       - Translator Management
  *   get:
@@ -89,7 +93,7 @@ const router = express.Router();
  *                   type: string
  *     responses:
  *       200:
- *         description: Translators deleted successfully.
+ *         description: Translators moved to trash until restored or purged.
  *     tags:
  *       - Translator Management
  *   all:
@@ -134,7 +138,7 @@ router
  * /translators/{id}:
  *   get:
  *     summary: Retrieves a translator by ID.
- *     description: Provides detailed information about a translator identified by their ID.
+ *     description: Provides detailed information about a translator identified by their ID. The ID of a translator merged into another one resolves to the translator it was merged into, whose URL is given in the Content-Location header.
  *     parameters:
  *       - in: path
  *         name: id
@@ -183,6 +187,8 @@ router
  *     responses:
  *       200:
  *         description: Translator updated successfully.
+ *       409:
+ *         description: A translator in the trash has the same name, restore it instead.
  *     tags:
  *       - Translator Management
  *   delete:
@@ -199,7 +205,7 @@ router
  *         description: Unique identifier of the translator to be deleted.
  *     responses:
  *       200:
- *         description: Translator deleted successfully.
+ *         description: Translator moved to trash until restored or purged.
  *     tags:
  *       - Translator Management
  *   all:
@@ -214,6 +220,10 @@ router
     .route(`/:${routesConstants.translators.params}`)
     .get(
         translatorsValidator.getTranslator,
+        mergeRedirectMiddleware(
+            mergesConstants.types.TRANSLATORS,
+            routesConstants.translators.params
+        ),
         translatorsController.getTranslator,
         cacheMiddleware.create(configuration.cache.timeout)
     )
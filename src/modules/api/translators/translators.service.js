@@ -1,11 +1,9 @@
 /**
  * @fileoverview This module defines the service functions for managing translator-related operations.
  * It includes functions for creating, retrieving, updating, and deleting translator records.
- * The service handles validation, file uploads to Google Drive, and logging of admin activities.
+ * The service handles validation, image processing and uploads to the configured storage provider, and logging of admin activities.
  */
 
-import { v2 as cloudinary } from 'cloudinary';
-
 import TranslatorsModel from './translators.model.js';
 import httpStatus from '../../../constant/httpStatus.constants.js';
 import mimeTypesConstants from '../../../constant/mimeTypes.constants.js';
@@ -15,13 +13,14 @@ import loggerService from '../../../service/logger.service.js';
 import service from '../../../shared/service.js';
 import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
 import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
-import configuration from '../../../configuration/configuration.js';
+import imageService from '../../../service/image.service.js';
 
 import isEmptyObject from '../../../utilities/isEmptyObject.js';
 import errorResponse from '../../../utilities/errorResponse.js';
 import sendResponse from '../../../utilities/sendResponse.js';
 import validateFile from '../../../utilities/validateFile.js';
 import BooksModel from '../books/books.model.js';
+import bookSearchService from '../books/search/bookSearch.service.js';
 
 /**
  * Populates translator fields with additional information.
@@ -68,6 +67,13 @@ const createTranslator = async (requester, translatorData, translatorImage) => {
             );
         }
 
+        const trashConflict = await service.getTrashConflict(
+            TranslatorsModel,
+            { name: translatorData.name },
+            'translator'
+        );
+        if (trashConflict) return trashConflict;
+
         // if (!translatorImage) {
         //     return errorResponse(
         //         'Please provide an image.',
@@ -90,21 +96,9 @@ const createTranslator = async (requester, translatorData, translatorImage) => {
                 );
             }
 
-            const file = translatorImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in update object
-            translatorImageData = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            translatorImageData =
+                await imageService.uploadImage(translatorImage);
         }
 
         translatorData.createdBy = requester;
@@ -131,7 +125,7 @@ const createTranslator = async (requester, translatorData, translatorImage) => {
 
         return errorResponse(
             error.message || 'Failed to create translator.',
-            httpStatus.INTERNAL_SERVER_ERROR
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
@@ -154,7 +148,7 @@ const getTranslators = async (params) => {
                 $lookup: {
                     from: 'books', // Name of the books collection
                     localField: '_id', // Translator ID in the Translators collection
-                    foreignField: 'translator', // Reference field in the Books collection
+                    foreignField: 'contributors.translator', // Reference field in the contributors of the Books collection
                     as: 'books', // Output array name
                 },
             },
@@ -261,7 +255,7 @@ const getTranslator = async (translatorId) => {
                 $lookup: {
                     from: BooksModel.collection.name, // Make sure this is the correct collection name
                     localField: '_id',
-                    foreignField: 'translator',
+                    foreignField: 'contributors.translator',
                     as: 'books',
                 },
             },
@@ -337,6 +331,15 @@ const updateTranslator = async (requester, translatorId, updateData, translatorI
             );
         }
 
+        if (updateData.name) {
+            const trashConflict = await service.getTrashConflict(
+                TranslatorsModel,
+                { name: updateData.name },
+                'translator'
+            );
+            if (trashConflict) return trashConflict;
+        }
+
         // if (!translatorImage) {
         //     return errorResponse(
         //         'Please provide an image.',
@@ -358,21 +361,9 @@ const updateTranslator = async (requester, translatorId, updateData, translatorI
                 );
             }
 
-            const file = translatorImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in update object
-            const translatorImageData = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            const translatorImageData =
+                await imageService.uploadImage(translatorImage);
 
             if (translatorImageData) {
                 updateData.image = translatorImageData;
@@ -381,14 +372,24 @@ const updateTranslator = async (requester, translatorId, updateData, translatorI
 
         updateData.updatedBy = requester;
 
-        const updatedTranslator = await TranslatorsModel.findByIdAndUpdate(
+        const updatedTranslator = await service.updateResourceWithImage(
+            TranslatorsModel,
             translatorId,
-            updateData,
-            {
-                new: true,
-            }
+            updateData.image,
+            () =>
+                TranslatorsModel.findByIdAndUpdate(translatorId, updateData, {
+                    new: true,
+                }),
+            'translator'
         );
 
+        // The name is indexed with the books of the translator
+        if (updateData.name) {
+            await bookSearchService.indexBooks({
+                'contributors.translator': translatorId,
+            });
+        }
+
         await AdminActivityLoggerModel.create({
             user: requester,
             action: adminActivityLoggerConstants.actionTypes.UPDATE,
@@ -407,7 +408,7 @@ const updateTranslator = async (requester, translatorId, updateData, translatorI
 
         return errorResponse(
             error.message || 'Failed to update translator.',
-            httpStatus.INTERNAL_SERVER_ERROR
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview This file defines constants for the trash, which holds the deleted catalog entries until they
+ * are restored or purged. It includes the types of entries that are moved to the trash when deleted.
+ */
+
+/**
+ * types - The types of entries moved to the trash when deleted, as named in the requests to the trash.
+ */
+const types = {
+    BOOKS: 'books',
+    WRITERS: 'writers',
+    TRANSLATORS: 'translators',
+    PUBLICATIONS: 'publications',
+    SUBJECTS: 'subjects',
+    PRONOUNS: 'pronouns',
+    FAQS: 'faqs',
+};
+
+/**
+ * trashConstants - An object containing constants for the trash:
+ *
+ * - types: The types of entries moved to the trash when deleted.
+ */
+const trashConstants = {
+    types,
+};
+
+export default trashConstants;
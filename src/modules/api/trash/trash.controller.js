@@ -0,0 +1,40 @@
+/**
+ * @fileoverview This file defines the controller functions for the trash. These functions handle the
+ * listing of the deleted catalog entries and their restoration by interacting with the trash service.
+ * Each function utilizes a shared controller to streamline the handling of the requests.
+ */
+
+import trashService from './trash.service.js';
+import controller from '../../../shared/controller.js';
+
+/**
+ * trashController - Object containing all the defined controller functions for the trash:
+ *
+ * - getTrashList: Controller function to handle the retrieval of the entries of a type in the trash.
+ * - restoreTrashItems: Controller function to handle the restoration of entries from the trash.
+ */
+const trashController = {
+    /**
+     * getTrashList - Controller function to handle the retrieval of the entries of a type in the trash. This
+     * function delegates the retrieval logic to the trash service and uses a shared controller method to
+     * handle the request and response.
+     *
+     * @param {Object} req - The request object containing the query parameters.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    getTrashList: controller.getList(trashService, 'getTrashList'),
+
+    /**
+     * restoreTrashItems - Controller function to handle the restoration of entries from the trash. This
+     * function delegates the restoration logic to the trash service and uses a shared controller method to
+     * handle the request and response.
+     *
+     * @param {Object} req - The request object containing the type and IDs of the entries to restore.
+     * @param {Object} res - The response object to send the result or error.
+     * @param {Function} next - The next middleware function in the stack.
+     */
+    restoreTrashItems: controller.create(trashService, 'restoreTrashItems'),
+};
+
+export default trashController;
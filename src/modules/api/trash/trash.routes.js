@@ -0,0 +1,119 @@
+/**
+ * @fileoverview This file defines the routes for the trash using Express. It includes routes for listing
+ * the deleted catalog entries and for restoring them before they are purged, and applies various
+ * middlewares for authentication, validation, and method support.
+ */
+
+import express from 'express';
+
+import trashController from './trash.controller.js';
+import trashValidator from './trash.validator.js';
+import methodNotSupported from '../../../shared/methodNotSupported.js';
+import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import routesConstants from '../../../constant/routes.constants.js';
+import accessTypesConstants from '../../../constant/accessTypes.constants.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /trash:
+ *   get:
+ *     summary: Retrieves the entries of a type in the trash.
+ *     description: Returns the deleted books, writers, translators, publications, subjects, pronouns or FAQs, the most recently deleted first, with the admin who deleted them. Entries stay in the trash for the configured retention period, 30 days by default, before they are purged together with their images. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [books, writers, translators, publications, subjects, pronouns, faqs]
+ *         description: The type of the entries to list.
+ *       - in: query
+ *         name: deletedBy
+ *         schema:
+ *           type: string
+ *         description: Only return the entries deleted by this admin.
+ *     responses:
+ *       200:
+ *         description: Entries in the trash retrieved successfully.
+ *       404:
+ *         description: No entries of this type in the trash.
+ *     tags:
+ *       - Trash Management
+ *   all:
+ *     summary: Handles unsupported methods for the trash route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Trash Management
+ */
+router
+    .route('/')
+    .get(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.trash.permissions.getList
+        ),
+        trashValidator.getTrashList,
+        trashController.getTrashList
+    )
+    .all(methodNotSupported);
+
+/**
+ * @openapi
+ * /trash/restore:
+ *   post:
+ *     summary: Restores entries from the trash.
+ *     description: Restores deleted entries of a type before they are purged. Restored books are counted again in their subjects, contributors, series and publication and become searchable again, and restored subjects are counted again in their ancestors. A subject cannot be restored while its parent is in the trash. This endpoint is accessible only to users with admin permissions.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [books, writers, translators, publications, subjects, pronouns, faqs]
+ *                 description: The type of the entries to restore.
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The IDs of the entries to restore, at most 100.
+ *     responses:
+ *       200:
+ *         description: Entries restored, with the numbers of entries restored and not found in the trash.
+ *       404:
+ *         description: None of the entries is in the trash.
+ *       409:
+ *         description: The parent of a subject to restore is in the trash.
+ *     tags:
+ *       - Trash Management
+ *   all:
+ *     summary: Handles unsupported methods for the trash restore route.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - Trash Management
+ */
+router
+    .route('/restore')
+    .post(
+        authenticateMiddleware(
+            accessTypesConstants.ADMIN,
+            routesConstants.trash.permissions.restore
+        ),
+        trashValidator.restoreTrashItems,
+        trashController.restoreTrashItems
+    )
+    .all(methodNotSupported);
+
+export default router;
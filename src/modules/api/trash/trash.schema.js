@@ -0,0 +1,75 @@
+/**
+ * @fileoverview This file defines the Joi schemas for validating the requests to the trash. The schemas
+ * validate the type of the entries listed or restored, the pagination and sorting of the list, and the IDs
+ * of the entries to restore.
+ */
+
+import Joi from 'joi';
+
+import trashConstants from './trash.constant.js';
+import customValidationMessage from '../../../shared/customValidationMessage.js';
+import validationService from '../../../service/validation.service.js';
+
+/**
+ * trashSchemaBase - Base Joi schema for validating the fields of the requests to the trash. This schema includes:
+ *
+ * - type: String (one of the types of entries moved to the trash)
+ * - page: String (minLength, custom parsing to integer)
+ * - limit: String (minLength, maxLength, default value, custom parsing to integer)
+ * - sort: String (trimmed, default value, the most recently deleted first)
+ * - deletedBy: ObjectId
+ */
+const trashSchemaBase = Joi.object({
+    type: Joi.string()
+        .valid(...Object.values(trashConstants.types))
+        .messages(customValidationMessage)
+        .description('The type of the entries in the trash.'),
+    page: Joi.string()
+        .min(1)
+        .custom((value, helpers) => parseInt(value)),
+    limit: Joi.string()
+        .min(1)
+        .max(100)
+        .default(10)
+        .custom((value, helpers) => parseInt(value)),
+    sort: Joi.string().trim().default('-deletedAt'),
+    deletedBy: validationService.objectIdField.description(
+        'Only return the entries deleted by this admin.'
+    ),
+}).strict();
+
+/**
+ * getTrashQuerySchema - Joi schema for validating query parameters when retrieving the entries of a type in the
+ * trash. The type is required, and the most recently deleted entries come first by default.
+ */
+const getTrashQuerySchema = trashSchemaBase.fork(['type'], (field) =>
+    field.required()
+);
+
+/**
+ * restoreTrashSchema - Joi schema for validating the entries to restore from the trash, given by their type and IDs.
+ */
+const restoreTrashSchema = Joi.object({
+    type: trashSchemaBase.extract('type').required(),
+    ids: Joi.array()
+        .items(validationService.objectIdField)
+        .min(1)
+        .max(100)
+        .unique()
+        .required()
+        .messages(customValidationMessage)
+        .description('The IDs of the entries to restore.'),
+}).strict();
+
+/**
+ * trashSchema - Object containing all the defined Joi schemas for trash validation:
+ *
+ * - getTrashQuerySchema: Schema for validating query parameters when retrieving the entries in the trash.
+ * - restoreTrashSchema: Schema for validating the entries to restore from the trash.
+ */
+const trashSchema = {
+    getTrashQuerySchema,
+    restoreTrashSchema,
+};
+
+export default trashSchema;
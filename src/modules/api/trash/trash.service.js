@@ -0,0 +1,262 @@
+/**
+ * @fileoverview This file defines the service functions for the trash, which holds the deleted books, writers,
+ * translators, publications, subjects, pronouns and FAQs. The entries of each type are listed with the admin who
+ * deleted them, and can be restored until the retention period of the trash is over. Expired entries are purged
+ * by a scheduled task, together with their stored images and the data that only makes sense with them.
+ */
+
+import trashConstants from './trash.constant.js';
+import BooksModel from '../books/books.model.js';
+import booksService from '../books/books.service.js';
+import WritersModel from '../writers/writers.model.js';
+import TranslatorsModel from '../translators/translators.model.js';
+import PublicationsModel from '../publications/publications.model.js';
+import SubjectsModel from '../subjects/subjects.model.js';
+import subjectsService from '../subjects/subjects.service.js';
+import PronounsModel from '../pronouns/pronouns.model.js';
+import FaqsModel from '../site/faqs/faqs.model.js';
+import configuration from '../../../configuration/configuration.js';
+import httpStatus from '../../../constant/httpStatus.constants.js';
+import loggerService from '../../../service/logger.service.js';
+import service from '../../../shared/service.js';
+import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
+import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
+
+import errorResponse from '../../../utilities/errorResponse.js';
+import sendResponse from '../../../utilities/sendResponse.js';
+
+const { types } = trashConstants;
+
+/**
+ * Helper function to refuse restoring subjects whose parent is still in the trash, unless the parent is restored
+ * with them, as they would otherwise be restored outside the taxonomy.
+ *
+ * @param {Array<Object>} subjects - The subjects to restore.
+ * @returns {Promise<string|undefined>} - The reason the subjects cannot be restored, if any.
+ */
+const checkSubjectsRestore = async (subjects) => {
+    const restoredIds = subjects.map((subject) => String(subject._id));
+    const parentIds = subjects
+        .map((subject) => subject.parent)
+        .filter((parent) => parent && !restoredIds.includes(String(parent)));
+
+    const trashedParents = await SubjectsModel.find({
+        _id: { $in: parentIds },
+        deletedAt: { $ne: null },
+    })
+        .select('name')
+        .lean();
+
+    if (trashedParents.length) {
+        return `Please restore the parent subjects first: ${trashedParents.map((parent) => parent.name).join(', ')}`;
+    }
+};
+
+/**
+ * The types of entries moved to the trash when deleted. Each has its model and resource name, and optionally
+ * checks the entries before they are restored, updates the data derived from them once restored, and removes
+ * the data that belongs to them before they are purged.
+ */
+const trashableResources = {
+    [types.BOOKS]: {
+        Model: BooksModel,
+        resourceType: 'book',
+        afterRestore: booksService.countRestoredBooks,
+        beforePurge: booksService.purgeBooks,
+    },
+    [types.WRITERS]: { Model: WritersModel, resourceType: 'writer' },
+    [types.TRANSLATORS]: {
+        Model: TranslatorsModel,
+        resourceType: 'translator',
+    },
+    [types.PUBLICATIONS]: {
+        Model: PublicationsModel,
+        resourceType: 'publication',
+    },
+    [types.SUBJECTS]: {
+        Model: SubjectsModel,
+        resourceType: 'subject',
+        checkRestore: checkSubjectsRestore,
+        // The subjects and their ancestors count the books of the restored subjects again
+        afterRestore: (subjects) =>
+            subjectsService.recountSubjectsBooksCount(
+                subjects.flatMap((subject) => [
+                    subject._id,
+                    ...(subject.ancestors ?? []),
+                ])
+            ),
+    },
+    [types.PRONOUNS]: { Model: PronounsModel, resourceType: 'pronoun' },
+    [types.FAQS]: { Model: FaqsModel, resourceType: 'faq' },
+};
+
+/**
+ * Helper function to populate the admin who deleted the entries of the trash.
+ *
+ * @param {Object} query - The Mongoose query object.
+ * @returns {Promise<Object>} - The query result with populated fields.
+ */
+const populateTrashFields = async (query) => {
+    return await query.populate({
+        path: 'deletedBy',
+        select: 'name image department designation isActive',
+    });
+};
+
+/**
+ * getTrashList - Service function to retrieve the entries of a type in the trash, the most recently deleted
+ * first by default.
+ *
+ * @param {string} requester - The ID of the admin requesting the list.
+ * @param {Object} params - The type of the entries, and the query parameters for filtering and pagination.
+ * @returns {Promise<Object>} - The list of entries in the trash or an error response.
+ */
+const getTrashList = async (requester, params) => {
+    const { type, ...listParams } = params;
+
+    return service.getResourceList(
+        trashableResources[type].Model,
+        populateTrashFields,
+        { ...listParams, deletedAt: { $ne: null } },
+        {},
+        `trashed ${type}`
+    );
+};
+
+/**
+ * restoreTrashItems - Service function to restore entries of a type from the trash. The restored entries are
+ * counted again wherever they were left out when moved to the trash.
+ *
+ * @param {string} requester - The ID of the admin restoring the entries.
+ * @param {Object} restoreData - The type and IDs of the entries to restore.
+ * @returns {Promise<Object>} - The numbers of entries restored and not found, or an error response.
+ */
+const restoreTrashItems = async (requester, restoreData) => {
+    try {
+        const { type, ids } = restoreData;
+        const { Model, checkRestore, afterRestore } = trashableResources[type];
+
+        const resources = await Model.find({
+            _id: { $in: ids },
+            deletedAt: { $ne: null },
+        }).lean();
+
+        if (!resources.length) {
+            return errorResponse(
+                `No trashed ${type} found for the provided IDs.`,
+                httpStatus.NOT_FOUND
+            );
+        }
+
+        const conflict = checkRestore && (await checkRestore(resources));
+        if (conflict) {
+            return errorResponse(conflict, httpStatus.CONFLICT);
+        }
+
+        const restoredIds = resources.map((resource) => resource._id);
+
+        await Model.updateMany(
+            { _id: { $in: restoredIds } },
+            { deletedAt: null, deletedBy: null, updatedBy: requester }
+        );
+
+        if (afterRestore) {
+            await afterRestore(resources);
+        }
+
+        const results = {
+            restored: restoredIds.length,
+            notFound: ids.length - restoredIds.length,
+        };
+
+        await AdminActivityLoggerModel.create({
+            user: requester,
+            action: adminActivityLoggerConstants.actionTypes.UPDATE,
+            description: `${results.restored} ${type} restored from trash.`,
+            details: JSON.stringify({ type, ...results }),
+            affectedId: restoredIds,
+        });
+
+        return sendResponse(
+            results,
+            `Restored ${results.restored}: Not found ${results.notFound}`,
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to restore trashed entries: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to restore trashed entries.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Purges the entries kept in the trash for longer than its retention period, together with their stored images.
+ * Each type is purged on its own, so a failure only affects that one.
+ * This function is run periodically by the scheduler.
+ *
+ * @returns {Promise<number>} - The number of entries purged.
+ */
+const purgeExpiredTrash = async () => {
+    const purgeBefore = new Date();
+    purgeBefore.setDate(
+        purgeBefore.getDate() - configuration.trash.retentionDays
+    );
+
+    let totalPurged = 0;
+
+    for (const [type, { Model, resourceType, beforePurge }] of Object.entries(
+        trashableResources
+    )) {
+        try {
+            const resources = await Model.find({
+                deletedAt: { $lte: purgeBefore },
+            })
+                .select('_id image.provider image.fileId image.variants')
+                .lean();
+
+            if (!resources.length) continue;
+
+            const ids = resources.map((resource) => resource._id);
+
+            await service.deleteResourceImages(resources, resourceType);
+
+            if (beforePurge) {
+                await beforePurge(ids);
+            }
+
+            const { deletedCount } = await Model.deleteMany({
+                _id: { $in: ids },
+            });
+
+            totalPurged += deletedCount;
+        } catch (error) {
+            loggerService.error(`Failed to purge trashed ${type}: ${error}`);
+        }
+    }
+
+    if (totalPurged) {
+        loggerService.info(
+            `Trash purge removed ${totalPurged} entries deleted before ${purgeBefore.toISOString()}.`
+        );
+    }
+
+    return totalPurged;
+};
+
+/**
+ * trashService - Object containing all the defined service functions for the trash:
+ *
+ * - getTrashList: Service function to retrieve the entries of a type in the trash.
+ * - restoreTrashItems: Service function to restore entries of a type from the trash.
+ * - purgeExpiredTrash: Purges the entries kept in the trash for longer than its retention period.
+ */
+const trashService = {
+    getTrashList,
+    restoreTrashItems,
+    purgeExpiredTrash,
+};
+
+export default trashService;
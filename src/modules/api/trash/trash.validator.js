@@ -0,0 +1,52 @@
+/**
+ * @fileoverview This file defines validation middleware for trash-related API requests. The middleware
+ * functions use Joi schemas to validate the requests to list and restore the entries in the trash. Each
+ * function ensures that the request data conforms to the defined schema before proceeding to the next
+ * middleware or controller.
+ */
+
+import validateWithSchema from '../../../shared/validateWithSchema.js';
+import trashSchema from './trash.schema.js';
+
+/**
+ * getTrashList - Middleware function to validate the query parameters when retrieving the entries in the trash.
+ * This function ensures that the query parameters contain valid data according to the getTrashQuerySchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const getTrashList = validateWithSchema([
+    {
+        schema: trashSchema.getTrashQuerySchema,
+        property: 'query',
+    },
+]);
+
+/**
+ * restoreTrashItems - Middleware function to validate the request body when restoring entries from the trash.
+ * This function ensures that the request body contains valid data according to the restoreTrashSchema.
+ *
+ * @param {Object} req - The request object containing the data to validate.
+ * @param {Object} res - The response object to send validation errors or proceed with the request.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+const restoreTrashItems = validateWithSchema([
+    {
+        schema: trashSchema.restoreTrashSchema,
+        property: 'body',
+    },
+]);
+
+/**
+ * trashValidator - Object containing all the defined validation middleware functions for the trash:
+ *
+ * - getTrashList: Middleware function to validate the query parameters when retrieving the entries in the trash.
+ * - restoreTrashItems: Middleware function to validate the request body when restoring entries from the trash.
+ */
+const trashValidator = {
+    getTrashList,
+    restoreTrashItems,
+};
+
+export default trashValidator;
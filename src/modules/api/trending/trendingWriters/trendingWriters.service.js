@@ -40,9 +40,17 @@ const getTrendingWriters = async () => {
             {
                 $unwind: '$bookDetails', // Unwind the bookDetails array
             },
+            {
+                $project: {
+                    writers: { $setUnion: ['$bookDetails.contributors.writer'] }, // Each writer of the book once, whatever their roles
+                },
+            },
+            {
+                $unwind: '$writers', // Unwind the writers of each book
+            },
             {
                 $group: {
-                    _id: '$bookDetails.writer', // Group by writer ID
+                    _id: '$writers', // Group by writer ID
                     count: { $sum: 1 }, // Count the occurrences of each writer
                 },
             },
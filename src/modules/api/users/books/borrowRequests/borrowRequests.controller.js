@@ -0,0 +1,26 @@
+/**
+ * @fileoverview This module defines the controller for handling operations related to the borrow requests of a user.
+ * It leverages the shared controller utilities to retrieve the borrow requests of the requesting user.
+ */
+
+import borrowRequestsService from './borrowRequests.service.js';
+import controller from '../../../../../shared/controller.js';
+
+const borrowRequestsController = {
+    /**
+     * Retrieves the borrow requests of the requesting user, including the status history of each request.
+     *
+     * @function
+     * @name borrowRequestsController.getBorrowRequests
+     * @param {Object} request - The request object containing the requester's details.
+     * @param {Object} response - The response object used to send back the list of borrow requests.
+     *
+     * @returns {Promise<void>} - A promise that resolves with the list of borrow requests for the requester.
+     */
+    getBorrowRequests: controller.getByRequester(
+        borrowRequestsService,
+        'getBorrowRequests'
+    ),
+};
+
+export default borrowRequestsController;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview This file defines the routes for the borrow requests of a user. The route retrieves the
+ * borrow requests of the authenticated user together with the status history of each request.
+ */
+
+import express from 'express';
+
+import borrowRequestsController from './borrowRequests.controller.js';
+import methodNotSupported from '../../../../../shared/methodNotSupported.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /users/books/borrow-requests:
+ *   get:
+ *     summary: Retrieves the borrow requests of the authenticated user.
+ *     description: Returns the borrow requests of the authenticated user, newest first. Each request includes its status history, the reason of a rejection, and the copy and due date of an approved request.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of borrow requests retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of borrow requests.
+ *                 borrowRequests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       book:
+ *                         type: object
+ *                         description: The requested book.
+ *                       status:
+ *                         type: string
+ *                         description: The status of the request (pending, approved, rejected or cancelled).
+ *                       statusHistory:
+ *                         type: array
+ *                         description: The states the request went through, with their dates.
+ *     tags:
+ *       - User Borrow Requests
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - User Borrow Requests
+ */
+router
+    .route('/')
+    .get(borrowRequestsController.getBorrowRequests)
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview This file defines the service functions for handling operations related to the borrow requests
+ * of a user. The services include a method to retrieve the requests of the user together with the status
+ * history of each request, so the user can follow them from the moment they are sent.
+ */
+
+import httpStatus from '../../../../../constant/httpStatus.constants.js';
+import BorrowRequestsModel from '../../../books/borrowRequests/borrowRequests.model.js';
+import loggerService from '../../../../../service/logger.service.js';
+
+import errorResponse from '../../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../../utilities/sendResponse.js';
+
+/**
+ * Retrieves the borrow requests of the requesting user, newest first.
+ *
+ * @async
+ * @function
+ * @name getBorrowRequests
+ * @param {string} requester - The ID of the user requesting the list of borrow requests.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of borrow requests or an error message.
+ */
+const getBorrowRequests = async (requester) => {
+    try {
+        const borrowRequests = await BorrowRequestsModel.find({
+            user: requester,
+        })
+            .select('-reviewedBy')
+            .populate({
+                path: 'book',
+                select: 'name edition image',
+            })
+            .populate({
+                path: 'copy',
+                select: 'accessionNumber barcode shelfLocation',
+            })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        if (!borrowRequests.length) {
+            return sendResponse(
+                {},
+                'You have not asked to borrow any book yet.',
+                httpStatus.OK
+            );
+        }
+
+        return sendResponse(
+            {
+                total: borrowRequests.length,
+                borrowRequests,
+            },
+            'Successfully retrieved your borrow requests.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get borrow requests: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get borrow requests.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+const borrowRequestsService = {
+    getBorrowRequests,
+};
+
+export default borrowRequestsService;
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview This module defines the controller for handling operations related to the fines of a user.
+ * It leverages the shared controller utilities to retrieve the fines ledger of the requesting user.
+ */
+
+import finesService from './fines.service.js';
+import controller from '../../../../../shared/controller.js';
+
+const finesController = {
+    /**
+     * Retrieves the fines ledger and the outstanding balance of the requesting user.
+     *
+     * @function
+     * @name finesController.getFines
+     * @param {Object} request - The request object containing the requester's details.
+     * @param {Object} response - The response object used to send back the fines of the requester.
+     *
+     * @returns {Promise<void>} - A promise that resolves with the fines ledger of the requester.
+     */
+    getFines: controller.getByRequester(finesService, 'getFines'),
+};
+
+export default finesController;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview This file defines the routes for the fines of a user. The route retrieves the fines
+ * ledger of the authenticated user together with their outstanding balance.
+ */
+
+import express from 'express';
+
+import finesController from './fines.controller.js';
+import methodNotSupported from '../../../../../shared/methodNotSupported.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /users/books/fines:
+ *   get:
+ *     summary: Retrieves the fines of the authenticated user.
+ *     description: Returns the outstanding fine balance of the authenticated user and the entries of their fines ledger, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fines retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 balance:
+ *                   type: number
+ *                   description: The outstanding fine balance.
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of ledger entries.
+ *                 fines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         description: The type of the entry (charge, replacement, payment, waiver or adjustment).
+ *                       amount:
+ *                         type: number
+ *                         description: The signed amount of the entry.
+ *     tags:
+ *       - User Fines
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - User Fines
+ */
+router.route('/').get(finesController.getFines).all(methodNotSupported);
+
+export default router;
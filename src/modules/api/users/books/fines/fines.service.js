@@ -0,0 +1,61 @@
+/**
+ * @fileoverview This file defines the service functions for handling operations related to the fines of a user.
+ * The services include a method to retrieve the fines ledger of the user together with their outstanding balance.
+ */
+
+import httpStatus from '../../../../../constant/httpStatus.constants.js';
+import BookFinesModel from '../../../books/fines/bookFines.model.js';
+import bookFinesService from '../../../books/fines/bookFines.service.js';
+import loggerService from '../../../../../service/logger.service.js';
+
+import errorResponse from '../../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../../utilities/sendResponse.js';
+
+/**
+ * Retrieves the fines ledger and the outstanding balance of the requesting user.
+ *
+ * @async
+ * @function
+ * @name getFines
+ * @param {string} requester - The ID of the user requesting their fines.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the ledger and balance or an error message.
+ */
+const getFines = async (requester) => {
+    try {
+        const fines = await BookFinesModel.find({ user: requester })
+            .populate({
+                path: 'book',
+                select: 'name edition image',
+            })
+            .select('-user -createdBy')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const balance = await bookFinesService.getFineBalance(requester);
+
+        return sendResponse(
+            {
+                balance,
+                total: fines.length,
+                fines,
+            },
+            fines.length
+                ? 'Successfully retrieved your fines.'
+                : 'You have no fines.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get fines: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get fines.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+const finesService = {
+    getFines,
+};
+
+export default finesService;
@@ -8,6 +8,7 @@ import mongoose from 'mongoose';
 
 import httpStatus from '../../../../../constant/httpStatus.constants.js';
 import BooksHistoryModel from '../../../books/history/booksHistory.model.js';
+import booksService from '../../../books/books.service.js';
 import loggerService from '../../../../../service/logger.service.js';
 
 import errorResponse from '../../../../../utilities/errorResponse.js';
@@ -59,22 +60,6 @@ const getBooksHistory = async (requester) => {
                     preserveNullAndEmptyArrays: true,
                 },
             },
-            {
-                // Lookup to populate writer details of the book
-                $lookup: {
-                    from: 'writers',
-                    localField: 'book.writer',
-                    foreignField: '_id',
-                    as: 'book.writer',
-                },
-            },
-            {
-                // Unwind writer details to extract the first object from the array
-                $unwind: {
-                    path: '$book.writer',
-                    preserveNullAndEmptyArrays: true,
-                },
-            },
             {
                 // Lookup to populate subject details of the book
                 $lookup: {
@@ -115,10 +100,7 @@ const getBooksHistory = async (requester) => {
                         edition: '$book.edition',
                         price: '$book.price',
                         isActive: '$book.isActive',
-                        writer: {
-                            _id: '$book.writer._id',
-                            name: '$book.writer.name',
-                        },
+                        contributors: '$book.contributors',
                         subject: {
                             $map: {
                                 input: '$book.subject',
@@ -184,6 +166,10 @@ const getBooksHistory = async (requester) => {
             );
         }
 
+        await booksService.populateBookContributors(
+            bookHistories.map((history) => history.book)
+        );
+
         // Reshape the data into the required format
         const formattedData = {
             user: { id: requester },
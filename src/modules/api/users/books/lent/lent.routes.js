@@ -32,6 +32,9 @@ const router = express.Router();
  *                 total:
  *                   type: integer
  *                   description: Total number of lent books.
+ *                 fineBalance:
+ *                   type: number
+ *                   description: The outstanding fine balance of the user.
  *                 request:
  *                   type: array
  *                   items:
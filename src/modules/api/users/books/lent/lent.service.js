@@ -9,6 +9,8 @@ import mongoose from 'mongoose';
 
 import httpStatus from '../../../../../constant/httpStatus.constants.js';
 import LentBooksModel from '../../../books/lend/lendBooks.model.js';
+import bookFinesService from '../../../books/fines/bookFines.service.js';
+import booksService from '../../../books/books.service.js';
 import loggerService from '../../../../../service/logger.service.js';
 
 import errorResponse from '../../../../../utilities/errorResponse.js';
@@ -18,7 +20,7 @@ import sendResponse from '../../../../../utilities/sendResponse.js';
  * Retrieves the list of lent books for the requesting user.
  *
  * This function fetches all books lent by the authenticated requester from the `LentBooksModel`.
- * It sends a response with the total number of lent books and the list of lent books.
+ * It sends a response with the total number of lent books, the list of lent books and the outstanding fine balance.
  * If no books are found, it returns an appropriate error response.
  *
  * @async
@@ -60,22 +62,6 @@ const getLentBooks = async (requester) => {
                     preserveNullAndEmptyArrays: true,
                 },
             },
-            {
-                // Lookup to populate writer details of the book
-                $lookup: {
-                    from: 'writers',
-                    localField: 'bookDetails.writer',
-                    foreignField: '_id',
-                    as: 'bookDetails.writer',
-                },
-            },
-            {
-                // Unwind writer details to extract the first object from the array
-                $unwind: {
-                    path: '$bookDetails.writer',
-                    preserveNullAndEmptyArrays: true,
-                },
-            },
             {
                 // Lookup to populate subject details of the book
                 $lookup: {
@@ -114,10 +100,7 @@ const getLentBooks = async (requester) => {
                         edition: '$bookDetails.edition',
                         price: '$bookDetails.price',
                         isActive: '$bookDetails.isActive',
-                        writer: {
-                            _id: '$bookDetails.writer._id',
-                            name: '$bookDetails.writer.name',
-                        },
+                        contributors: '$bookDetails.contributors',
                         subject: {
                             $map: {
                                 input: '$bookDetails.subject',
@@ -133,9 +116,13 @@ const getLentBooks = async (requester) => {
                             name: '$bookDetails.publication.name',
                         },
                     },
+                    copy: '$books.copy',
                     from: '$books.from',
                     to: '$books.to',
                     remarks: '$books.remarks',
+                    renewals: '$books.renewals',
+                    isOverdue: '$books.isOverdue',
+                    fineAccrued: '$books.fineAccrued',
                 },
             },
             {
@@ -156,16 +143,25 @@ const getLentBooks = async (requester) => {
             },
         ]);
 
+        // The contributors are populated as in the catalog, keeping the role and display order of each
+        if (lentBooks.length) {
+            await booksService.populateBookContributors(
+                lentBooks[0].lentBooks.map((lentBook) => lentBook.book)
+            );
+        }
+
+        const fineBalance = await bookFinesService.getFineBalance(requester);
+
         if (!lentBooks.length) {
             return sendResponse(
-                {},
+                { fineBalance },
                 'You have not lent any book yet.',
                 httpStatus.OK
             );
         }
 
         return sendResponse(
-            lentBooks[0],
+            { ...lentBooks[0], fineBalance },
             'Successfully retrieved your lent books.',
             httpStatus.OK
         );
@@ -66,9 +66,16 @@ const add = async (requester, bookId) => {
             );
         }
 
-        // Populate book details (writer, publication, subject)
+        // Populate book details (contributors, publication, subject)
         const book = await BooksModel.findById(bookId)
-            .populate({ path: 'writer', select: '-createdBy -updatedBy' })
+            .populate({
+                path: 'contributors.writer',
+                select: '-createdBy -updatedBy',
+            })
+            .populate({
+                path: 'contributors.translator',
+                select: '-createdBy -updatedBy',
+            })
             .populate({ path: 'publication', select: '-createdBy -updatedBy' })
             .populate({ path: 'subject', select: '-createdBy -updatedBy' })
             .select('-createdBy -updatedBy');
@@ -129,7 +136,8 @@ const get = async (requester) => {
                 path: 'books.id',
                 select: '-createdBy -updatedBy',
                 populate: [
-                    { path: 'writer', select: 'name' },
+                    { path: 'contributors.writer', select: 'name' },
+                    { path: 'contributors.translator', select: 'name' },
                     { path: 'publication', select: 'name' },
                     { path: 'subject', select: 'name' },
                 ],
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview This module defines the controller for handling operations related to the reservations of a user.
+ * It leverages the shared controller utilities to retrieve the active reservations of the requesting user.
+ */
+
+import reservationsService from './reservations.service.js';
+import controller from '../../../../../shared/controller.js';
+
+const reservationsController = {
+    /**
+     * Retrieves the active reservations of the requesting user, including their position in the queue.
+     *
+     * @function
+     * @name reservationsController.getReservations
+     * @param {Object} request - The request object containing the requester's details.
+     * @param {Object} response - The response object used to send back the list of reservations.
+     *
+     * @returns {Promise<void>} - A promise that resolves with the list of reservations for the requester.
+     */
+    getReservations: controller.getByRequester(
+        reservationsService,
+        'getReservations'
+    ),
+};
+
+export default reservationsController;
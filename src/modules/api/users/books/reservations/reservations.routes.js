@@ -0,0 +1,66 @@
+/**
+ * @fileoverview This file defines the routes for the reservations of a user. The route retrieves the
+ * active reservations of the authenticated user together with their position in the queue of each book.
+ */
+
+import express from 'express';
+
+import reservationsController from './reservations.controller.js';
+import methodNotSupported from '../../../../../shared/methodNotSupported.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /users/books/reservations:
+ *   get:
+ *     summary: Retrieves the reservations of the authenticated user.
+ *     description: Returns the waiting and ready reservations of the authenticated user. Waiting reservations include their position in the queue of the book, ready reservations include the copy on hold and the end of the pickup window.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of reservations retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of active reservations.
+ *                 reservations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       book:
+ *                         type: object
+ *                         description: The reserved book.
+ *                       status:
+ *                         type: string
+ *                         description: The status of the reservation (waiting or ready).
+ *                       position:
+ *                         type: integer
+ *                         description: The position in the queue, 0 once a copy is on hold.
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: The end of the pickup window of a ready reservation.
+ *     tags:
+ *       - User Reservations
+ *   all:
+ *     summary: Handles unsupported methods.
+ *     description: Returns an error if an unsupported HTTP method is used.
+ *     responses:
+ *       405:
+ *         description: Method not supported.
+ *     tags:
+ *       - User Reservations
+ */
+router
+    .route('/')
+    .get(reservationsController.getReservations)
+    .all(methodNotSupported);
+
+export default router;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview This file defines the service functions for handling operations related to the reservations
+ * of a user. The services include a method to retrieve the active reservations of the user together with their
+ * position in the queue of each book, or the end of the pickup window when a copy is on hold for them.
+ */
+
+import httpStatus from '../../../../../constant/httpStatus.constants.js';
+import BookReservationsModel from '../../../books/reservations/bookReservations.model.js';
+import bookReservationsConstants from '../../../books/reservations/bookReservations.constant.js';
+import bookReservationsService from '../../../books/reservations/bookReservations.service.js';
+import loggerService from '../../../../../service/logger.service.js';
+
+import errorResponse from '../../../../../utilities/errorResponse.js';
+import sendResponse from '../../../../../utilities/sendResponse.js';
+
+/**
+ * Retrieves the active reservations of the requesting user.
+ *
+ * Waiting reservations include their position in the queue of the book, while ready reservations
+ * include the copy on hold and the date until which it can be picked up.
+ *
+ * @async
+ * @function
+ * @name getReservations
+ * @param {string} requester - The ID of the user requesting the list of reservations.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the list of reservations or an error message.
+ */
+const getReservations = async (requester) => {
+    try {
+        const reservations = await BookReservationsModel.find({
+            user: requester,
+            status: { $in: bookReservationsConstants.activeStatus },
+        })
+            .populate({
+                path: 'book',
+                select: 'name edition image',
+            })
+            .populate({
+                path: 'copy',
+                select: 'accessionNumber barcode shelfLocation',
+            })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        if (!reservations.length) {
+            return sendResponse(
+                {},
+                'You have not reserved any book yet.',
+                httpStatus.OK
+            );
+        }
+
+        // Positions are calculated one after another, each reservation needs its own count
+        const reservationsWithPosition = [];
+        for (const reservation of reservations) {
+            reservationsWithPosition.push({
+                ...reservation,
+                position:
+                    reservation.status ===
+                    bookReservationsConstants.status.WAITING
+                        ? await bookReservationsService.getQueuePosition({
+                              ...reservation,
+                              book: reservation.book._id,
+                          })
+                        : 0,
+            });
+        }
+
+        return sendResponse(
+            {
+                total: reservationsWithPosition.length,
+                reservations: reservationsWithPosition,
+            },
+            'Successfully retrieved your reservations.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to get reservations: ${error}`);
+
+        return errorResponse(
+            error.message || 'Failed to get reservations.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+const reservationsService = {
+    getReservations,
+};
+
+export default reservationsService;
@@ -1,6 +1,6 @@
 /**
  * @fileoverview This file defines the main router for handling user-related operations, including book history,
- * recently visited books, requested books, and user settings. The routes are protected by authentication middleware,
+ * recently visited books, requested books, lent books, fines, reservations, borrow requests, and user settings. The routes are protected by authentication middleware,
  * which ensures that only authenticated users with the appropriate access types can access these routes.
  */
 
@@ -11,6 +11,9 @@ import recentlyVisitedBooksRoutes from '../books/recentlyVisited/recentlyVisited
 import userRequestBooksRoutes from '../books/requested/requested.routes.js';
 import userFavouriteBooksRoutes from '../books/favourite/favourite.routes.js';
 import userLentBooksRoutes from '../books/lent/lent.routes.js';
+import userReservationsRoutes from '../books/reservations/reservations.routes.js';
+import userBorrowRequestsRoutes from '../books/borrowRequests/borrowRequests.routes.js';
+import userFinesRoutes from '../books/fines/fines.routes.js';
 import accessTypesConstants from '../../../../constant/accessTypes.constants.js';
 
 import authenticateMiddleware from '../../../../middleware/authenticate.middleware.js';
@@ -42,5 +45,20 @@ router.use(
     authenticateMiddleware(accessTypesConstants.USER),
     userLentBooksRoutes
 );
+router.use(
+    '/fines',
+    authenticateMiddleware(accessTypesConstants.USER),
+    userFinesRoutes
+);
+router.use(
+    '/reservations',
+    authenticateMiddleware(accessTypesConstants.USER),
+    userReservationsRoutes
+);
+router.use(
+    '/borrow-requests',
+    authenticateMiddleware(accessTypesConstants.USER),
+    userBorrowRequestsRoutes
+);
 
 export default router;
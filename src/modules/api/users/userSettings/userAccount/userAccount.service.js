@@ -1,13 +1,13 @@
 /**
  * @fileoverview This file defines the service functions for handling operations related to user accounts.
  * The services include methods to delete a user account, interacting with the `UsersModel` and handling
- * external dependencies such as Google Drive for file management. The functions also manage error responses
+ * external dependencies such as the storage service for file management. The functions also manage error responses
  * and logging.
  */
 
 import UsersModel from '../../users.model.js';
 import httpStatus from '../../../../../constant/httpStatus.constants.js';
-import GoogleDriveService from '../../../../../service/googleDrive.service.js';
+import service from '../../../../../shared/service.js';
 import errorResponse from '../../../../../utilities/errorResponse.js';
 import constants from '../../../../../constant/constants.js';
 import sendResponse from '../../../../../utilities/sendResponse.js';
@@ -18,7 +18,7 @@ import loggerService from '../../../../../service/logger.service.js';
  *
  * This function deletes a user account based on the provided user ID and confirmation data.
  * It verifies the existence of the user and checks the confirmation text before proceeding with the deletion.
- * The function also deletes any associated files from Google Drive and logs the operation.
+ * The function also deletes the image file of the user from its storage provider and logs the operation.
  *
  * @async
  * @function
@@ -46,11 +46,8 @@ const deleteAccount = async (userId, confirmationData) => {
 
         // TODO: create a system to verify confirmation from user before delete user account. can use github like system, confirm delete text.
 
-        // Delete the old file from Google Drive if it exists
-        const oldFileId = existingUser.image?.fileId;
-        if (oldFileId) {
-            await GoogleDriveService.deleteFile(oldFileId);
-        }
+        // Delete the image file from its storage provider if it exists
+        await service.deleteResourceImages([existingUser], 'user');
 
         await UsersModel.findByIdAndDelete(userId);
 
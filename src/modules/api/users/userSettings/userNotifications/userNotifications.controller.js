@@ -0,0 +1,45 @@
+/**
+ * @fileoverview This module defines the controller for handling operations related to user notification settings.
+ * It leverages the shared controller utilities to retrieve and update user notification settings.
+ *
+ * The `userNotificationsController` object includes methods to:
+ * - Retrieve the notification settings for the requesting user.
+ * - Update the notification settings for the requesting user.
+ */
+
+import userNotificationsService from './userNotifications.service.js';
+import controller from '../../../../../shared/controller.js';
+
+const userNotificationsController = {
+    /**
+     * Retrieves the notification settings for the requesting user.
+     *
+     * @function
+     * @name userNotificationsController.getNotifications
+     * @param {Object} request - The request object containing the requester's details.
+     * @param {Object} response - The response object used to send back the notification settings.
+     *
+     * @returns {Promise<void>} - A promise that resolves with the notification settings for the requester.
+     */
+    getNotifications: controller.getByRequester(
+        userNotificationsService,
+        'getNotifications'
+    ),
+
+    /**
+     * Updates the notification settings for the requesting user.
+     *
+     * @function
+     * @name userNotificationsController.updateNotifications
+     * @param {Object} request - The request object containing the requester's details and the new notification settings.
+     * @param {Object} response - The response object used to send back the updated notification settings.
+     *
+     * @returns {Promise<void>} - A promise that resolves with the updated notification settings for the requester.
+     */
+    updateNotifications: controller.updateByRequester(
+        userNotificationsService,
+        'updateNotifications'
+    ),
+};
+
+export default userNotificationsController;
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview This file defines the service functions for handling operations related to user notification settings.
+ * The services include methods to retrieve and update the notification settings for a user, such as whether they
+ * receive the due date reminder and overdue notice emails of their loans.
+ * These functions interact with the `UsersModel` and handle data retrieval, updates, error responses, and logging.
+ */
+
+import UsersModel from '../../users.model.js';
+import userConstants from '../../users.constants.js';
+import errorResponse from '../../../../../utilities/errorResponse.js';
+import httpStatus from '../../../../../constant/httpStatus.constants.js';
+import sendResponse from '../../../../../utilities/sendResponse.js';
+import loggerService from '../../../../../service/logger.service.js';
+
+/**
+ * Retrieves the notification settings for the requesting user.
+ *
+ * @async
+ * @function
+ * @name getNotifications
+ * @param {string} requester - The ID of the user requesting the notification settings.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the notification settings or an error message.
+ */
+const getNotifications = async (requester) => {
+    try {
+        const user = await UsersModel.findById(
+            requester,
+            'notificationSettings'
+        ).lean();
+        if (!user) {
+            return errorResponse(
+                'Please login first.',
+                httpStatus.UNAUTHORIZED
+            );
+        }
+
+        // Users created before the settings existed receive the reminders by default
+        return sendResponse(
+            {
+                loanReminders: user.notificationSettings?.loanReminders ?? true,
+            },
+            'Notification settings retrieved successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(
+            `Failed to retrieve notification settings: ${error}`
+        );
+
+        return errorResponse(
+            'Failed to retrieve notification settings.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+/**
+ * Updates the notification settings for the requesting user and records the change in their activities.
+ *
+ * @async
+ * @function
+ * @name updateNotifications
+ * @param {string} requester - The ID of the user requesting the update.
+ * @param {Object} updateData - The data containing the new notification settings.
+ * @returns {Promise<Object>} - A promise that resolves to the response object containing the updated notification settings or an error message.
+ */
+const updateNotifications = async (requester, updateData) => {
+    try {
+        const loanReminders =
+            updateData.loanReminders === true ||
+            updateData.loanReminders === 'true';
+
+        const activityRecord = {
+            category: userConstants.activityType.NOTIFICATION,
+            action: 'update loan reminders',
+            details: `Loan reminders turned ${loanReminders ? 'on' : 'off'}`,
+            metadata: { loanReminders },
+            date: new Date(),
+        };
+
+        const updatedUser = await UsersModel.findByIdAndUpdate(
+            requester,
+            {
+                $set: { 'notificationSettings.loanReminders': loanReminders },
+                $push: { activities: activityRecord },
+            },
+            { new: true, runValidators: true }
+        )
+            .select('notificationSettings')
+            .lean();
+        if (!updatedUser) {
+            return errorResponse(
+                'Unauthorized. Please login first.',
+                httpStatus.UNAUTHORIZED
+            );
+        }
+
+        return sendResponse(
+            updatedUser.notificationSettings,
+            'Notification settings updated successfully.',
+            httpStatus.OK
+        );
+    } catch (error) {
+        loggerService.error(`Failed to update notification settings: ${error}`);
+
+        return errorResponse(
+            'Failed to update notification settings.',
+            httpStatus.INTERNAL_SERVER_ERROR
+        );
+    }
+};
+
+const userNotificationsService = {
+    getNotifications,
+    updateNotifications,
+};
+
+export default userNotificationsService;
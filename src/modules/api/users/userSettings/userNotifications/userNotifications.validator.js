@@ -0,0 +1,33 @@
+/**
+ * @fileoverview This file defines the validator functions for user notification operations.
+ * The validators ensure that the data provided in the requests conform to the defined Joi schemas.
+ * The validation is applied to request bodies for updating user notification settings.
+ */
+
+import validateWithSchema from '../../../../../shared/validateWithSchema.js';
+import usersSchema from '../../users.schema.js';
+
+/**
+ * Middleware to validate the request body for updating user notification settings.
+ *
+ * This function uses the `usersSchema.updateNotifications` schema to validate the request body.
+ *
+ * @function
+ * @name updateNotifications
+ * @param {Object} req - The request object containing the body to be validated.
+ * @param {Object} res - The response object used to send back validation errors, if any.
+ * @param {Function} next - The next middleware function in the request-response cycle.
+ * @returns {void}
+ */
+const updateNotifications = validateWithSchema([
+    {
+        schema: usersSchema.updateNotifications,
+        property: 'body',
+    },
+]);
+
+const userNotificationsValidator = {
+    updateNotifications,
+};
+
+export default userNotificationsValidator;
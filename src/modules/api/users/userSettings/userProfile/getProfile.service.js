@@ -2,18 +2,17 @@
  * @fileoverview This file defines the service functions for handling operations related to user profiles.
  * The services include methods to retrieve and update user profile details. These functions interact with the `UsersModel`
  * and handle data retrieval, updates, error responses, and logging. Additional utilities are used for file validation and
- * interactions with Google Drive for image uploads.
+ * the image service, which processes and stores uploaded images.
  */
 
-import { v2 as cloudinary } from 'cloudinary';
-
 import UsersModel from '../../users.model.js';
 import httpStatus from '../../../../../constant/httpStatus.constants.js';
 import loggerService from '../../../../../service/logger.service.js';
 import userConstants from '../../users.constants.js';
 import mimeTypesConstants from '../../../../../constant/mimeTypes.constants.js';
 import fileExtensionsConstants from '../../../../../constant/fileExtensions.constants.js';
-import configuration from '../../../../../configuration/configuration.js';
+import imageService from '../../../../../service/image.service.js';
+import service from '../../../../../shared/service.js';
 
 import errorResponse from '../../../../../utilities/errorResponse.js';
 import sendResponse from '../../../../../utilities/sendResponse.js';
@@ -37,11 +36,16 @@ const getProfile = async (userId) => {
     try {
         // Fetch only the necessary fields and exclude sensitive data directly from the database
         const user = await UsersModel.findById(userId)
-            .select('-passwordHash -resetPasswordVerifyToken -resetPasswordVerifyTokenExpires -emails.emailVerifyToken -emails.emailVerifyTokenExpires -mobiles.phoneVerifyToken -mobiles.phoneVerifyTokenExpires -sessions -activities')
+            .select(
+                '-passwordHash -resetPasswordVerifyToken -resetPasswordVerifyTokenExpires -emails.emailVerifyToken -emails.emailVerifyTokenExpires -mobiles.phoneVerifyToken -mobiles.phoneVerifyTokenExpires -sessions -activities'
+            )
             .lean();
 
         if (!user) {
-            return errorResponse('Please login first.', httpStatus.UNAUTHORIZED);
+            return errorResponse(
+                'Please login first.',
+                httpStatus.UNAUTHORIZED
+            );
         }
 
         return sendResponse(user, 'User fetched successfully.', httpStatus.OK);
@@ -124,38 +128,26 @@ const updateProfile = async (requester, updateData, userImage) => {
                 );
             }
 
-            cloudinary.config({
-                cloud_name: configuration.cloudinary.cloudName,
-                api_key: configuration.cloudinary.apiKey,
-                api_secret: configuration.cloudinary.apiSecret,
-            });
-
-            const file = userImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in update object
-            updateData.image = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            updateData.image = await imageService.uploadImage(userImage);
         }
 
         // Track who made the update
         updateData.updatedBy = requester;
 
         // Apply updates to the user document
-        const updatedUser = await UsersModel.findByIdAndUpdate(
-            { _id: requester },
-            { $set: updateData },
-            { new: true, runValidators: true }
-        ).lean();
+        const updatedUser = await service.updateResourceWithImage(
+            UsersModel,
+            requester,
+            updateData.image,
+            () =>
+                UsersModel.findByIdAndUpdate(
+                    { _id: requester },
+                    { $set: updateData },
+                    { new: true, runValidators: true }
+                ).lean(),
+            'user'
+        );
 
         // Remove sensitive data before sending to client
         delete updatedUser.passwordHash;
@@ -173,8 +165,8 @@ const updateProfile = async (requester, updateData, userImage) => {
         loggerService.error(`Failed to update user: ${error}`);
 
         return errorResponse(
-            'Failed to update user.',
-            httpStatus.INTERNAL_SERVER_ERROR
+            error.status ? error.message : 'Failed to update user.',
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
@@ -1,6 +1,6 @@
 /**
- * @fileoverview This file defines the routes for user account, profile, appearance, and log operations.
- * The routes handle HTTP requests to manage user profiles, accounts, appearance settings, and logs.
+ * @fileoverview This file defines the routes for user account, profile, appearance, notification, and log operations.
+ * The routes handle HTTP requests to manage user profiles, accounts, appearance settings, notification settings, and logs.
  * Unsupported HTTP methods on these routes will return a "Method Not Supported" response.
  */
 
@@ -15,6 +15,8 @@ import usersProfileValidator from './userProfile/updateProfile.validator.js';
 import methodNotSupported from '../../../../shared/methodNotSupported.js';
 import userAppearanceValidator from './userAppearance/userAppearance.validator.js';
 import userAppearanceController from './userAppearance/userAppearance.controller.js';
+import userNotificationsValidator from './userNotifications/userNotifications.validator.js';
+import userNotificationsController from './userNotifications/userNotifications.controller.js';
 
 const router = express.Router();
 
@@ -46,6 +48,15 @@ router
     )
     .all(methodNotSupported);
 
+router
+    .route('/notifications')
+    .get(userNotificationsController.getNotifications)
+    .put(
+        userNotificationsValidator.updateNotifications,
+        userNotificationsController.updateNotifications
+    )
+    .all(methodNotSupported);
+
 // router
 //     // TODO: user security management, eg: email, mobile, password, 2FA, etc
 //     .route('/security')
@@ -166,12 +166,29 @@ const imageSize = 1.1 * 1024 * 1024; // 1.1 MB
  * @property {string} PROFILE - Activity type for profile-related changes.
  * @property {string} ACCOUNT - Activity type for account-related changes.
  * @property {string} SECURITY - Activity type for security-related changes.
+ * @property {string} NOTIFICATION - Activity type for notification-related changes.
  */
 const activityType = {
     APPEARANCE: 'appearance',
     PROFILE: 'profile',
     ACCOUNT: 'account',
     SECURITY: 'security',
+    NOTIFICATION: 'notification',
+};
+
+/**
+ * Patron categories a user can belong to, used to pick the circulation policy that applies to them.
+ *
+ * @constant
+ * @type {Object}
+ * @property {string} STUDENT - Students of the institution.
+ * @property {string} FACULTY - Faculty and staff members of the institution.
+ * @property {string} PUBLIC - Members of the public.
+ */
+const patronCategory = {
+    STUDENT: 'student',
+    FACULTY: 'faculty',
+    PUBLIC: 'public',
 };
 
 const userConstants = {
@@ -179,6 +196,7 @@ const userConstants = {
     pattern,
     imageSize,
     activityType,
+    patronCategory,
 };
 
 export default userConstants;
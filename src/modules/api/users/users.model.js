@@ -8,6 +8,7 @@
 import mongoose, { Schema } from 'mongoose';
 
 import sharedSchema from '../../../shared/schema.js';
+import userConstants from './users.constants.js';
 
 // TODO: modular schema definition
 
@@ -82,6 +83,7 @@ const mobileSchema = new Schema({
  * - Login and Session Management: Login Details, Sessions
  * - Activity Tracking and Privacy: Activities, Privacy Settings
  * - Appearance: Appearance Settings
+ * - Notifications: Notification Settings
  * - Metadata: Active Status, Created By, Updated By
  *
  * The schema also includes custom validation for unique emails and pre-save hooks to prevent email updates after account creation.
@@ -115,6 +117,21 @@ const userSchema = new mongoose.Schema(
         passwordHash: sharedSchema.passwordHashSchema,
         // TODO: roles will be one of RolesModel
         role: sharedSchema.roleSchema,
+        patronCategory: {
+            type: String,
+            enum: Object.values(userConstants.patronCategory),
+            description:
+                'The patron category of the user, used to pick the circulation policy that applies to them.',
+        },
+        libraryCardNumber: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            unique: true,
+            sparse: true,
+            description:
+                'The number printed on the library card of the user, scanned at the circulation desk.',
+        },
         twoFactorEnabled: sharedSchema.twoFactorEnabledSchema,
         twoFactorSecret: sharedSchema.twoFactorSecretSchema,
         mustChangePassword: sharedSchema.mustChangePasswordSchema,
@@ -149,6 +166,16 @@ const userSchema = new mongoose.Schema(
         // Appearance
         appearance: sharedSchema.appearanceSchema,
 
+        // Notifications
+        notificationSettings: {
+            loanReminders: {
+                type: Boolean,
+                default: true,
+                description:
+                    'Whether the user receives the due date reminder and overdue notice emails of their loans.',
+            },
+        },
+
         isActive: sharedSchema.isActiveSchema,
         // TODO: create a system to initialy create a new user
         createdBy: sharedSchema.createdByAdminSchema,
@@ -27,6 +27,7 @@ import userConstants from '../users/users.constants.js';
  * - designation: String (custom validation messages for designation constraints)
  * - confirmationText: String (must match the predefined confirmation text for account deletion)
  * - theme: Object (required, containing the name of the theme)
+ * - loanReminders: Boolean (whether the user receives the reminder emails of their loans)
  */
 const userSchemaBase = Joi.object({
     name: validationService
@@ -82,6 +83,9 @@ const userSchemaBase = Joi.object({
                 'The name of the theme chosen by the user. This setting determines the overall look and feel of the application, enabling a personalized user experience.'
             ),
     }),
+    loanReminders: validationService.booleanField.description(
+        'Whether the user receives the due date reminder and overdue notice emails of their loans.'
+    ),
     limit: Joi.string()
         .min(1)
         .max(100)
@@ -140,6 +144,17 @@ const updateAppearance = userSchemaBase.fork(['theme'], (field) =>
     field.required()
 );
 
+/**
+ * Joi schema for validating data when updating user notification settings.
+ *
+ * @constant
+ * @type {Joi.ObjectSchema}
+ * @description This schema extends the base user schema and requires the loanReminders field.
+ */
+const updateNotifications = userSchemaBase.fork(['loanReminders'], (field) =>
+    field.required()
+);
+
 /**
  * getBooksQuerySchema - Joi schema for validating query parameters when retrieving a list of books.
  * Ensures that parameters such as name, isActive, limit, sort, createdBy, updatedBy, createdAt,
@@ -181,6 +196,7 @@ const userIdParamSchema = Joi.object({
  * @property {Joi.ObjectSchema} updateUserProfile - Schema for validating data when updating a user profile.
  * @property {Joi.ObjectSchema} deleteUser - Schema for validating data when deleting a user account.
  * @property {Joi.ObjectSchema} updateAppearance - Schema for validating data when updating user appearance settings.
+ * @property {Joi.ObjectSchema} updateNotifications - Schema for validating data when updating user notification settings.
  * @property {Object} getUsersQuerySchema - Joi schema for validating query parameters when retrieving a list of users.
  * @property {Object} userIdParamSchema - Joi schema for validating a single user ID.
  */
@@ -188,6 +204,7 @@ const usersSchema = {
     updateUserProfile,
     deleteUser,
     updateAppearance,
+    updateNotifications,
     getUsersQuerySchema,
     userIdParamSchema,
 };
@@ -10,6 +10,8 @@ import mongoose from 'mongoose';
 
 import writersConstants from './writers.constant.js';
 import sharedSchema from '../../../shared/schema.js';
+import softDeletePlugin from '../../../shared/softDeletePlugin.js';
+import revisionPlugin from '../../../shared/revisionPlugin.js';
 
 /**
  * Schema for storing writer data with automatic timestamping for creation and updates.
@@ -92,6 +94,15 @@ const writerSchema = new mongoose.Schema(
 // Create a unique index on the name field
 writerSchema.index({ name: 1 }, { unique: true });
 
+// Move deleted writers to the trash, from which they can be restored until they are purged
+writerSchema.plugin(softDeletePlugin);
+
+// Keep the changes of writers as revisions, leaving out the count of their books and the image,
+// whose files are deleted when it is replaced, so a rollback cannot bring it back
+writerSchema.plugin(revisionPlugin, {
+    ignoredFields: ['booksCount', 'image'],
+});
+
 const WritersModel =
     mongoose.models.Writers || mongoose.model('Writers', writerSchema);
 
@@ -8,6 +8,7 @@
 import express from 'express';
 
 import authenticateMiddleware from '../../../middleware/authenticate.middleware.js';
+import mergeRedirectMiddleware from '../../../middleware/mergeRedirect.middleware.js';
 import writersValidator from './writers.validator.js';
 import cacheMiddleware from '../../../middleware/cache.middleware.js';
 import configuration from '../../../configuration/configuration.js';
@@ -15,6 +16,7 @@ import uploadMiddleware from '../../../middleware/upload.middleware.js';
 import writersController from './writers.controller.js';
 import methodNotSupported from '../../../shared/methodNotSupported.js';
 import routesConstants from '../../../constant/routes.constants.js';
+import mergesConstants from '../merges/merges.constant.js';
 import accessTypesConstants from '../../../constant/accessTypes.constants.js';
 
 const router = express.Router();
@@ -49,6 +51,8 @@ const router = express.Router();
  *         description: Writer created successfully.
  *       400:
  *         description: Invalid input, object invalid.
+ *       409:
+ *         description: A writer in the trash has the same name, restore it instead.
  *     tags:
  *       - Writer Management
  *   get:
@@ -89,7 +93,7 @@ const router = express.Router();
  *                   type: string
  *     responses:
  *       200:
- *         description: Writers deleted successfully.
+ *         description: Writers moved to trash until restored or purged.
  *     tags:
  *       - Writer Management
  *   all:
@@ -134,7 +138,7 @@ router
  * /writers/{id}:
  *   get:
  *     summary: Retrieves a writer by ID.
- *     description: Provides detailed information about a writer identified by their ID.
+ *     description: Provides detailed information about a writer identified by their ID. The ID of a writer merged into another one resolves to the writer it was merged into, whose URL is given in the Content-Location header.
  *     parameters:
  *       - in: path
  *         name: id
@@ -183,6 +187,8 @@ router
  *     responses:
  *       200:
  *         description: Writer updated successfully.
+ *       409:
+ *         description: A writer in the trash has the same name, restore it instead.
  *     tags:
  *       - Writer Management
  *   delete:
@@ -199,7 +205,7 @@ router
  *         description: Unique identifier of the writer to be deleted.
  *     responses:
  *       200:
- *         description: Writer deleted successfully.
+ *         description: Writer moved to trash until restored or purged.
  *     tags:
  *       - Writer Management
  *   all:
@@ -214,6 +220,10 @@ router
     .route(`/:${routesConstants.writers.params}`)
     .get(
         writersValidator.getWriter,
+        mergeRedirectMiddleware(
+            mergesConstants.types.WRITERS,
+            routesConstants.writers.params
+        ),
         writersController.getWriter,
         cacheMiddleware.create(configuration.cache.timeout)
     )
@@ -1,11 +1,9 @@
 /**
  * @fileoverview This module defines the service functions for managing writer-related operations.
  * It includes functions for creating, retrieving, updating, and deleting writer records.
- * The service handles validation, file uploads to Google Drive, and logging of admin activities.
+ * The service handles validation, image processing and uploads to the configured storage provider, and logging of admin activities.
  */
 
-import { v2 as cloudinary } from 'cloudinary';
-
 import WritersModel from './writers.model.js';
 import httpStatus from '../../../constant/httpStatus.constants.js';
 import mimeTypesConstants from '../../../constant/mimeTypes.constants.js';
@@ -15,13 +13,14 @@ import loggerService from '../../../service/logger.service.js';
 import service from '../../../shared/service.js';
 import AdminActivityLoggerModel from '../admin/adminActivityLogger/adminActivityLogger.model.js';
 import adminActivityLoggerConstants from '../admin/adminActivityLogger/adminActivityLogger.constants.js';
-import configuration from '../../../configuration/configuration.js';
+import imageService from '../../../service/image.service.js';
 
 import isEmptyObject from '../../../utilities/isEmptyObject.js';
 import errorResponse from '../../../utilities/errorResponse.js';
 import sendResponse from '../../../utilities/sendResponse.js';
 import validateFile from '../../../utilities/validateFile.js';
 import BooksModel from '../books/books.model.js';
+import bookSearchService from '../books/search/bookSearch.service.js';
 import mongoose from 'mongoose';
 
 /**
@@ -69,6 +68,13 @@ const createWriter = async (requester, writerData, writerImage) => {
             );
         }
 
+        const trashConflict = await service.getTrashConflict(
+            WritersModel,
+            { name: writerData.name },
+            'writer'
+        );
+        if (trashConflict) return trashConflict;
+
         // if (!writerImage) {
         //     return errorResponse(
         //         'Please provide an image.',
@@ -91,21 +97,8 @@ const createWriter = async (requester, writerData, writerImage) => {
                 );
             }
 
-            const file = writerImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in update object
-            writerImageData = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            writerImageData = await imageService.uploadImage(writerImage);
         }
 
         writerData.createdBy = requester;
@@ -132,7 +125,7 @@ const createWriter = async (requester, writerData, writerImage) => {
 
         return errorResponse(
             error.message || 'Failed to create writer.',
-            httpStatus.INTERNAL_SERVER_ERROR
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
@@ -155,7 +148,7 @@ const getWriters = async (params) => {
                 $lookup: {
                     from: 'books', // Name of the books collection
                     localField: '_id', // Writer ID in the Writers collection
-                    foreignField: 'writer', // Reference field in the Books collection
+                    foreignField: 'contributors.writer', // Reference field in the contributors of the Books collection
                     as: 'books', // Output array name
                 },
             },
@@ -266,7 +259,7 @@ const getWriter = async (writerId) => {
                 $lookup: {
                     from: BooksModel.collection.name, // Make sure this is the correct collection name
                     localField: '_id',
-                    foreignField: 'writer',
+                    foreignField: 'contributors.writer',
                     as: 'books',
                 },
             },
@@ -349,6 +342,15 @@ const updateWriter = async (requester, writerId, updateData, writerImage) => {
             );
         }
 
+        if (updateData.name) {
+            const trashConflict = await service.getTrashConflict(
+                WritersModel,
+                { name: updateData.name },
+                'writer'
+            );
+            if (trashConflict) return trashConflict;
+        }
+
         // if (!writerImage) {
         //     return errorResponse(
         //         'Please provide an image.',
@@ -370,21 +372,8 @@ const updateWriter = async (requester, writerId, updateData, writerImage) => {
                 );
             }
 
-            const file = writerImage;
-            const result = await cloudinary.uploader.upload(
-                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-                {
-                    folder: 'library-management-system-server',
-                    public_id: file.originalname,
-                }
-            );
-
             // Update image data in update object
-            const writerImageData = {
-                fileId: result?.asset_id,
-                shareableLink: result?.secure_url,
-                downloadLink: result.url,
-            };
+            const writerImageData = await imageService.uploadImage(writerImage);
 
             if (writerImageData) {
                 updateData.image = writerImageData;
@@ -393,14 +382,24 @@ const updateWriter = async (requester, writerId, updateData, writerImage) => {
 
         updateData.updatedBy = requester;
 
-        const updatedWriter = await WritersModel.findByIdAndUpdate(
+        const updatedWriter = await service.updateResourceWithImage(
+            WritersModel,
             writerId,
-            updateData,
-            {
-                new: true,
-            }
+            updateData.image,
+            () =>
+                WritersModel.findByIdAndUpdate(writerId, updateData, {
+                    new: true,
+                }),
+            'writer'
         );
 
+        // The name is indexed with the books of the writer
+        if (updateData.name) {
+            await bookSearchService.indexBooks({
+                'contributors.writer': writerId,
+            });
+        }
+
         await AdminActivityLoggerModel.create({
             user: requester,
             action: adminActivityLoggerConstants.actionTypes.UPDATE,
@@ -419,7 +418,7 @@ const updateWriter = async (requester, writerId, updateData, writerImage) => {
 
         return errorResponse(
             error.message || 'Failed to update writer.',
-            httpStatus.INTERNAL_SERVER_ERROR
+            error.status || httpStatus.INTERNAL_SERVER_ERROR
         );
     }
 };
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview This module looks up the metadata of books, such as their name, writer, publication, number
+ * of pages and summary, by their ISBN. The lookup is delegated to a metadata provider, selected through the
+ * application configuration, so the source of the metadata can be swapped without touching the callers.
+ *
+ * A provider is an object with:
+ * - `name`: The name the provider is selected by in the configuration.
+ * - `lookup`: An async function receiving the ISBN-13 of a book and resolving to its metadata, or null if
+ *   the provider does not know the book.
+ *
+ * The `fixture` provider answers from a local file and works offline, the `open-library` provider queries
+ * the Open Library API. Other providers can be added with `registerProvider`.
+ */
+
+import configuration from '../configuration/configuration.js';
+import fixtureProvider from './bookMetadataProviders/fixture.provider.js';
+import openLibraryProvider from './bookMetadataProviders/openLibrary.provider.js';
+import loggerService from './logger.service.js';
+import normalizeIsbn from '../utilities/normalizeIsbn.js';
+
+const providers = new Map(
+    [fixtureProvider, openLibraryProvider].map((provider) => [
+        provider.name,
+        provider,
+    ])
+);
+
+/**
+ * Registers a metadata provider, replacing any provider registered under the same name.
+ *
+ * @function registerProvider
+ * @param {Object} provider - The provider, with its `name` and `lookup` function.
+ * @throws {Error} - Throws an error if the provider has no name or lookup function.
+ */
+const registerProvider = (provider) => {
+    if (!provider?.name || typeof provider.lookup !== 'function') {
+        throw new Error(
+            'A book metadata provider needs a name and a lookup function.'
+        );
+    }
+
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Looks up the metadata of a book by its ISBN through the configured provider. The fields the provider does
+ * not know are left out of the result.
+ *
+ * @async
+ * @function lookupIsbn
+ * @param {string} isbn - The ISBN-10 or ISBN-13 of the book.
+ * @returns {Promise<Object|null>} - The name, writer, publication, page and summary of the book as far as they are known, or null if the book is not found.
+ * @throws {Error} - Throws an error if the ISBN is invalid, the configured provider is not registered or the provider fails.
+ */
+const lookupIsbn = async (isbn) => {
+    const normalizedIsbn = normalizeIsbn(isbn);
+    if (!normalizedIsbn) {
+        throw new Error(`Invalid ISBN: ${isbn}`);
+    }
+
+    const provider = providers.get(configuration.bookMetadata.provider);
+    if (!provider) {
+        throw new Error(
+            `Unknown book metadata provider: ${configuration.bookMetadata.provider}`
+        );
+    }
+
+    const metadata = await provider.lookup(normalizedIsbn.isbn13);
+    if (!metadata) {
+        loggerService.info(
+            `No book metadata found for ISBN ${normalizedIsbn.isbn13} with the ${provider.name} provider.`
+        );
+
+        return null;
+    }
+
+    return Object.fromEntries(
+        ['name', 'writer', 'publication', 'page', 'summary']
+            .filter((field) => metadata[field] !== undefined)
+            .map((field) => [field, metadata[field]])
+    );
+};
+
+const bookMetadataService = {
+    registerProvider,
+    lookupIsbn,
+};
+
+export default bookMetadataService;
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview This module provides a book metadata provider backed by a local fixture file. It answers
+ * lookups from `vendor/bookMetadata.json`, keyed by ISBN-13, without any network access, which makes it
+ * suitable for offline use, development and tests. More books can be added to the file as needed.
+ */
+
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Derive the __dirname equivalent for ES6 modules using fileURLToPath
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const fixturePath = join(__dirname, '../../vendor/bookMetadata.json');
+
+let fixtures;
+
+/**
+ * Looks up the metadata of a book in the fixture file. The file is read on the first lookup and kept
+ * in memory afterwards.
+ *
+ * @async
+ * @function lookup
+ * @param {string} isbn13 - The ISBN-13 of the book.
+ * @returns {Promise<Object|null>} - The metadata of the book, or null if the fixture file has no entry for it.
+ */
+const lookup = async (isbn13) => {
+    if (!fixtures) {
+        fixtures = JSON.parse(
+            await fs.readFile(fixturePath, { encoding: 'utf-8' })
+        );
+    }
+
+    return fixtures[isbn13] ?? null;
+};
+
+const fixtureProvider = {
+    name: 'fixture',
+    lookup,
+};
+
+export default fixtureProvider;
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview This module provides a book metadata provider backed by the Open Library API. The edition
+ * of the book is looked up by its ISBN, and the name of its first author and its description are read
+ * from the linked author and work records. Requests that take longer than the configured timeout are aborted.
+ */
+
+import configuration from '../../configuration/configuration.js';
+
+const baseUrl = 'https://openlibrary.org';
+
+/**
+ * Fetches a JSON record from Open Library.
+ *
+ * @param {string} path - The path of the record, starting with a slash.
+ * @returns {Promise<Object|null>} - The record, or null if Open Library does not have it.
+ * @throws {Error} - Throws an error if Open Library responds with an error other than not found.
+ */
+const fetchRecord = async (path) => {
+    const response = await fetch(`${baseUrl}${path}.json`, {
+        signal: AbortSignal.timeout(configuration.bookMetadata.timeoutMs),
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(
+            `Open Library responded with status ${response.status}.`
+        );
+    }
+
+    return response.json();
+};
+
+/**
+ * Reads a description, which Open Library stores either as a string or as a typed text object.
+ *
+ * @param {string|Object} [description] - The description of the record.
+ * @returns {string|undefined} - The text of the description.
+ */
+const getDescriptionText = (description) =>
+    typeof description === 'string' ? description : description?.value;
+
+/**
+ * Looks up the metadata of a book on Open Library.
+ *
+ * @async
+ * @function lookup
+ * @param {string} isbn13 - The ISBN-13 of the book.
+ * @returns {Promise<Object|null>} - The metadata of the book, or null if Open Library does not know the ISBN.
+ */
+const lookup = async (isbn13) => {
+    const edition = await fetchRecord(`/isbn/${isbn13}`);
+    if (!edition) return null;
+
+    const [author, work] = await Promise.all([
+        edition.authors?.[0] && fetchRecord(edition.authors[0].key),
+        edition.works?.[0] && fetchRecord(edition.works[0].key),
+    ]);
+
+    return {
+        name: edition.title,
+        writer: author?.name,
+        publication: edition.publishers?.[0],
+        page: edition.number_of_pages,
+        summary:
+            getDescriptionText(edition.description) ??
+            getDescriptionText(work?.description),
+    };
+};
+
+const openLibraryProvider = {
+    name: 'open-library',
+    lookup,
+};
+
+export default openLibraryProvider;
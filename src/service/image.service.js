@@ -0,0 +1,159 @@
+/**
+ * @fileoverview This module processes the images uploaded to the application, such as book covers, writer and
+ * translator photos, user avatars and the images of requested books, before they are stored. Each image is
+ * decoded, which rejects files that are not images whatever their type says, turned upright according to its
+ * EXIF orientation and stripped of its metadata, such as the location it was taken at. A file that cannot be
+ * decoded, such as a truncated or corrupt one, is rejected with a `400` status, as the upload is at fault.
+ *
+ * The image is stored in each of the configured sizes and formats through the storage service. The main variant,
+ * the large JPEG, is also kept as the image itself, so clients reading the shareable and download links of an image
+ * get a processed image as well.
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+
+import constants from '../constant/constants.js';
+import httpStatus from '../constant/httpStatus.constants.js';
+import mimeTypesConstants from '../constant/mimeTypes.constants.js';
+import storageService from './storage.service.js';
+
+const { sizes, formats, quality, main } = constants.imageVariants;
+
+const mimeTypes = {
+    webp: mimeTypesConstants.WEBP,
+    jpeg: mimeTypesConstants.JPG,
+};
+
+/**
+ * Converts an image to each configured size and format. The image is oriented once, and its metadata is left
+ * out of every variant, as sharp only keeps metadata when asked to.
+ *
+ * @async
+ * @function convertImage
+ * @param {Object} file - The uploaded image, with its buffer and original name.
+ * @returns {Promise<Array<Object>>} - The variants, each with its size, format, width, height and the file to store.
+ * @throws {Error} - Throws the error of sharp if the file cannot be decoded.
+ */
+const convertImage = async (file) => {
+    const image = sharp(file.buffer, { failOn: 'error' }).rotate();
+    const baseName = path.parse(file.originalname ?? 'image').name;
+    const variants = [];
+
+    for (const [size, longestSide] of Object.entries(sizes)) {
+        const resized = image.clone().resize({
+            width: longestSide,
+            height: longestSide,
+            fit: 'inside',
+            withoutEnlargement: true,
+        });
+
+        for (const format of formats) {
+            const converted = resized.clone();
+
+            // JPEG has no transparency, so transparent areas are made white rather than black
+            if (format === 'jpeg') {
+                converted.flatten({ background: '#ffffff' });
+            }
+
+            const { data, info } = await converted
+                .toFormat(format, { quality })
+                .toBuffer({ resolveWithObject: true });
+
+            variants.push({
+                size,
+                format,
+                width: info.width,
+                height: info.height,
+                file: {
+                    buffer: data,
+                    originalname: `${baseName}-${size}.${format === 'jpeg' ? 'jpg' : format}`,
+                    mimetype: mimeTypes[format],
+                    size: info.size,
+                },
+            });
+        }
+    }
+
+    return variants;
+};
+
+/**
+ * Creates the variants of an image in each configured size and format. A file sharp cannot decode is rejected
+ * as an invalid image rather than failing the request with the internal message of sharp.
+ *
+ * @async
+ * @function createImageVariants
+ * @param {Object} file - The uploaded image, with its buffer and original name.
+ * @returns {Promise<Array<Object>>} - The variants, each with its size, format, width, height and the file to store.
+ * @throws {Error} - Throws an error with a `400` status if the file cannot be decoded as an image.
+ */
+const createImageVariants = async (file) => {
+    try {
+        return await convertImage(file);
+    } catch (error) {
+        // sharp only reads the file when converting it, so any failure comes from its content
+        const invalidImageError = new Error(
+            'The file is not a valid image. Please upload another one.'
+        );
+        invalidImageError.status = httpStatus.BAD_REQUEST;
+        invalidImageError.cause = error;
+
+        throw invalidImageError;
+    }
+};
+
+/**
+ * Processes an uploaded image and stores its variants with the configured storage provider. A variant that was
+ * stored before another one failed is deleted again, so a failed upload leaves no files behind.
+ *
+ * @async
+ * @function uploadImage
+ * @param {Object} file - The uploaded image, with its buffer, original name and mimetype.
+ * @returns {Promise<Object>} - The image data to save: the provider, file ID and links of the main variant, and every variant with its URL.
+ * @throws {Error} - Throws an error with a `400` status if the file is not a valid image, or an error if a variant cannot be stored.
+ */
+const uploadImage = async (file) => {
+    const variants = await createImageVariants(file);
+    const storedVariants = [];
+
+    try {
+        for (const variant of variants) {
+            const storedFile = await storageService.uploadFile(variant.file);
+
+            storedVariants.push({ variant, storedFile });
+        }
+    } catch (error) {
+        await Promise.allSettled(
+            storedVariants.map(({ storedFile }) =>
+                storageService.deleteFile(storedFile)
+            )
+        );
+
+        throw error;
+    }
+
+    const { storedFile: mainFile } = storedVariants.find(
+        ({ variant }) =>
+            variant.size === main.size && variant.format === main.format
+    );
+
+    return {
+        ...mainFile,
+        variants: storedVariants.map(({ variant, storedFile }) => ({
+            size: variant.size,
+            format: variant.format,
+            width: variant.width,
+            height: variant.height,
+            fileId: storedFile.fileId,
+            url: storedFile.shareableLink,
+        })),
+    };
+};
+
+const imageService = {
+    createImageVariants,
+    uploadImage,
+};
+
+export default imageService;
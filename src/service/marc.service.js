@@ -0,0 +1,296 @@
+/**
+ * @fileoverview This module reads and writes MARC 21 bibliographic records, the format library systems exchange
+ * their catalogs in, either as ISO 2709 binary records or as MARCXML documents. Records are plain objects, so the
+ * mapping between the books of the library and MARC fields is left to the callers.
+ *
+ * A record is an object with:
+ * - `leader`: The 24 character leader of the record. The record length and base address are computed when
+ *   writing a binary record, so any value can be given for them.
+ * - `fields`: The fields of the record in order. A control field, tagged 001 to 009, is `{ tag, value }`, and
+ *   a data field is `{ tag, ind1, ind2, subfields }`, where `subfields` is a list of `[code, value]` pairs.
+ *
+ * Records are written in UTF-8, as flagged by position 9 of the leader, and binary records are read as UTF-8.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const FIELD_TERMINATOR = '\x1e';
+const RECORD_TERMINATOR = '\x1d';
+const SUBFIELD_DELIMITER = '\x1f';
+
+const MAX_FIELD_LENGTH = 9999;
+const MAX_RECORD_LENGTH = 99999;
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+/**
+ * The leader of a new, unknown length, language material monograph in UTF-8, with full level cataloging.
+ */
+const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+
+/**
+ * Tells whether a field is a control field, which holds a single value instead of indicators and subfields.
+ *
+ * @param {Object} field - The field.
+ * @returns {boolean} - Whether the field is a control field.
+ */
+const isControlField = (field) => field.tag < '010';
+
+/**
+ * Removes the characters that delimit the parts of a binary record from a value, so it cannot corrupt it.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The value without delimiters.
+ */
+const sanitize = (value) => String(value ?? '').replace(/[\x1d-\x1f]/g, ' ');
+
+/**
+ * Escapes the characters with a meaning in XML.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The escaped value.
+ */
+const escapeXml = (value) =>
+    sanitize(value).replace(
+        /[&<>"']/g,
+        (character) =>
+            ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&apos;',
+            })[character]
+    );
+
+/**
+ * Writes a record as an ISO 2709 binary record.
+ *
+ * @function toIso2709
+ * @param {Object} record - The record.
+ * @returns {Buffer} - The binary record.
+ * @throws {Error} - Throws an error if a field or the record is longer than MARC allows.
+ */
+const toIso2709 = (record) => {
+    const fieldData = record.fields.map((field) => {
+        const data = isControlField(field)
+            ? sanitize(field.value)
+            : `${field.ind1 ?? ' '}${field.ind2 ?? ' '}${field.subfields
+                  .map(
+                      ([code, value]) =>
+                          `${SUBFIELD_DELIMITER}${code}${sanitize(value)}`
+                  )
+                  .join('')}`;
+
+        const buffer = Buffer.from(`${data}${FIELD_TERMINATOR}`, 'utf-8');
+        if (buffer.length > MAX_FIELD_LENGTH) {
+            throw new Error(
+                `The MARC field ${field.tag} is longer than ${MAX_FIELD_LENGTH} bytes.`
+            );
+        }
+
+        return buffer;
+    });
+
+    let start = 0;
+    const directory = fieldData
+        .map((buffer, index) => {
+            const entry = `${record.fields[index].tag}${String(buffer.length).padStart(4, '0')}${String(start).padStart(5, '0')}`;
+            start += buffer.length;
+
+            return entry;
+        })
+        .join('');
+
+    const baseAddress = 24 + directory.length + 1;
+    const recordLength = baseAddress + start + 1;
+    if (recordLength > MAX_RECORD_LENGTH) {
+        throw new Error(
+            `The MARC record is longer than ${MAX_RECORD_LENGTH} bytes.`
+        );
+    }
+
+    const leader = (record.leader ?? DEFAULT_LEADER).padEnd(24, ' ');
+
+    return Buffer.concat([
+        Buffer.from(
+            `${String(recordLength).padStart(5, '0')}${leader.slice(5, 12)}${String(baseAddress).padStart(5, '0')}${leader.slice(17, 24)}${directory}${FIELD_TERMINATOR}`,
+            'utf-8'
+        ),
+        ...fieldData,
+        Buffer.from(RECORD_TERMINATOR, 'utf-8'),
+    ]);
+};
+
+/**
+ * Writes a record as a MARCXML `record` element, without the enclosing collection.
+ *
+ * @function toMarcXmlRecord
+ * @param {Object} record - The record.
+ * @returns {string} - The `record` element.
+ */
+const toMarcXmlRecord = (record) => {
+    const fields = record.fields.map((field) =>
+        isControlField(field)
+            ? `<controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`
+            : `<datafield tag="${field.tag}" ind1="${field.ind1 ?? ' '}" ind2="${field.ind2 ?? ' '}">${field.subfields
+                  .map(
+                      ([code, value]) =>
+                          `<subfield code="${code}">${escapeXml(value)}</subfield>`
+                  )
+                  .join('')}</datafield>`
+    );
+
+    return `<record><leader>${escapeXml(record.leader ?? DEFAULT_LEADER)}</leader>${fields.join('')}</record>`;
+};
+
+/**
+ * The opening and closing tags of a MARCXML collection, written around its records.
+ */
+const marcXmlCollection = {
+    open: `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`,
+    close: '</collection>\n',
+};
+
+/**
+ * Splits a file of ISO 2709 binary records into its records, leaving out the blank space between them.
+ *
+ * @function splitIso2709
+ * @param {Buffer} buffer - The content of the file.
+ * @returns {Array<Buffer>} - The binary records.
+ */
+const splitIso2709 = (buffer) => {
+    const records = [];
+    let start = 0;
+
+    while (start < buffer.length) {
+        // Files are often written with a line break after each record
+        if (/\s/.test(String.fromCharCode(buffer[start]))) {
+            start += 1;
+            continue;
+        }
+
+        let end = buffer.indexOf(RECORD_TERMINATOR.charCodeAt(0), start);
+        if (end === -1) end = buffer.length - 1;
+
+        records.push(buffer.subarray(start, end + 1));
+        start = end + 1;
+    }
+
+    return records;
+};
+
+/**
+ * Reads an ISO 2709 binary record. The fields are located through the directory, whose lengths and
+ * positions count bytes, so multibyte characters are read whole.
+ *
+ * @function fromIso2709
+ * @param {Buffer} buffer - The binary record.
+ * @returns {Object} - The record.
+ * @throws {Error} - Throws an error if the leader or the directory of the record is malformed.
+ */
+const fromIso2709 = (buffer) => {
+    const leader = buffer.subarray(0, 24).toString('latin1');
+    const baseAddress = Number(leader.slice(12, 17));
+    if (
+        leader.length !== 24 ||
+        !/^\d{5}$/.test(leader.slice(12, 17)) ||
+        baseAddress > buffer.length
+    ) {
+        throw new Error('The MARC record has a malformed leader.');
+    }
+
+    const directory = buffer.subarray(24, baseAddress - 1).toString('latin1');
+    if (directory.length % 12 !== 0 || !/^[\dA-Za-z]*$/.test(directory)) {
+        throw new Error('The MARC record has a malformed directory.');
+    }
+
+    const fields = [];
+    for (let entry = 0; entry < directory.length; entry += 12) {
+        const tag = directory.slice(entry, entry + 3);
+        const length = Number(directory.slice(entry + 3, entry + 7));
+        const start =
+            baseAddress + Number(directory.slice(entry + 7, entry + 12));
+        if (start + length > buffer.length) {
+            throw new Error(`The MARC field ${tag} ends past its record.`);
+        }
+
+        const data = buffer
+            .subarray(start, start + length)
+            .toString('utf-8')
+            .replace(new RegExp(`${FIELD_TERMINATOR}$`), '');
+
+        if (isControlField({ tag })) {
+            fields.push({ tag, value: data });
+        } else {
+            const [indicators, ...subfields] = data.split(SUBFIELD_DELIMITER);
+            fields.push({
+                tag,
+                ind1: indicators[0] ?? ' ',
+                ind2: indicators[1] ?? ' ',
+                subfields: subfields
+                    .filter(Boolean)
+                    .map((subfield) => [subfield[0], subfield.slice(1)]),
+            });
+        }
+    }
+
+    return { leader, fields };
+};
+
+/**
+ * Reads the records of a MARCXML document, either a collection or a single record.
+ *
+ * @function fromMarcXml
+ * @param {Buffer|string} xml - The MARCXML document.
+ * @returns {Array<Object>} - The records.
+ * @throws {Error} - Throws an error if the document is not well-formed XML.
+ */
+const fromMarcXml = (xml) => {
+    const { document } = new JSDOM(xml.toString(), {
+        contentType: 'application/xml',
+    }).window;
+
+    const childrenNamed = (element, name) =>
+        [...element.children].filter((child) => child.localName === name);
+
+    return [...document.getElementsByTagNameNS('*', 'record')].map(
+        (element) => ({
+            leader: childrenNamed(element, 'leader')[0]?.textContent ?? '',
+            fields: [...element.children]
+                .filter((child) =>
+                    ['controlfield', 'datafield'].includes(child.localName)
+                )
+                .map((child) =>
+                    child.localName === 'controlfield'
+                        ? {
+                              tag: child.getAttribute('tag'),
+                              value: child.textContent,
+                          }
+                        : {
+                              tag: child.getAttribute('tag'),
+                              ind1: child.getAttribute('ind1') || ' ',
+                              ind2: child.getAttribute('ind2') || ' ',
+                              subfields: childrenNamed(child, 'subfield').map(
+                                  (subfield) => [
+                                      subfield.getAttribute('code'),
+                                      subfield.textContent,
+                                  ]
+                              ),
+                          }
+                ),
+        })
+    );
+};
+
+const marcService = {
+    DEFAULT_LEADER,
+    toIso2709,
+    toMarcXmlRecord,
+    marcXmlCollection,
+    splitIso2709,
+    fromIso2709,
+    fromMarcXml,
+};
+
+export default marcService;
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview This module provides a lightweight scheduler for running recurring background tasks,
+ * such as expiring reservations, inside the server process. Each task runs on its own interval, a run
+ * is skipped while the previous run of the same task is still in progress, and failures are logged
+ * without affecting the other tasks or the server.
+ *
+ * Key functionalities include:
+ * - Scheduling a named task to run every given number of minutes.
+ * - Stopping all scheduled tasks when the application is shutting down.
+ */
+
+import loggerService from './logger.service.js';
+
+const tasks = new Map();
+
+/**
+ * Schedules a task to run every `intervalMinutes` minutes. Scheduling a task with a name that is already
+ * in use replaces the previous task. The interval timer does not keep the process alive on its own.
+ *
+ * @function schedule
+ * @param {string} name - The unique name of the task, used for logging.
+ * @param {number} intervalMinutes - The number of minutes between two runs of the task.
+ * @param {Function} task - The asynchronous function to run.
+ * @returns {void}
+ * @example
+ * SchedulerService.schedule('expire-reservations', 15, async () => {
+ *     await bookReservationsService.expireBookReservations();
+ * });
+ */
+const schedule = (name, intervalMinutes, task) => {
+    if (tasks.has(name)) {
+        clearInterval(tasks.get(name).timer);
+    }
+
+    const entry = { running: false, timer: null };
+
+    const run = async () => {
+        if (entry.running) {
+            loggerService.warn(
+                `Scheduled task "${name}" is still running, skipping this run.`
+            );
+
+            return;
+        }
+
+        entry.running = true;
+
+        try {
+            await task();
+        } catch (error) {
+            loggerService.error(
+                `Scheduled task "${name}" failed: ${error.message}`
+            );
+        } finally {
+            entry.running = false;
+        }
+    };
+
+    entry.timer = setInterval(run, intervalMinutes * 60 * 1000);
+    entry.timer.unref();
+
+    tasks.set(name, entry);
+
+    loggerService.info(
+        `Scheduled task "${name}" to run every ${intervalMinutes} minute(s).`
+    );
+};
+
+/**
+ * Stops all scheduled tasks. Runs that are already in progress are allowed to finish.
+ *
+ * @function stop
+ * @returns {void}
+ */
+const stop = () => {
+    tasks.forEach((entry) => clearInterval(entry.timer));
+    tasks.clear();
+
+    loggerService.info('All scheduled tasks stopped.');
+};
+
+const SchedulerService = {
+    schedule,
+    stop,
+};
+
+export default SchedulerService;
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview This module stores the files uploaded to the application, such as the images of books, writers,
+ * translators, users and requested books. Storing is delegated to a storage provider, selected through the
+ * application configuration, so the place files are kept can be swapped without touching the callers.
+ *
+ * A provider is an object with:
+ * - `name`: The name the provider is selected by in the configuration.
+ * - `uploadFile`: An async function receiving a file and the unique name to store it under, and resolving to
+ *   the ID of the stored file with its shareable and download links.
+ * - `deleteFile`: An async function receiving the ID of a file and deleting it.
+ *
+ * Providers offer no signed URLs. Images are read through the public links stored with them, as the images
+ * of the catalog are public, and Google Drive and the local provider cannot make a link expire anyway.
+ *
+ * Each stored image keeps the name of the provider it was uploaded with, so it is deleted from that provider
+ * even after another one is configured. The `cloudinary`, `google-drive` and `local` providers are built in,
+ * other providers can be added with `registerProvider`.
+ */
+
+import { randomUUID } from 'crypto';
+import path from 'path';
+
+import configuration from '../configuration/configuration.js';
+import cloudinaryProvider from './storageProviders/cloudinary.provider.js';
+import googleDriveProvider from './storageProviders/googleDrive.provider.js';
+import localProvider from './storageProviders/local.provider.js';
+
+// Images uploaded before the provider of each image was recorded were all stored on Cloudinary
+const DEFAULT_PROVIDER = cloudinaryProvider.name;
+
+const providers = new Map(
+    [cloudinaryProvider, googleDriveProvider, localProvider].map((provider) => [
+        provider.name,
+        provider,
+    ])
+);
+
+/**
+ * Registers a storage provider, replacing any provider registered under the same name.
+ *
+ * @function registerProvider
+ * @param {Object} provider - The provider, with its `name`, `uploadFile` and `deleteFile` functions.
+ * @throws {Error} - Throws an error if the provider has no name or misses one of the functions.
+ */
+const registerProvider = (provider) => {
+    if (
+        !provider?.name ||
+        ['uploadFile', 'deleteFile'].some(
+            (operation) => typeof provider[operation] !== 'function'
+        )
+    ) {
+        throw new Error(
+            'A storage provider needs a name and uploadFile and deleteFile functions.'
+        );
+    }
+
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Finds a registered provider by its name.
+ *
+ * @function getProvider
+ * @param {string} name - The name of the provider.
+ * @returns {Object} - The provider.
+ * @throws {Error} - Throws an error if no provider is registered under the name.
+ */
+const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown storage provider: ${name}`);
+    }
+
+    return provider;
+};
+
+/**
+ * Uploads a file with the configured provider, under a unique name keeping the extension of the file, so files
+ * uploaded with the same name do not replace each other.
+ *
+ * @async
+ * @function uploadFile
+ * @param {Object} file - The uploaded file, with its buffer, original name and mimetype.
+ * @returns {Promise<Object>} - The image data to save: the provider, the file ID, and the shareable and download links.
+ * @throws {Error} - Throws an error if the configured provider is not registered or the upload fails.
+ */
+const uploadFile = async (file) => {
+    const provider = getProvider(configuration.storage.provider);
+    const fileName = `${randomUUID()}${path.extname(file.originalname ?? '').toLowerCase()}`;
+
+    const storedFile = await provider.uploadFile(file, fileName);
+
+    return { provider: provider.name, ...storedFile };
+};
+
+/**
+ * Deletes the files of an image, with those of its variants, from the provider it was uploaded with. Images
+ * without a file, such as default images and imported covers given as links, are left as they are.
+ *
+ * @async
+ * @function deleteFile
+ * @param {Object} image - The image data, with its provider, file ID and variants.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the provider of the image is not registered or a deletion fails.
+ */
+const deleteFile = async (image) => {
+    // The image itself is one of its variants, so each file is deleted once
+    const fileIds = new Set(
+        [
+            image?.fileId,
+            ...(image?.variants ?? []).map((variant) => variant.fileId),
+        ].filter(Boolean)
+    );
+    if (!fileIds.size) return;
+
+    const provider = getProvider(image.provider ?? DEFAULT_PROVIDER);
+
+    for (const fileId of fileIds) {
+        await provider.deleteFile(fileId);
+    }
+};
+
+const storageService = {
+    registerProvider,
+    uploadFile,
+    deleteFile,
+};
+
+export default storageService;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview This module provides a storage provider backed by Cloudinary. Files are uploaded to the folder
+ * of the application and identified by their Cloudinary asset ID, which is resolved to the public ID of the
+ * asset to delete it.
+ */
+
+import { v2 as cloudinary } from 'cloudinary';
+import path from 'path';
+
+import configuration from '../../configuration/configuration.js';
+
+const FOLDER = 'library-management-system-server';
+
+cloudinary.config({
+    cloud_name: configuration.cloudinary.cloudName,
+    api_key: configuration.cloudinary.apiKey,
+    api_secret: configuration.cloudinary.apiSecret,
+});
+
+/**
+ * Finds the asset of a file by its asset ID.
+ *
+ * @async
+ * @function findAsset
+ * @param {string} fileId - The asset ID of the file.
+ * @returns {Promise<Object|undefined>} - The asset with its public ID and format, or undefined if it does not exist.
+ */
+const findAsset = async (fileId) => {
+    const { resources } = await cloudinary.api.resources_by_asset_ids([fileId]);
+
+    return resources?.[0];
+};
+
+/**
+ * Uploads a file to Cloudinary.
+ *
+ * @async
+ * @function uploadFile
+ * @param {Object} file - The file to upload, with its buffer and mimetype.
+ * @param {string} fileName - The unique name the file is stored under, its extension left out of the public ID.
+ * @returns {Promise<Object>} - The asset ID of the file with its secure and plain URLs.
+ */
+const uploadFile = async (file, fileName) => {
+    const result = await cloudinary.uploader.upload(
+        `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
+        {
+            folder: FOLDER,
+            public_id: path.parse(fileName).name,
+        }
+    );
+
+    return {
+        fileId: result.asset_id,
+        shareableLink: result.secure_url,
+        downloadLink: result.url,
+    };
+};
+
+/**
+ * Deletes a file from Cloudinary. A file that no longer exists is taken as deleted.
+ *
+ * @async
+ * @function deleteFile
+ * @param {string} fileId - The asset ID of the file.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if Cloudinary does not delete the file.
+ */
+const deleteFile = async (fileId) => {
+    const asset = await findAsset(fileId);
+    if (!asset) return;
+
+    const { result } = await cloudinary.uploader.destroy(asset.public_id);
+    if (result !== 'ok' && result !== 'not found') {
+        throw new Error(`Cloudinary did not delete ${fileId}: ${result}`);
+    }
+};
+
+const cloudinaryProvider = {
+    name: 'cloudinary',
+    uploadFile,
+    deleteFile,
+};
+
+export default cloudinaryProvider;
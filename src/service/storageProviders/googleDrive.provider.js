@@ -0,0 +1,131 @@
+/**
+ * @fileoverview This module provides a storage provider backed by Google Drive via the Google Drive API. It facilitates
+ * uploading and deleting files in a specified Google Drive folder, leveraging the capabilities of the `@googleapis/drive`
+ * library. The provider authenticates with the JWT client configured in a separate module.
+ *
+ * The primary functionalities include:
+ * - `uploadFile`: Handles the uploading of files to Google Drive, setting permissions to ensure that the files are
+ *   shareable and retrievable via a public link. It uses a readable stream to handle file data, accommodating larger files
+ *   by streaming them directly to Google Drive.
+ * - `deleteFile`: Provides the capability to delete files from Google Drive by their file ID, supporting clean-up and
+ *   management of files within the application's designated Google Drive folder.
+ */
+
+import google from '@googleapis/drive';
+import { Readable } from 'stream';
+
+import configuration from '../../configuration/configuration.js';
+import googleDriveConfiguration from '../../configuration/googleDrive.configuration.js';
+
+/**
+ * Creates a Google Drive client authenticated with the configured credentials.
+ *
+ * @async
+ * @function getDrive
+ * @returns {Promise<Object>} The Google Drive client.
+ * @throws {Error} Throws an error if the authentication fails.
+ */
+const getDrive = async () => {
+    const authorizationClient = await googleDriveConfiguration();
+    if (authorizationClient instanceof Error) {
+        throw authorizationClient;
+    }
+
+    return google.drive({
+        version: 'v3',
+        auth: authorizationClient,
+    });
+};
+
+/**
+ * Builds the direct download link of a file on Google Drive.
+ *
+ * @function getDownloadLink
+ * @param {string} fileId - The ID of the file on Google Drive.
+ * @returns {string} The download link of the file.
+ */
+const getDownloadLink = (fileId) =>
+    `https://drive.google.com/u/1/uc?id=${fileId}&export=download`;
+
+/**
+ * Uploads a file to Google Drive and sets it to be publicly viewable via a shareable link. The file is streamed
+ * directly to Google Drive to handle potentially large files efficiently, and anyone with the link is allowed to
+ * view it. Upon successful upload, the function returns the Google Drive file ID, the web view link, and a direct
+ * download link.
+ *
+ * @async
+ * @function uploadFile
+ * @param {Object} file - The file object to upload, which should include buffer and mimetype properties.
+ * @param {string} fileName - The unique name the file is stored under.
+ * @returns {Promise<Object>} A promise that resolves to an object containing the file ID and links.
+ * @throws {Error} Throws an error if the upload fails.
+ */
+const uploadFile = async (file, fileName) => {
+    const drive = await getDrive();
+    const fileMetaData = {
+        name: fileName,
+        parents: [configuration.googleDrive.folderKey],
+    };
+    const fileStream = new Readable();
+
+    fileStream.push(file.buffer);
+    fileStream.push(null);
+
+    // Upload the file
+    const { data: fileData } = await drive.files.create({
+        requestBody: fileMetaData,
+        media: {
+            body: fileStream,
+            mimeType: file.mimetype,
+        },
+        fields: 'id',
+    });
+
+    // Set the file permissions to 'anyone with the link can view'
+    await drive.permissions.create({
+        fileId: fileData.id,
+        requestBody: {
+            role: 'reader',
+            type: 'anyone',
+        },
+    });
+
+    // Get the shareable link
+    const { data: fileInfo } = await drive.files.get({
+        fileId: fileData.id,
+        fields: 'webViewLink',
+    });
+
+    return {
+        fileId: fileData.id,
+        shareableLink: fileInfo.webViewLink,
+        downloadLink: getDownloadLink(fileData.id),
+    };
+};
+
+/**
+ * Deletes a file from Google Drive using its file ID. A file that no longer exists is taken as deleted.
+ *
+ * @async
+ * @function deleteFile
+ * @param {string} fileId - The ID of the file to delete from Google Drive.
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error if the deletion fails.
+ */
+const deleteFile = async (fileId) => {
+    const drive = await getDrive();
+
+    try {
+        await drive.files.delete({ fileId });
+    } catch (error) {
+        if (error.code !== 404) throw error;
+    }
+};
+
+const googleDriveProvider = {
+    name: 'google-drive',
+    uploadFile,
+    deleteFile,
+};
+
+export default googleDriveProvider;
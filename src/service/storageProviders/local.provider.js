@@ -0,0 +1,67 @@
+/**
+ * @fileoverview This module provides a storage provider backed by the local filesystem. Files are written to the
+ * configured directory, created when needed, and served publicly on the `/api/{{VERSION}}/uploads` route, so it
+ * needs no external service and suits development, tests and single server deployments.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import configuration from '../../configuration/configuration.js';
+
+const directory = path.resolve(
+    process.cwd(),
+    configuration.storage.localDirectory
+);
+
+/**
+ * Builds the URL a stored file is served on.
+ *
+ * @function getFileUrl
+ * @param {string} fileId - The name of the file in the storage directory.
+ * @returns {string} - The URL of the file.
+ */
+const getFileUrl = (fileId) =>
+    `/api/${configuration.version}/uploads/${encodeURIComponent(fileId)}`;
+
+/**
+ * Writes a file to the storage directory.
+ *
+ * @async
+ * @function uploadFile
+ * @param {Object} file - The file to store, with its buffer.
+ * @param {string} fileName - The unique name the file is stored under, which is its ID.
+ * @returns {Promise<Object>} - The ID of the file with the URL it is served on.
+ */
+const uploadFile = async (file, fileName) => {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, fileName), file.buffer);
+
+    return {
+        fileId: fileName,
+        shareableLink: getFileUrl(fileName),
+        downloadLink: getFileUrl(fileName),
+    };
+};
+
+/**
+ * Removes a file from the storage directory. A file that no longer exists is taken as deleted.
+ *
+ * @async
+ * @function deleteFile
+ * @param {string} fileId - The name of the file in the storage directory.
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (fileId) => {
+    // Only the name is kept, so an ID cannot point outside the storage directory
+    await fs.rm(path.join(directory, path.basename(fileId)), { force: true });
+};
+
+const localProvider = {
+    name: 'local',
+    directory,
+    uploadFile,
+    deleteFile,
+};
+
+export default localProvider;
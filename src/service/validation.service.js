@@ -2,7 +2,7 @@
  * @fileoverview This module provides a comprehensive validation service using the Joi library.
  * It defines a set of reusable validation schemas and utility functions for various common data types and fields
  * encountered in application development. These include string fields, mobile numbers, email addresses, passwords,
- * booleans, MongoDB ObjectIds, dates, and file uploads. The validation schemas ensure that the data conforms to
+ * booleans, MongoDB ObjectIds, dates, ISBNs, and file uploads. The validation schemas ensure that the data conforms to
  * specified formats, patterns, and constraints, providing detailed and customized error messages when validation fails.
  *
  * The primary functionalities include:
@@ -14,6 +14,7 @@
  * - `objectIdField`: Ensures strings are valid MongoDB ObjectIds.
  * - `objectIdsField`: Validates comma-separated lists of MongoDB ObjectIds.
  * - `dateField`: Validates dates formatted as ISO 8601 strings.
+ * - `isbnField`: Validates ISBN-10s and ISBN-13s, including their check digit.
  * - `fileField`: Validates file uploads, checking the field name, file name, MIME type, and size.
  *
  * These validation schemas and functions are designed to be modular and reusable across different parts of the application,
@@ -26,6 +27,7 @@ import Joi from 'joi';
 import customValidationMessage from '../shared/customValidationMessage.js';
 import patterns from '../constant/patterns.constants.js';
 import constants from '../constant/constants.js';
+import normalizeIsbn from '../utilities/normalizeIsbn.js';
 
 /**
  * Generates a Joi schema for string fields with customizable minimum and maximum lengths.
@@ -192,6 +194,26 @@ const dateField = Joi.string()
         'An ISO 8601 formatted date string, including a timezone, e.g., 2021-03-19T04:00:00Z.'
     );
 
+/**
+ * Validates ISBN-10s and ISBN-13s, with or without hyphens, including their check digit.
+ *
+ * @type {Joi.StringSchema}
+ * @example
+ * const validationResult = isbnField.validate('978-0-306-40615-7');
+ */
+const isbnField = Joi.string()
+    .trim()
+    .custom((value, helpers) =>
+        normalizeIsbn(value) ? value : helpers.error('string.isbn')
+    )
+    .messages({
+        'string.isbn': '{#label} must be a valid ISBN-10 or ISBN-13.',
+        ...customValidationMessage,
+    })
+    .description(
+        'An ISBN-10 or ISBN-13, with or without hyphens, with a valid check digit.'
+    );
+
 /**
  * Generates a regular expression pattern for allowed file extensions.
  *
@@ -335,6 +357,7 @@ const validationService = {
     objectIdField,
     objectIdsField,
     dateField,
+    isbnField,
     fileField,
 };
 
@@ -2,7 +2,7 @@
  * @fileoverview This module provides the `prepareEmailContent` function, designed to generate the various sections of an HTML email template based on a given subject.
  * It supports multiple email types, each with customized content including titles, preheaders, hero images, main body text, and footer information.
  * This function is essential for creating dynamic email content that responds to different user interactions or system events within an application,
- * such as account creation, password resets, and system alerts. It utilizes placeholders and template literals to dynamically insert data into predefined HTML structures.
+ * such as account creation, password resets, system alerts, loan reminders and borrow requests. It utilizes placeholders and template literals to dynamically insert data into predefined HTML structures.
  */
 
 /**
@@ -584,6 +584,346 @@ const prepareEmailContent = (subject, emailData) => {
                 </tr>
             `;
 
+            break;
+        case 'Book Due Soon':
+            pageTitle = 'Your Loan Is Due Soon';
+            preheaderText = `A book you borrowed is due in ${emailData.daysLeft} day(s).`;
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Your Loan Is Due Soon</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">This is a friendly reminder that the book below is due in ${emailData.daysLeft} day(s). Please return it on time or renew the loan if you need it longer.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                            <li>Copy: ${emailData.accessionNumber}</li>
+                            <li>Due Date: ${emailData.dueDate}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because loan reminders are enabled for your account. You can turn them off in the notification settings of your account.</p>
+                    </td>
+                </tr>
+            `;
+
+            break;
+        case 'Book Due Today':
+            pageTitle = 'Your Loan Is Due Today';
+            preheaderText = 'A book you borrowed is due today.';
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Your Loan Is Due Today</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">The book below is due today. Please return it or renew the loan to avoid overdue fines.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                            <li>Copy: ${emailData.accessionNumber}</li>
+                            <li>Due Date: ${emailData.dueDate}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because loan reminders are enabled for your account. You can turn them off in the notification settings of your account.</p>
+                    </td>
+                </tr>
+            `;
+
+            break;
+        case 'Book Overdue':
+            pageTitle = 'Your Loan Is Overdue';
+            preheaderText = `A book you borrowed is ${emailData.daysOverdue} day(s) overdue.`;
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Your Loan Is Overdue</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">The book below is ${emailData.daysOverdue} day(s) overdue and fines are being charged for it. Please return it as soon as possible.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                            <li>Copy: ${emailData.accessionNumber}</li>
+                            <li>Due Date: ${emailData.dueDate}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because loan reminders are enabled for your account. You can turn them off in the notification settings of your account.</p>
+                    </td>
+                </tr>
+            `;
+
+            break;
+        case 'Borrow Request Received':
+            pageTitle = 'Borrow Request Received';
+            preheaderText =
+                'Your request to borrow a book is waiting for a librarian.';
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Borrow Request Received</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">We have received your request to borrow the book below. A librarian will review it shortly and you will be notified of their decision.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                            <li>Requested On: ${emailData.requestedOn}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because you asked to borrow a book from the library.</p>
+                    </td>
+                </tr>
+            `;
+
+            break;
+        case 'Borrow Request Approved':
+            pageTitle = 'Borrow Request Approved';
+            preheaderText = 'Your request to borrow a book has been approved.';
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Borrow Request Approved</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">Good news, your request to borrow the book below has been approved. Please pick up the copy at the circulation desk.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                            <li>Copy: ${emailData.accessionNumber}</li>
+                            <li>Due Date: ${emailData.dueDate}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because you asked to borrow a book from the library.</p>
+                    </td>
+                </tr>
+            `;
+
+            break;
+        case 'Borrow Request Rejected':
+            pageTitle = 'Borrow Request Rejected';
+            preheaderText = 'Your request to borrow a book has been rejected.';
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Borrow Request Rejected</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">Unfortunately, your request to borrow the book below has been rejected.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                            <li>Reason: ${emailData.reason}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because you asked to borrow a book from the library.</p>
+                    </td>
+                </tr>
+            `;
+
+            break;
+        case 'Borrow Request Cancelled':
+            pageTitle = 'Borrow Request Cancelled';
+            preheaderText = 'Your request to borrow a book has been cancelled.';
+            heroSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 36px 24px 0; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; border-top: 3px solid #d4dadf;">
+                          <h1 style="margin: 0; font-size: 32px; font-weight: 700; letter-spacing: -1px; line-height: 48px;">Borrow Request Cancelled</h1>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            mainSection = `
+                <tr>
+                  <td align="center" bgcolor="#e9ecef">
+                    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: 600px;">
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px;">
+                          <h1 style="margin: 0 0 12px; font-size: 32px; font-weight: 400; line-height: 48px;">Hi, ${emailData?.userName}!</h1>
+                          <p style="margin: 0;">Your request to borrow the book below has been cancelled.</p>
+                          <ul>
+                            <li>Book: ${emailData.bookName}</li>
+                          </ul>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td align="left" bgcolor="#ffffff" style="padding: 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 16px; line-height: 24px; border-bottom: 3px solid #d4dadf">
+                          <p style="margin: 0;">Cheers,<br> Library Management System</p>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+            `;
+            footerContent = `
+                <tr>
+                    <td align="center" bgcolor="#e9ecef" style="padding: 12px 24px; font-family: 'Source Sans Pro', Helvetica, Arial, sans-serif; font-size: 14px; line-height: 20px; color: #666;">
+                      <p style="margin: 0;">You received this email because you asked to borrow a book from the library.</p>
+                    </td>
+                </tr>
+            `;
+
             break;
         default:
             return null; // Return null if subject does not match known types
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview This module provides a Mongoose plugin for keeping the revision history of the documents of a
+ * model. Each time a document is created, saved or updated with `findOneAndUpdate`, the fields that changed are
+ * recorded as a new revision, with their values before and after, the admin who made the change and when.
+ *
+ * The timestamps, the admins who created, updated and deleted the document and the fields given as ignored,
+ * such as counts derived from other records, are left out of the revisions. Updates that only change ignored
+ * fields are not read at all. Bulk updates such as `updateMany` are not recorded, as they only maintain derived
+ * data and trash markers. A revision that cannot be recorded is logged without failing the change itself.
+ */
+
+import RevisionsModel from '../modules/api/revisions/revisions.model.js';
+import loggerService from '../service/logger.service.js';
+
+import diffFields from '../utilities/diffFields.js';
+
+/**
+ * The fields that are never recorded in revisions, as they track the changes themselves.
+ */
+const TRACKING_FIELDS = [
+    '_id',
+    'createdAt',
+    'updatedAt',
+    'createdBy',
+    'updatedBy',
+    'deletedAt',
+    'deletedBy',
+];
+
+/**
+ * The documents as they were before the saves and updates running on them, by document or query.
+ */
+const previousStates = new WeakMap();
+
+/**
+ * Helper function to record a change of a document as its next revision, if any recorded field changed.
+ *
+ * @param {Object} Model - The model of the document.
+ * @param {Object} previous - The document before the change, an empty object when it is created.
+ * @param {Object} current - The document after the change.
+ * @param {string} admin - The ID of the admin who made the change.
+ * @param {Array<string>} ignoredFields - The fields left out of the revision.
+ * @returns {Promise<void>}
+ */
+const recordRevision = async (
+    Model,
+    previous,
+    current,
+    admin,
+    ignoredFields
+) => {
+    const changes = diffFields(previous, current, ignoredFields);
+    if (!changes.length) return;
+
+    const resourceType = Model.collection.collectionName;
+
+    try {
+        const lastRevision = await RevisionsModel.findOne({
+            resourceType,
+            resource: current._id,
+        })
+            .sort('-version')
+            .select('version')
+            .lean();
+
+        await RevisionsModel.create({
+            resourceType,
+            resource: current._id,
+            version: (lastRevision?.version ?? 0) + 1,
+            changes,
+            createdBy: admin,
+        });
+    } catch (error) {
+        loggerService.error(
+            `Failed to record the revision of ${resourceType} ${current._id}: ${error}`
+        );
+    }
+};
+
+/**
+ * Helper function to list the fields an update changes, the fields of its operators included.
+ *
+ * @param {Object} update - The update of the query.
+ * @returns {Array<string>} - The top-level fields changed by the update.
+ */
+const getUpdatedFields = (update = {}) =>
+    Object.entries(update).flatMap(([key, value]) =>
+        key.startsWith('$')
+            ? Object.keys(value ?? {}).map((path) => path.split('.')[0])
+            : [key.split('.')[0]]
+    );
+
+/**
+ * revisionPlugin - Mongoose plugin recording the changes of the documents of a schema as revisions.
+ *
+ * @param {Object} schema - The Mongoose schema.
+ * @param {Object} [options] - The options of the plugin.
+ * @param {Array<string>} [options.ignoredFields] - The fields left out of the revisions, besides the timestamps and admins.
+ * @example
+ * writerSchema.plugin(revisionPlugin, { ignoredFields: ['booksCount'] });
+ */
+const revisionPlugin = (schema, { ignoredFields = [] } = {}) => {
+    const unrecordedFields = [...TRACKING_FIELDS, ...ignoredFields];
+
+    schema.pre('save', async function () {
+        const previous = this.isNew
+            ? {}
+            : await this.constructor
+                  .findById(this._id)
+                  .setOptions({ withDeleted: true })
+                  .lean();
+
+        previousStates.set(this, {
+            previous: previous ?? {},
+            admin: this.isNew ? this.createdBy : this.updatedBy,
+        });
+    });
+
+    schema.post('save', async function () {
+        const { previous, admin } = previousStates.get(this) ?? {};
+        previousStates.delete(this);
+
+        if (previous) {
+            await recordRevision(
+                this.constructor,
+                previous,
+                this.toObject(),
+                admin,
+                unrecordedFields
+            );
+        }
+    });
+
+    schema.pre('findOneAndUpdate', async function () {
+        const update = this.getUpdate();
+
+        if (
+            getUpdatedFields(update).every((field) =>
+                unrecordedFields.includes(field)
+            )
+        ) {
+            return;
+        }
+
+        const previous = await this.model
+            .findOne(this.getFilter())
+            .setOptions({ withDeleted: true })
+            .lean();
+
+        if (previous) {
+            previousStates.set(this, {
+                previous,
+                admin: update.updatedBy ?? update.$set?.updatedBy,
+            });
+        }
+    });
+
+    schema.post('findOneAndUpdate', async function () {
+        const { previous, admin } = previousStates.get(this) ?? {};
+        previousStates.delete(this);
+
+        if (!previous) return;
+
+        const current = await this.model
+            .findById(previous._id)
+            .setOptions({ withDeleted: true })
+            .lean();
+
+        if (current) {
+            await recordRevision(
+                this.model,
+                previous,
+                current,
+                admin,
+                unrecordedFields
+            );
+        }
+    });
+};
+
+export default revisionPlugin;
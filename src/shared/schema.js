@@ -121,11 +121,64 @@ const userIdSchema = {
         'User ID in the format user-X, where X is an auto-incremented number.',
 };
 
+/**
+ * @schema imageVariantSchema
+ * Describes one stored variant of an image, in one of the sizes and formats uploaded images are converted to.
+ */
+const imageVariantSchema = new Schema(
+    {
+        size: {
+            type: String,
+            enum: Object.keys(constants.imageVariants.sizes),
+            description: 'Size of the variant: thumbnail, medium or large.',
+        },
+        format: {
+            type: String,
+            enum: constants.imageVariants.formats,
+            description: 'Format of the variant: webp or jpeg.',
+        },
+        width: {
+            type: Number,
+            description: 'Width of the variant in pixels.',
+        },
+        height: {
+            type: Number,
+            description: 'Height of the variant in pixels.',
+        },
+        fileId: {
+            type: String,
+            trim: true,
+            maxlength: [
+                constants.lengths.IMAGE.FILE_ID_MAX,
+                `File ID should not exceed ${constants.lengths.IMAGE.FILE_ID_MAX} characters.`,
+            ],
+            description:
+                'Identifier for the variant file stored with the storage provider of the image.',
+        },
+        url: {
+            type: String,
+            trim: true,
+            maxlength: [
+                constants.lengths.IMAGE.VARIANT_URL,
+                `Variant URL should not exceed ${constants.lengths.IMAGE.VARIANT_URL} characters.`,
+            ],
+            description: 'URL the variant is served on.',
+        },
+    },
+    { _id: false }
+);
+
 /**
  * @schema imageSchema
  * Manages image data including file identifiers and URLs for sharing and downloading images, ensuring links do not exceed maximum length specifications.
  */
 const imageSchema = new Schema({
+    provider: {
+        type: String,
+        trim: true,
+        description:
+            'Name of the storage provider the image file was uploaded with.',
+    },
     fileId: {
         type: String,
         trim: true,
@@ -154,6 +207,12 @@ const imageSchema = new Schema({
         ],
         description: "URL link to directly download the user's image.",
     },
+    variants: {
+        type: [imageVariantSchema],
+        default: undefined,
+        description:
+            'The thumbnail, medium and large variants of the image in WebP and JPEG.',
+    },
 });
 
 /**
@@ -848,6 +907,30 @@ const updatedByAdminSchema = {
         'Reference to the admin who last updated this record, used for tracking changes and record ownership.',
 };
 
+/**
+ * @schema deletedAtSchema
+ * Records when the record was moved to the trash, null while it is in use. Records in the trash are purged once their retention period is over.
+ */
+const deletedAtSchema = {
+    type: Date,
+    default: null,
+    index: true,
+    description:
+        'The date the record was moved to the trash, or null if it is not in the trash.',
+};
+
+/**
+ * @schema deletedByAdminSchema
+ * References the admin who moved the record to the trash, so deletions can be traced until the record is restored or purged.
+ */
+const deletedByAdminSchema = {
+    type: Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null,
+    description:
+        'Reference to the admin who moved this record to the trash, used for tracking deletions.',
+};
+
 const sharedSchema = {
     usernameSchema,
     dateOfBirthSchema,
@@ -890,6 +973,8 @@ const sharedSchema = {
     profileVisibilitySchema,
     createdByAdminSchema,
     updatedByAdminSchema,
+    deletedAtSchema,
+    deletedByAdminSchema,
 };
 
 export default sharedSchema;
@@ -1,6 +1,7 @@
 /**
  * @fileoverview This module provides a set of services for managing resources within the application.
  * It includes functions for retrieving single resources or lists of resources, as well as deleting resources by ID or in bulk.
+ * Resources of models with the soft delete plugin are moved to the trash when deleted, and their images are kept until they are purged.
  * Each function is designed to handle specific database operations, apply necessary transformations or checks, and handle exceptions,
  * providing a reliable interface for interacting with the database. The services utilize helper functions and constants for error handling,
  * response formatting, and logging, ensuring consistency and maintainability in managing resource-related actions.
@@ -13,7 +14,7 @@ import loggerService from '../service/logger.service.js';
 import toSentenceCase from '../utilities/toSentenceCase.js';
 import AdminActivityLoggerModel from '../modules/api/admin/adminActivityLogger/adminActivityLogger.model.js';
 import adminActivityLoggerConstants from '../modules/api/admin/adminActivityLogger/adminActivityLogger.constants.js';
-import GoogleDriveService from '../service/googleDrive.service.js';
+import storageService from '../service/storage.service.js';
 
 /**
  * @function getResourceById
@@ -161,10 +162,102 @@ const getResourceList = async (
     }
 };
 
+/**
+ * @function isSoftDeletable
+ * Tells whether the resources of a model are moved to the trash when deleted, as the models with the soft delete plugin are.
+ *
+ * @param {Model} model - The Mongoose model.
+ * @returns {boolean} - Whether the resources of the model are soft deleted.
+ */
+const isSoftDeletable = (model) => Boolean(model.schema.path('deletedAt'));
+
+/**
+ * @function getTrashConflict
+ * Checks whether a resource in the trash holds the unique values, such as the name, of a resource being created or updated.
+ * The unique indexes still cover the resources in the trash, so their values can only be reused once they are purged, and
+ * the resource in the trash is named for it to be restored instead.
+ *
+ * @param {Model} model - The Mongoose model, with the soft delete plugin.
+ * @param {Object} uniqueValues - The unique values to look for in the trash, such as `{ name }`.
+ * @param {String} resourceType - A descriptive name for the type of resource (used for error messages).
+ * @returns {Promise<Object|null>} - A conflict response naming the resource in the trash, or null if none holds the values.
+ */
+const getTrashConflict = async (model, uniqueValues, resourceType) => {
+    const trashedResource = await model.exists({
+        ...uniqueValues,
+        deletedAt: { $ne: null },
+    });
+    if (!trashedResource) return null;
+
+    const fields = Object.keys(uniqueValues)
+        .map((field) => field.split('.').pop())
+        .join(' and ');
+
+    return errorResponse(
+        `${toSentenceCase(resourceType)} ${trashedResource._id} in the trash has the same ${fields}. Restore it from the trash instead.`,
+        httpStatus.CONFLICT
+    );
+};
+
+/**
+ * @function deleteResourceImages
+ * Deletes the image files of the given resources from the storage providers they were uploaded with. A file that cannot be
+ * deleted is logged, and does not stop the deletion of the resources.
+ *
+ * @param {Array<Object>} resources - The resources, with their image providers and file IDs.
+ * @param {String} resourceType - A descriptive name for the type of resources (used for logging).
+ */
+const deleteResourceImages = async (resources, resourceType) => {
+    for (const resource of resources) {
+        if (resource.image && resource.image.fileId) {
+            try {
+                await storageService.deleteFile(resource.image);
+            } catch (error) {
+                loggerService.error(
+                    `Failed to delete the image file with ID ${resource.image.fileId} for ${resourceType}: ${error}`
+                );
+            }
+        }
+    }
+};
+
+/**
+ * @function updateResourceWithImage
+ * Applies an update to a resource that may replace its image. The replaced image is read before the update, so its files
+ * can be deleted once the update succeeds, and are kept when it fails.
+ *
+ * @param {Model} Model - The Mongoose model of the resource.
+ * @param {String} resourceId - The ID of the resource to update.
+ * @param {Object|null} image - The uploaded image replacing the current one, or `null` if the image is kept.
+ * @param {Function} update - Applies the update and resolves to the updated resource, or `null` if it was not found.
+ * @param {String} resourceType - A descriptive name for the type of resource (used for logging).
+ * @returns {Promise<Object|null>} - The updated resource.
+ */
+const updateResourceWithImage = async (
+    Model,
+    resourceId,
+    image,
+    update,
+    resourceType
+) => {
+    const previousResource = image
+        ? await Model.findById(resourceId).select('image').lean()
+        : null;
+
+    const updatedResource = await update();
+
+    if (updatedResource && previousResource) {
+        await deleteResourceImages([previousResource], resourceType);
+    }
+
+    return updatedResource;
+};
+
 /**
  * @function deleteResourceById
- * Deletes a single resource by ID, including any associated resources such as files stored in Google Drive. It logs the action and
- * handles errors appropriately, returning a success or error response based on the outcome of the operation.
+ * Deletes a single resource by ID, including any associated resources such as stored image files. Resources of soft
+ * deletable models are moved to the trash instead, keeping their files. It logs the action and handles errors appropriately,
+ * returning a success or error response based on the outcome of the operation.
  *
  * @param {String} requester - The ID of the user requesting the deletion.
  * @param {Model} Model - The Mongoose model from which to delete the resource.
@@ -180,7 +273,7 @@ const deleteResourceById = async (
     try {
         const capitalizeResourceType = toSentenceCase(resourceType);
         const resource = await Model.findById(resourceId)
-            .select('_id image.fileId')
+            .select('_id image.provider image.fileId image.variants')
             .lean();
 
         if (!resource) {
@@ -191,18 +284,30 @@ const deleteResourceById = async (
             );
         }
 
-        // Check if the resource has an associated image file in Google Drive and delete it
-        if (resource.image && resource.image.fileId) {
-            try {
-                await GoogleDriveService.deleteFile(resource.image.fileId);
-            } catch (error) {
-                loggerService.error(
-                    `Failed to delete Google Drive file with ID ${resource.image.fileId} for ${resourceType}: ${error}`
-                );
-                // Optional: Decide how to handle errors in file deletion, whether to proceed with deleting the resource or not
-            }
+        if (isSoftDeletable(Model)) {
+            await Model.updateOne(
+                { _id: resourceId },
+                { deletedAt: new Date(), deletedBy: requester }
+            );
+
+            await AdminActivityLoggerModel.create({
+                user: requester,
+                action: adminActivityLoggerConstants.actionTypes.DELETE,
+                description: `${capitalizeResourceType} moved to trash.`,
+                details: JSON.stringify(resource),
+                affectedId: resourceId,
+            });
+
+            return sendResponse(
+                {},
+                `${capitalizeResourceType} moved to trash.`,
+                httpStatus.OK
+            );
         }
 
+        // Check if the resource has an associated image file and delete it from its storage provider
+        await deleteResourceImages([resource], resourceType);
+
         const deletionResult = await Model.findByIdAndDelete(resourceId);
 
         if (!deletionResult) {
@@ -240,7 +345,8 @@ const deleteResourceById = async (
 /**
  * @function deleteResourcesByList
  * Deletes multiple resources identified by an array of IDs, handling each deletion individually and managing associated resources like files.
- * It provides detailed results of the deletion process, including counts of deleted, not found, and failed deletions.
+ * Resources of soft deletable models are moved to the trash instead, keeping their files. It provides detailed results of the deletion
+ * process, including counts of deleted, not found, and failed deletions.
  *
  * @param {String} requester - The ID of the user requesting the deletion.
  * @param {Model} model - The Mongoose model from which to delete the resources.
@@ -252,44 +358,47 @@ const deleteResourcesByList = async (requester, model, ids, resourceType) => {
         const capitalizeResourceType = toSentenceCase(resourceType);
         const existingEntities = await model
             .find({ _id: { $in: ids } })
-            .select('_id image.fileId')
+            .select('_id image.provider image.fileId image.variants')
             .lean();
         const existingIds = existingEntities.map((entity) =>
             entity._id.toString()
         );
         const notFoundIds = ids.filter((id) => !existingIds.includes(id));
 
-        // Attempt to delete associated images from Google Drive if they exist
-        for (const entity of existingEntities) {
-            if (entity.image && entity.image.fileId) {
-                try {
-                    await GoogleDriveService.deleteFile(entity.image.fileId);
-                } catch (error) {
-                    loggerService.error(
-                        `Failed to delete file with ID ${entity.image.fileId} for ${resourceType}: ${error}`
-                    );
-                    // You may choose to handle this failure differently, e.g., by marking the ID as failed to delete
-                }
-            }
+        const softDelete = isSoftDeletable(model);
+        let deletedCount;
+
+        if (softDelete) {
+            const trashResult = await model.updateMany(
+                { _id: { $in: existingIds } },
+                { deletedAt: new Date(), deletedBy: requester }
+            );
+            deletedCount = trashResult.modifiedCount;
+        } else {
+            // Attempt to delete associated images from their storage providers if they exist
+            await deleteResourceImages(existingEntities, resourceType);
+
+            const deletionResult = await model.deleteMany({
+                _id: { $in: existingIds },
+            });
+            deletedCount = deletionResult.deletedCount;
         }
 
-        const deletionResult = await model.deleteMany({
-            _id: { $in: existingIds },
-        });
         const results = {
-            deleted: deletionResult.deletedCount,
+            deleted: deletedCount,
             notFound: notFoundIds.length,
-            failed:
-                ids.length - deletionResult.deletedCount - notFoundIds.length,
+            failed: ids.length - deletedCount - notFoundIds.length,
         };
 
-        const message = `Deleted ${results.deleted}: Not found ${results.notFound}, Failed ${results.failed}`;
+        const message = `${softDelete ? 'Moved to trash' : 'Deleted'} ${results.deleted}: Not found ${results.notFound}, Failed ${results.failed}`;
 
         // log the delete action for admin activities
         await AdminActivityLoggerModel.create({
             user: requester,
             action: adminActivityLoggerConstants.actionTypes.DELETE,
-            description: `${capitalizeResourceType} deleted successfully.`,
+            description: softDelete
+                ? `${capitalizeResourceType} moved to trash.`
+                : `${capitalizeResourceType} deleted successfully.`,
             details: JSON.stringify(results),
             affectedId: existingEntities.map((entity) => entity._id),
         });
@@ -314,6 +423,9 @@ const service = {
     getResourceList,
     deleteResourceById,
     deleteResourcesByList,
+    deleteResourceImages,
+    updateResourceWithImage,
+    getTrashConflict,
 };
 
 export default service;
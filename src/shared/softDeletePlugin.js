@@ -0,0 +1,90 @@
+/**
+ * @fileoverview This module provides a Mongoose plugin for soft deleting the documents of a model. Deleted
+ * documents are moved to the trash, marked with the date they were deleted and the admin who deleted them,
+ * instead of being removed, so they can be restored until the retention period of the trash is over.
+ *
+ * Documents in the trash are left out of the finds, counts, distinct values and aggregations of the model, as
+ * well as of the populated references to them. They are still read when the filter of a query names
+ * `deletedAt`, such as `{ deletedAt: { $ne: null } }` to list the trash, or when a query or aggregation has the
+ * `withDeleted` option. Updates and deletes are left as they are, so the counts of the documents in the trash
+ * are kept up to date, and the trash can be purged.
+ */
+
+import sharedSchema from './schema.js';
+
+/**
+ * The query operations that leave out the documents in the trash.
+ */
+const FILTERED_QUERIES = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'countDocuments',
+    'distinct',
+];
+
+/**
+ * The aggregation stages that must stay first in their pipeline, so the trash is left out after them.
+ */
+const FIRST_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+/**
+ * Query middleware that leaves the documents in the trash out of a query.
+ *
+ * @this {Object} The Mongoose query.
+ */
+function excludeDeletedDocuments() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+        return;
+    }
+
+    this.where({ deletedAt: null });
+}
+
+/**
+ * Aggregation middleware that leaves the documents in the trash out of an aggregation. The condition joins
+ * the first `$match` stage of the pipeline, as a `$text` match must stay first.
+ *
+ * @this {Object} The Mongoose aggregate.
+ */
+function excludeDeletedFromAggregate() {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const [firstStage] = pipeline;
+
+    if (firstStage?.$match) {
+        if (!('deletedAt' in firstStage.$match)) {
+            firstStage.$match.deletedAt = null;
+        }
+    } else if (
+        firstStage &&
+        FIRST_STAGES.some((stage) => stage in firstStage)
+    ) {
+        pipeline.splice(1, 0, { $match: { deletedAt: null } });
+    } else {
+        pipeline.unshift({ $match: { deletedAt: null } });
+    }
+}
+
+/**
+ * softDeletePlugin - Mongoose plugin adding the trash markers to a schema and leaving the documents in the
+ * trash out of its queries and aggregations.
+ *
+ * @param {Object} schema - The Mongoose schema.
+ * @example
+ * writerSchema.plugin(softDeletePlugin);
+ */
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: sharedSchema.deletedAtSchema,
+        deletedBy: sharedSchema.deletedByAdminSchema,
+    });
+
+    schema.pre(FILTERED_QUERIES, excludeDeletedDocuments);
+    schema.pre('aggregate', excludeDeletedFromAggregate);
+};
+
+export default softDeletePlugin;
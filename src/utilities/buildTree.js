@@ -0,0 +1,40 @@
+/**
+ * @fileoverview This file exports a function `buildTree` which nests a flat list of documents referring to their
+ * parent, such as the subjects of a taxonomy, into a tree. Each node is given the list of its children, and the
+ * nodes whose parent is not in the list become roots, so a single branch of a hierarchy can be nested as well.
+ */
+
+/**
+ * buildTree - Nests a flat list of documents into a tree, by the parent each of them refers to. The documents
+ * are copied, not changed.
+ *
+ * @function
+ * @param {Array<Object>} nodes - The documents, each with an `_id` and an optional `parent` ID.
+ * @param {Function} [compare] - The comparison the roots and the children of each node are sorted with.
+ * @returns {Array<Object>} - The roots of the tree, each with its `children`.
+ */
+const buildTree = (nodes, compare) => {
+    const nodesById = new Map(
+        nodes.map((node) => [String(node._id), { ...node, children: [] }])
+    );
+    const roots = [];
+
+    nodesById.forEach((node) => {
+        const parent = node.parent && nodesById.get(String(node.parent));
+
+        (parent ? parent.children : roots).push(node);
+    });
+
+    if (compare) {
+        const sortLevel = (level) => {
+            level.sort(compare);
+            level.forEach((node) => sortLevel(node.children));
+        };
+
+        sortLevel(roots);
+    }
+
+    return roots;
+};
+
+export default buildTree;
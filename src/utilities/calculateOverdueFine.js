@@ -0,0 +1,40 @@
+/**
+ * @fileoverview This file exports a function `calculateOverdueFine` which calculates the total fine
+ * owed for a loan that was not returned on time. The fine accrues per full day late after a grace
+ * period and never exceeds the configured maximum amount.
+ */
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * calculateOverdueFine - A function that calculates the total fine of an overdue loan. Only full days
+ * past the due date are counted, and the days within the grace period are not charged. The fine is
+ * rounded to cents, as the rate per day can have decimals.
+ *
+ * @function
+ * @param {Date} dueDate - The date the loan was due.
+ * @param {Date} currentDate - The date to calculate the fine at, usually now or the return date.
+ * @param {Object} rules - The fine rules to apply.
+ * @param {number} rules.ratePerDay - The amount charged for each day late.
+ * @param {number} rules.gracePeriodDays - The number of days late that are not charged.
+ * @param {number} rules.maximumAmount - The maximum fine for a single loan.
+ * @returns {number} - The total fine of the loan, `0` if it is not overdue beyond the grace period.
+ */
+const calculateOverdueFine = (
+    dueDate,
+    currentDate,
+    { ratePerDay, gracePeriodDays, maximumAmount }
+) => {
+    const daysLate = Math.floor(
+        (currentDate.getTime() - dueDate.getTime()) / MILLISECONDS_PER_DAY
+    );
+    const chargeableDays = daysLate - gracePeriodDays;
+
+    if (chargeableDays <= 0) return 0;
+
+    const fine = Math.min(chargeableDays * ratePerDay, maximumAmount);
+
+    return Math.round(fine * 100) / 100;
+};
+
+export default calculateOverdueFine;
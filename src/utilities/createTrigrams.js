@@ -0,0 +1,31 @@
+/**
+ * @fileoverview This file exports a function `createTrigrams` which breaks the words of a text into
+ * trigrams, the sequences of three characters they contain. Two spellings of a word share most of their
+ * trigrams even when one of them is misspelled, which makes trigrams suited to typo tolerant search.
+ */
+
+import tokenizeText from './tokenizeText.js';
+
+/**
+ * createTrigrams - A function that returns the distinct trigrams of the words of a text. Each word is padded
+ * with a space on both sides, so its first and last letters weigh as much as the ones in between.
+ *
+ * @function
+ * @param {string} text - The text to break into trigrams.
+ * @returns {Array<string>} - The distinct trigrams of the words of the text.
+ */
+const createTrigrams = (text) => {
+    const trigrams = new Set();
+
+    tokenizeText(text).forEach((word) => {
+        const characters = [' ', ...word, ' '];
+
+        for (let index = 0; index + 3 <= characters.length; index += 1) {
+            trigrams.add(characters.slice(index, index + 3).join(''));
+        }
+    });
+
+    return [...trigrams];
+};
+
+export default createTrigrams;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview This file exports a function `diffFields` which compares two versions of a document field by
+ * field and lists the fields that differ, with their values before and after. Values are compared as JSON, so
+ * ObjectIds and dates read from the database compare equal to their strings, and the IDs of nested
+ * subdocuments are left out, as they change whenever a subdocument is replaced by an equal one.
+ */
+
+/**
+ * Helper function to turn the value of a field into the JSON value it is compared and stored as. Missing values
+ * are `null`, so a field that is unset and one that is set to `null` do not differ.
+ *
+ * @param {*} value - The value of the field.
+ * @returns {*} - The JSON value.
+ */
+const toJsonValue = (value) =>
+    value === undefined || value === null
+        ? null
+        : JSON.parse(
+              JSON.stringify(value, (key, nested) =>
+                  key === '_id' ? undefined : nested
+              )
+          );
+
+/**
+ * diffFields - A function that lists the fields whose values differ between two versions of a document. Only
+ * the top-level fields are compared, a change anywhere in a nested object or array being a change of its field.
+ *
+ * @function
+ * @param {Object} before - The document before the change, an empty object when it is created.
+ * @param {Object} after - The document after the change.
+ * @param {Array<string>} [ignoredFields=[]] - The fields that are not compared, such as timestamps and counts.
+ * @returns {Array<{ field: string, before: *, after: * }>} - The changed fields with their JSON values, in the order of the document.
+ * @example
+ * diffFields({ price: 10, name: 'Dune' }, { price: 12, name: 'Dune' });
+ * // [{ field: 'price', before: 10, after: 12 }]
+ */
+const diffFields = (before = {}, after = {}, ignoredFields = []) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+        .filter((field) => !ignoredFields.includes(field))
+        .map((field) => ({
+            field,
+            before: toJsonValue(before[field]),
+            after: toJsonValue(after[field]),
+        }))
+        .filter(
+            (change) =>
+                JSON.stringify(change.before) !== JSON.stringify(change.after)
+        );
+};
+
+export default diffFields;
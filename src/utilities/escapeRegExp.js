@@ -0,0 +1,16 @@
+/**
+ * @fileoverview This file exports a function `escapeRegExp` which escapes the characters with a
+ * meaning in regular expressions, so text typed by users can be matched literally.
+ */
+
+/**
+ * escapeRegExp - A function that escapes the special characters of regular expressions in a text.
+ *
+ * @function
+ * @param {string} text - The text to escape.
+ * @returns {string} - The text, safe to use in a regular expression.
+ */
+const escapeRegExp = (text) =>
+    String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default escapeRegExp;
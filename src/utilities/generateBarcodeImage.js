@@ -0,0 +1,58 @@
+/**
+ * @fileoverview This file exports a function `generateBarcodeImage` which renders a text as a Code128
+ * barcode or a QR code, either as a PNG image or as an SVG document. The images are rendered locally,
+ * so printing labels and library cards does not depend on any external service.
+ */
+
+import bwipjs from 'bwip-js';
+
+/**
+ * The rendering options of each supported symbology, Code128 barcodes print their text below the bars.
+ */
+const symbologyOptions = {
+    code128: { bcid: 'code128', scale: 3, height: 12, includetext: true },
+    qrcode: { bcid: 'qrcode', scale: 4, eclevel: 'M' },
+};
+
+/**
+ * The content types of the supported image formats.
+ */
+const contentTypes = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+};
+
+/**
+ * generateBarcodeImage - A function that renders a text as a barcode image.
+ *
+ * @async
+ * @function
+ * @param {string} text - The text to encode, such as a copy barcode or a library card number.
+ * @param {Object} [options] - The rendering options.
+ * @param {string} [options.symbology='code128'] - The symbology to render, `code128` or `qrcode`.
+ * @param {string} [options.format='png'] - The format of the image, `png` or `svg`.
+ * @returns {Promise<Object>} - The rendered image, a Buffer for PNG or a string for SVG, and its content type.
+ * @throws {Error} - Throws an error if the symbology or the format is not supported.
+ */
+const generateBarcodeImage = async (
+    text,
+    { symbology = 'code128', format = 'png' } = {}
+) => {
+    if (!symbologyOptions[symbology]) {
+        throw new Error(`Unsupported barcode symbology "${symbology}".`);
+    }
+
+    if (!contentTypes[format]) {
+        throw new Error(`Unsupported barcode image format "${format}".`);
+    }
+
+    const options = { ...symbologyOptions[symbology], text };
+    const image =
+        format === 'svg'
+            ? bwipjs.toSVG(options)
+            : await bwipjs.toBuffer(options);
+
+    return { image, contentType: contentTypes[format] };
+};
+
+export default generateBarcodeImage;
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview This file exports a function `highlightText` which marks the words of a text matching the
+ * terms of a search, and cuts a snippet around the first of them from long texts. Words match a term when
+ * they start with it or when they share most of their trigrams with it, so misspelled terms are highlighted
+ * too. The text is HTML-escaped and the matches are wrapped in `<mark>` elements.
+ */
+
+import createTrigrams from './createTrigrams.js';
+import tokenizeText from './tokenizeText.js';
+
+/**
+ * The share of trigrams a word and a term must have in common to match, as a Dice coefficient.
+ */
+const MIN_SIMILARITY = 0.5;
+
+/**
+ * Escapes the characters with a meaning in HTML.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeHtml = (text) =>
+    text.replace(
+        /[&<>"']/g,
+        (character) =>
+            ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;',
+            })[character]
+    );
+
+/**
+ * Tells whether a word matches one of the terms, either by prefix or by the trigrams they share.
+ *
+ * @param {string} word - The word, tokenized.
+ * @param {Array<Object>} terms - The terms, with their trigrams.
+ * @returns {boolean} - Whether the word matches.
+ */
+const matchesTerm = (word, terms) => {
+    const wordTrigrams = createTrigrams(word);
+
+    return terms.some(({ term, trigrams }) => {
+        if (word.startsWith(term)) return true;
+
+        const shared = trigrams.filter((trigram) =>
+            wordTrigrams.includes(trigram)
+        ).length;
+
+        return (
+            (2 * shared) / (trigrams.length + wordTrigrams.length) >=
+            MIN_SIMILARITY
+        );
+    });
+};
+
+/**
+ * highlightText - A function that highlights the words of a text matching the terms of a search.
+ *
+ * @function
+ * @param {string} text - The text to highlight.
+ * @param {string} query - The search, whose words are the terms.
+ * @param {number} [snippetLength] - The longest snippet to cut from the text, the whole text is kept when omitted.
+ * @returns {string|null} - The highlighted, HTML-escaped text or snippet, or null if no word matches.
+ */
+const highlightText = (text, query, snippetLength) => {
+    if (!text) return null;
+
+    const terms = tokenizeText(query).map((term) => ({
+        term,
+        trigrams: createTrigrams(term),
+    }));
+    if (!terms.length) return null;
+
+    const matches = [...String(text).matchAll(/[\p{L}\p{M}\p{N}]+/gu)]
+        .filter((match) => {
+            const [word] = tokenizeText(match[0]);
+
+            return word && matchesTerm(word, terms);
+        })
+        .map((match) => ({
+            start: match.index,
+            end: match.index + match[0].length,
+        }));
+    if (!matches.length) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (snippetLength && text.length > snippetLength) {
+        // Open the snippet a little before the first match, on a word boundary
+        start = Math.max(0, matches[0].start - Math.floor(snippetLength / 4));
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        end = Math.min(text.length, start + snippetLength);
+    }
+
+    let highlighted = '';
+    let position = start;
+    matches
+        .filter((match) => match.start >= start && match.end <= end)
+        .forEach((match) => {
+            highlighted += `${escapeHtml(text.slice(position, match.start))}<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+            position = match.end;
+        });
+    highlighted += escapeHtml(text.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+export default highlightText;
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview This file exports a function `matchesFileSignature` which checks that the content of a file is of
+ * the type it is declared as, by the signature its first bytes start with. A file renamed or sent with another
+ * MIME type than its content is recognized whatever its name says.
+ */
+
+import mimeTypesConstants from '../constant/mimeTypes.constants.js';
+
+/**
+ * The signatures of the file types that have one, as the bytes expected at each offset of the file.
+ */
+const signatures = {
+    [mimeTypesConstants.JPG]: [[0, [0xff, 0xd8, 0xff]]],
+    [mimeTypesConstants.PNG]: [
+        [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    ],
+    [mimeTypesConstants.GIF]: [[0, [0x47, 0x49, 0x46, 0x38]]],
+    [mimeTypesConstants.WEBP]: [
+        [0, [0x52, 0x49, 0x46, 0x46]],
+        [8, [0x57, 0x45, 0x42, 0x50]],
+    ],
+    [mimeTypesConstants.BMP]: [[0, [0x42, 0x4d]]],
+    [mimeTypesConstants.ICO]: [[0, [0x00, 0x00, 0x01, 0x00]]],
+    [mimeTypesConstants.PDF]: [[0, [0x25, 0x50, 0x44, 0x46, 0x2d]]],
+};
+
+/**
+ * matchesFileSignature - A function that checks that the first bytes of a file match the signature of its
+ * declared MIME type. Types without a signature, such as text formats, are not checked.
+ *
+ * @function
+ * @param {Buffer} buffer - The content of the file.
+ * @param {string} mimetype - The MIME type the file is declared as.
+ * @returns {boolean} - Whether the content of the file is of its declared type.
+ * @example
+ * matchesFileSignature(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg'); // true
+ * matchesFileSignature(Buffer.from('<html>'), 'image/png'); // false
+ */
+const matchesFileSignature = (buffer, mimetype) => {
+    const signature = signatures[mimetype];
+    if (!signature) return true;
+
+    return (
+        Buffer.isBuffer(buffer) &&
+        signature.every(([offset, bytes]) =>
+            bytes.every((byte, index) => buffer[offset + index] === byte)
+        )
+    );
+};
+
+export default matchesFileSignature;
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview This file exports a function `nameSimilarity` which rates how alike two names are, from 0 for
+ * names with nothing in common to 1 for the same name. Names are compared by their words, ignoring case,
+ * punctuation and the accents of Latin letters, so "Humayun Ahmed" and "humayun ahmad" rate high. The words are
+ * also compared in alphabetical order, so a name written surname first rates as high as the name itself.
+ */
+
+import tokenizeText from './tokenizeText.js';
+
+/**
+ * Calculates the Levenshtein distance between two texts: the number of characters to insert, delete or replace
+ * to turn one into the other. Characters outside the Basic Multilingual Plane count as one.
+ *
+ * @param {string} a - The first text.
+ * @param {string} b - The second text.
+ * @returns {number} - The distance.
+ */
+const levenshteinDistance = (a, b) => {
+    const source = [...a];
+    const target = [...b];
+    let previousRow = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+    source.forEach((sourceCharacter, i) => {
+        const row = [i + 1];
+
+        target.forEach((targetCharacter, j) => {
+            row.push(
+                Math.min(
+                    previousRow[j + 1] + 1,
+                    row[j] + 1,
+                    previousRow[j] +
+                        (sourceCharacter === targetCharacter ? 0 : 1)
+                )
+            );
+        });
+
+        previousRow = row;
+    });
+
+    return previousRow[target.length];
+};
+
+/**
+ * Rates how alike two texts are by their Levenshtein distance, relative to the length of the longer one.
+ *
+ * @param {string} a - The first text.
+ * @param {string} b - The second text.
+ * @returns {number} - The similarity, from 0 to 1.
+ */
+const textSimilarity = (a, b) =>
+    1 - levenshteinDistance(a, b) / Math.max([...a].length, [...b].length);
+
+/**
+ * nameSimilarity - A function that rates how alike two names are, comparing their words in the order given and
+ * in alphabetical order, and keeping the higher rating.
+ *
+ * @function
+ * @param {string} a - The first name.
+ * @param {string} b - The second name.
+ * @returns {number} - The similarity, from 0 to 1, 0 when either name has no words.
+ * @example
+ * nameSimilarity('Humayun Ahmed', 'Humayun Ahmad'); // 0.923...
+ * nameSimilarity('Ahmed, Humayun', 'Humayun Ahmed'); // 1
+ */
+const nameSimilarity = (a, b) => {
+    const wordsA = tokenizeText(a);
+    const wordsB = tokenizeText(b);
+
+    if (!wordsA.length || !wordsB.length) return 0;
+
+    return Math.max(
+        textSimilarity(wordsA.join(' '), wordsB.join(' ')),
+        textSimilarity(
+            [...wordsA].sort().join(' '),
+            [...wordsB].sort().join(' ')
+        )
+    );
+};
+
+export default nameSimilarity;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview This file exports a function `normalizeIsbn` which validates an ISBN-10 or ISBN-13
+ * and returns both of its forms. Hyphens and spaces are ignored, and the check digit is verified, so
+ * an ISBN typed with a mistake in one of its digits is rejected.
+ */
+
+/**
+ * Calculates the check digit of the first nine digits of an ISBN-10.
+ *
+ * @param {string} digits - The first nine digits.
+ * @returns {string} - The check digit, `X` standing for 10.
+ */
+const getIsbn10CheckDigit = (digits) => {
+    const sum = [...digits].reduce(
+        (total, digit, index) => total + Number(digit) * (10 - index),
+        0
+    );
+    const checkDigit = (11 - (sum % 11)) % 11;
+
+    return checkDigit === 10 ? 'X' : String(checkDigit);
+};
+
+/**
+ * Calculates the check digit of the first twelve digits of an ISBN-13.
+ *
+ * @param {string} digits - The first twelve digits.
+ * @returns {string} - The check digit.
+ */
+const getIsbn13CheckDigit = (digits) => {
+    const sum = [...digits].reduce(
+        (total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1),
+        0
+    );
+
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * normalizeIsbn - A function that validates an ISBN and returns it in both forms. An ISBN-10 is converted
+ * to its ISBN-13 with the `978` prefix, and an ISBN-13 with the `978` prefix is converted back to its
+ * ISBN-10. ISBN-13s with the `979` prefix have no ISBN-10.
+ *
+ * @function
+ * @param {string} value - The ISBN to normalize, with or without hyphens and spaces.
+ * @returns {Object|null} - The `isbn13` and, when it exists, the `isbn10` of the book, or null if the value is not a valid ISBN.
+ */
+const normalizeIsbn = (value) => {
+    if (typeof value !== 'string') return null;
+
+    const isbn = value.replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        if (getIsbn10CheckDigit(isbn.slice(0, 9)) !== isbn[9]) return null;
+
+        const isbn13 = `978${isbn.slice(0, 9)}`;
+
+        return { isbn10: isbn, isbn13: isbn13 + getIsbn13CheckDigit(isbn13) };
+    }
+
+    if (/^97[89]\d{10}$/.test(isbn)) {
+        if (getIsbn13CheckDigit(isbn.slice(0, 12)) !== isbn[12]) return null;
+
+        if (!isbn.startsWith('978')) return { isbn13: isbn };
+
+        const isbn10 = isbn.slice(3, 12);
+
+        return { isbn10: isbn10 + getIsbn10CheckDigit(isbn10), isbn13: isbn };
+    }
+
+    return null;
+};
+
+export default normalizeIsbn;
@@ -7,11 +7,13 @@
  * preventing data loss and other issues that might arise from abrupt termination.
  *
  * @requires module:service/database.service Database service for managing database connections.
+ * @requires module:service/scheduler.service Scheduler service for stopping the background tasks.
  * @requires module:initiateGracefulShutdown Utility function to facilitate a controlled shutdown.
  * @requires module:service/logger.service Logger service for logging shutdown events and errors.
  */
 
 import DatabaseService from '../service/database.service.js';
+import SchedulerService from '../service/scheduler.service.js';
 import initiateGracefulShutdown from './initiateGracefulShutdown.js';
 import loggerService from '../service/logger.service.js';
 
@@ -32,6 +34,8 @@ const shutdownHandler = async (signal, server) => {
     loggerService.log(`Received ${signal}.`);
 
     try {
+        SchedulerService.stop();
+
         await DatabaseService.disconnect();
         await initiateGracefulShutdown(signal, server);
     } catch (shutdownError) {
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview This file exports a function `tokenizeText` which splits a text into the words it is
+ * searched by. Words are lowercased and the accents of Latin letters are dropped, so `Café` and `cafe`
+ * are the same word, while the vowel signs of scripts such as Bengali are kept, as they belong to the word.
+ */
+
+/**
+ * tokenizeText - A function that splits a text into lowercase words, dropping the accents of Latin letters
+ * and any punctuation.
+ *
+ * @function
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} - The words of the text, in order.
+ */
+const tokenizeText = (text) =>
+    String(text ?? '')
+        .normalize('NFKD')
+        .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+        .normalize('NFC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+
+export default tokenizeText;
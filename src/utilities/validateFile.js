@@ -4,10 +4,13 @@
  * for type, size, and extension before it can be accepted for further processing.
  */
 
+import matchesFileSignature from './matchesFileSignature.js';
+
 /**
  * validateFile - A function that validates a file based on its type, size, and optional extensions.
  * It checks if the file's MIME type is in the list of allowed types, if its size does not exceed
- * the maximum allowed size, and if its extension is in the list of allowed extensions (if specified).
+ * the maximum allowed size, if its extension is in the list of allowed extensions (if specified), and if
+ * its content starts with the signature of its type, so a file cannot pass as another type by its name.
  * The function returns an object containing a boolean `isValid` status and a validation message.
  *
  * @function
@@ -45,6 +48,14 @@ const validateFile = (file, maxSize, allowedTypes, allowedExtensions = []) => {
         }
     }
 
+    // Check the content of the file against its declared type
+    if (!matchesFileSignature(file.buffer, file.mimetype)) {
+        return {
+            isValid: false,
+            message: 'The content of the file does not match its type.',
+        };
+    }
+
     return {
         isValid: true,
         message: 'File is valid.',